@@ -0,0 +1,122 @@
+import { createEngine, restoreEngine } from "./engine";
+import { exportPokerStars } from "./handHistory";
+import { tableConfig } from "./test_helpers";
+import { Action, GameConfig } from "./types";
+
+function configFor(extra: Partial<GameConfig> = {}): GameConfig {
+  return tableConfig("clock", { actionClock: { actionSeconds: 10, timeBankSeconds: 30 }, ...extra });
+}
+
+function act(
+  actor: number,
+  type: Action["type"],
+  elapsed?: number,
+  amount: number | null = null
+): Action {
+  return { actor, type, amount, elapsed };
+}
+
+test("Action clock: time past actionSeconds comes out of the time bank", () => {
+  const engine = createEngine(configFor());
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 30, 30]);
+
+  engine.applyAction(act(0, "call", 10));
+  engine.applyAction(act(1, "call", 22.5));
+  engine.applyAction(act(2, "check"));
+
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 17.5, 30]);
+  expect(engine.getSnapshot().events.some((e) => e.type === "timeout_action")).toBe(false);
+});
+
+test("Action clock: a seat out of time checks when it can and folds to a bet", () => {
+  const engine = createEngine(configFor());
+  // Facing the big blind: the raise is replaced by a fold
+  engine.applyAction(act(0, "raise", 40, 100));
+  const { state, events, actionHistory } = engine.getSnapshot();
+  expect(state.players[0].status).toBe("folded");
+  expect(state.timeBanks).toEqual([0, 30, 30]);
+  expect(events.slice(-2)).toEqual([
+    {
+      type: "timeout_action",
+      handId: 1,
+      data: { seat: 0, elapsed: 40, action: act(0, "fold", 40) },
+    },
+    { type: "action_taken", handId: 1, data: { action: act(0, "fold", 40) } },
+  ]);
+  expect(actionHistory).toEqual([act(0, "fold", 40)]);
+
+  engine.applyAction(act(1, "call"));
+  // The big blind may check, so that is what the clock does for it
+  engine.timeOut();
+  expect(engine.getSnapshot().state.phase).toBe("flop");
+  expect(engine.getSnapshot().actionHistory.at(-1)).toEqual(act(2, "check", 40));
+  // With an empty bank only actionSeconds remain
+  engine.applyAction(act(1, "check", 10));
+  expect(engine.getSnapshot().actionHistory.at(-1)).toEqual(act(1, "check", 10));
+  expect(engine.getSnapshot().state.timeBanks).toEqual([0, 30, 0]);
+});
+
+test("Action clock: undo, rewind and restore replay the clock the same way", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction(act(0, "call", 15));
+  engine.applyAction(act(1, "raise", 60, 80));
+  engine.applyAction(act(2, "call", 25));
+  const { state } = engine.getSnapshot();
+  expect(state.timeBanks).toEqual([25, 0, 15]);
+
+  const restored = restoreEngine(JSON.parse(JSON.stringify(engine.getSnapshot())));
+  expect(restored.getSnapshot().state.timeBanks).toEqual([25, 0, 15]);
+  engine.undo();
+  expect(engine.getSnapshot().state.timeBanks).toEqual([25, 0, 30]);
+  engine.rewindTo(0);
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 30, 30]);
+});
+
+test("Action clock: a new player gets a full time bank", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction(act(0, "fold"));
+  engine.applyAction(act(1, "fold", 35));
+  expect(engine.getSnapshot().state.phase).toBe("ended");
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 5, 30]);
+
+  engine.leaveSeat(1);
+  engine.joinSeat(1, 500);
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 30, 30]);
+});
+
+test("Action clock: timeouts are listed in PokerStars hand histories", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction(act(0, "call", 45));
+  engine.applyAction(act(1, "call"));
+  while (engine.getSnapshot().state.phase !== "ended") {
+    engine.applyAction(act(engine.getSnapshot().state.actionSeat, "check"));
+  }
+  const lines = exportPokerStars(engine.getSnapshot()).split("\n");
+  const timedOut = lines.indexOf("Seat 0 has timed out");
+
+  expect(timedOut).toBeGreaterThan(0);
+  expect(lines[timedOut + 1]).toBe("Seat 0: folds");
+});
+
+test("Action clock: bad clocks and elapsed times are rejected", () => {
+  const clocked = (actionSeconds: number, timeBankSeconds: number) =>
+    createEngine(configFor({ actionClock: { actionSeconds, timeBankSeconds } }));
+  expect(() => clocked(0, 30)).toThrow("actionClock.actionSeconds must be a positive number.");
+  expect(() => clocked(10, -1)).toThrow(
+    "actionClock.timeBankSeconds must be a non-negative number."
+  );
+  const engine = createEngine(configFor());
+  expect(() => engine.applyAction(act(0, "call", -1))).toThrow(
+    "elapsed must be a non-negative number of seconds."
+  );
+  // A rejected action does not touch the bank
+  expect(() => engine.applyAction(act(0, "check", 20))).toThrow("Cannot check when facing a bet.");
+  expect(engine.getSnapshot().state.timeBanks).toEqual([30, 30, 30]);
+
+  const unclocked = createEngine(configFor({ actionClock: undefined }));
+  expect(unclocked.getSnapshot().state.timeBanks).toBeNull();
+  expect(() => unclocked.timeOut()).toThrow("No action clock is configured.");
+  // Without a clock elapsed is ignored
+  unclocked.applyAction(act(0, "raise", 500, 100));
+  expect(unclocked.getSnapshot().state.currentBet).toBe(100);
+});
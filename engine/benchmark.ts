@@ -0,0 +1,34 @@
+// Hand evaluator throughput: npm run bench
+import { createDeck, shuffleDeck } from "./deck.js";
+import { evaluate7, evaluate7Reference, HandRank } from "./evaluate.js";
+import { createRng } from "./rng.js";
+import { Card, GameType } from "./types.js";
+
+function randomHands(count: number, seed: string, gameType: GameType = "holdem"): Card[][] {
+  const rng = createRng(seed);
+  const deck = createDeck(gameType);
+  return Array.from({ length: count }, () => shuffleDeck(deck, rng).slice(0, 7));
+}
+
+function measure(label: string, hands: Card[][], rounds: number, evaluate: (hand: Card[]) => HandRank) {
+  // Warm up (and build the lookup tables) before timing
+  for (const hand of hands.slice(0, 1000)) {
+    evaluate(hand);
+  }
+  let checksum = 0;
+  const start = performance.now();
+  for (let round = 0; round < rounds; round += 1) {
+    for (const hand of hands) {
+      checksum += evaluate(hand).category;
+    }
+  }
+  const seconds = (performance.now() - start) / 1000;
+  const perSecond = Math.round((hands.length * rounds) / seconds);
+  console.log(`${label}: ${perSecond.toLocaleString("en-US")} hands/s (checksum ${checksum})`);
+}
+
+const hands = randomHands(100000, "benchmark");
+measure("evaluate7 (lookup tables)", hands, 30, (hand) => evaluate7(hand));
+const shortDeckHands = randomHands(100000, "benchmark", "shortdeck");
+measure("evaluate7 short deck", shortDeckHands, 30, (hand) => evaluate7(hand, "shortdeck"));
+measure("evaluate7Reference", hands.slice(0, 20000), 1, (hand) => evaluate7Reference(hand));
@@ -0,0 +1,142 @@
+import { createEngine, Engine } from "./engine";
+import { GameConfig, LegalAction } from "./types";
+
+const base: GameConfig = {
+  seed: "betting-structure",
+  deckSecret: "betting-structure",
+  startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+function wager(engine: Engine): LegalAction | undefined {
+  return engine
+    .getLegalActions()
+    .find((a) => a.type === "bet" || a.type === "raise");
+}
+
+function act(engine: Engine, type: LegalAction["type"], amount: number | null = null) {
+  const { actionSeat } = engine.getSnapshot().state;
+  engine.applyAction({ actor: actionSeat, type, amount });
+}
+
+test("Betting structure: no-limit max is the whole stack", () => {
+  const engine = createEngine(base);
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 40, maxAmount: 1000 });
+});
+
+test("Betting structure: BB option is a raise with a real minimum", () => {
+  const engine = createEngine(base);
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "call");
+  }
+  expect(engine.getSnapshot().state.actionSeat).toBe(2);
+  expect(engine.getLegalActions()).toEqual([
+    { type: "check", minAmount: null, maxAmount: null },
+    { type: "raise", minAmount: 40, maxAmount: 1000 },
+  ]);
+  expect(() => act(engine, "bet", 20)).toThrow("Cannot bet when facing a bet.");
+});
+
+test("Betting structure: pot-limit raise is capped at pot after the call", () => {
+  const engine = createEngine({ ...base, bettingStructure: "pot_limit" });
+
+  // UTG: pot 30, call 20 -> pot 50 after call, max raise to 20 + 50 = 70
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 40, maxAmount: 70 });
+  expect(() => act(engine, "raise", 80)).toThrow("Raise amount out of range.");
+  act(engine, "raise", 70);
+
+  // Next: pot 100, call 70 -> 170, max raise to 70 + 170 = 240
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 120, maxAmount: 240 });
+});
+
+test("Betting structure: pot-limit bet is capped at the pot", () => {
+  const engine = createEngine({ ...base, bettingStructure: "pot_limit" });
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "call");
+  }
+  act(engine, "check");
+
+  expect(engine.getSnapshot().state.phase).toBe("flop");
+  expect(wager(engine)).toEqual({ type: "bet", minAmount: 20, maxAmount: 120 });
+});
+
+test("Betting structure: fixed-limit uses small then big bets", () => {
+  const engine = createEngine({ ...base, bettingStructure: "fixed_limit" });
+
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 40, maxAmount: 40 });
+  expect(() => act(engine, "raise", 60)).toThrow("Raise amount out of range.");
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "call");
+  }
+  act(engine, "check");
+  expect(wager(engine)).toEqual({ type: "bet", minAmount: 20, maxAmount: 20 });
+  for (let i = 0; i < 6; i += 1) {
+    act(engine, "check");
+  }
+
+  expect(engine.getSnapshot().state.phase).toBe("turn");
+  expect(wager(engine)).toEqual({ type: "bet", minAmount: 40, maxAmount: 40 });
+});
+
+test("Betting structure: fixed-limit caps bets and raises per street", () => {
+  const engine = createEngine({ ...base, bettingStructure: "fixed_limit", raiseCap: 4 });
+
+  // BB is bet 1; three raises reach the cap
+  act(engine, "raise", 40);
+  act(engine, "raise", 60);
+  act(engine, "raise", 80);
+
+  expect(engine.getLegalActions().map((a) => a.type)).toEqual(["fold", "call"]);
+  expect(() => act(engine, "raise", 100)).toThrow("Raising is not allowed.");
+});
+
+test("Betting structure: fixed-limit honours custom bet sizes", () => {
+  const engine = createEngine({
+    ...base,
+    bettingStructure: "fixed_limit",
+    smallBet: 20,
+    bigBet: 50,
+  });
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "call");
+  }
+  act(engine, "check");
+  for (let i = 0; i < 6; i += 1) {
+    act(engine, "check");
+  }
+
+  act(engine, "bet", 50);
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 100, maxAmount: 100 });
+});
+
+test("Betting structure: a short pot-limit all-in is not a full raise", () => {
+  const engine = createEngine({
+    ...base,
+    seatCount: 3,
+    startingStacks: [1000, 90, 1000],
+    bettingStructure: "pot_limit",
+  });
+  act(engine, "raise", 60);
+  // A full raise is to 100; the small blind can only go all-in for 90
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 90, maxAmount: 90 });
+  act(engine, "raise", 90);
+
+  // The last full raise is still the 40 from the button
+  expect(engine.getSnapshot().state.currentBet).toBe(90);
+  expect(engine.getSnapshot().state.lastRaiseSize).toBe(40);
+  expect(engine.getSnapshot().state.canRaise[1]).toBe(false);
+  // so the big blind's full raise is to 90 + 40
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 130, maxAmount: 330 });
+  expect(() => act(engine, "raise", 100)).toThrow("Raise below minimum and not all-in.");
+});
+
+test("Betting structure: a short no-limit all-in moves the minimum raise", () => {
+  const engine = createEngine({ ...base, seatCount: 3, startingStacks: [1000, 90, 1000] });
+  act(engine, "raise", 60);
+  act(engine, "raise", 90);
+  expect(wager(engine)).toEqual({ type: "raise", minAmount: 130, maxAmount: 1000 });
+  expect(() => act(engine, "raise", 100)).toThrow("Raise below minimum and not all-in.");
+  act(engine, "raise", 130);
+  expect(engine.getSnapshot().state.minRaiseTo).toBe(170);
+});
@@ -3,6 +3,7 @@ import { GameConfig } from "./types";
 
 const config: GameConfig = {
   seed: "test",
+  deckSecret: "test",
   startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
   smallBlind: 10,
   bigBlind: 20,
@@ -38,7 +39,7 @@ test("Blind rotation: Case 1 - Intended BB seat stack=0", () => {
   
   expect(state.smallBlindSeat).toBe(2);
   expect(state.bigBlindSeat).toBe(4);
-  // Button rotates linearly
+  // Button takes the previous SB seat
   expect(state.dealerSeat).toBe(1);
 });
 
@@ -59,12 +60,14 @@ test("Blind rotation: Case 2 - Intended SB seat stack=0", () => {
 
   engine.startNextHand();
 
-  // Anchor = 2.
-  // Scan starts at 2 -> ineligible.
-  // 3 is eligible -> SB=3.
-  // 4 is eligible -> BB=4.
+  // Dead button rule: BB still advances exactly one seat.
+  // 3 is eligible -> BB=3.
+  // SB position is the busted seat 2 -> dead small blind, nobody posts it.
 
-  expect(state.smallBlindSeat).toBe(3);
-  expect(state.bigBlindSeat).toBe(4);
+  expect(state.smallBlindSeat).toBe(2);
+  expect(state.deadSmallBlind).toBe(true);
+  expect(state.bigBlindSeat).toBe(3);
   expect(state.dealerSeat).toBe(1);
+  expect(state.players[2].totalCommitted).toBe(0);
+  expect(state.players[3].totalCommitted).toBe(20);
 });
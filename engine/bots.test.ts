@@ -0,0 +1,99 @@
+import { BotId, botDecision, getAllBots } from "./bots";
+import { validateDecision } from "./decision";
+import { createEngine } from "./engine";
+import { botController, DecisionRecord, simulate } from "./simulate";
+import { stackedDeck, tableConfig } from "./test_helpers";
+import { GameType } from "./types";
+
+async function play(gameType: GameType, bots: BotId[], seeds: string[]): Promise<DecisionRecord[]> {
+  const records: DecisionRecord[] = [];
+  await simulate({
+    config: tableConfig("bots", { gameType, startingStacks: bots.map(() => 1000) }),
+    controllers: bots.map(botController),
+    seeds,
+    hands: 6,
+    onDecision: (record) => {
+      records.push(record);
+    },
+  });
+  return records;
+}
+
+test("Bots: every bot plays legal actions with a valid Decision in every game", async () => {
+  const bots = getAllBots().map((bot) => bot.id);
+  expect(bots).toEqual(["random", "calling_station", "tight_aggressive", "pot_odds"]);
+  for (const gameType of ["holdem", "shortdeck", "omaha"] as GameType[]) {
+    // simulate throws if a bot picks an action the engine refuses
+    const records = await play(gameType, bots, [`${gameType}:1`, `${gameType}:2`]);
+    expect(new Set(records.map((record) => record.controller))).toEqual(new Set(bots));
+    for (const record of records) {
+      expect(() => validateDecision(record.decision!)).not.toThrow();
+      const intent = record.decision!.action.type;
+      const type = record.action.type;
+      expect(intent).toBe(type === "fold" ? "FOLD" : type === "bet" || type === "raise" ? "RAISE" : "CALL");
+    }
+  }
+});
+
+test("Bots: the same spot and seed always get the same choice", async () => {
+  const first = await play("holdem", ["random", "tight_aggressive", "pot_odds"], ["same"]);
+  const second = await play("holdem", ["random", "tight_aggressive", "pot_odds"], ["same"]);
+  expect(second).toEqual(first);
+
+  const engine = createEngine(tableConfig("bots"));
+  const observation = engine.getObservation(0);
+  const picks = ["a", "b", "c", "d", "e", "f"].map(
+    (seed) => botDecision("random", observation, seed).action
+  );
+  expect(picks).toEqual(
+    ["a", "b", "c", "d", "e", "f"].map((seed) => botDecision("random", observation, seed).action)
+  );
+  expect(new Set(picks.map((action) => JSON.stringify(action))).size).toBeGreaterThan(1);
+});
+
+test("Bots: the calling station never folds and the pot-odds caller never raises", async () => {
+  const records = await play("holdem", ["calling_station", "pot_odds", "random"], ["passive:1"]);
+  const station = records.filter((record) => record.controller === "calling_station");
+  const caller = records.filter((record) => record.controller === "pot_odds");
+  expect(station.length).toBeGreaterThan(0);
+  expect(station.every((record) => record.action.type === "check" || record.action.type === "call"))
+    .toBe(true);
+  expect(caller.length).toBeGreaterThan(0);
+  expect(caller.some((record) => record.action.type === "bet" || record.action.type === "raise"))
+    .toBe(false);
+  for (const record of caller.filter((r) => r.action.type === "fold")) {
+    expect(record.decision!.reason.line).toMatch(/^Equity \d+% is short of the \d+% price: fold\.$/);
+  }
+});
+
+test("Bots: tight-aggressive opens its chart, re-raises premiums and folds the rest", () => {
+  const engine = createEngine(
+    tableConfig("bots", { deckOrder: [stackedDeck(["7h 6h", "Kc Kd", "9c 4d"])] })
+  );
+  const act = () => {
+    const seat = engine.getSnapshot().state.actionSeat;
+    const choice = botDecision("tight_aggressive", engine.getObservation(seat), "bots");
+    engine.applyAction(choice.action);
+    return choice;
+  };
+
+  // The button opens 76s for three big blinds
+  const open = act();
+  expect(open.action).toEqual({ actor: 0, type: "raise", amount: 60 });
+  expect(open.decision.reason).toMatchObject({
+    plan: "apply_pressure",
+    line: "7h6h is in the late-position opening chart: raise 60.",
+  });
+  // Kings re-raise to three times the bet
+  expect(act().action).toEqual({ actor: 1, type: "raise", amount: 180 });
+  const junk = act();
+  expect(junk.action.type).toBe("fold");
+  expect(junk.decision.reason.line).toBe("9c4d is outside the early-position chart: fold.");
+  // 76s will open but not call a re-raise
+  const facing = act();
+  expect(facing.action.type).toBe("fold");
+  expect(facing.decision.reason.line).toBe(
+    "7h6h is in the late-position chart but too weak to call 120: fold."
+  );
+  expect(facing.decision.action).toEqual({ type: "FOLD" });
+});
@@ -0,0 +1,362 @@
+import { Action, Card, LegalAction, Observation, SeatIndex } from "./types.js";
+import type { Decision, Driver } from "./decision.js";
+import { calculateEquity, parseRange } from "./equity.js";
+import { createRng } from "./rng.js";
+import { handConfig } from "./tournament.js";
+
+// Scripted seat opponents. Every bot picks from the seat's legal actions and
+// explains itself with the same Decision an LLM seat returns (drivers, plan,
+// line), so the table and the logs treat both alike. Choices depend only on
+// the observation and a seed: the same spot always gets the same answer.
+
+export type BotId = "random" | "calling_station" | "tight_aggressive" | "pot_odds";
+
+export type BotInfo = {
+  id: BotId;
+  name: string;
+  description: string;
+};
+
+export type BotChoice = {
+  action: Action;
+  decision: Decision;
+};
+
+const BOTS: BotInfo[] = [
+  { id: "random", name: "Random", description: "Any legal action, any legal size." },
+  {
+    id: "calling_station",
+    name: "Calling Station",
+    description: "Checks or calls every bet and never raises.",
+  },
+  {
+    id: "tight_aggressive",
+    name: "Tight-Aggressive",
+    description: "Plays a preflop chart, raises its good hands and bets strong ones.",
+  },
+  {
+    id: "pot_odds",
+    name: "Pot-Odds Caller",
+    description: "Calls when its equity beats the price and folds when it does not.",
+  },
+];
+
+// Preflop charts for two-card games. Premium hands raise and re-raise;
+// opening hands raise an unopened pot, from the late chart on the button or
+// in the cutoff.
+const PREMIUM = "TT+, AQs+, AKo";
+const EARLY_OPEN = "77+, ATs+, KJs+, QJs, AJo+, KQo";
+const LATE_OPEN = "22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, 87s, 76s, A9o+, KTo+, QTo+, JTo";
+// Equity samples per estimate, enough to separate calls from folds
+const EQUITY_ITERATIONS = 500;
+
+function cardCode(card: Card): string {
+  return `${card.rank}${card.suit}`;
+}
+
+function comboKey(cards: Card[]): string {
+  return cards.map(cardCode).sort().join("");
+}
+
+const charts = new Map<string, Set<string>>();
+
+function inChart(chart: string, cards: Card[]): boolean {
+  let combos = charts.get(chart);
+  if (!combos) {
+    combos = new Set(parseRange(chart).map(comboKey));
+    charts.set(chart, combos);
+  }
+  return combos.has(comboKey(cards));
+}
+
+export function getAllBots(): BotInfo[] {
+  return BOTS;
+}
+
+export function getBotById(id: string): BotInfo | undefined {
+  return BOTS.find((bot) => bot.id === id);
+}
+
+// What the acting seat sees, worked out once per decision
+type Spot = {
+  observation: Observation;
+  seat: SeatIndex;
+  legal: LegalAction[];
+  hole: Card[];
+  pot: number;
+  toCall: number;
+  opponents: number;
+  seed: string;
+};
+
+function spotOf(observation: Observation, seed: string): Spot {
+  const { state } = observation;
+  const seat = state.actionSeat;
+  return {
+    observation,
+    seat,
+    legal: observation.legalActions,
+    hole: state.players[seat].holeCards ?? [],
+    // Everything put in this hand, current street included
+    pot: state.players.reduce((sum, player) => sum + player.totalCommitted, 0),
+    toCall: Math.max(0, state.currentBet - state.betThisRound[seat]),
+    opponents: state.players.filter(
+      (player) => player.seat !== seat && (player.status === "active" || player.status === "all_in")
+    ).length,
+    seed: `${seed}:${state.handId}:${observation.actionHistory.length}`,
+  };
+}
+
+function option(spot: Spot, type: Action["type"]): LegalAction | undefined {
+  return spot.legal.find((candidate) => candidate.type === type);
+}
+
+function cards(hole: Card[]): string {
+  return hole.map(cardCode).join("");
+}
+
+function percent(value: number): string {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Share of the pot the acting hand wins against random hands
+function equityOf(spot: Spot): number {
+  const { state, config } = spot.observation;
+  const result = calculateEquity({
+    hands: [spot.hole, ...Array.from({ length: spot.opponents }, () => null)],
+    board: state.board,
+    gameType: config.gameType,
+    iterations: EQUITY_ITERATIONS,
+    seed: spot.seed,
+  });
+  return result.equity[0];
+}
+
+// Share of the final pot a call puts in
+function priceOf(spot: Spot): number {
+  return spot.toCall / (spot.pot + spot.toCall);
+}
+
+function choose(
+  spot: Spot,
+  action: Action,
+  drivers: Driver[],
+  line: string,
+  confidence: number
+): BotChoice {
+  const intent =
+    action.type === "fold" ? "FOLD" : action.type === "bet" || action.type === "raise" ? "RAISE" : "CALL";
+  const plan = intent === "RAISE" ? "apply_pressure" : intent === "FOLD" ? "control_pot" : "see_turn";
+  return {
+    action,
+    decision: {
+      action: intent === "RAISE" ? { type: intent, amount: action.amount ?? undefined } : { type: intent },
+      reason: { drivers, plan, line },
+      confidence: Math.round(Math.min(0.95, Math.max(0.05, confidence)) * 100) / 100,
+    },
+  };
+}
+
+function describe(action: Action): string {
+  return action.amount === null ? action.type : `${action.type} ${action.amount}`;
+}
+
+// Check if free, otherwise call (or fold when calling is not possible)
+function passive(spot: Spot, callable: boolean): Action {
+  const type = option(spot, "check")
+    ? "check"
+    : callable && option(spot, "call")
+      ? "call"
+      : "fold";
+  return { actor: spot.seat, type, amount: null };
+}
+
+// Bet or raise to target, kept within the legal range; null when the seat
+// cannot bet or raise
+function aggressive(spot: Spot, target: number): Action | null {
+  const legal = option(spot, "bet") ?? option(spot, "raise");
+  if (!legal || legal.minAmount === null || legal.maxAmount === null) {
+    return null;
+  }
+  const amount = Math.min(legal.maxAmount, Math.max(legal.minAmount, Math.round(target)));
+  return { actor: spot.seat, type: legal.type, amount };
+}
+
+function randomBot(spot: Spot): BotChoice {
+  const rng = createRng(spot.seed);
+  const legal = spot.legal[rng.nextInt(spot.legal.length)];
+  let amount: number | null = null;
+  if (legal.minAmount !== null && legal.maxAmount !== null) {
+    amount = legal.minAmount + rng.nextInt(legal.maxAmount - legal.minAmount + 1);
+  }
+  const action = { actor: spot.seat, type: legal.type, amount };
+  const drivers: Driver[] = [
+    { key: "variance", weight: 0.6 },
+    { key: "entertainment", weight: 0.4 },
+  ];
+  const line = `Picked ${describe(action)} at random from ${spot.legal.length} legal actions.`;
+  return choose(spot, action, drivers, line, 0.1);
+}
+
+function callingStation(spot: Spot): BotChoice {
+  const action = passive(spot, true);
+  const drivers: Driver[] = [
+    { key: "entertainment", weight: 0.6 },
+    { key: "hand_strength", weight: 0.4 },
+  ];
+  const line =
+    action.type === "check" ? "Nothing to call, so check." : `Never folds: ${describe(action)}.`;
+  return choose(spot, action, drivers, line, 0.5);
+}
+
+// Call when equity beats the price; never bets or raises
+function potOdds(spot: Spot): BotChoice {
+  const equity = equityOf(spot);
+  if (option(spot, "check")) {
+    const action = passive(spot, false);
+    const drivers: Driver[] = [
+      { key: "pot_odds", weight: 0.5 },
+      { key: "hand_strength", weight: 0.5 },
+    ];
+    return choose(spot, action, drivers, `Free to see more with ${percent(equity)} equity: check.`, 0.6);
+  }
+  const price = priceOf(spot);
+  const calls = equity >= price;
+  const action = passive(spot, calls);
+  const drivers: Driver[] = [
+    { key: "pot_odds", weight: 0.6 },
+    calls ? { key: "hand_strength", weight: 0.4 } : { key: "risk", weight: 0.4 },
+  ];
+  const line = calls
+    ? `Equity ${percent(equity)} beats the ${percent(price)} price: ${describe(action)}.`
+    : `Equity ${percent(equity)} is short of the ${percent(price)} price: fold.`;
+  return choose(spot, action, drivers, line, 0.5 + Math.abs(equity - price));
+}
+
+// Whether the seat acts from the button or the cutoff (unless the cutoff
+// is also a blind, as it is three-handed)
+function latePosition(spot: Spot): boolean {
+  const { players, dealerSeat, smallBlindSeat, bigBlindSeat } = spot.observation.state;
+  if (spot.seat === dealerSeat) {
+    return true;
+  }
+  if (spot.seat === smallBlindSeat || spot.seat === bigBlindSeat) {
+    return false;
+  }
+  const dealt = players.filter((player) => player.status !== "out").map((player) => player.seat);
+  return dealt[(dealt.indexOf(spot.seat) + 1) % dealt.length] === dealerSeat;
+}
+
+// Bets and raises made before the flop this hand
+function preflopRaises(observation: Observation): number {
+  const { handId } = observation.state;
+  let raises = 0;
+  for (const event of observation.events) {
+    if (event.handId !== handId) {
+      continue;
+    }
+    if (event.type === "street_dealt") {
+      break;
+    }
+    const action = event.type === "action_taken" ? (event.data.action as Action) : null;
+    if (action && (action.type === "bet" || action.type === "raise")) {
+      raises += 1;
+    }
+  }
+  return raises;
+}
+
+function tightAggressivePreflop(spot: Spot): BotChoice {
+  const { observation } = spot;
+  const { state } = observation;
+  const { bigBlind } = handConfig({ ...observation.config, seed: "" }, state.handId);
+  const raises = preflopRaises(observation);
+  const late = latePosition(spot);
+  const hand = cards(spot.hole);
+  const premium = inChart(PREMIUM, spot.hole);
+  const opens = inChart(late ? LATE_OPEN : EARLY_OPEN, spot.hole);
+  const chart = late ? "late-position" : "early-position";
+
+  // Premium hands raise three times the bet; opening hands open for three
+  // big blinds
+  const raise =
+    premium || (opens && raises === 0)
+      ? aggressive(spot, premium && raises > 0 ? state.currentBet * 3 : bigBlind * 3)
+      : null;
+  if (raise) {
+    const drivers: Driver[] = [
+      { key: "hand_strength", weight: premium ? 0.7 : 0.5 },
+      { key: "position", weight: premium ? 0.3 : 0.5 },
+    ];
+    const line = premium
+      ? `${hand} is a premium hand: ${describe(raise)}.`
+      : `${hand} is in the ${chart} opening chart: ${describe(raise)}.`;
+    return choose(spot, raise, drivers, line, premium ? 0.9 : 0.7);
+  }
+  // A chart hand can call one raise of up to three big blinds
+  const calls = premium || (opens && raises <= 1 && spot.toCall <= bigBlind * 3);
+  const action = passive(spot, calls);
+  const drivers: Driver[] = [
+    { key: "hand_strength", weight: 0.6 },
+    action.type === "fold" ? { key: "risk", weight: 0.4 } : { key: "position", weight: 0.4 },
+  ];
+  const line =
+    action.type === "fold"
+      ? opens
+        ? `${hand} is in the ${chart} chart but too weak to call ${spot.toCall}: fold.`
+        : `${hand} is outside the ${chart} chart: fold.`
+      : action.type === "check"
+        ? `${hand} takes the free look: check.`
+        : `${hand} is in the ${chart} chart but not worth a re-raise: call.`;
+  return choose(spot, action, drivers, line, 0.7);
+}
+
+// After the flop (and for every Omaha decision): bet strong hands two-thirds
+// of the pot, otherwise check or call on pot odds
+function tightAggressivePostflop(spot: Spot): BotChoice {
+  const equity = equityOf(spot);
+  // Equity relative to an even share of the pot
+  const strength = equity * (spot.opponents + 1);
+  const target =
+    spot.toCall === 0
+      ? (spot.pot * 2) / 3
+      : spot.observation.state.currentBet + ((spot.pot + spot.toCall) * 2) / 3;
+  const raise = strength >= 1.5 ? aggressive(spot, target) : null;
+  if (raise) {
+    const drivers: Driver[] = [
+      { key: "hand_strength", weight: 0.7 },
+      { key: "pot_odds", weight: 0.3 },
+    ];
+    const line = `Strong with ${percent(equity)} equity: ${describe(raise)}.`;
+    return choose(spot, raise, drivers, line, Math.min(0.95, equity + 0.2));
+  }
+  return potOdds(spot);
+}
+
+function tightAggressive(spot: Spot): BotChoice {
+  // The charts are for two-card games; Omaha plays on equity throughout
+  return spot.observation.state.phase === "preflop" && spot.hole.length === 2
+    ? tightAggressivePreflop(spot)
+    : tightAggressivePostflop(spot);
+}
+
+// The bot's action for the acting seat of observation. seed varies the
+// random bot and the equity samples between sessions.
+export function botDecision(botId: BotId, observation: Observation, seed: string): BotChoice {
+  if (observation.legalActions.length === 0) {
+    throw new Error("The bot's seat has no legal actions.");
+  }
+  const spot = spotOf(observation, seed);
+  switch (botId) {
+    case "random":
+      return randomBot(spot);
+    case "calling_station":
+      return callingStation(spot);
+    case "tight_aggressive":
+      return tightAggressive(spot);
+    case "pot_odds":
+      return potOdds(spot);
+    default:
+      throw new Error(`Unknown bot: ${botId}.`);
+  }
+}
@@ -7,6 +7,9 @@ type BuildDecisionInputParams = {
     to_call: unknown;
     legal_actions: unknown;
     phase?: string;
+    seatCount?: number;
+    gameType?: string;
+    bettingStructure?: string;
     holeCards?: Array<{ rank: string; suit: string }>;
     board?: Array<{ rank: string; suit: string }>;
     players?: Array<{
@@ -15,6 +18,11 @@ type BuildDecisionInputParams = {
       committed: number;
       status: string;
     }>;
+    // Level, payouts and ICM equity when the table is a tournament
+    tournament?: unknown;
+    // Pot equity (0-1) of the acting hand against unknown opponent hands, for
+    // checking a stated hand_strength driver against the real odds
+    equity?: number | null;
   };
   legalActions: unknown;
 };
@@ -28,6 +36,20 @@ Action Encoding Rules (STRICT):
 
 `;
 
+const omahaRules = `
+Omaha Rules:
+- A hand is made from exactly two hole cards and exactly three board cards.
+
+`;
+
+const shortDeckRules = `
+Short Deck Rules:
+- The deck has 36 cards: 2s through 5s are removed.
+- A flush beats a full house.
+- A-6-7-8-9 is the lowest straight.
+
+`;
+
 // Map engine phase to street context
 function phaseToStreet(phase: string | undefined): "PREFLOP" | "FLOP" | "TURN" | "RIVER" {
   if (!phase) return "PREFLOP";
@@ -72,16 +94,26 @@ export function buildDecisionInput(params: BuildDecisionInputParams) {
     ? params.state.players
     : [];
   const actingPlayerStack = players.find((p) => p.id === params.state.position)?.stack ?? null;
+  // Table size changes hand-range assumptions (heads-up vs full ring)
+  const seatCount = params.state.seatCount ?? (players.length > 0 ? players.length : null);
+  // Omaha deals 4 or 5 hole cards and defaults to pot-limit; short deck
+  // changes the hand rankings
+  const gameType = params.state.gameType ?? "holdem";
+  const isOmaha = gameType === "omaha" || gameType === "omaha5";
+  const gameRules = isOmaha ? omahaRules : gameType === "shortdeck" ? shortDeckRules : "";
 
   return {
     task: "propose_decision",
     schema_version: "cardpt.v0.2",
     engine_facts: params.engineFacts,
     profile: params.profile,
-    instruction: actionEncodingRules,
+    instruction: actionEncodingRules + gameRules,
     state: {
       street,
       position: params.state.position,
+      seat_count: seatCount,
+      game_type: gameType,
+      betting_structure: params.state.bettingStructure ?? (isOmaha ? "pot_limit" : "no_limit"),
       hole,
       board,
       pot: params.state.pot,
@@ -89,6 +121,8 @@ export function buildDecisionInput(params: BuildDecisionInputParams) {
       stack: actingPlayerStack,
       players,
       legal_actions: params.state.legal_actions,
+      tournament: params.state.tournament ?? null,
+      equity: params.state.equity ?? null,
     },
     output_schema: {
       action: {
@@ -0,0 +1,174 @@
+import { createEngine, Engine } from "./engine";
+import { createDeck, shuffleDeck } from "./deck";
+import { createRng } from "./rng";
+import { tableConfig } from "./test_helpers";
+import { GameConfig } from "./types";
+
+function configFor(seatCount: number): GameConfig {
+  return tableConfig("button-rules", { startingStacks: Array.from({ length: seatCount }, () => 1000) });
+}
+
+// Check or call for whoever is to act until the street changes
+function closeStreet(engine: Engine) {
+  const { phase } = engine.getSnapshot().state;
+  while (engine.getSnapshot().state.phase === phase) {
+    const state = engine.getSnapshot().state;
+    const legal = engine.getLegalActions();
+    const passive = legal.find((a) => a.type === "check") ?? legal.find((a) => a.type === "call");
+    engine.applyAction({ actor: state.actionSeat, type: passive!.type, amount: null });
+  }
+}
+
+function endHand(engine: Engine, bust: number[] = []) {
+  const state = engine.getSnapshot().state;
+  state.phase = "ended";
+  for (const seat of bust) {
+    state.players[seat].stack = 0;
+    state.players[seat].status = "out";
+  }
+  engine.startNextHand();
+}
+
+test("Button rules: first hand places button, blinds and first actor", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  expect(state.dealerSeat).toBe(0);
+  expect(state.smallBlindSeat).toBe(1);
+  expect(state.bigBlindSeat).toBe(2);
+  expect(state.actionSeat).toBe(3);
+  expect(state.deadSmallBlind).toBe(false);
+});
+
+test("Button rules: button and blinds move one seat per hand", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  for (let hand = 1; hand <= 7; hand += 1) {
+    const dealer = (hand - 1) % 6;
+    expect(state.dealerSeat).toBe(dealer);
+    expect(state.smallBlindSeat).toBe((dealer + 1) % 6);
+    expect(state.bigBlindSeat).toBe((dealer + 2) % 6);
+    expect(state.actionSeat).toBe((dealer + 3) % 6);
+    endHand(engine);
+  }
+});
+
+test("Button rules: dead button when the previous SB busts", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  // D=0, SB=1, BB=2; seat 1 busts
+  endHand(engine, [1]);
+
+  expect(state.dealerSeat).toBe(1);
+  expect(state.smallBlindSeat).toBe(2);
+  expect(state.bigBlindSeat).toBe(3);
+  expect(state.players[1].holeCards).toHaveLength(0);
+  const started = engine
+    .getSnapshot()
+    .events.filter((e) => e.type === "hand_started")
+    .pop()!;
+  expect(started.data.deadButton).toBe(true);
+  expect(started.data.deadSmallBlind).toBe(false);
+});
+
+test("Button rules: dead SB posts no blind and skips its event", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  // D=0, SB=1, BB=2; seat 2 busts
+  endHand(engine, [2]);
+
+  expect(state.dealerSeat).toBe(1);
+  expect(state.smallBlindSeat).toBe(2);
+  expect(state.deadSmallBlind).toBe(true);
+  expect(state.bigBlindSeat).toBe(3);
+  expect(state.actionSeat).toBe(4);
+  const blinds = engine
+    .getSnapshot()
+    .events.filter((e) => e.type === "blind_posted")
+    .filter((e) => e.handId === 2);
+  expect(blinds.map((e) => e.data.seat)).toEqual([3]);
+
+  // Next hand: the button moves onto the dead SB seat
+  endHand(engine);
+  expect(state.dealerSeat).toBe(2);
+  expect(state.smallBlindSeat).toBe(3);
+  expect(state.bigBlindSeat).toBe(4);
+});
+
+test("Button rules: nobody posts the BB twice when several seats bust", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  // D=0, SB=1, BB=2; seats 3 and 4 bust
+  endHand(engine, [3, 4]);
+
+  expect(state.dealerSeat).toBe(1);
+  expect(state.smallBlindSeat).toBe(2);
+  expect(state.bigBlindSeat).toBe(5);
+  expect(state.actionSeat).toBe(0);
+});
+
+test("Button rules: heads-up button posts SB and acts first preflop only", () => {
+  const engine = createEngine(configFor(2));
+  const state = engine.getSnapshot().state;
+
+  expect(state.dealerSeat).toBe(0);
+  expect(state.smallBlindSeat).toBe(0);
+  expect(state.bigBlindSeat).toBe(1);
+  expect(state.players[0].totalCommitted).toBe(10);
+  expect(state.players[1].totalCommitted).toBe(20);
+  expect(state.actionSeat).toBe(0);
+
+  closeStreet(engine);
+  expect(state.phase).toBe("flop");
+  expect(state.actionSeat).toBe(1);
+
+  endHand(engine);
+  expect(state.dealerSeat).toBe(1);
+  expect(state.smallBlindSeat).toBe(1);
+  expect(state.bigBlindSeat).toBe(0);
+  expect(state.actionSeat).toBe(1);
+});
+
+test("Button rules: going heads-up never gives the same player the BB twice", () => {
+  const engine = createEngine(configFor(3));
+  const state = engine.getSnapshot().state;
+
+  // D=0, SB=1, BB=2; the button busts
+  endHand(engine, [0]);
+
+  expect(state.bigBlindSeat).toBe(1);
+  expect(state.dealerSeat).toBe(2);
+  expect(state.smallBlindSeat).toBe(2);
+  expect(state.deadSmallBlind).toBe(false);
+  expect(state.actionSeat).toBe(2);
+});
+
+test("Button rules: postflop action starts left of the button", () => {
+  const engine = createEngine(configFor(6));
+  const state = engine.getSnapshot().state;
+
+  // UTG..button call, SB folds, BB checks
+  for (const seat of [3, 4, 5, 0]) {
+    engine.applyAction({ actor: seat, type: "call", amount: null });
+  }
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "check", amount: null });
+
+  expect(state.phase).toBe("flop");
+  expect(state.actionSeat).toBe(2);
+});
+
+test("Button rules: cards are dealt starting left of the button", () => {
+  const engine = createEngine(configFor(3));
+  const { players } = engine.getSnapshot().state;
+  const shuffled = shuffleDeck(createDeck(), createRng("button-rules:1"));
+
+  // D=0: seat 1 gets the first card, then 2, then the button
+  expect(players[1].holeCards).toEqual([shuffled[0], shuffled[3]]);
+  expect(players[2].holeCards).toEqual([shuffled[1], shuffled[4]]);
+  expect(players[0].holeCards).toEqual([shuffled[2], shuffled[5]]);
+});
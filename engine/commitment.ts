@@ -0,0 +1,151 @@
+import { Card, Event, HandId } from "./types.js";
+import { createDeck } from "./deck.js";
+import { sha256 } from "./sha256.js";
+
+// Commit-reveal for each hand's deck. hand_started publishes deckCommitment,
+// the SHA-256 of the hand's salt, a colon and the card codes of the shuffled
+// deck, top card first ("<salt>:AhKd7c..."). hand_ended reveals the deck and
+// the salt, so anyone holding the hand's events can check that the deck was
+// fixed before the first card was dealt and that play followed it.
+
+export type DeckVerification = {
+  handId: HandId;
+  verified: boolean;
+  // Why the hand failed verification, or null
+  problem: string | null;
+};
+
+function cardCode(card: Card): string {
+  return `${card.rank}${card.suit}`;
+}
+
+// A fresh GameConfig.deckSecret: 128 random bits, hex encoded. The global
+// Web Crypto object is in browsers and Node 19+ (package.json engines).
+export function randomDeckSecret(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Per-hand salt, so the commitment gives nothing away about the deck. Like
+// the shuffle it comes from deckSecret, never from the public seed.
+export function handSalt(deckSecret: string, handId: HandId): string {
+  return sha256(`salt:${deckSecret}:${handId}`).slice(0, 32);
+}
+
+export function deckCommitment(deck: Card[], salt: string): string {
+  return sha256(`${salt}:${deck.map(cardCode).join("")}`);
+}
+
+function isCard(value: unknown): value is Card {
+  const card = value as Card | null;
+  return !!card && typeof card.rank === "string" && typeof card.suit === "string";
+}
+
+function sameCards(a: unknown, b: Card[]): boolean {
+  return (
+    Array.isArray(a) &&
+    a.length === b.length &&
+    a.every((card, index) => isCard(card) && cardCode(card) === cardCode(b[index]))
+  );
+}
+
+// Check one finished hand's events; throws on the first problem found
+function verifyHand(events: Event[]) {
+  const started = events.find((event) => event.type === "hand_started");
+  const ended = events.find((event) => event.type === "hand_ended");
+  const commitment = started?.data.deckCommitment;
+  const { deck, salt } = ended?.data ?? {};
+  if (typeof commitment !== "string") {
+    throw new Error("The hand has no deck commitment.");
+  }
+  if (!Array.isArray(deck) || !deck.every(isCard) || typeof salt !== "string") {
+    throw new Error("The hand does not reveal its deck.");
+  }
+  if (deckCommitment(deck, salt) !== commitment) {
+    throw new Error("The revealed deck does not match the commitment.");
+  }
+  const codes = new Set(deck.map(cardCode));
+  const fullDeck = createDeck(deck.length === 36 ? "shortdeck" : "holdem");
+  if (
+    deck.length !== fullDeck.length ||
+    codes.size !== deck.length ||
+    fullDeck.some((card) => !codes.has(cardCode(card)))
+  ) {
+    throw new Error("The revealed deck is not a full deck.");
+  }
+
+  // Hole cards go one at a time, clockwise from the left of the button,
+  // in the order the hole_cards_dealt events list the seats
+  const dealt = events.filter((event) => event.type === "hole_cards_dealt");
+  const holeCount = dealt.length > 0 ? (dealt[0].data.cards as Card[]).length : 0;
+  dealt.forEach((event, position) => {
+    const expected = Array.from(
+      { length: holeCount },
+      (_, round) => deck[round * dealt.length + position]
+    );
+    if (!sameCards(event.data.cards, expected)) {
+      throw new Error(`Seat ${event.data.seat} was not dealt the committed cards.`);
+    }
+  });
+  let next = holeCount * dealt.length;
+
+  // Each street burns one card, then deals the new board cards
+  const dealStreet = (board: Card[], from: number) => {
+    next += 1;
+    const expected = deck.slice(next, next + board.length - from);
+    next += expected.length;
+    return sameCards(board.slice(from), expected);
+  };
+  let board: Card[] = [];
+  for (const event of events.filter((e) => e.type === "street_dealt")) {
+    const dealtBoard = event.data.board as Card[];
+    if (!sameCards(dealtBoard.slice(0, board.length), board) || !dealStreet(dealtBoard, board.length)) {
+      throw new Error(`The ${event.data.phase} does not follow the committed deck.`);
+    }
+    board = dealtBoard;
+  }
+
+  // Later runs share the board dealt before everyone was all-in and deal
+  // every street after it again, burns included
+  const summary = events.find((event) => event.type === "hand_summary");
+  const runs = (summary?.data.runs ?? []) as { board: Card[] }[];
+  if (runs.length > 1) {
+    let shared = 0;
+    while (shared < 5 && cardCode(runs[0].board[shared]) === cardCode(runs[1].board[shared])) {
+      shared += 1;
+    }
+    for (const run of runs.slice(1)) {
+      for (let length = shared; length < 5; length = length === 0 ? 3 : length + 1) {
+        const street = run.board.slice(0, length === 0 ? 3 : length + 1);
+        if (!dealStreet(street, length)) {
+          throw new Error("A later run does not follow the committed deck.");
+        }
+      }
+    }
+  }
+}
+
+// Verify every finished hand in an event log (EngineSnapshot.events) against
+// its deck commitment. Hands still in play are skipped.
+export function verifyDeckCommitments(events: Event[]): DeckVerification[] {
+  const hands = new Map<HandId, Event[]>();
+  for (const event of events) {
+    const list = hands.get(event.handId) ?? [];
+    list.push(event);
+    hands.set(event.handId, list);
+  }
+  const results: DeckVerification[] = [];
+  for (const [handId, handEvents] of hands) {
+    if (!handEvents.some((event) => event.type === "hand_ended")) {
+      continue;
+    }
+    let problem: string | null = null;
+    try {
+      verifyHand(handEvents);
+    } catch (error) {
+      problem = (error as Error).message;
+    }
+    results.push({ handId, verified: problem === null, problem });
+  }
+  return results;
+}
@@ -1,4 +1,4 @@
-import { Card, Rank, Suit } from "./types.js";
+import { Card, GameType, HOLE_CARD_COUNT, Rank, SeatIndex, Suit } from "./types.js";
 import { Rng } from "./rng.js";
 
 const SUITS: Suit[] = ["c", "d", "h", "s"];
@@ -18,10 +18,12 @@ const RANKS: Rank[] = [
   "A",
 ];
 
-export function createDeck(): Card[] {
+// Short deck drops the 2s through 5s, leaving 36 cards
+export function createDeck(gameType: GameType = "holdem"): Card[] {
+  const ranks = gameType === "shortdeck" ? RANKS.slice(RANKS.indexOf("6")) : RANKS;
   const cards: Card[] = [];
   for (const suit of SUITS) {
-    for (const rank of RANKS) {
+    for (const rank of ranks) {
       cards.push({ rank, suit });
     }
   }
@@ -38,3 +40,90 @@ export function shuffleDeck(cards: Card[], rng: Rng): Card[] {
   }
   return deck;
 }
+
+// "As", "td": rank then suit
+export function parseCard(code: string): Card {
+  const rank = (code[0]?.toUpperCase() ?? "") as Rank;
+  const suit = (code[1]?.toLowerCase() ?? "") as Suit;
+  if (code.length !== 2 || !RANKS.includes(rank) || !SUITS.includes(suit)) {
+    throw new Error(`Unknown card: ${code}.`);
+  }
+  return { rank, suit };
+}
+
+function sameCard(a: Card | undefined, b: Card | undefined): boolean {
+  return !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+}
+
+// Fixed deck that deals the known cards where the engine will draw them:
+// hole cards one at a time to the seats in dealOrder (clockwise from the left
+// of the button, skipping empty seats), then burn + board. extraRuns are the
+// full boards of any further runs (run-it-N), dealt after the first run's
+// river. Unknown cards are filled from the rest of the deck, shuffled by rng.
+export function stackDeck(
+  gameType: GameType,
+  dealOrder: SeatIndex[],
+  holeCards: (Card[] | null)[],
+  board: Card[],
+  rng: Rng,
+  extraRuns: Card[][] = []
+): Card[] {
+  const deck = createDeck(gameType);
+  const slots: (Card | null)[] = deck.map(() => null);
+  holeCards.forEach((cards, seat) => {
+    if (cards && cards.length > 0 && !dealOrder.includes(seat)) {
+      throw new Error(`Seat ${seat} is not dealt in.`);
+    }
+    cards?.forEach((card, round) => {
+      slots[round * dealOrder.length + dealOrder.indexOf(seat)] = card;
+    });
+  });
+  const dealt = dealOrder.length * HOLE_CARD_COUNT[gameType];
+  const boardSlots = [1, 2, 3, 5, 7].map((offset) => dealt + offset);
+  board.forEach((card, index) => {
+    slots[boardSlots[index]] = card;
+  });
+  // Each extra run burns and deals the streets it does not share with the
+  // first run's board
+  let next = dealt + 8;
+  for (const run of extraRuns) {
+    let size = 0;
+    while (size < run.length && sameCard(run[size], board[size])) {
+      size += 1;
+    }
+    while (size < run.length) {
+      // Burn, then the flop or the next single card
+      next += 1;
+      const count = size === 0 ? 3 : 1;
+      for (let i = 0; i < count; i += 1) {
+        if (next >= slots.length) {
+          throw new Error("Deck exhausted.");
+        }
+        slots[next] = run[size];
+        next += 1;
+        size += 1;
+      }
+    }
+  }
+
+  const inDeck = new Set(deck.map((card) => `${card.rank}${card.suit}`));
+  const used = new Set<string>();
+  for (const card of slots) {
+    if (!card) {
+      continue;
+    }
+    const code = `${card.rank}${card.suit}`;
+    if (!inDeck.has(code)) {
+      throw new Error(`Card ${code} is not in the deck.`);
+    }
+    if (used.has(code)) {
+      throw new Error(`Card ${code} appears more than once.`);
+    }
+    used.add(code);
+  }
+  const rest = shuffleDeck(
+    deck.filter((card) => !used.has(`${card.rank}${card.suit}`)),
+    rng
+  );
+  return slots.map((card) => card ?? (rest.shift() as Card));
+}
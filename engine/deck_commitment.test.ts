@@ -0,0 +1,171 @@
+import { createEngine, Engine } from "./engine";
+import { deckCommitment, handSalt, verifyDeckCommitments } from "./commitment";
+import { fuzz } from "./fuzz";
+import { sha256 } from "./sha256";
+import { tableConfig } from "./test_helpers";
+import { Card, EngineSnapshot, Event, EventOf, EventType, GameConfig } from "./types";
+
+function configFor(extra: Partial<GameConfig> = {}): GameConfig {
+  return tableConfig("commitment", { deckSecret: "commitment-secret", ...extra });
+}
+
+function checkDown(engine: Engine) {
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    const type = engine.getLegalActions().some((a) => a.type === "check") ? "check" : "call";
+    engine.applyAction({ actor: actionSeat, type, amount: null });
+  }
+}
+
+function eventOf<T extends EventType>(events: Event[], type: T, handId = 1): EventOf<T> {
+  return events.find(
+    (event): event is EventOf<T> => event.type === type && event.handId === handId
+  )!;
+}
+
+// A deep copy of the events to tamper with
+function copyEvents(engine: Engine): Event[] {
+  return JSON.parse(JSON.stringify(engine.getSnapshot().events));
+}
+
+test("Deck commitment: SHA-256 matches the standard test vectors", () => {
+  expect(sha256("")).toBe("e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+  expect(sha256("abc")).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  expect(sha256("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")).toBe(
+    "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"
+  );
+  expect(sha256("a".repeat(1000))).toBe(
+    "41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3"
+  );
+});
+
+test("Deck commitment: hand_started commits to the deck that hand_ended reveals", () => {
+  const engine = createEngine(configFor());
+  const deck = [...engine.getSnapshot().state.deck];
+  const committed = eventOf(engine.getSnapshot().events, "hand_started").data.deckCommitment;
+  expect(committed).toMatch(/^[0-9a-f]{64}$/);
+  checkDown(engine);
+
+  const { data } = eventOf(engine.getSnapshot().events, "hand_ended");
+  const revealed = data.deck as Card[];
+  expect(revealed).toHaveLength(52);
+  // Six hole cards were dealt before the deck left in the state
+  expect(revealed.slice(6)).toEqual(deck);
+  expect(deckCommitment(revealed, data.salt as string)).toBe(committed);
+  expect(data.salt).toBe(handSalt("commitment-secret", 1));
+  expect(verifyDeckCommitments(engine.getSnapshot().events)).toEqual([
+    { handId: 1, verified: true, problem: null },
+  ]);
+});
+
+test("Deck commitment: the seed alone predicts neither the deck nor the salt", () => {
+  const { deckSecret: _secret, ...seeded } = configFor();
+  const first = createEngine(seeded);
+  const second = createEngine(seeded);
+  expect(first.getSnapshot().config.deckSecret).toMatch(/^[0-9a-f]{32}$/);
+  expect(second.getSnapshot().state.committedDeck).not.toEqual(first.getSnapshot().state.committedDeck);
+  expect(eventOf(first.getSnapshot().events, "hand_started").data.deckCommitment).not.toBe(
+    eventOf(second.getSnapshot().events, "hand_started").data.deckCommitment
+  );
+  expect(first.getObservation(0).config).not.toHaveProperty("deckSecret");
+
+  // Undo replays from the stored secret, so the hand keeps its cards
+  const dealt = first.getSnapshot().state.committedDeck;
+  first.applyAction({ actor: 0, type: "fold", amount: null });
+  first.undo();
+  expect(first.getSnapshot().state.committedDeck).toEqual(dealt);
+});
+
+test("Deck commitment: every hand has its own salt and the log replays identically", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.startNextHand();
+  checkDown(engine);
+  engine.startNextHand();
+  const { events } = engine.getSnapshot();
+
+  const salts = [1, 2].map((handId) => eventOf(events, "hand_ended", handId).data.salt);
+  expect(salts[0]).not.toBe(salts[1]);
+  // Hand 3 is still in play: committed, not yet revealed or verified
+  expect(eventOf(events, "hand_started", 3).data.deckCommitment).toMatch(/^[0-9a-f]{64}$/);
+  expect(verifyDeckCommitments(events).map((result) => result.handId)).toEqual([1, 2]);
+  expect(verifyDeckCommitments(events).every((result) => result.verified)).toBe(true);
+
+  engine.rewindTo(0);
+  expect(eventOf(engine.getSnapshot().events, "hand_started").data.deckCommitment).toBe(
+    eventOf(events, "hand_started").data.deckCommitment
+  );
+});
+
+test("Deck commitment: a changed deck, deal or board fails verification", () => {
+  const engine = createEngine(configFor());
+  checkDown(engine);
+
+  const swappedDeck = copyEvents(engine);
+  const deck = eventOf(swappedDeck, "hand_ended").data.deck as Card[];
+  [deck[0], deck[51]] = [deck[51], deck[0]];
+  expect(verifyDeckCommitments(swappedDeck)[0]).toEqual({
+    handId: 1,
+    verified: false,
+    problem: "The revealed deck does not match the commitment.",
+  });
+
+  // Dealing a card other than the committed one
+  const dealt = copyEvents(engine);
+  const hole = eventOf(dealt, "hole_cards_dealt").data.cards as Card[];
+  hole[0] = (eventOf(dealt, "hand_ended").data.deck as Card[])[40];
+  expect(verifyDeckCommitments(dealt)[0].problem).toBe(
+    "Seat 1 was not dealt the committed cards."
+  );
+
+  const river = copyEvents(engine);
+  const riverEvent = river.filter((e) => e.type === "street_dealt").at(-1)!;
+  (riverEvent.data.board as Card[])[4] = (eventOf(river, "hand_ended").data.deck as Card[])[51];
+  expect(verifyDeckCommitments(river)[0].problem).toBe(
+    "The river does not follow the committed deck."
+  );
+
+  const hidden = copyEvents(engine);
+  eventOf(hidden, "hand_ended").data.deck = null;
+  expect(verifyDeckCommitments(hidden)[0].problem).toBe("The hand does not reveal its deck.");
+});
+
+test("Deck commitment: runs after an all-in follow the deck too", () => {
+  const engine = createEngine(configFor({ runItTimes: 3 }));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1000 });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "fold", amount: null });
+  const { events } = engine.getSnapshot();
+  expect(eventOf(events, "hand_summary").data.runs).toHaveLength(3);
+  expect(verifyDeckCommitments(events)[0].verified).toBe(true);
+
+  const tampered = copyEvents(engine);
+  const runs = eventOf(tampered, "hand_summary").data.runs as { board: Card[] }[];
+  [runs[2].board[4], runs[1].board[4]] = [runs[1].board[4], runs[2].board[4]];
+  expect(verifyDeckCommitments(tampered)[0].problem).toBe(
+    "A later run does not follow the committed deck."
+  );
+});
+
+test("Deck commitment: observations keep the revealed deck hidden", () => {
+  const engine = createEngine(configFor({ showdownMode: "auto_muck" }));
+  checkDown(engine);
+  const ended = eventOf(engine.getSpectatorView().events, "hand_ended");
+
+  expect(ended.data.deck).toBeNull();
+  expect(ended.data.salt).toBe(handSalt("commitment-secret", 1));
+  expect(eventOf(engine.getObservation(0).events, "hand_started").data.deckCommitment).toMatch(
+    /^[0-9a-f]{64}$/
+  );
+});
+
+test("Deck commitment: every game type and table verifies under random play", () => {
+  const check = (snapshot: EngineSnapshot) => {
+    const failed = verifyDeckCommitments(snapshot.events).find((result) => !result.verified);
+    if (failed) {
+      throw new Error(`Hand ${failed.handId}: ${failed.problem}`);
+    }
+  };
+  expect(fuzz({ seed: "commitment", runs: 15, handsPerRun: 8, check }).failures).toEqual([]);
+});
@@ -1,29 +1,93 @@
 import {
   Action,
+  ActionType,
+  Card,
+  CompactedHand,
+  EngineEvent,
+  EngineEventListener,
   EngineSnapshot,
+  EventPayloads,
   GameConfig,
   GameState,
+  GameType,
+  HandId,
+  HOLE_CARD_COUNT,
   LegalAction,
+  Observation,
   Phase,
   PlayerState,
   SeatIndex,
+  StraddleType,
+  SubscribeOptions,
+  TableChange,
+  TableChangeType,
 } from "./types.js";
-import { createInitialState } from "./state.js";
+import {
+  createInitialState,
+  resolveBettingStructure,
+  resolveGameType,
+} from "./state.js";
+import { validateSnapshot } from "./snapshot.js";
+import { checkInvariants } from "./invariants.js";
+import { observe } from "./observation.js";
+import { deckCommitment, handSalt, randomDeckSecret } from "./commitment.js";
 import { createDeck, shuffleDeck } from "./deck.js";
 import { createRng } from "./rng.js";
-import { compareHands, evaluate7 } from "./evaluate.js";
+import {
+  categoryName,
+  compareHands,
+  describeHand,
+  evaluateHand,
+  HandRank,
+} from "./evaluate.js";
+import {
+  handConfig,
+  placeBustedPlayers,
+  tournamentEquity,
+  tournamentLevelIndex,
+} from "./tournament.js";
 
 export type Engine = {
   getSnapshot: () => EngineSnapshot;
+  // What one seat may see: its own hole cards, shown hands and public state
+  getObservation: (seat: SeatIndex) => Observation;
+  // What a spectator may see: public state and shown hands only
+  getSpectatorView: () => Observation;
   getLegalActions: () => LegalAction[];
   applyAction: (action: Action) => void;
+  // The seat to act ran out of time: apply its timeout action (needs an action clock)
+  timeOut: () => void;
   startNextHand: () => void;
+  // Take back the most recent action (across hand boundaries)
+  undo: () => void;
+  // Rebuild the state from just before actionHistory[actionIndex] was applied
+  rewindTo: (actionIndex: number) => void;
+  // Independent engine at the current point (or at actionIndex) for trying another line
+  fork: (actionIndex?: number) => Engine;
+  // Seat changes between hands; they take effect when the next hand starts
+  sitOut: (seat: SeatIndex) => void;
+  sitIn: (seat: SeatIndex) => void;
+  rebuy: (seat: SeatIndex, amount: number) => void;
+  topUp: (seat: SeatIndex, amount: number) => void;
+  leaveSeat: (seat: SeatIndex) => void;
+  joinSeat: (seat: SeatIndex, stack: number) => void;
+  // Call listener with each event as it is logged, starting at
+  // options.fromIndex (default: new events only). Listeners run once the
+  // call that logged the event is done. Returns an unsubscribe function.
+  subscribe: (listener: EngineEventListener, options?: SubscribeOptions) => () => void;
 };
 
-const SEATS: SeatIndex[] = [0, 1, 2, 3, 4, 5];
+export type EngineOptions = {
+  // Run checkInvariants after every action, new hand and seat change (for
+  // tests and fuzzing; it walks the whole event log each time)
+  checkInvariants?: boolean;
+  // Keep the events of only the last retainHands hands (the current one
+  // included); older hands are compacted (see CompactedHand). Default: all
+  retainHands?: number;
+};
 
-function nextSeat(seat: SeatIndex): SeatIndex {
-  return ((seat + 1) % 6) as SeatIndex;
+function nextSeat(seat: SeatIndex, seatCount: number): SeatIndex {
+  return (seat + 1) % seatCount;
 }
 
 function countEligiblePlayers(players: PlayerState[]): number {
@@ -36,12 +100,12 @@ function firstActiveFrom(
   start: SeatIndex
 ): SeatIndex | null {
   let seat = start;
-  for (let i = 0; i < 6; i += 1) {
+  for (let i = 0; i < state.players.length; i += 1) {
     const player = state.players[seat];
     if (player.status === "active" && player.stack > 0) {
       return seat;
     }
-    seat = nextSeat(seat);
+    seat = nextSeat(seat, state.players.length);
   }
   return null;
 }
@@ -53,16 +117,98 @@ function findNextEligibleSeat(
   start: SeatIndex
 ): SeatIndex | null {
   let seat = start;
-  for (let i = 0; i < 6; i += 1) {
+  for (let i = 0; i < state.players.length; i += 1) {
     const player = state.players[seat];
     if (player.status === "active" && player.stack > 0) {
       return seat;
     }
-    seat = nextSeat(seat);
+    seat = nextSeat(seat, state.players.length);
   }
   return null;
 }
 
+// Waiting players are dealt in once the big blind reaches their seat, so no
+// one skips a blind by sitting out. With fewer than two players already in
+// the game, everyone waiting is dealt in straight away.
+function admitWaitingPlayers(state: GameState) {
+  const waiting = state.players.filter(
+    (player) => player.status === "active" && player.seatStatus === "waiting"
+  );
+  if (waiting.length === 0) {
+    return;
+  }
+  const playing = state.players.filter(
+    (player) => player.status === "active" && player.seatStatus === "playing"
+  ).length;
+  const bigBlind = findNextEligibleSeat(
+    state,
+    nextSeat(state.bigBlindSeat, state.players.length)
+  );
+  for (const player of waiting) {
+    if (playing < 2 || player.seat === bigBlind) {
+      player.seatStatus = "playing";
+    } else {
+      player.status = "out";
+    }
+  }
+}
+
+// Dead button rule: the BB advances to the next eligible player every hand,
+// the SB takes the previous BB seat and the button the previous SB seat.
+// Either position may land on a busted seat (dead SB / dead button), so no
+// player skips or repeats a blind. Heads-up the button posts the SB.
+function assignPositions(state: GameState) {
+  const seatCount = state.players.length;
+  const eligibleCount = state.players.filter(
+    (player) => player.status === "active" && player.stack > 0
+  ).length;
+  if (eligibleCount < 2) {
+    throw new Error("Cannot start hand: fewer than two eligible players.");
+  }
+
+  if (state.handId === 1) {
+    // First hand: button on the first eligible seat from buttonSeat
+    const dealer = findNextEligibleSeat(state, state.dealerSeat) as SeatIndex;
+    const smallBlind =
+      eligibleCount === 2
+        ? dealer
+        : (findNextEligibleSeat(state, nextSeat(dealer, seatCount)) as SeatIndex);
+    state.dealerSeat = dealer;
+    state.smallBlindSeat = smallBlind;
+    state.bigBlindSeat = findNextEligibleSeat(
+      state,
+      nextSeat(smallBlind, seatCount)
+    ) as SeatIndex;
+    state.deadSmallBlind = false;
+    return;
+  }
+
+  const previousSmallBlind = state.smallBlindSeat;
+  const previousBigBlind = state.bigBlindSeat;
+  const bigBlind = findNextEligibleSeat(
+    state,
+    nextSeat(previousBigBlind, seatCount)
+  ) as SeatIndex;
+
+  if (eligibleCount === 2) {
+    // Heads-up: the other player has the button and posts the SB
+    const dealer = findNextEligibleSeat(
+      state,
+      nextSeat(bigBlind, seatCount)
+    ) as SeatIndex;
+    state.dealerSeat = dealer;
+    state.smallBlindSeat = dealer;
+    state.bigBlindSeat = bigBlind;
+    state.deadSmallBlind = false;
+    return;
+  }
+
+  state.bigBlindSeat = bigBlind;
+  state.smallBlindSeat = previousBigBlind;
+  state.deadSmallBlind = state.players[previousBigBlind].status === "out";
+  state.dealerSeat = previousSmallBlind;
+}
+
 function resetStreet(state: GameState, config: GameConfig) {
   for (const player of state.players) {
     player.streetCommitted = 0;
@@ -71,13 +217,66 @@ function resetStreet(state: GameState, config: GameConfig) {
     (player) => player.status === "active" && player.stack > 0
   );
   state.betThisRound = state.players.map(() => 0);
-  state.hasActedThisRound = state.players.map(
-    (player) => player.status === "all_in" || player.status === "out"
-  );
+  // Folded players are done for the hand, as markActedAfterAggression has it
+  state.hasActedThisRound = state.players.map((player) => player.status !== "active");
   state.currentBet = 0;
-  state.lastRaiseSize = config.bigBlind;
-  state.minRaiseTo = config.bigBlind;
+  state.lastRaiseSize = openingBetSize(state, config);
+  state.minRaiseTo = state.lastRaiseSize;
   state.actionsThisStreet = 0;
+  state.betCount = 0;
+  state.lastAggressor = null;
+}
+
+// Fixed-limit bet size for the current street: small bet preflop/flop, big bet turn/river
+function fixedLimitBetSize(state: GameState, config: GameConfig): number {
+  const smallBet = config.smallBet ?? config.bigBlind;
+  const bigBet = config.bigBet ?? smallBet * 2;
+  return state.phase === "preflop" || state.phase === "flop" ? smallBet : bigBet;
+}
+
+function openingBetSize(state: GameState, config: GameConfig): number {
+  return config.bettingStructure === "fixed_limit"
+    ? fixedLimitBetSize(state, config)
+    : config.bigBlind;
+}
+
+// Bet/raise-to bounds for the player to act under the configured betting
+// structure, or null when no bet or raise is available. min is always a full
+// bet or raise, so it can exceed max: a player who cannot cover it may still
+// go all-in for less, which does not reopen the betting.
+function wagerBounds(
+  state: GameState,
+  config: GameConfig,
+  player: PlayerState
+): { min: number; max: number } | null {
+  const toCall = Math.max(0, state.currentBet - state.betThisRound[player.seat]);
+  const maxTotal = state.betThisRound[player.seat] + player.stack;
+  if (player.stack === 0 || maxTotal <= state.currentBet) {
+    return null;
+  }
+  if (state.currentBet > 0 && !state.canRaise[player.seat]) {
+    return null;
+  }
+
+  const structure = resolveBettingStructure(config);
+  let min = state.currentBet === 0 ? openingBetSize(state, config) : state.minRaiseTo;
+  let max = maxTotal;
+
+  if (structure === "pot_limit") {
+    // Max raise: call first, then raise by the size of the pot after the call
+    const pot = state.players.reduce((sum, p) => sum + p.totalCommitted, 0);
+    const potLimit = state.currentBet + pot + toCall;
+    max = Math.min(maxTotal, Math.max(potLimit, min));
+  } else if (structure === "fixed_limit") {
+    const raiseCap = config.raiseCap ?? 4;
+    if (state.betCount >= raiseCap) {
+      return null;
+    }
+    min = state.currentBet + fixedLimitBetSize(state, config);
+    max = Math.min(maxTotal, min);
+  }
+
+  return { min, max };
 }
 
 function postBlind(
@@ -102,6 +301,73 @@ function postBlind(
   return posted;
 }
 
+// Antes are not part of the street bet; dead antes (BB ante) are tracked
+// separately so they never widen the poster's side-pot eligibility
+function postAnte(
+  state: GameState,
+  seat: SeatIndex,
+  amount: number,
+  dead: boolean
+): number {
+  const player = state.players[seat];
+  if (player.status === "out") {
+    return 0;
+  }
+  const posted = Math.min(player.stack, amount);
+  player.stack -= posted;
+  player.totalCommitted += posted;
+  if (dead) {
+    player.deadCommitted += posted;
+  }
+  if (player.stack === 0) {
+    player.status = "all_in";
+    state.hasActedThisRound[seat] = true;
+  }
+  return posted;
+}
+
+// Straddles need at least three players and never fall on a blind
+function findStraddleSeat(
+  state: GameState,
+  config: GameConfig
+): SeatIndex | null {
+  if (!config.straddle) {
+    return null;
+  }
+  const seat =
+    config.straddle === "button"
+      ? state.dealerSeat
+      : findNextEligibleSeat(
+          state,
+          nextSeat(state.bigBlindSeat, state.players.length)
+        );
+  if (seat === null || seat === state.smallBlindSeat || seat === state.bigBlindSeat) {
+    return null;
+  }
+  const player = state.players[seat];
+  if (player.status !== "active" || player.stack === 0) {
+    return null;
+  }
+  return seat;
+}
+
+// createEngine always sets deckSecret; a config without one never deals
+function deckSecret(config: GameConfig): string {
+  if (config.deckSecret === undefined) {
+    throw new Error("config.deckSecret is missing.");
+  }
+  return config.deckSecret;
+}
+
+// The hand's deck, top card first: the fixed deck when one is configured,
+// otherwise shuffled from deckSecret
+function handDeck(config: GameConfig, handId: HandId): Card[] {
+  const fixedDeck = config.deckOrder?.[handId - 1];
+  return fixedDeck
+    ? fixedDeck.map((card) => ({ ...card }))
+    : shuffleDeck(createDeck(resolveGameType(config)), createRng(`${deckSecret(config)}:${handId}`));
+}
+
 function dealToSeat(
   state: GameState,
   seat: SeatIndex,
@@ -117,7 +383,7 @@ function dealToSeat(
   }
 }
 
-function dealBoard(state: GameState, count: number) {
+function dealBoard(state: GameState, count: number, board = state.board) {
   const burn = state.deck.shift();
   if (!burn) {
     throw new Error("Deck exhausted.");
@@ -128,12 +394,27 @@ function dealBoard(state: GameState, count: number) {
     if (!card) {
       throw new Error("Deck exhausted.");
     }
-    state.board.push(card);
+    board.push(card);
+  }
+}
+
+// Extra runs for run-it-N: each completes the shared board from the same
+// deck, after the first run has been dealt onto state.board
+function dealExtraRuns(state: GameState, sharedCards: number, runs: number) {
+  state.runBoards = [[...state.board]];
+  for (let run = 1; run < runs; run += 1) {
+    const board = state.board.slice(0, sharedCards);
+    while (board.length < 5) {
+      dealBoard(state, board.length === 0 ? 3 : 1, board);
+    }
+    state.runBoards.push(board);
   }
 }
 
 function computePots(players: PlayerState[]) {
-  const commitments = players.map((p) => p.totalCommitted);
+  // Side pots are layered on live chips only; dead money joins the main pot
+  const liveCommitted = (p: PlayerState) => p.totalCommitted - p.deadCommitted;
+  const commitments = players.map(liveCommitted);
   const uniqueLevels = Array.from(
     new Set(commitments.filter((v) => v > 0))
   ).sort((a, b) => a - b);
@@ -141,7 +422,7 @@ function computePots(players: PlayerState[]) {
   const pots = [];
   let previous = 0;
   for (const level of uniqueLevels) {
-    const contributors = players.filter((p) => p.totalCommitted >= level);
+    const contributors = players.filter((p) => liveCommitted(p) >= level);
     const amount = (level - previous) * contributors.length;
     const eligibleSeats = contributors
       .filter((p) => p.status !== "folded" && p.status !== "out")
@@ -149,6 +430,20 @@ function computePots(players: PlayerState[]) {
     pots.push({ amount, eligibleSeats });
     previous = level;
   }
+
+  const deadMoney = players.reduce((sum, p) => sum + p.deadCommitted, 0);
+  if (deadMoney > 0) {
+    if (pots.length > 0) {
+      pots[0].amount += deadMoney;
+    } else {
+      pots.push({
+        amount: deadMoney,
+        eligibleSeats: players
+          .filter((p) => p.status !== "folded" && p.status !== "out")
+          .map((p) => p.seat),
+      });
+    }
+  }
   return pots;
 }
 
@@ -166,7 +461,8 @@ function refreshPotSnapshot(state: GameState) {
 function distributeOddChips(
   total: number,
   winners: SeatIndex[],
-  dealerSeat: SeatIndex
+  dealerSeat: SeatIndex,
+  seatCount: number
 ): Record<SeatIndex, number> {
   const per = Math.floor(total / winners.length);
   const remainder = total % winners.length;
@@ -174,14 +470,14 @@ function distributeOddChips(
   for (const seat of winners) {
     payouts[seat] = per;
   }
-  let seat = nextSeat(dealerSeat);
+  let seat = nextSeat(dealerSeat, seatCount);
   let awarded = 0;
   while (awarded < remainder) {
     if (winners.includes(seat)) {
       payouts[seat] += 1;
       awarded += 1;
     }
-    seat = nextSeat(seat);
+    seat = nextSeat(seat, seatCount);
   }
   return payouts;
 }
@@ -210,13 +506,17 @@ function normalizePotsByEligibility(
   return Array.from(merged.values());
 }
 
-function resolveShowdown(state: GameState) {
-  const pots = normalizePotsByEligibility(computePots(state.players));
+function resolveShowdown(
+  state: GameState,
+  pots: ReturnType<typeof computePots>,
+  board: Card[],
+  gameType: GameType
+) {
   const results: {
     potIndex: number;
     payouts: Record<SeatIndex, number>;
   }[] = [];
-  const seatRanks: Record<SeatIndex, ReturnType<typeof evaluate7>> =
+  const seatRanks: Record<SeatIndex, HandRank> =
     Object.create(null);
 
   for (let i = 0; i < pots.length; i += 1) {
@@ -231,61 +531,68 @@ function resolveShowdown(state: GameState) {
       const player = state.players[seat];
       const rank =
         seatRanks[seat] ??
-        evaluate7([...player.holeCards, ...state.board]);
+        evaluateHand(gameType, player.holeCards, board);
       seatRanks[seat] = rank;
-      if (!bestRank || compareHands(rank, bestRank) > 0) {
+      if (!bestRank || compareHands(rank, bestRank, gameType) > 0) {
         bestRank = rank;
         winners = [seat];
-      } else if (bestRank && compareHands(rank, bestRank) === 0) {
+      } else if (bestRank && compareHands(rank, bestRank, gameType) === 0) {
         winners.push(seat);
       }
     }
-    const payouts = distributeOddChips(pot.amount, winners, state.dealerSeat);
+    const payouts = distributeOddChips(
+      pot.amount,
+      winners,
+      state.dealerSeat,
+      state.players.length
+    );
     results.push({ potIndex: i, payouts });
   }
-  return { pots, results, seatRanks };
+  return { results, seatRanks };
 }
 
-function awardPots(state: GameState): {
+// Share of a pot for one run; odd chips go to the earliest runs
+function runShare(amount: number, runs: number, run: number): number {
+  return Math.floor(amount / runs) + (run < amount % runs ? 1 : 0);
+}
+
+type PotAward = { seat: SeatIndex; amount: number; potIndex: number; run?: number };
+
+function awardPots(state: GameState, gameType: GameType): {
   pots: ReturnType<typeof computePots>;
-  awards: { seat: SeatIndex; amount: number; potIndex: number }[];
-  seatRanks: ReturnType<typeof resolveShowdown>["seatRanks"];
+  awards: PotAward[];
+  runs: {
+    board: Card[];
+    awards: PotAward[];
+  }[];
 } {
-  const showdown = resolveShowdown(state);
-  const awards: { seat: SeatIndex; amount: number; potIndex: number }[] = [];
-  for (const result of showdown.results) {
-    for (const seat of Object.keys(result.payouts)) {
-      const seatIndex = Number(seat) as SeatIndex;
-      const amount = result.payouts[seatIndex];
-      state.players[seatIndex].stack += amount;
-      awards.push({ seat: seatIndex, amount, potIndex: result.potIndex });
-    }
-  }
-  state.pots = showdown.pots;
-  return { pots: showdown.pots, awards, seatRanks: showdown.seatRanks };
-}
-
-function rankToText(rank: ReturnType<typeof evaluate7>): string {
-  switch (rank.category) {
-    case 8:
-      return "Straight Flush";
-    case 7:
-      return "Four of a Kind";
-    case 6:
-      return "Full House";
-    case 5:
-      return "Flush";
-    case 4:
-      return "Straight";
-    case 3:
-      return "Three of a Kind";
-    case 2:
-      return "Two Pair";
-    case 1:
-      return "One Pair";
-    default:
-      return "High Card";
-  }
+  const pots = normalizePotsByEligibility(computePots(state.players));
+  const boards = state.runBoards.length > 0 ? state.runBoards : [state.board];
+  const awards: PotAward[] = [];
+  const runs = boards.map((board, run) => {
+    const runPots = pots.map((pot) => ({
+      ...pot,
+      amount: runShare(pot.amount, boards.length, run),
+    }));
+    const showdown = resolveShowdown(state, runPots, board, gameType);
+    const runAwards: PotAward[] = [];
+    for (const result of showdown.results) {
+      for (const seat of Object.keys(result.payouts)) {
+        const seatIndex = Number(seat) as SeatIndex;
+        const amount = result.payouts[seatIndex];
+        state.players[seatIndex].stack += amount;
+        const award: PotAward = { seat: seatIndex, amount, potIndex: result.potIndex };
+        if (boards.length > 1) {
+          award.run = run;
+        }
+        runAwards.push(award);
+      }
+    }
+    awards.push(...runAwards);
+    return { board, awards: runAwards };
+  });
+  state.pots = pots;
+  return { pots, awards, runs };
 }
 
 function collectUncontested(state: GameState) {
@@ -305,57 +612,106 @@ function collectUncontested(state: GameState) {
   return { winner: winner.seat, amount: potTotal };
 }
 
-function ensureHandSetup(
+// Level, blinds and ICM equity at the start of a tournament hand
+function tournamentHandData(state: GameState, config: GameConfig) {
+  if (!state.tournament || !config.tournament) {
+    return {};
+  }
+  return {
+    tournament: {
+      levelIndex: state.tournament.levelIndex,
+      smallBlind: config.smallBlind,
+      bigBlind: config.bigBlind,
+      ante: config.ante ?? 0,
+      bigBlindAnte: config.bigBlindAnte ?? 0,
+      playersLeft: state.tournament.places.filter((place) => place === null).length,
+      payouts: [...config.tournament.payouts],
+      icmEquity: tournamentEquity(state, config),
+    },
+  };
+}
+
+// Tournament bookkeeping once a hand is over: place busted players and end
+// the tournament when one player has every chip
+function settleTournament(
   state: GameState,
   config: GameConfig,
   events: EngineSnapshot["events"]
 ) {
-  const rng = createRng(`${config.seed}:${state.handId}`);
-  state.deck = shuffleDeck(createDeck(), rng);
+  const { tournament } = state;
+  if (!tournament || !config.tournament) {
+    return;
+  }
+  for (const seat of placeBustedPlayers(state)) {
+    events.push({
+      type: "player_eliminated",
+      handId: state.handId,
+      data: { seat, place: tournament.places[seat] as number },
+    });
+  }
+  const alive = state.players.filter((player) => tournament.places[player.seat] === null);
+  if (alive.length > 1) {
+    return;
+  }
+  tournament.places[alive[0].seat] = 1;
+  tournament.finished = true;
+  const prizes = tournamentEquity(state, config);
+  const standings = state.players
+    .map((player) => ({
+      seat: player.seat,
+      place: tournament.places[player.seat] as number,
+      prize: prizes[player.seat],
+    }))
+    .sort((a, b) => a.place - b.place || a.seat - b.seat);
+  events.push({
+    type: "tournament_ended",
+    handId: state.handId,
+    data: { winner: alive[0].seat, standings },
+  });
+}
+
+function ensureHandSetup(
+  state: GameState,
+  baseConfig: GameConfig,
+  events: EngineSnapshot["events"]
+) {
+  const config = handConfig(baseConfig, state.handId);
+  state.deck = handDeck(config, state.handId);
+  state.committedDeck = state.deck.map((card) => ({ ...card }));
   state.board = [];
+  state.runBoards = [];
   state.burn = [];
+  state.showdownOrder = [];
+  state.shownSeats = [];
+  state.muckedSeats = [];
 
   for (const player of state.players) {
     player.holeCards = [];
     player.totalCommitted = 0;
+    player.deadCommitted = 0;
     player.streetCommitted = 0;
-    if (player.stack === 0) {
+    // A busted player who is still without chips misses this hand's blinds,
+    // so a later rebuy waits for the big blind
+    if (player.stack === 0 && player.seatStatus === "playing") {
+      player.seatStatus = "waiting";
+    }
+    if (
+      player.stack === 0 ||
+      player.seatStatus === "sitting_out" ||
+      player.seatStatus === "empty"
+    ) {
       player.status = "out";
     } else {
       player.status = "active";
     }
   }
 
-  // Blind rotation is anchored on Big Blind to preserve forced-bet invariants
-  // Previous BB seat is immutable anchor (even if that player is now ineligible)
-  const anchor = state.bigBlindSeat;
-  // Start scanning AT the anchor (previous BB) so the Old BB becomes the New SB (Moving Button rule)
-  // This prevents over-rotation where SB skips the Old BB seat
-  const startSeat = anchor;
-  
-  // Single-pass scan: collect eligible players starting from anchor
-  const eligibleSeats: SeatIndex[] = [];
-  let seat = startSeat;
-  for (let i = 0; i < 6; i += 1) {
-    const player = state.players[seat];
-    if (player.status === "active" && player.stack > 0) {
-      eligibleSeats.push(seat);
-      if (eligibleSeats.length >= 2) {
-        break; // Only need first two eligible players
-      }
-    }
-    seat = nextSeat(seat);
+  const seatCount = state.players.length;
+  if (state.tournament && config.tournament) {
+    state.tournament.levelIndex = tournamentLevelIndex(config.tournament, state.handId);
   }
-  
-  if (eligibleSeats.length < 2) {
-    throw new Error("Cannot start hand: fewer than two eligible players.");
-  }
-  
-  // Assign: first eligible → SB, second eligible → BB
-  state.smallBlindSeat = eligibleSeats[0];
-  state.bigBlindSeat = eligibleSeats[1];
-  // Button rotates linearly (simplified, not used for blind assignment)
-  state.dealerSeat = ((state.dealerSeat + 1) % 6) as SeatIndex;
+  admitWaitingPlayers(state);
+  assignPositions(state);
   state.phase = "preflop";
   resetStreet(state, config);
 
@@ -366,14 +722,90 @@ function ensureHandSetup(
       dealerSeat: state.dealerSeat,
       smallBlindSeat: state.smallBlindSeat,
       bigBlindSeat: state.bigBlindSeat,
+      deadButton: state.players[state.dealerSeat].status === "out",
+      deadSmallBlind: state.deadSmallBlind,
+      // Stacks before any forced bet, for hand histories
+      stacks: state.players.map((player) => player.stack),
+      // Revealed with the salt when the hand ends
+      deckCommitment: deckCommitment(state.deck, handSalt(deckSecret(config), state.handId)),
+      ...tournamentHandData(state, config),
     },
   });
 
-  // SB and BB are guaranteed to be eligible players (validated above)
-  const sbPosted = postBlind(state, state.smallBlindSeat, config.smallBlind);
+  // Antes come off every dealt-in stack before the blinds
+  const ante = config.ante ?? 0;
+  if (ante > 0) {
+    for (const player of state.players) {
+      if (player.status !== "active") {
+        continue;
+      }
+      const antePosted = postAnte(state, player.seat, ante, false);
+      events.push({
+        type: "ante_posted",
+        handId: state.handId,
+        data: { seat: player.seat, amount: antePosted },
+      });
+    }
+  }
+
+  // BB is guaranteed to be eligible; SB is skipped when dead
+  const sbPosted = state.deadSmallBlind
+    ? 0
+    : postBlind(state, state.smallBlindSeat, config.smallBlind);
   const bbPosted = postBlind(state, state.bigBlindSeat, config.bigBlind);
-  state.currentBet = bbPosted;
+  if (!state.deadSmallBlind) {
+    events.push({
+      type: "blind_posted",
+      handId: state.handId,
+      data: { seat: state.smallBlindSeat, amount: sbPosted },
+    });
+  }
+  events.push({
+    type: "blind_posted",
+    handId: state.handId,
+    data: { seat: state.bigBlindSeat, amount: bbPosted },
+  });
+
+  // BB ante is posted for the whole table; the blind takes priority
+  const bigBlindAnte = config.bigBlindAnte ?? 0;
+  if (bigBlindAnte > 0) {
+    const bbAntePosted = postAnte(state, state.bigBlindSeat, bigBlindAnte, true);
+    events.push({
+      type: "big_blind_ante_posted",
+      handId: state.handId,
+      data: { seat: state.bigBlindSeat, amount: bbAntePosted },
+    });
+  }
+
+  state.currentBet = Math.max(sbPosted, bbPosted);
   state.lastRaiseSize = config.bigBlind;
+  // The big blind counts as the first bet of the preflop round
+  state.betCount = 1;
+
+  // A straddle is a blind raise: it sets the bet and the next raise size
+  state.straddleSeat = findStraddleSeat(state, config);
+  if (state.straddleSeat !== null) {
+    const straddleAmount = config.straddleAmount ?? config.bigBlind * 2;
+    const straddlePosted = postBlind(state, state.straddleSeat, straddleAmount);
+    if (straddlePosted > state.currentBet) {
+      if (straddlePosted === straddleAmount) {
+        state.lastRaiseSize = straddleAmount;
+      }
+      state.currentBet = straddlePosted;
+      state.betCount += 1;
+    }
+    events.push({
+      type: "straddle_posted",
+      handId: state.handId,
+      data: {
+        seat: state.straddleSeat,
+        amount: straddlePosted,
+        // findStraddleSeat only finds a seat when a straddle is configured
+        straddle: config.straddle as StraddleType,
+      },
+    });
+  }
+
   state.minRaiseTo = state.currentBet + state.lastRaiseSize;
   state.canRaise = state.players.map(
     (player) => player.status === "active" && player.stack > 0
@@ -385,33 +817,44 @@ function ensureHandSetup(
     (player) => player.status === "all_in" || player.status === "out"
   );
 
-  events.push({
-    type: "blind_posted",
-    handId: state.handId,
-    data: { seat: state.smallBlindSeat, amount: sbPosted },
-  });
-  events.push({
-    type: "blind_posted",
-    handId: state.handId,
-    data: { seat: state.bigBlindSeat, amount: bbPosted },
-  });
-
   refreshPotSnapshot(state);
 
-  let dealSeat = state.smallBlindSeat;
-  for (let round = 0; round < 2; round += 1) {
-    for (let i = 0; i < 6; i += 1) {
+  // Cards are dealt clockwise starting left of the button
+  let dealSeat = nextSeat(state.dealerSeat, seatCount);
+  const holeCardCount = HOLE_CARD_COUNT[resolveGameType(config)];
+  for (let round = 0; round < holeCardCount; round += 1) {
+    for (let i = 0; i < seatCount; i += 1) {
       const player = state.players[dealSeat];
-      if (player.status === "active") {
+      // Players all-in from forced bets are still dealt in
+      if (player.status !== "out") {
         dealToSeat(state, dealSeat, 1);
       }
-      dealSeat = nextSeat(dealSeat);
+      dealSeat = nextSeat(dealSeat, seatCount);
+    }
+  }
+  dealSeat = nextSeat(state.dealerSeat, seatCount);
+  for (let i = 0; i < seatCount; i += 1) {
+    const player = state.players[dealSeat];
+    if (player.holeCards.length > 0) {
+      events.push({
+        type: "hole_cards_dealt",
+        handId: state.handId,
+        data: { seat: dealSeat, cards: [...player.holeCards] },
+      });
     }
+    dealSeat = nextSeat(dealSeat, seatCount);
   }
 
-  const actionSeat = firstActiveFrom(state, nextSeat(state.bigBlindSeat));
+  // Preflop action starts left of the BB (the button/SB when heads-up),
+  // or left of the straddler, who then acts last
+  const actionSeat = firstActiveFrom(
+    state,
+    nextSeat(state.straddleSeat ?? state.bigBlindSeat, seatCount)
+  );
   if (actionSeat === null) {
-    throw new Error("No active player to act.");
+    // Forced bets left nobody able to act: run the board out
+    advanceAfterAction(state, config, events);
+    return;
   }
   state.actionSeat = actionSeat;
 }
@@ -463,15 +906,112 @@ function advancePhase(
   });
 
   resetStreet(state, config);
-  const actionSeat = firstActiveFrom(state, state.smallBlindSeat);
+  // Postflop action starts left of the button (the BB when heads-up)
+  const actionSeat = firstActiveFrom(
+    state,
+    nextSeat(state.dealerSeat, state.players.length)
+  );
   if (actionSeat === null) {
     throw new Error("No active player to act.");
   }
   state.actionSeat = actionSeat;
 }
 
+// Players still in the hand, clockwise from the last aggressor on the final
+// street, or from the left of the button when that street was checked through
+function showdownOrder(state: GameState): SeatIndex[] {
+  const seatCount = state.players.length;
+  const inHand = (seat: SeatIndex) =>
+    state.players[seat].status === "active" || state.players[seat].status === "all_in";
+  const start =
+    state.lastAggressor !== null && inHand(state.lastAggressor)
+      ? state.lastAggressor
+      : nextSeat(state.dealerSeat, seatCount);
+  const order: SeatIndex[] = [];
+  for (let i = 0; i < seatCount; i += 1) {
+    const seat = (start + i) % seatCount;
+    if (inHand(seat)) {
+      order.push(seat);
+    }
+  }
+  return order;
+}
+
+// A hand must be shown if, in some pot it is eligible for, no hand shown so
+// far beats it
+function canStillWin(state: GameState, seat: SeatIndex, gameType: GameType): boolean {
+  const rankOf = (s: SeatIndex) =>
+    evaluateHand(gameType, state.players[s].holeCards, state.board);
+  const rank = rankOf(seat);
+  return normalizePotsByEligibility(computePots(state.players)).some(
+    (pot) =>
+      pot.eligibleSeats.includes(seat) &&
+      pot.eligibleSeats
+        .filter((other) => state.shownSeats.includes(other))
+        .every((other) => compareHands(rank, rankOf(other), gameType) >= 0)
+  );
+}
+
+function revealCards(
+  state: GameState,
+  gameType: GameType,
+  seat: SeatIndex,
+  show: boolean,
+  events: EngineSnapshot["events"]
+) {
+  const player = state.players[seat];
+  if (show) {
+    state.shownSeats.push(seat);
+    events.push({
+      type: "cards_shown",
+      handId: state.handId,
+      data: {
+        seat,
+        cards: [...player.holeCards],
+        handRank: categoryName(evaluateHand(gameType, player.holeCards, state.board).category),
+      },
+    });
+  } else {
+    state.muckedSeats.push(seat);
+    events.push({ type: "cards_mucked", handId: state.handId, data: { seat } });
+  }
+}
+
+// Reveal hands in showdown order. All-in hands are tabled; otherwise a hand
+// that can no longer win is mucked or, in "manual" mode, waits for the
+// player's show/muck decision. Returns false while a decision is pending.
+function revealHands(
+  state: GameState,
+  config: GameConfig,
+  events: EngineSnapshot["events"]
+): boolean {
+  if (state.showdownOrder.length === 0) {
+    state.phase = "showdown";
+    state.showdownOrder = showdownOrder(state);
+  }
+  const mode = config.showdownMode ?? "show_all";
+  const gameType = resolveGameType(config);
+  const tabled =
+    mode === "show_all" || state.players.some((player) => player.status === "all_in");
+  for (const seat of state.showdownOrder) {
+    if (state.shownSeats.includes(seat) || state.muckedSeats.includes(seat)) {
+      continue;
+    }
+    if (tabled || canStillWin(state, seat, gameType)) {
+      revealCards(state, gameType, seat, true, events);
+    } else if (mode === "auto_muck") {
+      revealCards(state, gameType, seat, false, events);
+    } else {
+      state.actionSeat = seat;
+      return false;
+    }
+  }
+  return true;
+}
+
 function resolveHandEnd(
   state: GameState,
+  config: GameConfig,
   events: EngineSnapshot["events"]
 ) {
   const uncontested = collectUncontested(state);
@@ -482,7 +1022,11 @@ function resolveHandEnd(
       data: { seat: uncontested.winner, amount: uncontested.amount },
     });
   } else {
-    const awards = awardPots(state);
+    if (!revealHands(state, config, events)) {
+      return;
+    }
+    const gameType = resolveGameType(config);
+    const awards = awardPots(state, gameType);
     for (const award of awards.awards) {
       events.push({
         type: "pot_awarded",
@@ -490,36 +1034,67 @@ function resolveHandEnd(
         data: award,
       });
     }
-    const showdownSeats = Object.keys(awards.seatRanks).map(
-      (seat) => Number(seat) as SeatIndex
-    );
-    const seatSummaries = showdownSeats.map((seat) => ({
-      seat,
-      handRank: rankToText(awards.seatRanks[seat]),
-    }));
-    const potWinners = awards.pots.map((pot, index) => ({
-      potIndex: index,
-      amount: pot.amount,
-      eligibleSeats: pot.eligibleSeats,
-      winners: awards.awards
-        .filter((award) => award.potIndex === index)
-        .map((award) => ({ seat: award.seat, amount: award.amount })),
-    }));
+    // Only shown hands are described; mucked hands stay hidden
+    const seatSummaries = (board: Card[]) =>
+      state.shownSeats.map((seat) => {
+        const hand = describeHand(gameType, state.players[seat].holeCards, board);
+        return {
+          seat,
+          handRank: categoryName(hand.rank.category),
+          handName: hand.name,
+          bestCards: hand.cards,
+        };
+      });
+    const potWinners = (potAwards: PotAward[], runCount: number, run: number) =>
+      awards.pots.map((pot, index) => ({
+        potIndex: index,
+        amount: runShare(pot.amount, runCount, run),
+        eligibleSeats: pot.eligibleSeats,
+        winners: potAwards
+          .filter((award) => award.potIndex === index)
+          .reduce<{ seat: SeatIndex; amount: number }[]>((winners, award) => {
+            // A seat winning the same pot on several runs is listed once
+            const existing = winners.find((w) => w.seat === award.seat);
+            if (existing) {
+              existing.amount += award.amount;
+            } else {
+              winners.push({ seat: award.seat, amount: award.amount });
+            }
+            return winners;
+          }, []),
+      }));
+    // Hands are described per board, so a run-it-N hand has its showdowns
+    // in runs only; pots adds up every run
+    const data: EventPayloads["hand_summary"] = {
+      mucked: [...state.muckedSeats],
+      pots: potWinners(awards.awards, 1, 0),
+    };
+    if (awards.runs.length === 1) {
+      data.showdown = seatSummaries(awards.runs[0].board);
+    } else {
+      data.runs = awards.runs.map((run, index) => ({
+        run: index,
+        board: run.board,
+        showdown: seatSummaries(run.board),
+        pots: potWinners(run.awards, awards.runs.length, index),
+      }));
+    }
     events.push({
       type: "hand_summary",
       handId: state.handId,
-      data: {
-        showdown: seatSummaries,
-        pots: potWinners,
-      },
+      data,
     });
   }
   state.phase = "ended";
   events.push({
     type: "hand_ended",
     handId: state.handId,
-    data: {},
+    data: {
+      deck: state.committedDeck.map((card) => ({ ...card })),
+      salt: handSalt(deckSecret(config), state.handId),
+    },
   });
+  settleTournament(state, config, events);
 }
 
 // Count players who can still act (not folded, not all-in, have stack > 0)
@@ -549,18 +1124,19 @@ function advanceAfterAction(
 ) {
   const remaining = countEligiblePlayers(state.players);
   if (remaining <= 1) {
-    resolveHandEnd(state, events);
+    resolveHandEnd(state, config, events);
     return;
   }
 
   if (state.phase === "showdown") {
-    resolveHandEnd(state, events);
+    resolveHandEnd(state, config, events);
     return;
   }
 
   // Auto-advance to showdown when no players can act (all-in shortcut applies only when no player can still act)
   // Standard poker rule: no betting possible once all players are all-in
   if (shouldAutoRunout(state)) {
+    const sharedCards = state.board.length;
     // Deal remaining community cards automatically
     while ((state.phase as Phase) !== "showdown" && state.phase !== "ended") {
       if (state.phase === "preflop") {
@@ -592,7 +1168,18 @@ function advanceAfterAction(
         break;
       }
     }
-    resolveHandEnd(state, events);
+    // Each extra run burns and deals every street still to come; a big Omaha
+    // table runs it only as many times as the deck allows
+    const streetsLeft = sharedCards === 0 ? 3 : 5 - sharedCards;
+    const cardsPerRun = 5 - sharedCards + streetsLeft;
+    const runs = Math.min(
+      config.runItTimes ?? 1,
+      1 + Math.floor(state.deck.length / cardsPerRun)
+    );
+    if (runs > 1 && sharedCards < 5) {
+      dealExtraRuns(state, sharedCards, runs);
+    }
+    resolveHandEnd(state, config, events);
     return;
   }
 
@@ -600,15 +1187,18 @@ function advanceAfterAction(
     advancePhase(state, config, events);
     // Check phase after advancePhase may have mutated it
     if ((state.phase as Phase) === "showdown") {
-      resolveHandEnd(state, events);
+      resolveHandEnd(state, config, events);
       return;
     }
     return;
   }
 
-  const nextAction = firstActiveFrom(state, nextSeat(state.actionSeat));
+  const nextAction = firstActiveFrom(
+    state,
+    nextSeat(state.actionSeat, state.players.length)
+  );
   if (nextAction === null) {
-    resolveHandEnd(state, events);
+    resolveHandEnd(state, config, events);
     return;
   }
   state.actionSeat = nextAction;
@@ -639,33 +1229,30 @@ function legalActionsForPlayer(
   config: GameConfig
 ): LegalAction[] {
   const player = getPlayerToAct(state);
+  if (state.phase === "showdown") {
+    return [
+      { type: "show", minAmount: null, maxAmount: null },
+      { type: "muck", minAmount: null, maxAmount: null },
+    ];
+  }
   const toCall = Math.max(0, state.currentBet - state.betThisRound[player.seat]);
-  const maxTotal = state.betThisRound[player.seat] + player.stack;
   const actions: LegalAction[] = [];
 
+  const bounds = wagerBounds(state, config, player);
+
   if (toCall > 0) {
     actions.push({ type: "fold", minAmount: null, maxAmount: null });
     actions.push({ type: "call", minAmount: null, maxAmount: null });
-    if (maxTotal > state.currentBet && state.canRaise[player.seat]) {
-      const minRaiseTo = state.minRaiseTo;
-      const maxRaiseTo = maxTotal;
-      actions.push({
-        type: "raise",
-        minAmount: Math.min(minRaiseTo, maxRaiseTo),
-        maxAmount: maxRaiseTo,
-      });
-    }
   } else {
     actions.push({ type: "check", minAmount: null, maxAmount: null });
-    if (player.stack > 0) {
-      const minBet = config.bigBlind;
-      const maxBet = maxTotal;
-      actions.push({
-        type: "bet",
-        minAmount: Math.min(minBet, maxBet),
-        maxAmount: maxBet,
-      });
-    }
+  }
+  if (bounds) {
+    // Facing a blind with nothing to call (BB option) is still a raise
+    actions.push({
+      type: state.currentBet > 0 ? "raise" : "bet",
+      minAmount: Math.min(bounds.min, bounds.max),
+      maxAmount: bounds.max,
+    });
   }
 
   return actions;
@@ -680,6 +1267,9 @@ function applyPlayerAction(
   if (action.actor !== player.seat) {
     throw new Error("Action actor does not match action seat.");
   }
+  if (action.type === "show" || action.type === "muck") {
+    throw new Error("Cards can only be shown or mucked at showdown.");
+  }
 
   const toCall = Math.max(0, state.currentBet - state.betThisRound[player.seat]);
   const maxTotal = state.betThisRound[player.seat] + player.stack;
@@ -722,18 +1312,21 @@ function applyPlayerAction(
   }
 
   if (action.type === "bet") {
-    if (toCall !== 0) {
+    if (state.currentBet !== 0) {
       throw new Error("Cannot bet when facing a bet.");
     }
     if (action.amount === null) {
       throw new Error("Bet requires amount.");
     }
+    const bounds = wagerBounds(state, config, player);
+    if (!bounds) {
+      throw new Error("Betting is not allowed.");
+    }
     const betTo = action.amount;
-    if (betTo <= 0 || betTo > maxTotal) {
+    if (betTo <= 0 || betTo > bounds.max) {
       throw new Error("Bet amount out of range.");
     }
-    const minBet = config.bigBlind;
-    if (betTo < minBet && betTo !== maxTotal) {
+    if (betTo < bounds.min && betTo !== maxTotal) {
       throw new Error("Bet below minimum and not all-in.");
     }
     const betAmount = betTo - state.betThisRound[player.seat];
@@ -745,6 +1338,8 @@ function applyPlayerAction(
     const raiseSize = state.currentBet - 0;
     state.lastRaiseSize = raiseSize;
     state.minRaiseTo = state.currentBet + state.lastRaiseSize;
+    state.betCount += 1;
+    state.lastAggressor = player.seat;
     if (player.stack === 0) {
       player.status = "all_in";
     }
@@ -757,19 +1352,22 @@ function applyPlayerAction(
   }
 
   if (action.type === "raise") {
-    if (toCall <= 0) {
+    if (state.currentBet === 0) {
       throw new Error("Cannot raise without a bet to call.");
     }
     if (action.amount === null) {
       throw new Error("Raise requires amount.");
     }
+    const bounds = wagerBounds(state, config, player);
+    if (!bounds) {
+      throw new Error("Raising is not allowed.");
+    }
     const raiseTo = action.amount;
-    if (raiseTo <= state.currentBet || raiseTo > maxTotal) {
+    if (raiseTo <= state.currentBet || raiseTo > bounds.max) {
       throw new Error("Raise amount out of range.");
     }
-    const minRaiseTo = state.minRaiseTo;
     const isAllIn = raiseTo === maxTotal;
-    if (raiseTo < minRaiseTo && !isAllIn) {
+    if (raiseTo < bounds.min && !isAllIn) {
       throw new Error("Raise below minimum and not all-in.");
     }
     const raiseAmount = raiseTo - state.betThisRound[player.seat];
@@ -777,7 +1375,7 @@ function applyPlayerAction(
     player.totalCommitted += raiseAmount;
     player.streetCommitted += raiseAmount;
     state.betThisRound[player.seat] = raiseTo;
-    if (raiseTo >= minRaiseTo) {
+    if (raiseTo >= bounds.min) {
       const raiseSize = raiseTo - state.currentBet;
       state.lastRaiseSize = raiseSize;
       state.minRaiseTo = raiseTo + state.lastRaiseSize;
@@ -786,10 +1384,17 @@ function applyPlayerAction(
       );
     }
     state.currentBet = Math.max(state.currentBet, raiseTo);
+    if (raiseTo < bounds.min) {
+      // A short all-in still moves the bet: a full raise now goes a full
+      // raise size past it
+      state.minRaiseTo = Math.max(state.minRaiseTo, state.currentBet + state.lastRaiseSize);
+    }
+    state.betCount += 1;
+    state.lastAggressor = player.seat;
     if (player.stack === 0) {
       player.status = "all_in";
     }
-    if (raiseTo < minRaiseTo || player.stack === 0) {
+    if (raiseTo < bounds.min || player.stack === 0) {
       state.canRaise[player.seat] = false;
     }
     markActedAfterAggression(state, player.seat);
@@ -801,45 +1406,560 @@ function applyPlayerAction(
   throw new Error(`Unknown action type: ${never}`);
 }
 
-export function createEngine(config: GameConfig): Engine {
-  let state: GameState = createInitialState(config);
-  const events: EngineSnapshot["events"] = [];
-  const actionHistory: Action[] = [];
+function validateShowdownDecision(state: GameState, action: Action) {
+  if (action.actor !== state.actionSeat) {
+    throw new Error("Action actor does not match action seat.");
+  }
+  if (action.type !== "show" && action.type !== "muck") {
+    throw new Error("Only show or muck is allowed at showdown.");
+  }
+}
+
+// Mutable engine state behind an Engine handle; replaced wholesale on rewind
+type EngineSession = {
+  state: GameState;
+  events: EngineSnapshot["events"];
+  actionHistory: Action[];
+  tableChanges: TableChange[];
+  compactedHands: CompactedHand[];
+};
+
+function startSession(config: GameConfig): EngineSession {
+  const session: EngineSession = {
+    state: createInitialState(config),
+    events: [],
+    actionHistory: [],
+    tableChanges: [],
+    compactedHands: [],
+  };
+  ensureHandSetup(session.state, config, session.events);
+  return session;
+}
+
+// Seconds the seat to act may take before it times out
+function timeAllowed(state: GameState, config: GameConfig): number | null {
+  if (!config.actionClock || !state.timeBanks) {
+    return null;
+  }
+  return config.actionClock.actionSeconds + state.timeBanks[state.actionSeat];
+}
 
+// What a seat that ran out of time does: check when it can, otherwise fold
+// (or muck at showdown)
+function timeoutAction(state: GameState, config: GameConfig, elapsed: number): Action {
+  const actor = state.actionSeat;
+  let type: ActionType = "muck";
+  if (state.phase !== "showdown") {
+    const legal = legalActionsForPlayer(state, config);
+    type = legal.some((option) => option.type === "check") ? "check" : "fold";
+  }
+  return { actor, type, amount: null, elapsed };
+}
+
+// Run the action clock over an action from the seat to act: time past
+// actionSeconds is taken from the seat's bank, and an action that took the
+// whole allowance is replaced by the timeout action
+function clockAction(
+  state: GameState,
+  config: GameConfig,
+  action: Action
+): { action: Action; timedOut: boolean; bank: number | null } {
+  const clock = config.actionClock;
+  if (!clock || !state.timeBanks || action.actor !== state.actionSeat) {
+    return { action, timedOut: false, bank: null };
+  }
+  const elapsed = action.elapsed ?? 0;
+  if (!Number.isFinite(elapsed) || elapsed < 0) {
+    throw new Error("elapsed must be a non-negative number of seconds.");
+  }
+  const bank = state.timeBanks[action.actor];
+  if (elapsed >= clock.actionSeconds + bank) {
+    return { action: timeoutAction(state, config, elapsed), timedOut: true, bank: 0 };
+  }
+  return { action, timedOut: false, bank: bank - Math.max(0, elapsed - clock.actionSeconds) };
+}
+
+function applySessionAction(
+  session: EngineSession,
+  baseConfig: GameConfig,
+  submitted: Action
+) {
+  const { state, events } = session;
+  const config = handConfig(baseConfig, state.handId);
+  if (state.phase === "ended") {
+    throw new Error("Hand is over.");
+  }
+  // The clock is charged only once the action has been accepted
+  const { action, timedOut, bank } = clockAction(state, config, submitted);
+  const showdownDecision = state.phase === "showdown";
+  if (showdownDecision) {
+    validateShowdownDecision(state, action);
+  } else {
+    applyPlayerAction(state, config, action);
+  }
+  if (state.timeBanks && bank !== null) {
+    state.timeBanks[action.actor] = bank;
+  }
+  if (timedOut) {
+    events.push({
+      type: "timeout_action",
+      handId: state.handId,
+      data: { seat: action.actor, elapsed: action.elapsed ?? 0, action },
+    });
+  }
+  // The action as taken: a timed-out seat's default action replays the same way
+  session.actionHistory.push(action);
+  events.push({
+    type: "action_taken",
+    handId: state.handId,
+    data: { action },
+  });
+  if (showdownDecision) {
+    revealCards(state, resolveGameType(config), action.actor, action.type === "show", events);
+  }
+  advanceAfterAction(state, config, events);
+}
+
+function startSessionNextHand(session: EngineSession, config: GameConfig) {
+  const { state, events } = session;
+  if (state.phase !== "ended") {
+    throw new Error("Current hand is not finished.");
+  }
+  if (state.tournament?.finished) {
+    throw new Error("Tournament is over.");
+  }
+  // Checked before the hand is touched so a failed start leaves it ended
+  const ready = state.players.filter(
+    (player) =>
+      player.stack > 0 &&
+      (player.seatStatus === "playing" || player.seatStatus === "waiting")
+  ).length;
+  if (ready < 2) {
+    throw new Error("Cannot start hand: fewer than two eligible players.");
+  }
+  state.handId += 1;
   ensureHandSetup(state, config, events);
+}
 
-  return {
-    getSnapshot: () => ({
-      config,
-      state,
-      events: [...events],
-      actionHistory: [...actionHistory],
-    }),
-    getLegalActions: () => {
-      if (state.phase === "ended") {
-        return [];
+function requireChips(type: TableChangeType, amount: number | null): number {
+  if (amount === null || !Number.isInteger(amount) || amount <= 0) {
+    throw new Error(`${type} amount must be a positive whole number of chips.`);
+  }
+  return amount;
+}
+
+// Seat and chip changes are only made between hands and are recorded so
+// replays (undo, rewind, fork) make them again at the same point
+function applyTableChange(
+  session: EngineSession,
+  config: GameConfig,
+  type: TableChangeType,
+  seat: SeatIndex,
+  amount: number | null
+) {
+  const { state, events } = session;
+  if (state.phase !== "ended") {
+    throw new Error("Seat changes are only allowed between hands.");
+  }
+  if (config.tournament) {
+    throw new Error("Seat changes are not supported in tournaments.");
+  }
+  if (!Number.isInteger(seat) || seat < 0 || seat >= state.players.length) {
+    throw new Error(`Seat ${seat} is not at this table.`);
+  }
+  const player = state.players[seat];
+  if (type === "join_seat") {
+    if (player.seatStatus !== "empty") {
+      throw new Error(`Seat ${seat} is taken.`);
+    }
+  } else if (player.seatStatus === "empty") {
+    throw new Error(`Seat ${seat} is empty.`);
+  }
+
+  let recorded = amount;
+  switch (type) {
+    case "sit_out":
+      if (player.seatStatus === "sitting_out") {
+        throw new Error(`Seat ${seat} is already sitting out.`);
+      }
+      player.seatStatus = "sitting_out";
+      break;
+    case "sit_in":
+      if (player.seatStatus !== "sitting_out") {
+        throw new Error(`Seat ${seat} is not sitting out.`);
+      }
+      player.seatStatus = "waiting";
+      break;
+    case "rebuy":
+      if (player.stack > 0) {
+        throw new Error(`Seat ${seat} still has chips; use topUp.`);
+      }
+      player.stack = requireChips(type, amount);
+      break;
+    case "top_up":
+      if (player.stack === 0) {
+        throw new Error(`Seat ${seat} has no chips; use rebuy.`);
+      }
+      player.stack += requireChips(type, amount);
+      break;
+    case "leave_seat":
+      recorded = player.stack;
+      player.stack = 0;
+      player.seatStatus = "empty";
+      break;
+    case "join_seat":
+      player.stack = requireChips(type, amount);
+      player.seatStatus = "waiting";
+      // A new player starts with a full time bank
+      if (state.timeBanks && config.actionClock) {
+        state.timeBanks[seat] = config.actionClock.timeBankSeconds;
       }
-      return legalActionsForPlayer(state, config);
+      break;
+  }
+
+  session.tableChanges.push({ handId: state.handId, type, seat, amount: recorded });
+  events.push({
+    type: "seat_changed",
+    handId: state.handId,
+    data: {
+      seat,
+      change: type,
+      amount: recorded,
+      stack: player.stack,
+      seatStatus: player.seatStatus,
     },
+  });
+}
+
+// Make the seat changes recorded after the current hand of session ended
+function replayTableChanges(
+  session: EngineSession,
+  config: GameConfig,
+  changes: TableChange[]
+) {
+  for (const change of changes) {
+    if (change.handId === session.state.handId) {
+      applyTableChange(session, config, change.type, change.seat, change.amount);
+    }
+  }
+}
+
+// Hand each recorded action was taken in: counted for compacted hands, read
+// from its action_taken event for the rest
+function actionHandIds(session: EngineSession): number[] {
+  return [
+    ...session.compactedHands.flatMap((hand) => Array<HandId>(hand.actions).fill(hand.handId)),
+    ...session.events
+      .filter((event) => event.type === "action_taken")
+      .map((event) => event.handId),
+  ];
+}
+
+// Events in the log before session.events
+function compactedEvents(session: EngineSession): number {
+  return session.compactedHands.reduce((total, hand) => total + hand.events, 0);
+}
+
+// Drop the events of hands before the last retainHands from the front of the
+// log, keeping each hand's counts in compactedHands
+function compactSession(session: EngineSession, retainHands: number) {
+  const { events } = session;
+  const oldest = session.state.handId - retainHands + 1;
+  let dropped = 0;
+  while (dropped < events.length && events[dropped].handId < oldest) {
+    const hand: CompactedHand = { handId: events[dropped].handId, events: 0, actions: 0, seatChanges: 0 };
+    for (; dropped < events.length && events[dropped].handId === hand.handId; dropped += 1) {
+      hand.events += 1;
+      if (events[dropped].type === "action_taken") {
+        hand.actions += 1;
+      } else if (events[dropped].type === "seat_changed") {
+        hand.seatChanges += 1;
+      }
+    }
+    session.compactedHands.push(hand);
+  }
+  events.splice(0, dropped);
+}
+
+// Play is deterministic from the config, so any earlier point is rebuilt by
+// replaying the first actionIndex actions from a fresh session. Hands are
+// started as needed so the result sits where the next recorded action (or the
+// current hand, when rewinding to the end) would be taken.
+function replaySession(
+  config: GameConfig,
+  source: EngineSession,
+  actionIndex: number
+): EngineSession {
+  if (
+    !Number.isInteger(actionIndex) ||
+    actionIndex < 0 ||
+    actionIndex > source.actionHistory.length
+  ) {
+    throw new Error(
+      `actionIndex must be between 0 and ${source.actionHistory.length}.`
+    );
+  }
+  const handIds = actionHandIds(source);
+  const targetHandId =
+    actionIndex < handIds.length ? handIds[actionIndex] : source.state.handId;
+
+  const session = startSession(config);
+  const nextHand = () => {
+    replayTableChanges(session, config, source.tableChanges);
+    startSessionNextHand(session, config);
+  };
+  for (let i = 0; i < actionIndex; i += 1) {
+    while (session.state.handId < handIds[i]) {
+      nextHand();
+    }
+    applySessionAction(session, config, source.actionHistory[i]);
+  }
+  while (session.state.handId < targetHandId) {
+    nextHand();
+  }
+  // Changes made after the current hand ended, before the next one started
+  if (session.state.phase === "ended") {
+    replayTableChanges(session, config, source.tableChanges);
+  }
+  return session;
+}
+
+function createEngineFromSession(
+  config: GameConfig,
+  initial: EngineSession,
+  options: EngineOptions
+): Engine {
+  const { retainHands } = options;
+  if (retainHands !== undefined && (!Number.isInteger(retainHands) || retainHands < 1)) {
+    throw new Error("retainHands must be a whole number of hands, at least 1.");
+  }
+  let session = initial;
+  // Log index of session.events[0]
+  let offset = compactedEvents(session);
+  const logLength = () => offset + session.events.length;
+  // Run once every listener has the new events, so none misses one
+  const compact = () => {
+    if (retainHands !== undefined) {
+      compactSession(session, retainHands);
+      offset = compactedEvents(session);
+    }
+  };
+  // Checked in place: the snapshot is not kept, so nothing is copied
+  const verify = () => {
+    if (options.checkInvariants) {
+      checkInvariants({ config, ...session });
+    }
+  };
+  verify();
+
+  // Each logged event gets the next sequence number once; events a rewind
+  // drops take theirs with them, so a number never names two events. A
+  // replayed log is a prefix of the old one, so the numbers kept still match.
+  // Numbers run in blocks, a new one after each rewind, so compacted events
+  // keep theirs without a number stored per event.
+  type Subscription = {
+    listener: EngineEventListener;
+    // Log length delivered so far
+    delivered: number;
+    onRewind?: (length: number) => void;
+  };
+  const subscriptions = new Set<Subscription>();
+  // Block i numbers log indexes from seqBlocks[i].index until the next block
+  const seqBlocks: { index: number; seq: number }[] = [];
+  // Log length numbered so far
+  let numbered = 0;
+  let nextSeq = 1;
+  const seqAt = (index: number) => {
+    let block = seqBlocks.length - 1;
+    while (seqBlocks[block].index > index) {
+      block -= 1;
+    }
+    return seqBlocks[block].seq + index - seqBlocks[block].index;
+  };
+  // The count is bumped before each call, so a listener that acts on the
+  // engine gets the events that causes in order, each once
+  const deliver = (subscription: Subscription) => {
+    while (subscriptions.has(subscription) && subscription.delivered < logLength()) {
+      const index = subscription.delivered;
+      subscription.delivered += 1;
+      const event = session.events[index - offset];
+      subscription.listener({ seq: seqAt(index), index, ...event });
+    }
+  };
+  const publish = () => {
+    const length = logLength();
+    if (numbered < length) {
+      const last = seqBlocks.at(-1);
+      if (!last || last.seq + numbered - last.index !== nextSeq) {
+        seqBlocks.push({ index: numbered, seq: nextSeq });
+      }
+      nextSeq += length - numbered;
+      numbered = length;
+    }
+    for (const subscription of [...subscriptions]) {
+      deliver(subscription);
+    }
+  };
+  publish();
+  compact();
+  const changed = () => {
+    verify();
+    publish();
+    compact();
+  };
+  // After undo or rewindTo: forget the dropped events, then tell listeners
+  // that had been given any of them
+  const replayed = () => {
+    compact();
+    verify();
+    const length = logLength();
+    numbered = Math.min(numbered, length);
+    while (seqBlocks.length > 0 && seqBlocks[seqBlocks.length - 1].index >= numbered) {
+      seqBlocks.pop();
+    }
+    for (const subscription of [...subscriptions]) {
+      if (subscription.delivered > length) {
+        subscription.delivered = length;
+        subscription.onRewind?.(length);
+      }
+    }
+    publish();
+  };
+
+  const getSnapshot = () => ({
+    config,
+    state: session.state,
+    events: [...session.events],
+    actionHistory: [...session.actionHistory],
+    tableChanges: [...session.tableChanges],
+    compactedHands: [...session.compactedHands],
+  });
+  const getLegalActions = () => {
+    if (session.state.phase === "ended") {
+      return [];
+    }
+    return legalActionsForPlayer(
+      session.state,
+      handConfig(config, session.state.handId)
+    );
+  };
+
+  return {
+    getSnapshot,
+    getObservation: (seat: SeatIndex) =>
+      observe(
+        getSnapshot(),
+        seat,
+        seat === session.state.actionSeat ? getLegalActions() : []
+      ),
+    getSpectatorView: () => observe(getSnapshot(), null, []),
+    getLegalActions,
     applyAction: (action: Action) => {
-      if (state.phase === "ended") {
-        throw new Error("Hand is over.");
+      applySessionAction(session, config, action);
+      changed();
+    },
+    timeOut: () => {
+      const allowed = timeAllowed(session.state, config);
+      if (allowed === null) {
+        throw new Error("No action clock is configured.");
       }
-      applyPlayerAction(state, config, action);
-      actionHistory.push(action);
-      events.push({
-        type: "action_taken",
-        handId: state.handId,
-        data: { action },
+      // Recorded as an action that took the whole allowance, so replays
+      // time out the same way; the type is replaced by the timeout action
+      applySessionAction(session, config, {
+        actor: session.state.actionSeat,
+        type: "fold",
+        amount: null,
+        elapsed: allowed,
       });
-      advanceAfterAction(state, config, events);
+      changed();
     },
     startNextHand: () => {
-      if (state.phase !== "ended") {
-        throw new Error("Current hand is not finished.");
+      startSessionNextHand(session, config);
+      changed();
+    },
+    undo: () => {
+      if (session.actionHistory.length === 0) {
+        throw new Error("Nothing to undo.");
       }
-      state.handId += 1;
-      ensureHandSetup(state, config, events);
+      session = replaySession(config, session, session.actionHistory.length - 1);
+      replayed();
+    },
+    rewindTo: (actionIndex: number) => {
+      session = replaySession(config, session, actionIndex);
+      replayed();
+    },
+    fork: (actionIndex?: number) =>
+      createEngineFromSession(
+        config,
+        replaySession(config, session, actionIndex ?? session.actionHistory.length),
+        options
+      ),
+    sitOut: (seat: SeatIndex) => {
+      applyTableChange(session, config, "sit_out", seat, null);
+      changed();
+    },
+    sitIn: (seat: SeatIndex) => {
+      applyTableChange(session, config, "sit_in", seat, null);
+      changed();
+    },
+    rebuy: (seat: SeatIndex, amount: number) => {
+      applyTableChange(session, config, "rebuy", seat, amount);
+      changed();
+    },
+    topUp: (seat: SeatIndex, amount: number) => {
+      applyTableChange(session, config, "top_up", seat, amount);
+      changed();
+    },
+    leaveSeat: (seat: SeatIndex) => {
+      applyTableChange(session, config, "leave_seat", seat, null);
+      changed();
+    },
+    joinSeat: (seat: SeatIndex, stack: number) => {
+      applyTableChange(session, config, "join_seat", seat, stack);
+      changed();
+    },
+    subscribe: (listener: EngineEventListener, subscribeOptions: SubscribeOptions = {}) => {
+      const length = logLength();
+      const fromIndex = subscribeOptions.fromIndex ?? length;
+      if (!Number.isInteger(fromIndex) || fromIndex < 0 || fromIndex > length) {
+        throw new Error(`fromIndex must be between 0 and ${length}.`);
+      }
+      const subscription: Subscription = {
+        listener,
+        delivered: Math.max(fromIndex, offset),
+        onRewind: subscribeOptions.onRewind,
+      };
+      subscriptions.add(subscription);
+      deliver(subscription);
+      return () => {
+        subscriptions.delete(subscription);
+      };
     },
   };
 }
+
+export function createEngine(config: GameConfig, options: EngineOptions = {}): Engine {
+  const secured = { ...config, deckSecret: config.deckSecret ?? randomDeckSecret() };
+  return createEngineFromSession(secured, startSession(secured), options);
+}
+
+// Resume from a serialized getSnapshot() result (after a refresh or restart).
+// The snapshot is validated and deep-copied so the caller's object stays inert.
+export function restoreEngine(
+  snapshot: EngineSnapshot,
+  options: EngineOptions = {}
+): Engine {
+  validateSnapshot(snapshot);
+  const copy: EngineSnapshot = JSON.parse(JSON.stringify(snapshot));
+  return createEngineFromSession(
+    copy.config,
+    {
+      state: copy.state,
+      events: copy.events,
+      actionHistory: copy.actionHistory,
+      tableChanges: copy.tableChanges ?? [],
+      compactedHands: copy.compactedHands ?? [],
+    },
+    options
+  );
+}
@@ -0,0 +1,139 @@
+import { calculateEquity, parseRange } from "./equity";
+import { buildDecisionInput } from "./buildDecisionInput";
+import { cards } from "./test_helpers";
+import { Card } from "./types";
+
+test("Equity: river outs are counted exactly", () => {
+  const result = calculateEquity({
+    hands: [cards("Ah Ad"), cards("Kh Kd")],
+    board: cards("2c 7d 9h Js"),
+  });
+
+  // Kings hit one of the two kings left in 44 rivers
+  expect(result.exact).toBe(true);
+  expect(result.trials).toBe(44);
+  expect(result.equity[1]).toBeCloseTo(2 / 44);
+  expect(result.win[0]).toBeCloseTo(42 / 44);
+});
+
+test("Equity: dead cards are removed from the runout", () => {
+  const result = calculateEquity({
+    hands: [cards("Ah Ad"), cards("Kh Kd")],
+    board: cards("2c 7d 9h Js"),
+    dead: cards("Kc Ks"),
+  });
+
+  expect(result.trials).toBe(42);
+  expect(result.equity).toEqual([1, 0]);
+});
+
+test("Equity: split pots share the equity", () => {
+  const result = calculateEquity({
+    hands: [cards("2c 3d"), cards("4h 5h")],
+    board: cards("As Ks Qs Js Ts"),
+  });
+
+  expect(result.equity).toEqual([0.5, 0.5]);
+  expect(result.tie).toEqual([1, 1]);
+  expect(result.win).toEqual([0, 0]);
+});
+
+test("Equity: Monte Carlo sampling is seeded and close to the known preflop odds", () => {
+  const options = { hands: [cards("Ah As"), cards("Kd Kc")], iterations: 4000, seed: "aa-kk" };
+  const result = calculateEquity(options);
+
+  expect(result.exact).toBe(false);
+  expect(result.trials).toBe(4000);
+  // Aces are about an 82% favourite over kings
+  expect(Math.abs(result.equity[0] - 0.82)).toBeLessThan(0.03);
+  expect(result.equity[0] + result.equity[1]).toBeCloseTo(1);
+  expect(calculateEquity(options)).toEqual(result);
+});
+
+test("Equity: ranges expand to combos without the known cards", () => {
+  expect(parseRange("QQ+")).toHaveLength(18);
+  expect(parseRange("AKs, AKo")).toHaveLength(16);
+  expect(parseRange("ATs+")).toHaveLength(16);
+  expect(parseRange("T9s-65s")).toHaveLength(20);
+  expect(parseRange("A2s-A5s")).toHaveLength(16);
+  expect(parseRange("22-44, 33")).toHaveLength(18);
+  expect(parseRange("AhKh")).toEqual([cards("Ah Kh")]);
+  expect(() => parseRange("AKx")).toThrow("Invalid range token: AKx.");
+  expect(() => parseRange("KAs")).toThrow("Invalid range token: KAs.");
+
+  // Only the black aces are left for the range
+  const result = calculateEquity({
+    hands: [cards("Ah Ad"), "AA"],
+    board: cards("2c 7d 9h Js 3c"),
+  });
+  expect(result.trials).toBe(1);
+  expect(result.equity).toEqual([0.5, 0.5]);
+});
+
+test("Equity: a range and an unknown hand are dealt around the known cards", () => {
+  const versusRange = calculateEquity({
+    hands: [cards("Qh Qd"), "AA, KK"],
+    board: cards("2c 7d 9h Js"),
+  });
+  // 12 combos of aces and kings, each with 44 rivers; queens need one of two
+  expect(versusRange.exact).toBe(true);
+  expect(versusRange.trials).toBe(12 * 44);
+  expect(versusRange.equity[0]).toBeCloseTo(2 / 44);
+
+  const versusAny = calculateEquity({
+    hands: [cards("Qh Qd"), null],
+    board: cards("2c 7d 9h Js 3s"),
+  });
+  expect(versusAny.trials).toBe((45 * 44) / 2);
+  expect(versusAny.equity[0]).toBeGreaterThan(0.8);
+});
+
+test("Equity: Omaha and short deck use their own deck and hand rules", () => {
+  const omaha = calculateEquity({
+    hands: [cards("As Kd 4c 3h"), cards("Qh Qd 8c 8d")],
+    board: cards("Ks Qs 7s 2s"),
+    gameType: "omaha",
+  });
+  // The lone spade in seat 0's hand never makes a flush
+  expect(omaha.exact).toBe(true);
+  expect(omaha.trials).toBe(40);
+  expect(omaha.equity[1]).toBeGreaterThan(0.9);
+
+  const shortDeck = calculateEquity({
+    hands: [cards("Qh Jh"), cards("9d Ks")],
+    board: cards("Ah Kh 9h 9c 6s"),
+    gameType: "shortdeck",
+  });
+  expect(shortDeck.equity).toEqual([1, 0]);
+  expect(() =>
+    calculateEquity({ hands: [cards("2h 3h"), null], gameType: "shortdeck" })
+  ).toThrow("Card 2h is not in the deck.");
+});
+
+test("Equity: invalid inputs are rejected", () => {
+  expect(() => calculateEquity({ hands: [cards("Ah Ad")] })).toThrow(
+    "Equity needs at least two hands."
+  );
+  expect(() =>
+    calculateEquity({ hands: [cards("Ah Ad"), cards("Ah Kd")] })
+  ).toThrow("Card Ah appears more than once.");
+  expect(() =>
+    calculateEquity({ hands: [cards("Ah Ad Kc Kd"), "AA"], gameType: "omaha" })
+  ).toThrow("Ranges need a two-card game.");
+  expect(() =>
+    calculateEquity({ hands: [cards("Ah Ad"), "AA"], dead: cards("Ac") })
+  ).toThrow('Range "AA" has no hands left once known cards are removed.');
+});
+
+test("Equity: decision input carries equity only when it is given", () => {
+  const params = {
+    engineFacts: {},
+    profile: {},
+    state: { position: 0, pot: 30, to_call: 10, legal_actions: [] },
+    legalActions: [],
+  };
+
+  expect(buildDecisionInput(params).state.equity).toBeNull();
+  const withEquity = buildDecisionInput({ ...params, state: { ...params.state, equity: 0.625 } });
+  expect(withEquity.state.equity).toBe(0.625);
+});
@@ -0,0 +1,343 @@
+import { Card, GameType, HOLE_CARD_COUNT, Rank, Suit } from "./types.js";
+import { createDeck } from "./deck.js";
+import { combinations, compareHands, evaluateHand, HandRank } from "./evaluate.js";
+import { createRng, Rng } from "./rng.js";
+
+// A hand in an equity calculation: known hole cards, a range in the usual
+// notation ("QQ+, AKs, KQo, T9s-65s, AhKh"), or null for any hand
+export type EquityHand = Card[] | string | null;
+
+export type EquityOptions = {
+  hands: EquityHand[];
+  // Known board cards, 0 to 5
+  board?: Card[];
+  // Cards known to be out of play (folded or burned cards seen)
+  dead?: Card[];
+  // Deck and hand rules; defaults to "holdem"
+  gameType?: GameType;
+  // Monte Carlo samples, and the most deals to enumerate exactly; defaults to 10000
+  iterations?: number;
+  seed?: string;
+};
+
+export type EquityResult = {
+  // Share of the pot each hand wins on average, ties split (sums to 1)
+  equity: number[];
+  // Share of deals won outright and split
+  win: number[];
+  tie: number[];
+  // Deals counted, and whether they were every possible deal
+  trials: number;
+  exact: boolean;
+};
+
+const RANK_ORDER: Rank[] = ["2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K", "A"];
+const SUITS: Suit[] = ["c", "d", "h", "s"];
+const DEFAULT_ITERATIONS = 10000;
+
+function cardCode(card: Card): string {
+  return `${card.rank}${card.suit}`;
+}
+
+function rankIndex(rank: string, token: string): number {
+  const index = RANK_ORDER.indexOf(rank as Rank);
+  if (index < 0) {
+    throw new Error(`Invalid range token: ${token}.`);
+  }
+  return index;
+}
+
+// Every suit combination of two ranks: 6 for a pair, 4 suited, 12 offsuit
+function rankCombos(high: number, low: number, suited: "s" | "o" | ""): Card[][] {
+  const combos: Card[][] = [];
+  for (let a = 0; a < SUITS.length; a += 1) {
+    for (let b = 0; b < SUITS.length; b += 1) {
+      if (high === low ? b <= a : (suited === "s" && a !== b) || (suited === "o" && a === b)) {
+        continue;
+      }
+      combos.push([
+        { rank: RANK_ORDER[high], suit: SUITS[a] },
+        { rank: RANK_ORDER[low], suit: SUITS[b] },
+      ]);
+    }
+  }
+  return combos;
+}
+
+function parseRangeToken(token: string): Card[][] {
+  const combo = /^([2-9TJQKA][cdhs])([2-9TJQKA][cdhs])$/.exec(token);
+  if (combo) {
+    return [[combo[1], combo[2]].map((code) => ({ rank: code[0], suit: code[1] }) as Card)];
+  }
+  const [from, to] = token.split("-");
+  const hand = /^([2-9TJQKA])([2-9TJQKA])([so]?)(\+?)$/.exec(from);
+  if (!hand || (to !== undefined && hand[4])) {
+    throw new Error(`Invalid range token: ${token}.`);
+  }
+  const high = rankIndex(hand[1], token);
+  const low = rankIndex(hand[2], token);
+  const suited = hand[3] as "s" | "o" | "";
+  if (low > high || (high === low && suited)) {
+    throw new Error(`Invalid range token: ${token}.`);
+  }
+
+  // "+" raises a pair to aces, or a kicker to one below the high card
+  let steps: [number, number][] = [[high, low]];
+  if (hand[4]) {
+    const top = high === low ? RANK_ORDER.length - 1 : high - 1;
+    steps = [];
+    for (let kicker = low; kicker <= top; kicker += 1) {
+      steps.push(high === low ? [kicker, kicker] : [high, kicker]);
+    }
+  } else if (to !== undefined) {
+    const end = /^([2-9TJQKA])([2-9TJQKA])([so]?)$/.exec(to);
+    const endHigh = end ? rankIndex(end[1], token) : -1;
+    const endLow = end ? rankIndex(end[2], token) : -1;
+    // Either the high card stays put ("A2s-A5s") or both ranks move together,
+    // as pairs and connectors do ("22-55", "T9s-65s")
+    const fixedHigh = high !== low && endHigh === high;
+    if (!end || end[3] !== suited || (!fixedHigh && endHigh - endLow !== high - low)) {
+      throw new Error(`Invalid range token: ${token}.`);
+    }
+    steps = [];
+    for (let kicker = Math.min(low, endLow); kicker <= Math.max(low, endLow); kicker += 1) {
+      steps.push(fixedHigh ? [high, kicker] : [kicker + high - low, kicker]);
+    }
+  }
+  return steps.flatMap(([h, l]) => rankCombos(h, l, suited));
+}
+
+// Two-card combos in a range; repeated hands are listed once
+export function parseRange(range: string): Card[][] {
+  const tokens = range.split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new Error("Range is empty.");
+  }
+  const seen = new Set<string>();
+  const combos: Card[][] = [];
+  for (const combo of tokens.flatMap(parseRangeToken)) {
+    const key = combo.map(cardCode).sort().join("");
+    if (!seen.has(key)) {
+      seen.add(key);
+      combos.push(combo);
+    }
+  }
+  return combos;
+}
+
+function choose(n: number, k: number): number {
+  if (k < 0 || k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let i = 0; i < k; i += 1) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return Math.round(result);
+}
+
+// Draw count cards not yet used from pool, marking them used
+function drawCards(pool: Card[], used: Set<string>, count: number, rng: Rng): Card[] {
+  const drawn: Card[] = [];
+  const candidates = pool.filter((card) => !used.has(cardCode(card)));
+  for (let i = 0; i < count; i += 1) {
+    const j = i + rng.nextInt(candidates.length - i);
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    drawn.push(candidates[i]);
+    used.add(cardCode(candidates[i]));
+  }
+  return drawn;
+}
+
+function tally(
+  gameType: GameType,
+  holes: Card[][],
+  board: Card[],
+  wins: number[],
+  ties: number[],
+  shares: number[]
+) {
+  const ranks = holes.map((hole) => evaluateHand(gameType, hole, board));
+  let best: HandRank = ranks[0];
+  for (const rank of ranks) {
+    if (compareHands(rank, best, gameType) > 0) {
+      best = rank;
+    }
+  }
+  const winners = ranks
+    .map((rank, index) => (compareHands(rank, best, gameType) === 0 ? index : -1))
+    .filter((index) => index >= 0);
+  for (const index of winners) {
+    if (winners.length === 1) {
+      wins[index] += 1;
+    } else {
+      ties[index] += 1;
+    }
+    shares[index] += 1 / winners.length;
+  }
+}
+
+// Pot equity for each hand: exact over every deal when there are no more
+// deals than iterations, seeded Monte Carlo sampling otherwise
+export function calculateEquity(options: EquityOptions): EquityResult {
+  const gameType = options.gameType ?? "holdem";
+  const holeCount = HOLE_CARD_COUNT[gameType];
+  if (holeCount === undefined) {
+    throw new Error(`Unknown gameType: ${gameType}.`);
+  }
+  const board = options.board ?? [];
+  const iterations = options.iterations ?? DEFAULT_ITERATIONS;
+  if (options.hands.length < 2) {
+    throw new Error("Equity needs at least two hands.");
+  }
+  if (board.length > 5) {
+    throw new Error("Board can have at most 5 cards.");
+  }
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error("iterations must be a positive integer.");
+  }
+
+  const deck = createDeck(gameType);
+  const inDeck = new Set(deck.map(cardCode));
+  const known = new Set<string>();
+  const fixed = [...board, ...(options.dead ?? [])];
+  options.hands.forEach((hand, index) => {
+    if (Array.isArray(hand)) {
+      if (hand.length !== holeCount) {
+        throw new Error(`Hand ${index + 1} must have ${holeCount} cards.`);
+      }
+      fixed.push(...hand);
+    }
+  });
+  for (const card of fixed) {
+    const code = cardCode(card);
+    if (!inDeck.has(code)) {
+      throw new Error(`Card ${code} is not in the deck.`);
+    }
+    if (known.has(code)) {
+      throw new Error(`Card ${code} appears more than once.`);
+    }
+    known.add(code);
+  }
+
+  const pool = deck.filter((card) => !known.has(cardCode(card)));
+  // Range combos that use only cards still in play
+  const ranges = options.hands.map((hand) => {
+    if (typeof hand !== "string") {
+      return null;
+    }
+    if (holeCount !== 2) {
+      throw new Error("Ranges need a two-card game.");
+    }
+    const combos = parseRange(hand).filter((combo) =>
+      combo.every((card) => inDeck.has(cardCode(card)) && !known.has(cardCode(card)))
+    );
+    if (combos.length === 0) {
+      throw new Error(`Range "${hand}" has no hands left once known cards are removed.`);
+    }
+    return combos;
+  });
+
+  const unknown = options.hands.filter((hand) => !Array.isArray(hand)).length;
+  const missing = 5 - board.length;
+  if (unknown * holeCount + missing > pool.length) {
+    throw new Error("Not enough cards left to deal every hand and the board.");
+  }
+  // Upper bound on distinct deals; combos that share a card are skipped
+  let deals = choose(pool.length - unknown * holeCount, missing);
+  let left = pool.length;
+  options.hands.forEach((hand, index) => {
+    if (hand === null) {
+      deals *= choose(left, holeCount);
+      left -= holeCount;
+    } else {
+      deals *= ranges[index]?.length ?? 1;
+    }
+  });
+
+  const count = options.hands.length;
+  const wins = new Array<number>(count).fill(0);
+  const ties = new Array<number>(count).fill(0);
+  const shares = new Array<number>(count).fill(0);
+  let trials = 0;
+  const exact = deals <= iterations;
+
+  if (exact) {
+    const holes: Card[][] = [];
+    const used = new Set<string>();
+    const candidates = (index: number): Card[][] => {
+      const hand = options.hands[index];
+      if (Array.isArray(hand)) {
+        return [hand];
+      }
+      const free = pool.filter((card) => !used.has(cardCode(card)));
+      return ranges[index] ?? combinations(free, holeCount);
+    };
+    const deal = (index: number) => {
+      if (index === count) {
+        const free = pool.filter((card) => !used.has(cardCode(card)));
+        for (const runout of combinations(free, missing)) {
+          tally(gameType, holes, [...board, ...runout], wins, ties, shares);
+          trials += 1;
+        }
+        return;
+      }
+      for (const combo of candidates(index)) {
+        const codes = Array.isArray(options.hands[index]) ? [] : combo.map(cardCode);
+        if (codes.some((code) => used.has(code))) {
+          continue;
+        }
+        codes.forEach((code) => used.add(code));
+        holes[index] = combo;
+        deal(index + 1);
+        codes.forEach((code) => used.delete(code));
+      }
+    };
+    deal(0);
+  } else {
+    const rng = createRng(options.seed ?? "equity");
+    let attempts = 0;
+    while (trials < iterations) {
+      attempts += 1;
+      if (attempts > iterations * 100) {
+        throw new Error("Ranges leave no possible deal.");
+      }
+      const used = new Set<string>();
+      const holes: Card[][] = [];
+      let clash = false;
+      // Ranges first: a clash redraws the whole deal so combos stay unbiased
+      options.hands.forEach((hand, index) => {
+        const range = ranges[index];
+        if (Array.isArray(hand)) {
+          holes[index] = hand;
+        } else if (range && !clash) {
+          const combo = range[rng.nextInt(range.length)];
+          clash = combo.some((card) => used.has(cardCode(card)));
+          combo.forEach((card) => used.add(cardCode(card)));
+          holes[index] = combo;
+        }
+      });
+      if (clash) {
+        continue;
+      }
+      options.hands.forEach((hand, index) => {
+        if (hand === null) {
+          holes[index] = drawCards(pool, used, holeCount, rng);
+        }
+      });
+      tally(gameType, holes, [...board, ...drawCards(pool, used, missing, rng)], wins, ties, shares);
+      trials += 1;
+    }
+  }
+
+  if (trials === 0) {
+    throw new Error("Ranges leave no possible deal.");
+  }
+  return {
+    equity: shares.map((share) => share / trials),
+    win: wins.map((value) => value / trials),
+    tie: ties.map((value) => value / trials),
+    trials,
+    exact,
+  };
+}
@@ -1,10 +1,20 @@
-import { Card } from "./types";
+import { Card, GameType } from "./types";
+import { lookupHand } from "./evaluateTables.js";
 
 export type HandRank = {
   category: number;
   ranks: number[];
 };
 
+// A shown hand in full: the five cards that make it, most important first
+// (pairs before kickers; a wheel ends with its ace), and its name with every
+// rank that can break a tie ("Two Pair, Kings and Nines, Ace kicker")
+export type HandDescription = {
+  rank: HandRank;
+  name: string;
+  cards: Card[];
+};
+
 const RANK_VALUE: Record<string, number> = {
   "2": 2,
   "3": 3,
@@ -21,9 +31,18 @@ const RANK_VALUE: Record<string, number> = {
   A: 14,
 };
 
-function compareRank(a: HandRank, b: HandRank): number {
+// Short deck keeps the category numbers (and their names) but ranks a flush
+// above a full house: with 36 cards, flushes are the rarer hand
+function categoryStrength(category: number, shortDeck: boolean): number {
+  if (shortDeck && (category === 5 || category === 6)) {
+    return category === 5 ? 6 : 5;
+  }
+  return category;
+}
+
+function compareRank(a: HandRank, b: HandRank, shortDeck = false): number {
   if (a.category !== b.category) {
-    return a.category - b.category;
+    return categoryStrength(a.category, shortDeck) - categoryStrength(b.category, shortDeck);
   }
   for (let i = 0; i < Math.max(a.ranks.length, b.ranks.length); i += 1) {
     const av = a.ranks[i] ?? 0;
@@ -35,7 +54,9 @@ function compareRank(a: HandRank, b: HandRank): number {
   return 0;
 }
 
-function isStraight(values: number[]): number | null {
+// The ace plays low below the lowest rank in the deck: A-2-3-4-5, or
+// A-6-7-8-9 in short deck
+function isStraight(values: number[], shortDeck: boolean): number | null {
   const uniq = Array.from(new Set(values)).sort((a, b) => b - a);
   if (uniq.length < 5) {
     return null;
@@ -54,14 +75,14 @@ function isStraight(values: number[]): number | null {
       return high;
     }
   }
-  const wheel = [14, 5, 4, 3, 2];
+  const wheel = shortDeck ? [14, 9, 8, 7, 6] : [14, 5, 4, 3, 2];
   if (wheel.every((v) => uniq.includes(v))) {
-    return 5;
+    return wheel[1];
   }
   return null;
 }
 
-function evaluate5(cards: Card[]): HandRank {
+function evaluate5(cards: Card[], shortDeck = false): HandRank {
   const values = cards.map((c) => RANK_VALUE[c.rank]).sort((a, b) => b - a);
   const suits = cards.map((c) => c.suit);
   const flush = suits.every((s) => s === suits[0]);
@@ -79,7 +100,7 @@ function evaluate5(cards: Card[]): HandRank {
       return b.rank - a.rank;
     });
 
-  const straightHigh = isStraight(values);
+  const straightHigh = isStraight(values, shortDeck);
 
   if (straightHigh !== null && flush) {
     return { category: 8, ranks: [straightHigh] };
@@ -122,10 +143,27 @@ function evaluate5(cards: Card[]): HandRank {
   return { category: 0, ranks: values };
 }
 
-export function evaluate7(cards: Card[]): HandRank {
+export function evaluate7(cards: Card[], gameType: GameType = "holdem"): HandRank {
   if (cards.length !== 7) {
     throw new Error("evaluate7 requires exactly 7 cards.");
   }
+  return lookupHand(cards, gameType === "shortdeck");
+}
+
+// Reference evaluators: direct and slow. The lookup tables behind evaluate7
+// and evaluateOmaha are tested against them hand for hand.
+export function evaluate5Reference(cards: Card[], gameType: GameType = "holdem"): HandRank {
+  if (cards.length !== 5) {
+    throw new Error("evaluate5Reference requires exactly 5 cards.");
+  }
+  return evaluate5(cards, gameType === "shortdeck");
+}
+
+export function evaluate7Reference(cards: Card[], gameType: GameType = "holdem"): HandRank {
+  const shortDeck = gameType === "shortdeck";
+  if (cards.length !== 7) {
+    throw new Error("evaluate7Reference requires exactly 7 cards.");
+  }
   let best: HandRank | null = null;
   for (let a = 0; a < 3; a += 1) {
     for (let b = a + 1; b < 4; b += 1) {
@@ -138,8 +176,8 @@ export function evaluate7(cards: Card[]): HandRank {
               cards[c],
               cards[d],
               cards[e],
-            ]);
-            if (!best || compareRank(rank, best) > 0) {
+            ], shortDeck);
+            if (!best || compareRank(rank, best, shortDeck) > 0) {
               best = rank;
             }
           }
@@ -150,6 +188,141 @@ export function evaluate7(cards: Card[]): HandRank {
   return best as HandRank;
 }
 
-export function compareHands(a: HandRank, b: HandRank): number {
-  return compareRank(a, b);
+export function combinations<T>(items: T[], size: number): T[][] {
+  if (size === 0) {
+    return [[]];
+  }
+  const result: T[][] = [];
+  for (let i = 0; i <= items.length - size; i += 1) {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([items[i], ...rest]);
+    }
+  }
+  return result;
+}
+
+// Omaha: exactly two hole cards and exactly three board cards
+export function evaluateOmaha(holeCards: Card[], board: Card[]): HandRank {
+  if (holeCards.length < 2 || board.length < 3) {
+    throw new Error("evaluateOmaha requires at least 2 hole cards and 3 board cards.");
+  }
+  let best: HandRank | null = null;
+  for (const hole of combinations(holeCards, 2)) {
+    for (const common of combinations(board, 3)) {
+      const rank = lookupHand([...hole, ...common]);
+      if (!best || compareRank(rank, best) > 0) {
+        best = rank;
+      }
+    }
+  }
+  return best as HandRank;
+}
+
+const CATEGORY_NAMES = [
+  "High Card",
+  "One Pair",
+  "Two Pair",
+  "Three of a Kind",
+  "Straight",
+  "Flush",
+  "Full House",
+  "Four of a Kind",
+  "Straight Flush",
+];
+
+const RANK_NAMES = [
+  "", "", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Jack", "Queen", "King", "Ace",
+];
+
+export function categoryName(category: number): string {
+  return CATEGORY_NAMES[category] ?? CATEGORY_NAMES[0];
+}
+
+function rankName(value: number): string {
+  return RANK_NAMES[value];
+}
+
+function rankPlural(value: number): string {
+  return value === 6 ? "Sixes" : `${RANK_NAMES[value]}s`;
+}
+
+function kickerText(values: number[]): string {
+  const names = values.map(rankName).join("-");
+  return values.length === 1 ? `${names} kicker` : `${names} kickers`;
+}
+
+export function handName(rank: HandRank): string {
+  const [first, second] = rank.ranks;
+  const name = categoryName(rank.category);
+  switch (rank.category) {
+    case 8:
+      return first === 14 ? "Royal Flush" : `${name}, ${rankName(first)} high`;
+    case 7:
+      return `${name}, ${rankPlural(first)}, ${kickerText([second])}`;
+    case 6:
+      return `${name}, ${rankPlural(first)} full of ${rankPlural(second)}`;
+    case 4:
+      return `${name}, ${rankName(first)} high`;
+    case 3:
+    case 1:
+      return `${name}, ${rankPlural(first)}, ${kickerText(rank.ranks.slice(1))}`;
+    case 2:
+      return `${name}, ${rankPlural(first)} and ${rankPlural(second)}, ${kickerText([rank.ranks[2]])}`;
+    default:
+      return `${name}, ${rank.ranks.map(rankName).join("-")}`;
+  }
+}
+
+// Most important card first: bigger groups, then higher ranks
+function orderBestCards(cards: Card[], rank: HandRank): Card[] {
+  const count = (card: Card) => cards.filter((c) => c.rank === card.rank).length;
+  const ordered = [...cards].sort(
+    (a, b) => count(b) - count(a) || RANK_VALUE[b.rank] - RANK_VALUE[a.rank]
+  );
+  const straight = rank.category === 4 || rank.category === 8;
+  if (straight && ordered[0].rank === "A" && rank.ranks[0] !== 14) {
+    ordered.push(ordered.shift() as Card);
+  }
+  return ordered;
+}
+
+// Name a player's best hand and find the five cards that make it. Slower
+// than evaluateHand (every five-card combination is ranked), so it is meant
+// for the hands shown at showdown rather than for equity or search.
+export function describeHand(
+  gameType: GameType,
+  holeCards: Card[],
+  board: Card[]
+): HandDescription {
+  const omaha = gameType === "omaha" || gameType === "omaha5";
+  const shortDeck = gameType === "shortdeck";
+  const candidates = omaha
+    ? combinations(holeCards, 2).flatMap((hole) =>
+        combinations(board, 3).map((common) => [...hole, ...common])
+      )
+    : combinations([...holeCards, ...board], 5);
+  if (candidates.length === 0) {
+    throw new Error("describeHand requires enough cards for a five-card hand.");
+  }
+  let best: { rank: HandRank; cards: Card[] } | null = null;
+  for (const cards of candidates) {
+    const rank = evaluate5(cards, shortDeck);
+    if (!best || compareRank(rank, best.rank, shortDeck) > 0) {
+      best = { rank, cards };
+    }
+  }
+  const { rank, cards } = best as { rank: HandRank; cards: Card[] };
+  return { rank, name: handName(rank), cards: orderBestCards(cards, rank) };
+}
+
+// A player's best hand under the game's rules
+export function evaluateHand(gameType: GameType, holeCards: Card[], board: Card[]): HandRank {
+  return gameType === "omaha" || gameType === "omaha5"
+    ? evaluateOmaha(holeCards, board)
+    : evaluate7([...holeCards, ...board], gameType);
+}
+
+export function compareHands(a: HandRank, b: HandRank, gameType: GameType = "holdem"): number {
+  return compareRank(a, b, gameType === "shortdeck");
 }
@@ -0,0 +1,201 @@
+import { Card } from "./types.js";
+import type { HandRank } from "./evaluate.js";
+
+// Table-driven evaluation of 5 to 7 cards. Without a flush the best hand
+// depends only on how many cards of each rank there are, so the rank counts
+// are packed into one base-5 integer and looked up; with five or more cards
+// of one suit the best hand is a flush or straight flush (no full house or
+// quads fits in the remaining cards), looked up by that suit's rank bitmask.
+
+type Tables = {
+  // Open-addressed hash of rank-count keys; slot values index into hands
+  keys: Int32Array;
+  slots: Int32Array;
+  hands: HandRank[];
+  flush: HandRank[];
+};
+
+const RANK_INDEX: Record<string, number> = {
+  "2": 0,
+  "3": 1,
+  "4": 2,
+  "5": 3,
+  "6": 4,
+  "7": 5,
+  "8": 6,
+  "9": 7,
+  T: 8,
+  J: 9,
+  Q: 10,
+  K: 11,
+  A: 12,
+};
+const SUIT_INDEX: Record<string, number> = { c: 0, d: 1, h: 2, s: 3 };
+// Indexed by character code, to skip string-keyed lookups in the hot loop
+const RANK_BY_CODE = new Int8Array(128).fill(-1);
+const SUIT_BY_CODE = new Int8Array(128).fill(-1);
+for (const [rank, index] of Object.entries(RANK_INDEX)) {
+  RANK_BY_CODE[rank.charCodeAt(0)] = index;
+}
+for (const [suit, index] of Object.entries(SUIT_INDEX)) {
+  SUIT_BY_CODE[suit.charCodeAt(0)] = index;
+}
+const RANK_KEY = Int32Array.from({ length: 13 }, (_, index) => 5 ** index);
+// About 74,000 rank patterns of 5 to 7 cards fit a 2^18-slot table
+const HASH_BITS = 18;
+// Short deck has no 2s through 5s
+const SHORT_DECK_LOW = RANK_INDEX["6"];
+
+const suitMasks = new Int32Array(4);
+const suitCounts = new Int32Array(4);
+let standardTables: Tables | null = null;
+let shortDeckTables: Tables | null = null;
+
+function handRank(category: number, ranks: number[]): HandRank {
+  return Object.freeze({ category, ranks: Object.freeze(ranks.map((index) => index + 2)) as number[] });
+}
+
+// High card index of the best straight in a rank bitmask; the ace also plays
+// below the lowest rank (A-2-3-4-5, or A-6-7-8-9 in short deck)
+function straightHigh(mask: number, shortDeck: boolean): number | null {
+  for (let top = 12; top >= 4; top -= 1) {
+    const run = 0b11111 << (top - 4);
+    if ((mask & run) === run) {
+      return top;
+    }
+  }
+  const low = shortDeck ? SHORT_DECK_LOW : 0;
+  const wheel = (1 << 12) | (0b1111 << low);
+  return (mask & wheel) === wheel ? low + 3 : null;
+}
+
+function ranksInMask(mask: number): number[] {
+  const ranks: number[] = [];
+  for (let index = 12; index >= 0; index -= 1) {
+    if (mask & (1 << index)) {
+      ranks.push(index);
+    }
+  }
+  return ranks;
+}
+
+function flushRank(mask: number, shortDeck: boolean): HandRank {
+  const high = straightHigh(mask, shortDeck);
+  return high !== null ? handRank(8, [high]) : handRank(5, ranksInMask(mask).slice(0, 5));
+}
+
+// Best hand for rank counts (index 0 = deuce) when no flush is possible
+function countsRank(counts: number[], shortDeck: boolean): HandRank {
+  const byCount: number[][] = [[], [], [], [], []];
+  let mask = 0;
+  for (let index = 12; index >= 0; index -= 1) {
+    byCount[counts[index]].push(index);
+    if (counts[index] > 0) {
+      mask |= 1 << index;
+    }
+  }
+  const [, singles, pairs, trips, quads] = byCount;
+  if (quads.length > 0) {
+    const kicker = ranksInMask(mask).find((index) => index !== quads[0]) as number;
+    return handRank(7, [quads[0], kicker]);
+  }
+  if (trips.length > 1 || (trips.length === 1 && pairs.length > 0)) {
+    return handRank(6, [trips[0], Math.max(trips[1] ?? -1, pairs[0] ?? -1)]);
+  }
+  const straight = straightHigh(mask, shortDeck);
+  if (straight !== null) {
+    return handRank(4, [straight]);
+  }
+  if (trips.length === 1) {
+    return handRank(3, [trips[0], ...singles.slice(0, 2)]);
+  }
+  if (pairs.length > 1) {
+    return handRank(2, [pairs[0], pairs[1], Math.max(pairs[2] ?? -1, singles[0] ?? -1)]);
+  }
+  if (pairs.length === 1) {
+    return handRank(1, [pairs[0], ...singles.slice(0, 3)]);
+  }
+  return handRank(0, singles.slice(0, 5));
+}
+
+function hashSlot(key: number): number {
+  return Math.imul(key, 0x9e3779b1) >>> (32 - HASH_BITS);
+}
+
+function buildTables(shortDeck: boolean): Tables {
+  const low = shortDeck ? SHORT_DECK_LOW : 0;
+  const size = 1 << HASH_BITS;
+  const keys = new Int32Array(size).fill(-1);
+  const slots = new Int32Array(size);
+  const hands: HandRank[] = [];
+  const counts = new Array<number>(13).fill(0);
+  // Every way to hold 5 to 7 cards with at most four of a rank
+  const visit = (index: number, cards: number, key: number) => {
+    if (index > 12) {
+      if (cards >= 5) {
+        let slot = hashSlot(key);
+        while (keys[slot] !== -1) {
+          slot = (slot + 1) & (size - 1);
+        }
+        keys[slot] = key;
+        slots[slot] = hands.length;
+        hands.push(countsRank(counts, shortDeck));
+      }
+      return;
+    }
+    const most = index < low ? 0 : Math.min(4, 7 - cards);
+    for (let count = 0; count <= most; count += 1) {
+      counts[index] = count;
+      visit(index + 1, cards + count, key + count * RANK_KEY[index]);
+    }
+    counts[index] = 0;
+  };
+  visit(0, 0, 0);
+
+  const flush: HandRank[] = new Array(1 << 13);
+  for (let mask = 0; mask < 1 << 13; mask += 1) {
+    let bits = 0;
+    for (let m = mask; m; m &= m - 1) {
+      bits += 1;
+    }
+    if (bits >= 5 && (mask & ((1 << low) - 1)) === 0) {
+      flush[mask] = flushRank(mask, shortDeck);
+    }
+  }
+  return { keys, slots, hands, flush };
+}
+
+// Best hand among 5 to 7 cards. The returned rank is shared and frozen.
+export function lookupHand(cards: Card[], shortDeck = false): HandRank {
+  const tables = shortDeck
+    ? (shortDeckTables ??= buildTables(true))
+    : (standardTables ??= buildTables(false));
+  suitMasks[0] = suitMasks[1] = suitMasks[2] = suitMasks[3] = 0;
+  suitCounts[0] = suitCounts[1] = suitCounts[2] = suitCounts[3] = 0;
+  let key = 0;
+  for (let i = 0; i < cards.length; i += 1) {
+    const rank = RANK_BY_CODE[cards[i].rank.charCodeAt(0)];
+    const suit = SUIT_BY_CODE[cards[i].suit.charCodeAt(0)];
+    if (rank < 0 || suit < 0) {
+      throw new Error(`Cannot evaluate card ${cards[i].rank}${cards[i].suit}.`);
+    }
+    key += RANK_KEY[rank];
+    suitMasks[suit] |= 1 << rank;
+    suitCounts[suit] += 1;
+  }
+  for (let suit = 0; suit < 4; suit += 1) {
+    if (suitCounts[suit] >= 5) {
+      const flush = tables.flush[suitMasks[suit]];
+      if (flush) {
+        return flush;
+      }
+    }
+  }
+  const { keys } = tables;
+  for (let slot = hashSlot(key); keys[slot] !== -1; slot = (slot + 1) & (keys.length - 1)) {
+    if (keys[slot] === key) {
+      return tables.hands[tables.slots[slot]];
+    }
+  }
+  throw new Error(`Cannot evaluate ${cards.map((c) => `${c.rank}${c.suit}`).join(" ")}.`);
+}
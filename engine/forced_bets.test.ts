@@ -0,0 +1,126 @@
+import { createEngine } from "./engine";
+import { GameConfig } from "./types";
+
+const base: GameConfig = {
+  seed: "forced-bets",
+  deckSecret: "forced-bets",
+  startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+function eventsOfType(config: GameConfig, type: string) {
+  return createEngine(config)
+    .getSnapshot()
+    .events.filter((e) => e.type === type);
+}
+
+test("Forced bets: every dealt-in player posts the ante", () => {
+  const engine = createEngine({ ...base, ante: 5 });
+  const { state, events } = engine.getSnapshot();
+
+  const antes = events.filter((e) => e.type === "ante_posted");
+  expect(antes.map((e) => e.data.seat)).toEqual([0, 1, 2, 3, 4, 5]);
+  expect(state.players.map((p) => p.totalCommitted)).toEqual([5, 15, 25, 5, 5, 5]);
+  // Antes are not part of the bet to call
+  expect(state.currentBet).toBe(20);
+  expect(state.betThisRound[1]).toBe(10);
+  expect(state.pots[0].amount).toBe(60);
+});
+
+test("Forced bets: BB ante is dead money in the main pot", () => {
+  const engine = createEngine({
+    ...base,
+    startingStacks: [1000, 1000, 30, 1000, 1000, 1000],
+    bigBlindAnte: 20,
+  });
+  const { state } = engine.getSnapshot();
+
+  // The blind takes priority: BB covers 20 and antes only the remaining 10
+  expect(state.players[2].stack).toBe(0);
+  expect(state.players[2].deadCommitted).toBe(10);
+  expect(state.players[2].status).toBe("all_in");
+
+  // UTG shoves, everyone else folds
+  engine.applyAction({ actor: 3, type: "raise", amount: 1000 });
+  for (const seat of [4, 5, 0, 1]) {
+    engine.applyAction({ actor: seat, type: "fold", amount: null });
+  }
+
+  const summary = engine
+    .getSnapshot()
+    .events.find((e) => e.type === "hand_summary")!;
+  const pots = summary.data.pots as { amount: number; eligibleSeats: number[] }[];
+  // Main pot: 20 + 20 live, 10 SB, 10 dead ante; the rest returns to seat 3
+  expect(pots[0].amount).toBe(60);
+  expect([...pots[0].eligibleSeats].sort()).toEqual([2, 3]);
+  expect(pots[1]).toEqual(
+    expect.objectContaining({ amount: 980, eligibleSeats: [3] })
+  );
+  const total = engine
+    .getSnapshot()
+    .state.players.reduce((sum, p) => sum + p.stack, 0);
+  expect(total).toBe(5030);
+});
+
+test("Forced bets: UTG straddle sets the bet, min raise and acts last", () => {
+  const engine = createEngine({ ...base, straddle: "utg" });
+  const { state } = engine.getSnapshot();
+
+  expect(state.straddleSeat).toBe(3);
+  expect(state.currentBet).toBe(40);
+  expect(state.minRaiseTo).toBe(80);
+  expect(state.actionSeat).toBe(4);
+  expect(eventsOfType({ ...base, straddle: "utg" }, "straddle_posted")[0].data).toEqual({
+    seat: 3,
+    amount: 40,
+    straddle: "utg",
+  });
+
+  for (const seat of [4, 5, 0, 1, 2]) {
+    engine.applyAction({ actor: seat, type: "call", amount: null });
+  }
+  // Straddler keeps the option
+  expect(state.phase).toBe("preflop");
+  expect(state.actionSeat).toBe(3);
+  expect(engine.getLegalActions().map((a) => a.type)).toEqual(["check", "raise"]);
+});
+
+test("Forced bets: button straddle moves first action to the SB", () => {
+  const engine = createEngine({ ...base, straddle: "button", straddleAmount: 60 });
+  const { state } = engine.getSnapshot();
+
+  expect(state.straddleSeat).toBe(0);
+  expect(state.currentBet).toBe(60);
+  expect(state.minRaiseTo).toBe(120);
+  expect(state.actionSeat).toBe(1);
+});
+
+test("Forced bets: no straddle heads-up", () => {
+  const engine = createEngine({
+    ...base,
+    seatCount: 2,
+    startingStacks: [1000, 1000],
+    straddle: "utg",
+  });
+  const { state, events } = engine.getSnapshot();
+
+  expect(state.straddleSeat).toBeNull();
+  expect(state.currentBet).toBe(20);
+  expect(events.some((e) => e.type === "straddle_posted")).toBe(false);
+});
+
+test("Forced bets: antes that put everyone all-in run the board out", () => {
+  const engine = createEngine({
+    ...base,
+    seatCount: 2,
+    startingStacks: [5, 5],
+    ante: 5,
+  });
+  const { state } = engine.getSnapshot();
+
+  expect(state.phase).toBe("ended");
+  expect(state.board).toHaveLength(5);
+  expect(state.players.every((p) => p.holeCards.length === 2)).toBe(true);
+  expect(state.players[0].stack + state.players[1].stack).toBe(10);
+});
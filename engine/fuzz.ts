@@ -0,0 +1,433 @@
+import {
+  Action,
+  BettingStructure,
+  ChipAmount,
+  EngineSnapshot,
+  GameConfig,
+  GameType,
+  LegalAction,
+  SeatIndex,
+  ShowdownMode,
+  TableChangeType,
+} from "./types.js";
+import { createEngine, Engine } from "./engine.js";
+import { createRng, Rng } from "./rng.js";
+
+// One step of a fuzzed session, in the order it was taken
+export type FuzzStep =
+  | { type: "action"; action: Action }
+  | { type: "next_hand" }
+  | { type: "seat_change"; change: TableChangeType; seat: SeatIndex; amount: ChipAmount | null };
+
+export type FuzzOptions = {
+  // Run i plays the session seeded `${seed}:${i}`; defaults to "fuzz"
+  seed?: string;
+  // Sessions to play, each with its own table; defaults to 100
+  runs?: number;
+  // Hands per session, unless the table runs out of players; defaults to 50
+  handsPerRun?: number;
+  // Stop after this many failures; defaults to 1
+  maxFailures?: number;
+  // Extra property checked after every step, on top of the engine's invariants
+  check?: (snapshot: EngineSnapshot) => void;
+};
+
+export type FuzzFailure = {
+  seed: string;
+  config: GameConfig;
+  error: string;
+  // Every step up to and including the one that failed
+  steps: FuzzStep[];
+  // A shortest-found step list that still fails with the same error
+  shrunk: FuzzStep[];
+};
+
+export type FuzzReport = {
+  runs: number;
+  hands: number;
+  actions: number;
+  failures: FuzzFailure[];
+};
+
+const GAME_TYPES: GameType[] = ["holdem", "shortdeck", "omaha", "omaha5"];
+// Largest table each deck can deal (hole cards plus 3 burns and the board)
+const MAX_SEATS: Record<GameType, number> = { holdem: 10, shortdeck: 10, omaha: 10, omaha5: 8 };
+const STRUCTURES: (BettingStructure | undefined)[] = [undefined, "no_limit", "pot_limit", "fixed_limit"];
+const SHOWDOWN_MODES: ShowdownMode[] = ["show_all", "auto_muck", "manual"];
+const SEAT_CHANGES: TableChangeType[] = ["sit_out", "sit_in", "rebuy", "top_up", "leave_seat", "join_seat"];
+
+function pick<T>(rng: Rng, values: T[]): T {
+  return values[rng.nextInt(values.length)];
+}
+
+function chance(rng: Rng, percent: number): boolean {
+  return rng.nextInt(100) < percent;
+}
+
+// Stack distributions that reach different corners of the rules: deep equal
+// stacks, wide spreads, stacks too short to post the blinds, and a mix
+function randomStacks(rng: Rng, seatCount: number, bigBlind: number, allowEmpty: boolean): number[] {
+  const shape = pick(rng, ["equal", "spread", "short", "mixed"]);
+  const equal = bigBlind * (20 + rng.nextInt(200));
+  return Array.from({ length: seatCount }, (_, seat) => {
+    switch (shape) {
+      case "equal":
+        return equal;
+      case "spread":
+        return 1 + rng.nextInt(bigBlind * 150);
+      case "short":
+        return 1 + rng.nextInt(bigBlind * 3);
+      default:
+        // Seats past the first two may start empty
+        if (allowEmpty && seat >= 2 && chance(rng, 15)) {
+          return 0;
+        }
+        return chance(rng, 50) ? 1 + rng.nextInt(bigBlind * 5) : bigBlind * (50 + rng.nextInt(300));
+    }
+  });
+}
+
+export function randomConfig(seed: string): GameConfig {
+  const rng = createRng(`${seed}:config`);
+  const gameType = pick(rng, GAME_TYPES);
+  const seatCount = 2 + rng.nextInt(MAX_SEATS[gameType] - 1);
+  const smallBlind = 1 + rng.nextInt(5);
+  const bigBlind = chance(rng, 85) ? smallBlind * 2 : smallBlind;
+  const tournament = chance(rng, 15);
+  const config: GameConfig = {
+    seed,
+    // Fixed so failures replay and shrink with the same cards
+    deckSecret: seed,
+    seatCount,
+    startingStacks: randomStacks(rng, seatCount, bigBlind, !tournament),
+    smallBlind,
+    bigBlind,
+    gameType,
+    bettingStructure: pick(rng, STRUCTURES),
+    runItTimes: chance(rng, 25) ? 2 + rng.nextInt(3) : 1,
+    showdownMode: pick(rng, SHOWDOWN_MODES),
+  };
+  if (chance(rng, 25)) {
+    config.ante = 1 + rng.nextInt(smallBlind);
+  }
+  if (chance(rng, 20)) {
+    config.bigBlindAnte = bigBlind;
+  }
+  if (chance(rng, 20)) {
+    config.straddle = pick(rng, ["utg", "button"] as const);
+  }
+  if (tournament) {
+    config.tournament = {
+      levels: [
+        { smallBlind, bigBlind },
+        { smallBlind: smallBlind * 2, bigBlind: bigBlind * 2, ante: smallBlind },
+        { smallBlind: smallBlind * 4, bigBlind: bigBlind * 4, bigBlindAnte: bigBlind * 4 },
+      ],
+      handsPerLevel: 1 + rng.nextInt(5),
+      payouts: [50, 30, 20].slice(0, Math.min(seatCount, 3)),
+    };
+  }
+  if (chance(rng, 20)) {
+    config.actionClock = { actionSeconds: 10, timeBankSeconds: 30 };
+  }
+  return config;
+}
+
+function readyPlayers(engine: Engine): number {
+  return engine
+    .getSnapshot()
+    .state.players.filter(
+      (player) =>
+        player.stack > 0 && (player.seatStatus === "playing" || player.seatStatus === "waiting")
+    ).length;
+}
+
+function isLegal(action: Action, actor: SeatIndex, legal: LegalAction[]): boolean {
+  const option = legal.find((candidate) => candidate.type === action.type);
+  if (!option || action.actor !== actor) {
+    return false;
+  }
+  if (option.minAmount === null || option.maxAmount === null) {
+    return action.amount === null;
+  }
+  return (
+    action.amount !== null &&
+    Number.isInteger(action.amount) &&
+    action.amount >= option.minAmount &&
+    action.amount <= option.maxAmount
+  );
+}
+
+// Whether the engine should accept step as it stands. A step the engine
+// accepts must never throw; one it refuses is not a bug (shrinking removes
+// steps, so later ones often stop making sense).
+function stepAllowed(engine: Engine, step: FuzzStep): boolean {
+  const { config, state } = engine.getSnapshot();
+  if (step.type === "action") {
+    return (
+      state.phase !== "ended" &&
+      isLegal(step.action, state.actionSeat, engine.getLegalActions())
+    );
+  }
+  if (state.phase !== "ended") {
+    return false;
+  }
+  if (step.type === "next_hand") {
+    return !state.tournament?.finished && readyPlayers(engine) >= 2;
+  }
+  const player = state.players[step.seat];
+  if (config.tournament || !player) {
+    return false;
+  }
+  const taken = player.seatStatus !== "empty";
+  const hasChips = step.amount !== null && Number.isInteger(step.amount) && step.amount > 0;
+  switch (step.change) {
+    case "sit_out":
+      return taken && player.seatStatus !== "sitting_out";
+    case "sit_in":
+      return player.seatStatus === "sitting_out";
+    case "rebuy":
+      return taken && player.stack === 0 && hasChips;
+    case "top_up":
+      return taken && player.stack > 0 && hasChips;
+    case "leave_seat":
+      return taken;
+    case "join_seat":
+      return !taken && hasChips;
+  }
+}
+
+function applyStep(engine: Engine, step: FuzzStep) {
+  if (step.type === "action") {
+    engine.applyAction(step.action);
+    return;
+  }
+  if (step.type === "next_hand") {
+    engine.startNextHand();
+    return;
+  }
+  const amount = step.amount as number;
+  switch (step.change) {
+    case "sit_out":
+      engine.sitOut(step.seat);
+      break;
+    case "sit_in":
+      engine.sitIn(step.seat);
+      break;
+    case "rebuy":
+      engine.rebuy(step.seat, amount);
+      break;
+    case "top_up":
+      engine.topUp(step.seat, amount);
+      break;
+    case "leave_seat":
+      engine.leaveSeat(step.seat);
+      break;
+    case "join_seat":
+      engine.joinSeat(step.seat, amount);
+      break;
+  }
+}
+
+function randomAction(
+  rng: Rng,
+  actor: SeatIndex,
+  legal: LegalAction[],
+  clocked: boolean
+): Action {
+  const option = pick(rng, legal);
+  let amount: number | null = null;
+  if (option.minAmount !== null && option.maxAmount !== null) {
+    const { minAmount: min, maxAmount: max } = option;
+    // Favour the edges of the range, where the sizing rules live
+    const roll = rng.nextInt(4);
+    amount = roll === 0 ? min : roll === 1 ? max : min + rng.nextInt(max - min + 1);
+  }
+  // Slow enough now and then to drain time banks and time out
+  return clocked
+    ? { actor, type: option.type, amount, elapsed: rng.nextInt(20) }
+    : { actor, type: option.type, amount };
+}
+
+function verify(engine: Engine, check: FuzzOptions["check"]) {
+  check?.(engine.getSnapshot());
+}
+
+function seatChange(change: TableChangeType, seat: SeatIndex, chips: number): FuzzStep {
+  const amount = change === "rebuy" || change === "top_up" || change === "join_seat" ? chips : null;
+  return { type: "seat_change", change, seat, amount };
+}
+
+// Seat changes made between hands: occasionally one at random, then
+// whatever is needed to keep two players at the table
+function makeSeatChanges(
+  rng: Rng,
+  engine: Engine,
+  steps: FuzzStep[],
+  check: FuzzOptions["check"]
+) {
+  const { config } = engine.getSnapshot();
+  const seatCount = config.startingStacks.length;
+  const chips = () => config.bigBlind * (1 + rng.nextInt(150));
+  const attempt = (step: FuzzStep) => {
+    if (stepAllowed(engine, step)) {
+      steps.push(step);
+      applyStep(engine, step);
+      verify(engine, check);
+    }
+  };
+  if (chance(rng, 30)) {
+    attempt(seatChange(pick(rng, SEAT_CHANGES), rng.nextInt(seatCount), chips()));
+  }
+  for (let seat = 0; seat < seatCount; seat += 1) {
+    for (const change of ["rebuy", "sit_in", "join_seat"] as const) {
+      if (readyPlayers(engine) >= 2) {
+        return;
+      }
+      attempt(seatChange(change, seat, chips()));
+    }
+  }
+}
+
+function errorKind(message: string): string {
+  return message.replace(/\d+/g, "#");
+}
+
+// Replay steps on a fresh invariant-checked engine, skipping any the engine
+// would refuse (shrinking removes steps, so later ones can stop making
+// sense). Returns the error a step failed with, or null, and the steps
+// that were applied.
+function replay(
+  config: GameConfig,
+  steps: FuzzStep[],
+  check: FuzzOptions["check"]
+): { error: string | null; applied: FuzzStep[] } {
+  const applied: FuzzStep[] = [];
+  try {
+    const engine = createEngine(config, { checkInvariants: true });
+    verify(engine, check);
+    for (const step of steps) {
+      if (stepAllowed(engine, step)) {
+        applied.push(step);
+        applyStep(engine, step);
+        verify(engine, check);
+      }
+    }
+  } catch (caught) {
+    return { error: (caught as Error).message, applied };
+  }
+  return { error: null, applied };
+}
+
+// The error replaying steps fails with, or null when every step the engine
+// accepts goes through cleanly
+export function replaySteps(
+  config: GameConfig,
+  steps: FuzzStep[],
+  check?: FuzzOptions["check"]
+): string | null {
+  return replay(config, steps, check).error;
+}
+
+// Remove chunks of steps, halving the chunk size whenever no chunk can go,
+// until no single step can be removed without losing the failure. Chip
+// counts and seats in the message may change as the failure shrinks.
+export function shrinkSteps(
+  config: GameConfig,
+  steps: FuzzStep[],
+  error: string,
+  check?: FuzzOptions["check"]
+): FuzzStep[] {
+  const kind = errorKind(error);
+  let current = steps;
+  let chunk = Math.max(1, Math.floor(current.length / 2));
+  while (chunk >= 1) {
+    let removed = false;
+    for (let start = 0; start < current.length; ) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+      const result = replay(config, candidate, check);
+      if (result.error !== null && errorKind(result.error) === kind) {
+        // Keep only the steps that were applied, so the list stays legal
+        current = result.applied;
+        removed = true;
+      } else {
+        start += chunk;
+      }
+    }
+    if (!removed) {
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+  return current;
+}
+
+// Play one seeded session of random legal steps. Returns the failure, if
+// any, before shrinking.
+function playSession(
+  seed: string,
+  handsPerRun: number,
+  check: FuzzOptions["check"],
+  totals: { hands: number; actions: number }
+): Omit<FuzzFailure, "shrunk"> | null {
+  const config = randomConfig(seed);
+  const rng = createRng(seed);
+  const steps: FuzzStep[] = [];
+  try {
+    const engine = createEngine(config, { checkInvariants: true });
+    verify(engine, check);
+    totals.hands += 1;
+    for (let hand = 1; ; ) {
+      const { state } = engine.getSnapshot();
+      if (state.phase !== "ended") {
+        const action = randomAction(
+          rng,
+          state.actionSeat,
+          engine.getLegalActions(),
+          !!config.actionClock
+        );
+        steps.push({ type: "action", action });
+        engine.applyAction(action);
+        verify(engine, check);
+        totals.actions += 1;
+        continue;
+      }
+      if (hand >= handsPerRun || state.tournament?.finished) {
+        return null;
+      }
+      if (!config.tournament) {
+        makeSeatChanges(rng, engine, steps, check);
+      }
+      if (readyPlayers(engine) < 2) {
+        return null;
+      }
+      steps.push({ type: "next_hand" });
+      engine.startNextHand();
+      verify(engine, check);
+      hand += 1;
+      totals.hands += 1;
+    }
+  } catch (caught) {
+    return { seed, config, error: (caught as Error).message, steps };
+  }
+}
+
+// Play random legal actions through many seeded sessions with invariant
+// checking on, shrinking each failure to a short step list that reproduces it
+export function fuzz(options: FuzzOptions = {}): FuzzReport {
+  const seed = options.seed ?? "fuzz";
+  const runs = options.runs ?? 100;
+  const handsPerRun = options.handsPerRun ?? 50;
+  const maxFailures = options.maxFailures ?? 1;
+  const totals = { hands: 0, actions: 0 };
+  const failures: FuzzFailure[] = [];
+  let run = 0;
+  while (run < runs && failures.length < maxFailures) {
+    const failure = playSession(`${seed}:${run}`, handsPerRun, options.check, totals);
+    run += 1;
+    if (failure) {
+      const shrunk = shrinkSteps(failure.config, failure.steps, failure.error, options.check);
+      failures.push({ ...failure, shrunk });
+    }
+  }
+  return { runs: run, ...totals, failures };
+}
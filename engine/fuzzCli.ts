@@ -0,0 +1,29 @@
+// Engine fuzzing: npm run fuzz -- --runs 5000 --hands 200 --seed nightly
+// Prints each failure's config and shrunk step list as JSON; replaySteps(config,
+// steps) reproduces it.
+import { fuzz } from "./fuzz.js";
+
+function option(name: string, fallback: string): string {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < process.argv.length ? process.argv[index + 1] : fallback;
+}
+
+const seed = option("seed", "fuzz");
+const runs = Number(option("runs", "5000"));
+const handsPerRun = Number(option("hands", "100"));
+
+const start = performance.now();
+const report = fuzz({ seed, runs, handsPerRun });
+const seconds = (performance.now() - start) / 1000;
+console.log(
+  `${report.runs} sessions, ${report.hands.toLocaleString("en-US")} hands, ` +
+    `${report.actions.toLocaleString("en-US")} actions in ${seconds.toFixed(1)}s`
+);
+for (const failure of report.failures) {
+  console.log(`\nFailure in session ${failure.seed}: ${failure.error}`);
+  console.log(`Shrunk from ${failure.steps.length} to ${failure.shrunk.length} steps:`);
+  console.log(JSON.stringify({ config: failure.config, steps: failure.shrunk }, null, 2));
+}
+if (report.failures.length > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,703 @@
+import {
+  Action,
+  Card,
+  EngineSnapshot,
+  Event,
+  GameConfig,
+  GameType,
+  HandId,
+  HOLE_CARD_COUNT,
+  Phase,
+  SeatIndex,
+} from "./types.js";
+import { resolveBettingStructure, resolveGameType } from "./state.js";
+import { handConfig } from "./tournament.js";
+
+// Display labels for a seat; preset/profile identify the LLM persona
+export type SeatLabel = {
+  name?: string;
+  preset?: string | null;
+  profile?: string | null;
+};
+
+export type HandHistoryOptions = {
+  seatLabels?: SeatLabel[];
+  tableName?: string;
+  // Export a single hand instead of every completed hand
+  handId?: HandId;
+  // "shown" reveals hole cards only for hands that reached showdown
+  holeCards?: "shown" | "all";
+  // Timestamp written on PokerStars headers; defaults to now
+  date?: Date;
+  // Write config.seed into the table name and PHH _cardpt_seed. Off by
+  // default: simulated sessions deal from their seed, so a shared history
+  // would give away the cards of every hand
+  includeSeed?: boolean;
+};
+
+type ForcedBetKind = "ante" | "small_blind" | "big_blind" | "big_blind_ante" | "straddle";
+
+type ForcedBet = { kind: ForcedBetKind; seat: SeatIndex; amount: number };
+
+type ActionLine = {
+  seat: SeatIndex;
+  type: Action["type"];
+  // Chips added to the pot by this action
+  added: number;
+  // Street total after the action (bet/raise "to" amount)
+  to: number;
+  // Raise increment over the previous bet
+  raiseBy: number;
+  allIn: boolean;
+  // Taken for the player by the action clock
+  timedOut: boolean;
+};
+
+type Street = { phase: Phase; board: Card[]; actions: ActionLine[] };
+
+// One run of a run-it-N hand: its board, the rank each shown hand made on it
+// and what each seat won on it
+type HandRun = {
+  board: Card[];
+  showdown: { seat: SeatIndex; handRank: string }[];
+  won: number[];
+};
+
+// One completed hand, rebuilt from its events
+type HandLog = {
+  handId: HandId;
+  dealerSeat: SeatIndex;
+  smallBlindSeat: SeatIndex;
+  bigBlindSeat: SeatIndex;
+  stacks: number[];
+  holeCards: Record<SeatIndex, Card[]>;
+  forced: ForcedBet[];
+  streets: Street[];
+  totalIn: number[];
+  foldedOn: Partial<Record<SeatIndex, Phase>>;
+  showdown: { seat: SeatIndex; handRank: string }[];
+  // Showdown reveals in order; handRank is null for a mucked hand
+  reveals: { seat: SeatIndex; handRank: string | null }[];
+  won: number[];
+  // Every run when the board was run more than once; empty otherwise
+  runs: HandRun[];
+  uncalled: { seat: SeatIndex; amount: number } | null;
+};
+
+// PokerStars names each run's streets, showdown and board
+const RUN_NAMES = ["FIRST", "SECOND", "THIRD", "FOURTH"];
+const RUN_COUNTS: Record<number, string> = { 2: "twice", 3: "three times", 4: "four times" };
+
+const STREET_NAMES: Partial<Record<Phase, string>> = {
+  preflop: "Flop",
+  flop: "Flop",
+  turn: "Turn",
+  river: "River",
+};
+
+function formatCards(cards: Card[], separator = " "): string {
+  return cards.map((card) => `${card.rank}${card.suit}`).join(separator);
+}
+
+function tableName(config: GameConfig, options: HandHistoryOptions): string {
+  return options.tableName ?? (options.includeSeed ? `CardPT ${config.seed}` : "CardPT");
+}
+
+function seatName(options: HandHistoryOptions, seat: SeatIndex): string {
+  return options.seatLabels?.[seat]?.name || `Seat ${seat}`;
+}
+
+function seatPersona(options: HandHistoryOptions, seat: SeatIndex): string {
+  const label = options.seatLabels?.[seat];
+  const parts = [label?.preset, label?.profile].filter(Boolean);
+  return parts.length > 0 ? ` [${parts.join(" | ")}]` : "";
+}
+
+function groupHands(events: Event[], handId?: HandId): Event[][] {
+  const hands = new Map<HandId, Event[]>();
+  for (const event of events) {
+    if (handId !== undefined && event.handId !== handId) {
+      continue;
+    }
+    const list = hands.get(event.handId) ?? [];
+    list.push(event);
+    hands.set(event.handId, list);
+  }
+  const completed = Array.from(hands.values()).filter((list) =>
+    list.some((event) => event.type === "hand_ended")
+  );
+  if (handId !== undefined && completed.length === 0) {
+    throw new Error(`Hand ${handId} is not a completed hand in this snapshot.`);
+  }
+  return completed;
+}
+
+function buildHandLog(events: Event[]): HandLog {
+  const started = events.find((event) => event.type === "hand_started");
+  if (!started || !Array.isArray(started.data.stacks)) {
+    throw new Error(`Hand ${events[0]?.handId} has no starting stacks.`);
+  }
+  const stacks = [...(started.data.stacks as number[])];
+  const seatCount = stacks.length;
+  const log: HandLog = {
+    handId: started.handId,
+    dealerSeat: started.data.dealerSeat as SeatIndex,
+    smallBlindSeat: started.data.smallBlindSeat as SeatIndex,
+    bigBlindSeat: started.data.bigBlindSeat as SeatIndex,
+    stacks: [...stacks],
+    holeCards: Object.create(null),
+    forced: [],
+    streets: [{ phase: "preflop", board: [], actions: [] }],
+    totalIn: stacks.map(() => 0),
+    foldedOn: {},
+    showdown: [],
+    reveals: [],
+    won: stacks.map(() => 0),
+    runs: [],
+    uncalled: null,
+  };
+  // Winnings per run, from pot_awarded events that name their run
+  const runWon: number[][] = [];
+
+  // Blinds, straddles and wagers; antes are dead money nobody has to call
+  const liveIn = stacks.map(() => 0);
+  let streetBet = stacks.map(() => 0);
+  let currentBet = 0;
+  // Seat whose next action the clock took for it
+  let timedOutSeat: SeatIndex | null = null;
+  const remaining = [...stacks];
+  const commit = (seat: SeatIndex, amount: number, live: boolean) => {
+    remaining[seat] -= amount;
+    log.totalIn[seat] += amount;
+    if (live) {
+      liveIn[seat] += amount;
+      streetBet[seat] += amount;
+      currentBet = Math.max(currentBet, streetBet[seat]);
+    }
+  };
+  const forcedKinds: Partial<Record<Event["type"], ForcedBetKind>> = {
+    ante_posted: "ante",
+    big_blind_ante_posted: "big_blind_ante",
+    straddle_posted: "straddle",
+  };
+
+  for (const event of events) {
+    const street = log.streets[log.streets.length - 1];
+    switch (event.type) {
+      case "ante_posted":
+      case "big_blind_ante_posted":
+      case "straddle_posted":
+      case "blind_posted": {
+        const { seat, amount } = event.data;
+        const kind =
+          forcedKinds[event.type] ??
+          (seat === log.bigBlindSeat ? "big_blind" : "small_blind");
+        log.forced.push({ kind, seat, amount });
+        commit(seat, amount, kind !== "ante" && kind !== "big_blind_ante");
+        break;
+      }
+      case "hole_cards_dealt":
+        log.holeCards[event.data.seat] = event.data.cards as Card[];
+        break;
+      case "timeout_action":
+        timedOutSeat = event.data.seat;
+        break;
+      case "action_taken": {
+        const { action } = event.data;
+        if (action.type === "show" || action.type === "muck") {
+          // Reported by the cards_shown / cards_mucked event that follows
+          break;
+        }
+        const seat = action.actor;
+        const before = currentBet;
+        let added = 0;
+        if (action.type === "call") {
+          added = Math.min(currentBet - streetBet[seat], remaining[seat]);
+        } else if (action.type === "bet" || action.type === "raise") {
+          added = (action.amount as number) - streetBet[seat];
+        } else if (action.type === "fold") {
+          log.foldedOn[seat] = street.phase;
+        }
+        commit(seat, added, true);
+        street.actions.push({
+          seat,
+          type: action.type,
+          added,
+          to: streetBet[seat],
+          raiseBy: streetBet[seat] - before,
+          allIn: added > 0 && remaining[seat] === 0,
+          timedOut: timedOutSeat === seat,
+        });
+        timedOutSeat = null;
+        break;
+      }
+      case "street_dealt":
+        log.streets.push({
+          phase: event.data.phase,
+          board: event.data.board,
+          actions: [],
+        });
+        streetBet = stacks.map(() => 0);
+        currentBet = 0;
+        break;
+      case "pot_awarded": {
+        const { seat, amount, run } = event.data;
+        log.won[seat] += amount;
+        if (run !== undefined) {
+          runWon[run] = runWon[run] ?? stacks.map(() => 0);
+          runWon[run][seat] += amount;
+        }
+        break;
+      }
+      case "hand_summary":
+        log.runs = (event.data.runs ?? []).map((run) => ({
+          board: run.board,
+          showdown: run.showdown.map(({ seat, handRank }) => ({ seat, handRank })),
+          won: runWon[run.run] ?? stacks.map(() => 0),
+        }));
+        break;
+      case "cards_shown": {
+        const reveal = { seat: event.data.seat, handRank: event.data.handRank };
+        log.showdown.push(reveal);
+        log.reveals.push(reveal);
+        break;
+      }
+      case "cards_mucked":
+        log.reveals.push({ seat: event.data.seat, handRank: null });
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Live chips nobody matched go back to the biggest contributor
+  const ranked = Array.from({ length: seatCount }, (_, seat) => seat).sort(
+    (a, b) => liveIn[b] - liveIn[a]
+  );
+  const excess = liveIn[ranked[0]] - liveIn[ranked[1]];
+  if (excess > 0) {
+    log.uncalled = { seat: ranked[0], amount: excess };
+    log.won[ranked[0]] -= excess;
+    // Run-it-N splits those chips between the runs as well
+    let left = excess;
+    for (const run of log.runs) {
+      const taken = Math.min(left, run.won[ranked[0]]);
+      run.won[ranked[0]] -= taken;
+      left -= taken;
+    }
+  }
+  return log;
+}
+
+// Board cards every run shares, dealt before the board was run again; the
+// whole board when it was run once
+function sharedBoardSize(log: HandLog): number {
+  if (log.runs.length < 2) {
+    return 5;
+  }
+  const [first, second] = log.runs.map((run) => formatCards(run.board).split(" "));
+  let size = 0;
+  while (size < first.length && first[size] === second[size]) {
+    size += 1;
+  }
+  return size;
+}
+
+// The streets a run deals past the shared cards
+function runStreets(
+  board: Card[],
+  shared: number
+): { phase: Phase; previous: Card[]; dealt: Card[] }[] {
+  const streets: { phase: Phase; previous: Card[]; dealt: Card[] }[] = [];
+  let size = shared;
+  while (size < board.length) {
+    const end = size === 0 ? 3 : size + 1;
+    streets.push({
+      phase: end === 3 ? "flop" : end === 4 ? "turn" : "river",
+      previous: board.slice(0, size),
+      dealt: board.slice(size, end),
+    });
+    size = end;
+  }
+  return streets;
+}
+
+// The rank a shown hand made on a run's board
+function runHandRank(run: HandRun, seat: SeatIndex, fallback: string): string {
+  return run.showdown.find((entry) => entry.seat === seat)?.handRank ?? fallback;
+}
+
+function finishingStack(log: HandLog, seat: SeatIndex): number {
+  const returned = log.uncalled?.seat === seat ? log.uncalled.amount : 0;
+  return log.stacks[seat] - log.totalIn[seat] + returned + log.won[seat];
+}
+
+function visibleHoleCards(
+  log: HandLog,
+  options: HandHistoryOptions,
+  seat: SeatIndex
+): Card[] | null {
+  const cards = log.holeCards[seat];
+  if (!cards) {
+    return null;
+  }
+  if (options.holeCards === "all") {
+    return cards;
+  }
+  return log.showdown.some((entry) => entry.seat === seat) ? cards : null;
+}
+
+const GAME_NAMES: Record<GameType, string> = {
+  holdem: "Hold'em",
+  shortdeck: "6+ Hold'em",
+  omaha: "Omaha",
+  omaha5: "5 Card Omaha",
+};
+
+function gameLabel(config: GameConfig): string {
+  const game = GAME_NAMES[resolveGameType(config)];
+  switch (resolveBettingStructure(config)) {
+    case "pot_limit":
+      return `${game} Pot Limit`;
+    case "fixed_limit":
+      return `${game} Limit`;
+    default:
+      return `${game} No Limit`;
+  }
+}
+
+function stakesLabel(config: GameConfig): string {
+  if (config.bettingStructure === "fixed_limit") {
+    const smallBet = config.smallBet ?? config.bigBlind;
+    return `${smallBet}/${config.bigBet ?? smallBet * 2}`;
+  }
+  return `${config.smallBlind}/${config.bigBlind}`;
+}
+
+function formatDate(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+  return (
+    `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`
+  );
+}
+
+function forcedBetLine(bet: ForcedBet, name: string): string {
+  switch (bet.kind) {
+    case "ante":
+    case "big_blind_ante":
+      return `${name}: posts the ante ${bet.amount}`;
+    case "small_blind":
+      return `${name}: posts small blind ${bet.amount}`;
+    case "big_blind":
+      return `${name}: posts big blind ${bet.amount}`;
+    default:
+      return `${name}: posts straddle ${bet.amount}`;
+  }
+}
+
+function actionLine(line: ActionLine, name: string): string {
+  const allIn = line.allIn ? " and is all-in" : "";
+  switch (line.type) {
+    case "fold":
+      return `${name}: folds`;
+    case "check":
+      return `${name}: checks`;
+    case "call":
+      return `${name}: calls ${line.added}${allIn}`;
+    case "bet":
+      return `${name}: bets ${line.added}${allIn}`;
+    default:
+      return `${name}: raises ${line.raiseBy} to ${line.to}${allIn}`;
+  }
+}
+
+function pokerStarsHand(
+  snapshot: EngineSnapshot,
+  log: HandLog,
+  options: HandHistoryOptions
+): string {
+  // Tournament hands are labelled with the blinds of their level
+  const config = handConfig(snapshot.config, log.handId);
+  const seatCount = log.stacks.length;
+  const name = (seat: SeatIndex) => seatName(options, seat);
+  const dealtSeats = Object.keys(log.holeCards)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const lines: string[] = [];
+  const table = tableName(config, options);
+
+  lines.push(
+    `PokerStars Hand #${log.handId}: ${gameLabel(config)} (${stakesLabel(config)}) - ${formatDate(options.date ?? new Date())}`
+  );
+  lines.push(`Table '${table}' ${seatCount}-max Seat #${log.dealerSeat + 1} is the button`);
+  for (const seat of dealtSeats) {
+    lines.push(
+      `Seat ${seat + 1}: ${name(seat)} (${log.stacks[seat]} in chips)${seatPersona(options, seat)}`
+    );
+  }
+  for (const bet of log.forced) {
+    lines.push(forcedBetLine(bet, name(bet.seat)));
+  }
+
+  lines.push("*** HOLE CARDS ***");
+  if (options.holeCards === "all") {
+    for (const seat of dealtSeats) {
+      lines.push(`Dealt to ${name(seat)} [${formatCards(log.holeCards[seat])}]`);
+    }
+  }
+  const shared = sharedBoardSize(log);
+  let board: Card[] = [];
+  for (const street of log.streets) {
+    if (street.phase !== "preflop") {
+      const previous = board.length > 0 ? `[${formatCards(board)}] ` : "";
+      const dealt = street.board.slice(board.length);
+      // Streets past the shared cards belong to the first run
+      const run = street.board.length > shared ? `${RUN_NAMES[0]} ` : "";
+      lines.push(`*** ${run}${street.phase.toUpperCase()} *** ${previous}[${formatCards(dealt)}]`);
+      board = street.board;
+    }
+    for (const action of street.actions) {
+      if (action.timedOut) {
+        lines.push(`${name(action.seat)} has timed out`);
+      }
+      lines.push(actionLine(action, name(action.seat)));
+    }
+  }
+  log.runs.slice(1).forEach((run, index) => {
+    for (const street of runStreets(run.board, shared)) {
+      const previous = street.previous.length > 0 ? `[${formatCards(street.previous)}] ` : "";
+      lines.push(
+        `*** ${RUN_NAMES[index + 1]} ${street.phase.toUpperCase()} *** ${previous}[${formatCards(street.dealt)}]`
+      );
+    }
+  });
+  if (log.uncalled) {
+    lines.push(`Uncalled bet (${log.uncalled.amount}) returned to ${name(log.uncalled.seat)}`);
+  }
+
+  // One showdown for the board, or one per run with what each seat won on it
+  const showdowns =
+    log.runs.length > 0
+      ? log.runs.map((run, index) => ({ title: `${RUN_NAMES[index]} SHOW DOWN`, run }))
+      : [{ title: "SHOW DOWN", run: null }];
+  for (const { title, run } of showdowns) {
+    if (log.reveals.length > 0) {
+      lines.push(`*** ${title} ***`);
+      for (const entry of log.reveals) {
+        const cards = formatCards(log.holeCards[entry.seat]);
+        lines.push(
+          entry.handRank === null
+            ? `${name(entry.seat)}: mucks hand`
+            : `${name(entry.seat)}: shows [${cards}] (${run ? runHandRank(run, entry.seat, entry.handRank) : entry.handRank})`
+        );
+      }
+    }
+    const won = run ? run.won : log.won;
+    for (const seat of dealtSeats) {
+      if (won[seat] > 0) {
+        lines.push(`${name(seat)} collected ${won[seat]} from pot`);
+      }
+    }
+  }
+
+  const totalPot =
+    log.totalIn.reduce((sum, amount) => sum + amount, 0) - (log.uncalled?.amount ?? 0);
+  lines.push("*** SUMMARY ***");
+  lines.push(`Total pot ${totalPot} | Rake 0`);
+  if (log.runs.length > 0) {
+    lines.push(`Hand was run ${RUN_COUNTS[log.runs.length]}`);
+    log.runs.forEach((run, index) => {
+      lines.push(`${RUN_NAMES[index]} Board [${formatCards(run.board)}]`);
+    });
+  } else if (board.length > 0) {
+    lines.push(`Board [${formatCards(board)}]`);
+  }
+  for (const seat of dealtSeats) {
+    const roles = [
+      seat === log.dealerSeat ? " (button)" : "",
+      seat === log.smallBlindSeat ? " (small blind)" : "",
+      seat === log.bigBlindSeat ? " (big blind)" : "",
+    ].join("");
+    const shown = log.showdown.find((entry) => entry.seat === seat);
+    const folded = log.foldedOn[seat];
+    let outcome: string;
+    if (shown) {
+      // "won (500) with a Straight, and lost with One Pair" over several runs
+      const results =
+        log.runs.length > 0
+          ? log.runs.map((run) => ({
+              won: run.won[seat],
+              handRank: runHandRank(run, seat, shown.handRank),
+            }))
+          : [{ won: log.won[seat], handRank: shown.handRank }];
+      const cards = formatCards(log.holeCards[seat]);
+      outcome = `showed [${cards}] and ${results
+        .map(({ won, handRank }) => (won > 0 ? `won (${won}) with ${handRank}` : `lost with ${handRank}`))
+        .join(", and ")}`;
+    } else if (log.reveals.some((entry) => entry.seat === seat)) {
+      outcome = "mucked";
+    } else if (folded) {
+      const where = folded === "preflop" ? "before" : "on the";
+      outcome = `folded ${where} ${STREET_NAMES[folded]}`;
+    } else {
+      outcome = `collected (${log.won[seat]})`;
+    }
+    lines.push(`Seat ${seat + 1}: ${name(seat)}${roles} ${outcome}`);
+  }
+  return lines.join("\n");
+}
+
+// PokerStars-style text for every completed hand (or options.handId only)
+export function exportPokerStars(
+  snapshot: EngineSnapshot,
+  options: HandHistoryOptions = {}
+): string {
+  return groupHands(snapshot.events, options.handId)
+    .map((events) => pokerStarsHand(snapshot, buildHandLog(events), options))
+    .join("\n\n\n") + "\n";
+}
+
+function tomlValue(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(tomlValue).join(", ")}]`;
+  }
+  if (typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// PHH variant codes: NT/FT no-limit and fixed-limit Texas hold'em, NS
+// no-limit short-deck hold'em, PO pot-limit Omaha. null when PHH has no code
+// for the game, so exportPhh cannot write it.
+export function phhVariant(config: GameConfig): string | null {
+  const gameType = resolveGameType(config);
+  const structure = resolveBettingStructure(config);
+  if (gameType === "holdem" && structure === "no_limit") {
+    return "NT";
+  }
+  if (gameType === "holdem" && structure === "fixed_limit") {
+    return "FT";
+  }
+  if (gameType === "shortdeck" && structure === "no_limit") {
+    return "NS";
+  }
+  if (gameType === "omaha" && structure === "pot_limit") {
+    return "PO";
+  }
+  return null;
+}
+
+function phhHand(
+  snapshot: EngineSnapshot,
+  log: HandLog,
+  options: HandHistoryOptions
+): string {
+  const config = handConfig(snapshot.config, log.handId);
+  const seatCount = log.stacks.length;
+  // PHH players run clockwise from the left of the button; the button is last
+  const order = Object.keys(log.holeCards)
+    .map(Number)
+    .sort(
+      (a, b) =>
+        ((a - log.dealerSeat - 1 + seatCount) % seatCount) -
+        ((b - log.dealerSeat - 1 + seatCount) % seatCount)
+    );
+  const player = (seat: SeatIndex) => `p${order.indexOf(seat) + 1}`;
+  const forcedBy = (kinds: ForcedBetKind[]) =>
+    order.map((seat) =>
+      log.forced
+        .filter((bet) => bet.seat === seat && kinds.includes(bet.kind))
+        .reduce((sum, bet) => sum + bet.amount, 0)
+    );
+
+  const variant = phhVariant(config);
+  if (!variant) {
+    const structure = resolveBettingStructure(config).replace("_", "-");
+    const game = GAME_NAMES[resolveGameType(config)].toLowerCase();
+    throw new Error(`PHH has no variant code for ${structure} ${game}.`);
+  }
+  const fields: [string, unknown][] = [["variant", variant]];
+  fields.push(["antes", forcedBy(["ante", "big_blind_ante"])]);
+  fields.push(["blinds_or_straddles", forcedBy(["small_blind", "big_blind", "straddle"])]);
+  if (config.bettingStructure === "fixed_limit") {
+    const smallBet = config.smallBet ?? config.bigBlind;
+    fields.push(["small_bet", smallBet]);
+    fields.push(["big_bet", config.bigBet ?? smallBet * 2]);
+  } else {
+    fields.push(["min_bet", config.bigBlind]);
+  }
+  fields.push(["starting_stacks", order.map((seat) => log.stacks[seat])]);
+
+  // "??" per hidden card
+  const hidden = "??".repeat(HOLE_CARD_COUNT[resolveGameType(config)]);
+  const actions: string[] = [];
+  for (const seat of order) {
+    const cards = visibleHoleCards(log, options, seat);
+    actions.push(`d dh ${player(seat)} ${cards ? formatCards(cards, "") : hidden}`);
+  }
+  let boardSize = 0;
+  for (const street of log.streets) {
+    if (street.phase !== "preflop") {
+      actions.push(`d db ${formatCards(street.board.slice(boardSize), "")}`);
+      boardSize = street.board.length;
+    }
+    for (const action of street.actions) {
+      const code =
+        action.type === "fold"
+          ? "f"
+          : action.type === "check" || action.type === "call"
+            ? "cc"
+            : `cbr ${action.to}`;
+      actions.push(`${player(action.seat)} ${code}`);
+    }
+  }
+  // Run-it-N: each further run deals its own streets after the first run's river
+  const shared = sharedBoardSize(log);
+  for (const run of log.runs.slice(1)) {
+    for (const street of runStreets(run.board, shared)) {
+      actions.push(`d db ${formatCards(street.dealt, "")}`);
+    }
+  }
+  for (const entry of log.reveals) {
+    const cards = entry.handRank === null ? hidden : formatCards(log.holeCards[entry.seat], "");
+    actions.push(`${player(entry.seat)} sm ${cards}`);
+  }
+  fields.push(["actions", actions]);
+
+  fields.push(["hand", log.handId]);
+  fields.push(["table", tableName(config, options)]);
+  fields.push(["seat_count", seatCount]);
+  fields.push(["seats", order.map((seat) => seat + 1)]);
+  fields.push(["players", order.map((seat) => seatName(options, seat))]);
+  fields.push(["finishing_stacks", order.map((seat) => finishingStack(log, seat))]);
+  if (options.includeSeed) {
+    fields.push(["_cardpt_seed", config.seed]);
+  }
+  fields.push([
+    "_cardpt_presets",
+    order.map((seat) => options.seatLabels?.[seat]?.preset ?? ""),
+  ]);
+  fields.push([
+    "_cardpt_profiles",
+    order.map((seat) => options.seatLabels?.[seat]?.profile ?? ""),
+  ]);
+
+  return fields.map(([key, value]) => `${key} = ${tomlValue(value)}`).join("\n");
+}
+
+// Poker Hand History (PHH, TOML). A single hand is a plain .phh document;
+// several hands are written as numbered tables, as in a .phhs file.
+export function exportPhh(
+  snapshot: EngineSnapshot,
+  options: HandHistoryOptions = {}
+): string {
+  const hands = groupHands(snapshot.events, options.handId).map((events) =>
+    phhHand(snapshot, buildHandLog(events), options)
+  );
+  if (options.handId !== undefined) {
+    return hands[0] + "\n";
+  }
+  return hands.map((hand, index) => `[${index + 1}]\n${hand}`).join("\n\n") + "\n";
+}
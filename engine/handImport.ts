@@ -0,0 +1,682 @@
+import { createEngine, Engine } from "./engine.js";
+import { parseCard, stackDeck } from "./deck.js";
+import { createRng } from "./rng.js";
+import {
+  Action,
+  ActionType,
+  BettingStructure,
+  Card,
+  GameConfig,
+  GameType,
+  SeatIndex,
+  StraddleType,
+} from "./types.js";
+
+// PHH "cc" and "cbr" name a move without saying whether it checks or calls,
+// bets or raises; the engine state at replay time decides
+export type ImportedActionType = ActionType | "check_or_call" | "bet_or_raise";
+
+export type ImportedAction = {
+  // Engine seat (the button is seat 0 in an imported hand)
+  seat: SeatIndex;
+  type: ImportedActionType;
+  // Street total for bets and raises, null otherwise
+  amount: number | null;
+};
+
+export type ImportedHand = {
+  format: "phh" | "pokerstars";
+  // Hand number or label from the source, when it has one
+  sourceId: string | null;
+  config: GameConfig;
+  // Per engine seat: player name and seat number in the source
+  seatNames: string[];
+  sourceSeats: number[];
+  // Source amounts are multiplied by this to get whole engine chips
+  chipScale: number;
+  // Antes, blinds and straddles each engine seat posted in the source
+  forcedBets: number[];
+  holeCards: (Card[] | null)[];
+  // The first run's board when the source ran it more than once
+  board: Card[];
+  // Every run's full board when the source ran it more than once; empty otherwise
+  runBoards: Card[][];
+  actions: ImportedAction[];
+};
+
+export type ImportRejection = {
+  index: number;
+  action: ImportedAction;
+  message: string;
+};
+
+export type HandImportResult = {
+  hand: ImportedHand;
+  engine: Engine;
+  // Actions applied before pausing (or before the rejected action)
+  applied: number;
+  rejection: ImportRejection | null;
+};
+
+export type HandImportOptions = {
+  // Number of actions to replay; the engine pauses at that decision point
+  stopAt?: number;
+};
+
+// Forced bets as read from the source, per engine seat
+type ForcedBets = {
+  antes: number[];
+  blinds: number[];
+};
+
+// Source player before engine seats are assigned
+type SourcePlayer = {
+  name: string;
+  sourceSeat: number;
+  stack: number;
+};
+
+// "AsKd" or "As Kd"; null when any card is hidden ("????")
+function parseCards(text: string): Card[] | null {
+  const compact = text.replace(/[\s,]/g, "");
+  if (compact.includes("?")) {
+    return null;
+  }
+  const cards: Card[] = [];
+  for (let i = 0; i < compact.length; i += 2) {
+    cards.push(parseCard(compact.slice(i, i + 2)));
+  }
+  return cards;
+}
+
+// Whole chips for the engine: cent amounts are scaled by 100
+function chipScaleFor(amounts: number[]): number {
+  return amounts.some((amount) => !Number.isInteger(amount)) ? 100 : 1;
+}
+
+function toChips(amount: number, scale: number): number {
+  return Math.round(amount * scale);
+}
+
+// Engine seats start at the button and run clockwise, so hand 1 of the
+// engine puts the button, blinds and first actor where the source had them
+function rotateToButton(players: SourcePlayer[], buttonIndex: number): SourcePlayer[] {
+  return players.map((_, i) => players[(buttonIndex + i) % players.length]);
+}
+
+function forcedBetConfig(
+  forced: ForcedBets,
+  seatCount: number
+): Pick<GameConfig, "smallBlind" | "bigBlind" | "ante" | "bigBlindAnte" | "straddle" | "straddleAmount"> {
+  const headsUp = seatCount === 2;
+  const smallBlindSeat = headsUp ? 0 : 1;
+  const bigBlindSeat = headsUp ? 1 : 2;
+  const config: ReturnType<typeof forcedBetConfig> = {
+    smallBlind: forced.blinds[smallBlindSeat],
+    bigBlind: forced.blinds[bigBlindSeat],
+  };
+  const straddles = forced.blinds
+    .map((amount, seat) => ({ amount, seat }))
+    .filter(({ amount, seat }) => amount > 0 && seat !== smallBlindSeat && seat !== bigBlindSeat);
+  if (straddles.length > 1) {
+    throw new Error("Only a single straddle is supported.");
+  }
+  if (straddles.length === 1) {
+    const { amount, seat } = straddles[0];
+    const kind: StraddleType | null =
+      seat === 0 ? "button" : seat === (bigBlindSeat + 1) % seatCount ? "utg" : null;
+    if (!kind) {
+      throw new Error(`Straddle from seat ${seat} is not a UTG or button straddle.`);
+    }
+    config.straddle = kind;
+    config.straddleAmount = amount;
+  }
+
+  const anteSeats = forced.antes
+    .map((amount, seat) => ({ amount, seat }))
+    .filter(({ amount }) => amount > 0);
+  if (anteSeats.length === 1 && anteSeats[0].seat === bigBlindSeat && seatCount > 2) {
+    config.bigBlindAnte = anteSeats[0].amount;
+  } else if (anteSeats.length > 0) {
+    config.ante = Math.max(...anteSeats.map(({ amount }) => amount));
+  }
+  return config;
+}
+
+function buildHand(
+  format: ImportedHand["format"],
+  sourceId: string | null,
+  players: SourcePlayer[],
+  forced: ForcedBets,
+  betting: Pick<GameConfig, "gameType" | "bettingStructure" | "smallBet" | "bigBet">,
+  chipScale: number,
+  holeCards: (Card[] | null)[],
+  board: Card[],
+  actions: ImportedAction[],
+  runBoards: Card[][] = []
+): ImportedHand {
+  if (players.length < 2) {
+    throw new Error("A hand needs at least two players.");
+  }
+  const seed = `import:${format}:${sourceId ?? "hand"}`;
+  const config: GameConfig = {
+    seed,
+    seatCount: players.length,
+    startingStacks: players.map((player) => player.stack),
+    ...forcedBetConfig(forced, players.length),
+    ...betting,
+    // Engine seats run clockwise from the button on seat 0
+    deckOrder: [
+      stackDeck(
+        betting.gameType ?? "holdem",
+        players.map((_, i) => (i + 1) % players.length),
+        holeCards,
+        board,
+        createRng(`${seed}:1`),
+        runBoards.slice(1)
+      ),
+    ],
+  };
+  if (runBoards.length > 1) {
+    config.runItTimes = runBoards.length;
+  }
+  return {
+    format,
+    sourceId,
+    config,
+    seatNames: players.map((player) => player.name),
+    sourceSeats: players.map((player) => player.sourceSeat),
+    chipScale,
+    forcedBets: players.map((_, seat) => forced.antes[seat] + forced.blinds[seat]),
+    holeCards,
+    board,
+    runBoards,
+    actions,
+  };
+}
+
+// PHH deals every run's streets in turn after the first run's river. The
+// cards dealt before the last player action are shared by every run.
+function splitRuns(board: Card[], shared: number): Card[][] {
+  if (board.length <= 5) {
+    return [];
+  }
+  const perRun = 5 - shared;
+  if (perRun <= 0 || (board.length - 5) % perRun !== 0) {
+    throw new Error("PHH board cards do not make whole runs.");
+  }
+  const runs = [board.slice(0, 5)];
+  for (let start = 5; start < board.length; start += perRun) {
+    runs.push([...board.slice(0, shared), ...board.slice(start, start + perRun)]);
+  }
+  return runs;
+}
+
+// --- PHH (TOML) ---
+
+type TomlValue = string | number | boolean | TomlValue[];
+
+// Minimal TOML reader for PHH: key = value pairs, arrays (multi-line allowed),
+// strings, numbers, booleans, comments and [table] headers
+function parseToml(text: string): Map<string, Record<string, TomlValue>> {
+  const tables = new Map<string, Record<string, TomlValue>>();
+  let current: Record<string, TomlValue> = {};
+  tables.set("", current);
+  let pos = 0;
+
+  const skipSpace = (newlines: boolean) => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === "#") {
+        while (pos < text.length && text[pos] !== "\n") {
+          pos += 1;
+        }
+      } else if (char === " " || char === "\t" || char === "\r" || (newlines && char === "\n")) {
+        pos += 1;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseValue = (): TomlValue => {
+    const char = text[pos];
+    if (char === "[") {
+      pos += 1;
+      const items: TomlValue[] = [];
+      skipSpace(true);
+      while (text[pos] !== "]") {
+        items.push(parseValue());
+        skipSpace(true);
+        if (text[pos] === ",") {
+          pos += 1;
+          skipSpace(true);
+        } else if (text[pos] !== "]") {
+          throw new Error(`Expected , or ] at offset ${pos}.`);
+        }
+      }
+      pos += 1;
+      return items;
+    }
+    if (char === '"') {
+      const match = /^"(?:[^"\\\n]|\\.)*"/.exec(text.slice(pos));
+      if (!match) {
+        throw new Error(`Unterminated string at offset ${pos}.`);
+      }
+      pos += match[0].length;
+      return JSON.parse(match[0]) as string;
+    }
+    if (char === "'") {
+      const end = text.indexOf("'", pos + 1);
+      if (end < 0) {
+        throw new Error(`Unterminated string at offset ${pos}.`);
+      }
+      const value = text.slice(pos + 1, end);
+      pos = end + 1;
+      return value;
+    }
+    const match = /^[^\s,\]#]+/.exec(text.slice(pos));
+    if (!match) {
+      throw new Error(`Expected a value at offset ${pos}.`);
+    }
+    pos += match[0].length;
+    if (match[0] === "true" || match[0] === "false") {
+      return match[0] === "true";
+    }
+    const number = Number(match[0].replace(/_/g, ""));
+    if (Number.isNaN(number)) {
+      throw new Error(`Unsupported value: ${match[0]}.`);
+    }
+    return number;
+  };
+
+  for (;;) {
+    skipSpace(true);
+    if (pos >= text.length) {
+      return tables;
+    }
+    if (text[pos] === "[") {
+      const end = text.indexOf("]", pos);
+      const name = text.slice(pos + 1, end).trim().replace(/^"|"$/g, "");
+      current = {};
+      tables.set(name, current);
+      pos = end + 1;
+      continue;
+    }
+    const match = /^([A-Za-z0-9_-]+)[ \t]*=[ \t]*/.exec(text.slice(pos));
+    if (!match) {
+      throw new Error(`Expected key = value at offset ${pos}.`);
+    }
+    pos += match[0].length;
+    current[match[1]] = parseValue();
+  }
+}
+
+function phhNumbers(doc: Record<string, TomlValue>, key: string, count: number): number[] {
+  const value = doc[key] ?? Array.from({ length: count }, () => 0);
+  if (!Array.isArray(value) || value.length !== count || value.some((v) => typeof v !== "number")) {
+    throw new Error(`PHH ${key} must list ${count} numbers.`);
+  }
+  return value as number[];
+}
+
+function parsePhhHand(doc: Record<string, TomlValue>, tableName: string): ImportedHand {
+  const variants: Record<string, [GameType, BettingStructure]> = {
+    NT: ["holdem", "no_limit"],
+    FT: ["holdem", "fixed_limit"],
+    NS: ["shortdeck", "no_limit"],
+    PO: ["omaha", "pot_limit"],
+  };
+  const variant = String(doc.variant);
+  if (!variants[variant]) {
+    throw new Error(`Unsupported PHH variant: ${variant}.`);
+  }
+  const [gameType, bettingStructure] = variants[variant];
+  const stacksRaw = doc.starting_stacks;
+  if (!Array.isArray(stacksRaw)) {
+    throw new Error("PHH starting_stacks is required.");
+  }
+  const count = stacksRaw.length;
+  const stacks = phhNumbers(doc, "starting_stacks", count);
+  const antes = phhNumbers(doc, "antes", count);
+  const blinds = phhNumbers(doc, "blinds_or_straddles", count);
+  const betSizes = ["small_bet", "big_bet"]
+    .map((key) => doc[key])
+    .filter((value): value is number => typeof value === "number");
+  const actionLines = doc.actions;
+  if (!Array.isArray(actionLines) || actionLines.some((line) => typeof line !== "string")) {
+    throw new Error("PHH actions must be a list of strings.");
+  }
+  const cbrAmounts = (actionLines as string[])
+    .map((line) => /\bcbr\s+([\d.]+)/.exec(line)?.[1])
+    .filter((amount): amount is string => amount !== undefined)
+    .map(Number);
+  const chipScale = chipScaleFor([...stacks, ...antes, ...blinds, ...betSizes, ...cbrAmounts]);
+
+  // PHH players start left of the button; the button (last) is engine seat 0
+  const names = Array.isArray(doc.players) ? doc.players.map(String) : [];
+  const seats = Array.isArray(doc.seats) ? doc.seats.map(Number) : [];
+  const engineSeat = (player: number) => (player + 1) % count;
+  const players: SourcePlayer[] = [];
+  const forced: ForcedBets = { antes: [], blinds: [] };
+  for (let player = 0; player < count; player += 1) {
+    const seat = engineSeat(player);
+    players[seat] = {
+      name: names[player] ?? `p${player + 1}`,
+      sourceSeat: seats[player] ?? player + 1,
+      stack: toChips(stacks[player], chipScale),
+    };
+    forced.antes[seat] = toChips(antes[player], chipScale);
+    forced.blinds[seat] = toChips(blinds[player], chipScale);
+  }
+
+  const holeCards: (Card[] | null)[] = players.map(() => null);
+  const board: Card[] = [];
+  const actions: ImportedAction[] = [];
+  // Board size at the last player action; anything dealt later may be a run
+  let shared = 0;
+  for (const raw of actionLines as string[]) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const parts = line.split(/\s+/);
+    const player = /^p(\d+)$/.exec(parts[parts[0] === "d" ? 2 : 0] ?? "");
+    const seat = player ? engineSeat(Number(player[1]) - 1) : -1;
+    if (parts[0] === "d" && parts[1] === "dh" && player) {
+      holeCards[seat] = parseCards(parts[3] ?? "?");
+    } else if (parts[0] === "d" && parts[1] === "db") {
+      board.push(...(parseCards(parts.slice(2).join("")) ?? []));
+    } else if (player && parts[1] === "f") {
+      actions.push({ seat, type: "fold", amount: null });
+      shared = board.length;
+    } else if (player && parts[1] === "cc") {
+      actions.push({ seat, type: "check_or_call", amount: null });
+      shared = board.length;
+    } else if (player && parts[1] === "cbr") {
+      actions.push({ seat, type: "bet_or_raise", amount: toChips(Number(parts[2]), chipScale) });
+      shared = board.length;
+    } else if (player && parts[1] === "sm") {
+      const shown = parts[2] ? parseCards(parts[2]) : null;
+      if (shown) {
+        holeCards[seat] = shown;
+      }
+    } else {
+      throw new Error(`Unsupported PHH action: ${raw}.`);
+    }
+  }
+
+  const betting: Pick<GameConfig, "gameType" | "bettingStructure" | "smallBet" | "bigBet"> = {
+    gameType,
+    bettingStructure,
+  };
+  if (bettingStructure === "fixed_limit") {
+    betting.smallBet = toChips(Number(doc.small_bet), chipScale);
+    betting.bigBet = toChips(Number(doc.big_bet), chipScale);
+  }
+  const sourceId = doc.hand !== undefined ? String(doc.hand) : tableName || null;
+  const runBoards = splitRuns(board, shared);
+  const firstBoard = runBoards.length > 0 ? runBoards[0] : board;
+  return buildHand(
+    "phh",
+    sourceId,
+    players,
+    forced,
+    betting,
+    chipScale,
+    holeCards,
+    firstBoard,
+    actions,
+    runBoards
+  );
+}
+
+// A .phh document (one hand) or a .phhs file of [n] tables, one hand each
+export function parsePhh(text: string): ImportedHand[] {
+  const tables = parseToml(text);
+  const hands: ImportedHand[] = [];
+  for (const [name, doc] of tables) {
+    if (Object.keys(doc).length > 0) {
+      hands.push(parsePhhHand(doc, name));
+    }
+  }
+  return hands;
+}
+
+// --- PokerStars text ---
+
+const AMOUNT = "[$€£]?([\\d,]+(?:\\.\\d+)?)";
+
+function parseAmount(text: string): number {
+  return Number(text.replace(/,/g, ""));
+}
+
+function parsePokerStarsHand(text: string): ImportedHand {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const header = /^PokerStars (?:Hand|Game) #(\d+):\s*(.*)$/.exec(lines[0]);
+  if (!header) {
+    throw new Error("Not a PokerStars hand history.");
+  }
+  const game = header[2];
+  if (!/Hold'em|Omaha/.test(game) || /Hi\/Lo/.test(game)) {
+    throw new Error(`Unsupported game: ${game}.`);
+  }
+  const gameType: GameType = /5 Card Omaha/.test(game)
+    ? "omaha5"
+    : /Omaha/.test(game)
+      ? "omaha"
+      : /6\+ Hold'em|Short Deck/.test(game)
+        ? "shortdeck"
+        : "holdem";
+  const bettingStructure: BettingStructure = /No Limit/.test(game)
+    ? "no_limit"
+    : /Pot Limit/.test(game)
+      ? "pot_limit"
+      : "fixed_limit";
+  const amounts = Array.from(text.matchAll(new RegExp(AMOUNT, "g")))
+    .filter((match) => match[0].includes(".") || match[0].match(/^[$€£]/))
+    .map((match) => parseAmount(match[1]));
+  const chipScale = chipScaleFor(amounts);
+  const chips = (value: string) => toChips(parseAmount(value), chipScale);
+
+  const button = /Seat #(\d+) is the button/.exec(text);
+  if (!button) {
+    throw new Error("Hand history has no button seat.");
+  }
+  const seated: SourcePlayer[] = [];
+  const summaryStart = lines.indexOf("*** SUMMARY ***");
+  for (const line of lines.slice(0, summaryStart < 0 ? lines.length : summaryStart)) {
+    const seat = new RegExp(`^Seat (\\d+): (.+) \\(${AMOUNT} in chips`).exec(line);
+    if (seat && !/is sitting out/.test(line)) {
+      seated.push({ sourceSeat: Number(seat[1]), name: seat[2], stack: chips(seat[3]) });
+    }
+  }
+  const buttonIndex = seated.findIndex((p) => p.sourceSeat === Number(button[1]));
+  if (buttonIndex < 0) {
+    throw new Error(`Button seat ${button[1]} has no player.`);
+  }
+  const players = rotateToButton(seated, buttonIndex);
+
+  // Longest names first so "Bob" never matches a line from "Bob Smith"
+  const byName = players
+    .map((player, seat) => ({ name: player.name, seat }))
+    .sort((a, b) => b.name.length - a.name.length);
+  const speaker = (line: string) => {
+    const match = byName.find(({ name }) => line.startsWith(`${name}: `));
+    return match ? { seat: match.seat, rest: line.slice(match.name.length + 2) } : null;
+  };
+
+  const forced: ForcedBets = {
+    antes: players.map(() => 0),
+    blinds: players.map(() => 0),
+  };
+  const holeCards: (Card[] | null)[] = players.map(() => null);
+  let board: Card[] = [];
+  // Run-it-N: "*** SECOND TURN ***" and the like, by run
+  const runBoards: Card[][] = [];
+  const actions: ImportedAction[] = [];
+  for (const line of lines.slice(1, summaryStart < 0 ? lines.length : summaryStart)) {
+    const dealt = /^Dealt to (.+) \[(.+)\]$/.exec(line);
+    if (dealt) {
+      const seat = players.findIndex((player) => player.name === dealt[1]);
+      if (seat >= 0) {
+        holeCards[seat] = parseCards(dealt[2]);
+      }
+      continue;
+    }
+    const street = /^\*\*\* (?:(FIRST|SECOND|THIRD|FOURTH) )?(FLOP|TURN|RIVER) \*\*\*/.exec(line);
+    if (street) {
+      const groups = Array.from(line.matchAll(/\[([^\]]+)\]/g)).map((match) => match[1]);
+      const cards = parseCards(groups.join(" "));
+      if (street[1]) {
+        const run = ["FIRST", "SECOND", "THIRD", "FOURTH"].indexOf(street[1]);
+        runBoards[run] = cards ?? runBoards[run];
+      } else {
+        board = cards ?? board;
+      }
+      continue;
+    }
+    const said = speaker(line);
+    if (!said) {
+      continue;
+    }
+    const { seat, rest } = said;
+    let match: RegExpExecArray | null;
+    if ((match = new RegExp(`^posts the ante ${AMOUNT}`).exec(rest))) {
+      forced.antes[seat] += chips(match[1]);
+    } else if ((match = new RegExp(`^posts (?:small|big) blind ${AMOUNT}`).exec(rest))) {
+      forced.blinds[seat] += chips(match[1]);
+    } else if ((match = new RegExp(`^posts straddle ${AMOUNT}`).exec(rest))) {
+      forced.blinds[seat] += chips(match[1]);
+    } else if (/^posts small & big blinds/.test(rest)) {
+      throw new Error("Dead blinds are not supported.");
+    } else if (rest === "folds") {
+      actions.push({ seat, type: "fold", amount: null });
+    } else if (rest === "checks") {
+      actions.push({ seat, type: "check", amount: null });
+    } else if (/^calls /.test(rest)) {
+      actions.push({ seat, type: "call", amount: null });
+    } else if ((match = new RegExp(`^bets ${AMOUNT}`).exec(rest))) {
+      actions.push({ seat, type: "bet", amount: chips(match[1]) });
+    } else if ((match = new RegExp(`^raises ${AMOUNT} to ${AMOUNT}`).exec(rest))) {
+      actions.push({ seat, type: "raise", amount: chips(match[2]) });
+    } else if ((match = /^shows \[([^\]]+)\]/.exec(rest))) {
+      holeCards[seat] = parseCards(match[1]);
+    }
+  }
+  // Cards shown only in the summary (e.g. "mucked [..]")
+  for (const line of summaryStart < 0 ? [] : lines.slice(summaryStart)) {
+    const shown = /^Seat (\d+): .*?(?:showed|mucked) \[([^\]]+)\]/.exec(line);
+    if (shown) {
+      const seat = players.findIndex((player) => player.sourceSeat === Number(shown[1]));
+      if (seat >= 0 && !holeCards[seat]) {
+        holeCards[seat] = parseCards(shown[2]);
+      }
+    }
+  }
+
+  const betting: Pick<GameConfig, "gameType" | "bettingStructure" | "smallBet" | "bigBet"> = {
+    gameType,
+    bettingStructure,
+  };
+  if (bettingStructure === "fixed_limit") {
+    const stakes = new RegExp(`\\(${AMOUNT}/${AMOUNT}`).exec(game);
+    if (!stakes) {
+      throw new Error("Fixed-limit hand history has no stakes.");
+    }
+    betting.smallBet = chips(stakes[1]);
+    betting.bigBet = chips(stakes[2]);
+  }
+  return buildHand(
+    "pokerstars",
+    header[1],
+    players,
+    forced,
+    betting,
+    chipScale,
+    holeCards,
+    runBoards.length > 1 ? runBoards[0] : board,
+    actions,
+    runBoards.length > 1 ? runBoards : []
+  );
+}
+
+// One or more hands, as in a PokerStars hand history file
+export function parsePokerStars(text: string): ImportedHand[] {
+  return text
+    .split(/\r?\n(?=PokerStars (?:Hand|Game) #)/)
+    .map((chunk) => chunk.trim())
+    .filter((chunk) => chunk.length > 0)
+    .map(parsePokerStarsHand);
+}
+
+// --- Replay ---
+
+function resolveAction(engine: Engine, imported: ImportedAction): Action {
+  let type = imported.type;
+  if (type === "check_or_call" || type === "bet_or_raise") {
+    const legal = engine.getLegalActions().map((action) => action.type);
+    if (type === "check_or_call") {
+      type = legal.includes("check") ? "check" : "call";
+    } else {
+      type = legal.includes("bet") ? "bet" : "raise";
+    }
+  }
+  return { actor: imported.seat, type, amount: imported.amount };
+}
+
+// The engine posts forced bets from config; they must match what the source
+// recorded, or every later amount would be off
+function checkForcedBets(engine: Engine, hand: ImportedHand) {
+  const posted = hand.seatNames.map(() => 0);
+  for (const event of engine.getSnapshot().events) {
+    if (
+      event.type === "ante_posted" ||
+      event.type === "big_blind_ante_posted" ||
+      event.type === "blind_posted" ||
+      event.type === "straddle_posted"
+    ) {
+      posted[event.data.seat as SeatIndex] += event.data.amount as number;
+    }
+  }
+  hand.forcedBets.forEach((amount, seat) => {
+    if (posted[seat] !== amount) {
+      throw new Error(
+        `Forced bets for ${hand.seatNames[seat]} do not match: source ${amount}, engine ${posted[seat]}.`
+      );
+    }
+  });
+}
+
+// Replay an imported hand through applyAction. Replay stops at options.stopAt
+// (default: every action) or at the first action the engine rejects, which is
+// reported rather than adjusted. The returned engine is live from that point.
+export function importHandHistory(
+  hand: ImportedHand,
+  options: HandImportOptions = {}
+): HandImportResult {
+  const stopAt = options.stopAt ?? hand.actions.length;
+  if (!Number.isInteger(stopAt) || stopAt < 0 || stopAt > hand.actions.length) {
+    throw new Error(`stopAt must be between 0 and ${hand.actions.length}.`);
+  }
+  const engine = createEngine(hand.config);
+  checkForcedBets(engine, hand);
+  for (let index = 0; index < stopAt; index += 1) {
+    const imported = hand.actions[index];
+    try {
+      if (engine.getSnapshot().state.phase === "ended") {
+        throw new Error("Hand is over.");
+      }
+      engine.applyAction(resolveAction(engine, imported));
+    } catch (err) {
+      return {
+        hand,
+        engine,
+        applied: index,
+        rejection: {
+          index,
+          action: imported,
+          message: err instanceof Error ? err.message : String(err),
+        },
+      };
+    }
+  }
+  return { hand, engine, applied: stopAt, rejection: null };
+}
@@ -0,0 +1,192 @@
+import { createEngine } from "./engine";
+import { exportPhh, exportPokerStars, phhVariant } from "./handHistory";
+import { GameConfig } from "./types";
+
+const config: GameConfig = {
+  seed: "hand-history",
+  deckSecret: "hand-history",
+  seatCount: 3,
+  startingStacks: [1000, 1000, 1000],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+const seatLabels = [
+  { name: "Alice", preset: "Balanced", profile: "Tight" },
+  { name: "Bob" },
+  { name: "Cara", preset: "Aggressive" },
+];
+
+const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+
+// D=0, SB=1, BB=2: button raises, SB folds, BB calls, flop bet takes it down
+function playFoldedHand() {
+  const engine = createEngine(config);
+  engine.applyAction({ actor: 0, type: "raise", amount: 60 });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "bet", amount: 100 });
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  return engine;
+}
+
+// Everyone checks down to showdown
+function playShowdownHand() {
+  const engine = createEngine(config);
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "check", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+  return engine;
+}
+
+test("Hand history: PokerStars text covers seats, actions and summary", () => {
+  const text = exportPokerStars(playFoldedHand().getSnapshot(), { seatLabels, date });
+  const lines = text.split("\n");
+
+  expect(lines[0]).toBe(
+    "PokerStars Hand #1: Hold'em No Limit (10/20) - 2024/01/02 03:04:05 UTC"
+  );
+  expect(lines[1]).toBe("Table 'CardPT' 3-max Seat #1 is the button");
+  expect(lines).toContain("Seat 1: Alice (1000 in chips) [Balanced | Tight]");
+  expect(lines).toContain("Seat 2: Bob (1000 in chips)");
+  expect(lines).toContain("Seat 3: Cara (1000 in chips) [Aggressive]");
+  expect(lines).toContain("Bob: posts small blind 10");
+  expect(lines).toContain("Cara: posts big blind 20");
+  expect(lines).toContain("Alice: raises 40 to 60");
+  expect(lines).toContain("Cara: calls 40");
+  expect(lines).toContain("Cara: bets 100");
+  expect(lines).toContain("Uncalled bet (100) returned to Cara");
+  expect(lines).toContain("Cara collected 130 from pot");
+  expect(lines).toContain("Total pot 130 | Rake 0");
+  expect(lines).toContain("Seat 1: Alice (button) folded on the Flop");
+  expect(lines).toContain("Seat 2: Bob (small blind) folded before Flop");
+  // No showdown: hole cards stay hidden
+  expect(text).not.toContain("Dealt to");
+  expect(text).not.toContain("shows");
+});
+
+test("Hand history: PokerStars text shows cards that reached showdown", () => {
+  const snapshot = playShowdownHand().getSnapshot();
+  const text = exportPokerStars(snapshot, { seatLabels, date });
+  const { players, board } = snapshot.state;
+  const cards = (seat: number) =>
+    players[seat].holeCards.map((c) => `${c.rank}${c.suit}`).join(" ");
+
+  expect(text).toContain("*** SHOW DOWN ***");
+  for (const seat of [0, 1, 2]) {
+    expect(text).toContain(`shows [${cards(seat)}]`);
+  }
+  expect(text).toContain(`Board [${board.map((c) => `${c.rank}${c.suit}`).join(" ")}]`);
+  expect(text).toContain("*** RIVER ***");
+});
+
+test("Hand history: holeCards 'all' deals every seat's cards", () => {
+  const snapshot = playFoldedHand().getSnapshot();
+  const text = exportPokerStars(snapshot, { seatLabels, date, holeCards: "all" });
+  const alice = snapshot.state.players[0].holeCards.map((c) => `${c.rank}${c.suit}`);
+
+  expect(text).toContain(`Dealt to Alice [${alice.join(" ")}]`);
+});
+
+test("Hand history: PHH lists players from the left of the button", () => {
+  const snapshot = playFoldedHand().getSnapshot();
+  const phh = exportPhh(snapshot, { seatLabels, handId: 1 });
+  const flop = snapshot.state.board
+    .slice(0, 3)
+    .map((c) => `${c.rank}${c.suit}`)
+    .join("");
+
+  expect(phh).toContain('variant = "NT"');
+  expect(phh).toContain("blinds_or_straddles = [10, 20, 0]");
+  expect(phh).toContain("starting_stacks = [1000, 1000, 1000]");
+  expect(phh).toContain("min_bet = 20");
+  expect(phh).toContain('players = ["Bob", "Cara", "Alice"]');
+  expect(phh).toContain("seats = [2, 3, 1]");
+  expect(phh).toContain(
+    `actions = ["d dh p1 ????", "d dh p2 ????", "d dh p3 ????", "p3 cbr 60", ` +
+      `"p1 f", "p2 cc", "d db ${flop}", "p2 cbr 100", "p3 f"]`
+  );
+  expect(phh).toContain("finishing_stacks = [990, 1070, 940]");
+  expect(phh).toContain('_cardpt_presets = ["", "Aggressive", "Balanced"]');
+});
+
+test("Hand history: PHH writes one table per hand and skips hands in progress", () => {
+  const engine = playFoldedHand();
+  engine.startNextHand();
+  const phh = exportPhh(engine.getSnapshot());
+
+  expect(phh.startsWith("[1]\n")).toBe(true);
+  expect(phh).not.toContain("[2]");
+  expect(() => exportPhh(engine.getSnapshot(), { handId: 2 })).toThrow(
+    "Hand 2 is not a completed hand in this snapshot."
+  );
+});
+
+test("Hand history: PHH rejects pot-limit hold'em", () => {
+  const engine = createEngine({ ...config, bettingStructure: "pot_limit" });
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+
+  expect(phhVariant(engine.getSnapshot().config)).toBeNull();
+  expect(() => exportPhh(engine.getSnapshot())).toThrow(
+    "PHH has no variant code for pot-limit hold'em."
+  );
+  expect(exportPokerStars(engine.getSnapshot(), { date })).toContain(
+    "Hold'em Pot Limit (10/20)"
+  );
+});
+
+test("Hand history: mucked hands stay hidden in both formats", () => {
+  const engine = createEngine({ ...config, showdownMode: "auto_muck" });
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "check", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+  const snapshot = engine.getSnapshot();
+  const mucked = snapshot.events
+    .filter((e) => e.type === "cards_mucked")
+    .map((e) => e.data.seat as number);
+  expect(mucked.length).toBeGreaterThan(0);
+
+  const text = exportPokerStars(snapshot, { seatLabels, date });
+  const phh = exportPhh(snapshot, { seatLabels, handId: 1 });
+  for (const seat of mucked) {
+    const name = seatLabels[seat].name;
+    const hole = snapshot.state.players[seat].holeCards.map((c) => `${c.rank}${c.suit}`);
+    expect(text).toContain(`${name}: mucks hand`);
+    expect(text).toContain(`Seat ${seat + 1}: ${name}`);
+    expect(text).not.toContain(hole.join(" "));
+    expect(phh).not.toContain(hole.join(""));
+    expect(phh).toMatch(/p\d sm \?\?\?\?/);
+  }
+});
+
+test("Hand history: the seed is only written when asked for", () => {
+  const snapshot = playFoldedHand().getSnapshot();
+  for (const text of [exportPokerStars(snapshot, { date }), exportPhh(snapshot, { handId: 1 })]) {
+    expect(text).not.toContain("hand-history");
+  }
+  expect(exportPokerStars(snapshot, { date, includeSeed: true })).toContain(
+    "Table 'CardPT hand-history'"
+  );
+  expect(exportPhh(snapshot, { handId: 1, includeSeed: true })).toContain(
+    '_cardpt_seed = "hand-history"'
+  );
+});
+
+test("Hand history: a walk returns only the uncalled big blind, not its ante", () => {
+  const engine = createEngine({ ...config, bigBlindAnte: 20 });
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  const text = exportPokerStars(engine.getSnapshot(), { date });
+
+  expect(text).toContain("Uncalled bet (10) returned to Seat 2");
+  expect(text).toContain("Seat 2 collected 40 from pot");
+});
@@ -0,0 +1,226 @@
+import { createEngine } from "./engine";
+import { exportPhh, exportPokerStars } from "./handHistory";
+import { importHandHistory, parsePhh, parsePokerStars } from "./handImport";
+import { cards, deckStartingWith, tableConfig } from "./test_helpers";
+import { GameConfig } from "./types";
+
+const config: GameConfig = {
+  seed: "hand-import",
+  deckSecret: "hand-import",
+  seatCount: 3,
+  startingStacks: [1000, 800, 1200],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+const seatLabels = [{ name: "Alice" }, { name: "Bob" }, { name: "Cara" }];
+
+// D=0, SB=1, BB=2: button raises, blinds call, checked down to showdown
+function playHand() {
+  const engine = createEngine(config);
+  engine.applyAction({ actor: 0, type: "raise", amount: 60 });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+  return engine;
+}
+
+const PHH_HAND = `
+variant = "NT"
+antes = [0, 0, 0]
+blinds_or_straddles = [1, 2, 0]
+min_bet = 2
+starting_stacks = [200, 200, 200]
+actions = [
+  "d dh p1 ????",
+  "d dh p2 ????",
+  "d dh p3 AsKs", # hero
+  "p3 cbr 6",
+  "p1 f",
+  "p2 cc",
+  "d db 2c7d9h",
+  "p2 cc",
+  "p3 cbr 8",
+  "p2 f",
+]
+hand = 42
+players = ["Sam", "Lee", "Kim"]
+`;
+
+test("Hand import: PokerStars export replays to the same result", () => {
+  const source = playHand().getSnapshot();
+  const [hand] = parsePokerStars(exportPokerStars(source, { seatLabels }));
+  const result = importHandHistory(hand);
+  const replayed = result.engine.getSnapshot().state;
+
+  expect(result.rejection).toBeNull();
+  expect(result.applied).toBe(source.actionHistory.length);
+  expect(hand.seatNames).toEqual(["Alice", "Bob", "Cara"]);
+  expect(hand.config.startingStacks).toEqual([1000, 800, 1200]);
+  expect(replayed.phase).toBe("ended");
+  expect(replayed.board).toEqual(source.state.board);
+  expect(replayed.players.map((p) => p.holeCards)).toEqual(
+    source.state.players.map((p) => p.holeCards)
+  );
+  expect(replayed.players.map((p) => p.stack)).toEqual(
+    source.state.players.map((p) => p.stack)
+  );
+});
+
+test("Hand import: PHH export replays to the same result", () => {
+  const source = playHand().getSnapshot();
+  const [hand] = parsePhh(exportPhh(source, { seatLabels, handId: 1 }));
+  const result = importHandHistory(hand);
+
+  expect(result.rejection).toBeNull();
+  expect(hand.seatNames).toEqual(["Alice", "Bob", "Cara"]);
+  expect(result.engine.getSnapshot().state.players.map((p) => p.stack)).toEqual(
+    source.state.players.map((p) => p.stack)
+  );
+});
+
+test("Hand import: run-it-twice hands keep every run's board and result", () => {
+  // Heads-up all-in preflop: 8s9s makes a straight on the first board, AhAd
+  // the better two pair on the second
+  const deck = deckStartingWith([
+    ...cards("Ah 8s Ad 9s"),
+    ...[null, ...cards("5d Qc 6h"), null, ...cards("4c"), null, ...cards("7h")],
+    ...[null, ...cards("2d 5h Td"), null, ...cards("5s"), null, ...cards("Ts")],
+  ]);
+  const engine = createEngine(
+    tableConfig("run-it-import", { startingStacks: [500, 500], runItTimes: 2, deckOrder: [deck] })
+  );
+  engine.applyAction({ actor: 0, type: "raise", amount: 500 });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  const source = engine.getSnapshot();
+  expect(source.state.players.map((p) => p.stack)).toEqual([500, 500]);
+
+  const text = exportPokerStars(source, { seatLabels: seatLabels.slice(0, 2) });
+  expect(text).toContain("*** SECOND RIVER *** [2d 5h Td 5s] [Ts]");
+  expect(text).toContain("SECOND Board [2d 5h Td 5s Ts]");
+  expect(text).toContain(
+    "Alice (button) (small blind) showed [8s 9s] and won (500) with Straight, and lost with Two Pair"
+  );
+  expect(exportPhh(source, { handId: 1 })).toContain('"d db 7h", "d db 2d5hTd", "d db 5s", "d db Ts"');
+
+  for (const [hand] of [parsePokerStars(text), parsePhh(exportPhh(source, { handId: 1 }))]) {
+    const { engine: replay, rejection } = importHandHistory(hand);
+    const { state } = replay.getSnapshot();
+    expect(rejection).toBeNull();
+    expect(hand.config.runItTimes).toBe(2);
+    expect(state.runBoards).toEqual(source.state.runBoards);
+    expect(state.players.map((p) => p.stack)).toEqual([500, 500]);
+  }
+});
+
+test("Hand import: PHH places the button on seat 0 and deals known cards", () => {
+  const [hand] = parsePhh(PHH_HAND);
+  const { engine, rejection } = importHandHistory(hand);
+  const state = engine.getSnapshot().state;
+
+  expect(rejection).toBeNull();
+  expect(hand.sourceId).toBe("42");
+  expect(hand.seatNames).toEqual(["Kim", "Sam", "Lee"]);
+  expect(hand.config.smallBlind).toBe(1);
+  expect(hand.config.bigBlind).toBe(2);
+  expect(state.players[0].holeCards).toEqual([
+    { rank: "A", suit: "s" },
+    { rank: "K", suit: "s" },
+  ]);
+  expect(state.board).toEqual([
+    { rank: "2", suit: "c" },
+    { rank: "7", suit: "d" },
+    { rank: "9", suit: "h" },
+  ]);
+  expect(state.phase).toBe("ended");
+  expect(state.players.map((p) => p.stack)).toEqual([207, 199, 194]);
+});
+
+test("Hand import: stopAt pauses a live engine at that decision point", () => {
+  const [hand] = parsePhh(PHH_HAND);
+  const { engine, applied } = importHandHistory(hand, { stopAt: 3 });
+  const state = engine.getSnapshot().state;
+
+  expect(applied).toBe(3);
+  expect(state.phase).toBe("flop");
+  expect(state.actionSeat).toBe(2);
+  expect(engine.getLegalActions().map((a) => a.type)).toEqual(["check", "bet"]);
+
+  engine.applyAction({ actor: 2, type: "bet", amount: 10 });
+  expect(engine.getSnapshot().state.actionSeat).toBe(0);
+});
+
+test("Hand import: illegal actions are reported, not adjusted", () => {
+  const [hand] = parsePhh(PHH_HAND.replace('"p3 cbr 6"', '"p3 cbr 3"'));
+  const { engine, applied, rejection } = importHandHistory(hand);
+
+  expect(applied).toBe(0);
+  expect(rejection).toEqual({
+    index: 0,
+    action: { seat: 0, type: "bet_or_raise", amount: 3 },
+    message: "Raise below minimum and not all-in.",
+  });
+  expect(engine.getSnapshot().actionHistory).toHaveLength(0);
+  expect(engine.getSnapshot().state.actionSeat).toBe(0);
+});
+
+test("Hand import: PokerStars cash amounts are scaled to whole chips", () => {
+  const text = [
+    "PokerStars Hand #7: Hold'em No Limit ($0.01/$0.02 USD) - 2024/01/02 03:04:05 ET",
+    "Table 'Cash' 6-max Seat #4 is the button",
+    "Seat 1: North ($2 in chips)",
+    "Seat 4: East ($1.50 in chips)",
+    "East: posts small blind $0.01",
+    "North: posts big blind $0.02",
+    "*** HOLE CARDS ***",
+    "Dealt to East [Qh Qd]",
+    "East: raises $0.04 to $0.06",
+    "North: folds",
+    "Uncalled bet ($0.04) returned to East",
+    "East collected $0.04 from pot",
+    "*** SUMMARY ***",
+    "Seat 1: North (big blind) folded before Flop",
+    "Seat 4: East (button) (small blind) collected ($0.04)",
+  ].join("\n");
+  const [hand] = parsePokerStars(text);
+  const { engine, rejection } = importHandHistory(hand);
+
+  expect(rejection).toBeNull();
+  expect(hand.chipScale).toBe(100);
+  expect(hand.seatNames).toEqual(["East", "North"]);
+  expect(hand.sourceSeats).toEqual([4, 1]);
+  expect(hand.config.startingStacks).toEqual([150, 200]);
+  expect(engine.getSnapshot().state.players.map((p) => p.stack)).toEqual([152, 198]);
+});
+
+test("Hand import: unsupported histories throw", () => {
+  expect(() => parsePhh(PHH_HAND.replace('"NT"', '"F7S"'))).toThrow(
+    "Unsupported PHH variant: F7S."
+  );
+  expect(() => parsePokerStars("Full Tilt Poker Game #1")).toThrow(
+    "Not a PokerStars hand history."
+  );
+});
+
+test("Hand import: forced bets the engine cannot post are rejected", () => {
+  const [uneven] = parsePhh(PHH_HAND.replace("[0, 0, 0]", "[1, 2, 3]"));
+  expect(() => importHandHistory(uneven)).toThrow(
+    "Forced bets for Sam do not match: source 2, engine 4."
+  );
+
+  const [straddled] = parsePhh(PHH_HAND.replace("[1, 2, 0]", "[1, 2, 4]"));
+  expect(straddled.config.straddle).toBe("button");
+  expect(straddled.config.straddleAmount).toBe(4);
+});
+
+test("Hand import: deckOrder must be a full deck", () => {
+  const [hand] = parsePhh(PHH_HAND);
+  const short = hand.config.deckOrder![0].slice(1);
+
+  expect(() => createEngine({ ...hand.config, deckOrder: [short] })).toThrow(
+    "deckOrder for hand 1 must be a full 52-card deck."
+  );
+});
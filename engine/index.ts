@@ -1,3 +1,27 @@
-export { createEngine } from "./engine.js";
-export type { Engine } from "./engine.js";
+export { createEngine, restoreEngine } from "./engine.js";
+export { validateSnapshot } from "./snapshot.js";
+export { exportPhh, exportPokerStars, phhVariant } from "./handHistory.js";
+export type { HandHistoryOptions, SeatLabel } from "./handHistory.js";
+export { importHandHistory, parsePhh, parsePokerStars } from "./handImport.js";
+export type {
+  HandImportOptions,
+  HandImportResult,
+  ImportedAction,
+  ImportedHand,
+  ImportRejection,
+} from "./handImport.js";
+export { loadScenario, parseScenario, scenarioConfig } from "./scenario.js";
+export type { Scenario, ScenarioAction, ScenarioRules } from "./scenario.js";
+export { icmEquity } from "./tournament.js";
+export { calculateEquity, parseRange } from "./equity.js";
+export type { EquityHand, EquityOptions, EquityResult } from "./equity.js";
+export { describeHand } from "./evaluate.js";
+export type { HandDescription, HandRank } from "./evaluate.js";
+export { checkInvariants } from "./invariants.js";
+export { deckCommitment, verifyDeckCommitments } from "./commitment.js";
+export type { DeckVerification } from "./commitment.js";
+export { sha256 } from "./sha256.js";
+export { botDecision, getAllBots, getBotById } from "./bots.js";
+export type { BotChoice, BotId, BotInfo } from "./bots.js";
+export type { Engine, EngineOptions } from "./engine.js";
 export * from "./types.js";
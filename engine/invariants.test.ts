@@ -0,0 +1,137 @@
+import { createEngine } from "./engine";
+import { fuzz, FuzzStep, randomConfig, replaySteps, shrinkSteps } from "./fuzz";
+import { checkInvariants } from "./invariants";
+import { tableConfig } from "./test_helpers";
+import { EngineSnapshot } from "./types";
+
+test("Invariants: a checked engine plays a hand through to the payout", () => {
+  const engine = createEngine(tableConfig("invariants"), { checkInvariants: true });
+  engine.applyAction({ actor: 0, type: "raise", amount: 60 });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "fold", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+  engine.startNextHand();
+  engine.undo();
+
+  const { players } = engine.getSnapshot().state;
+  const total = players.reduce((sum, p) => sum + p.stack + p.totalCommitted, 0);
+  expect(total).toBe(3000);
+});
+
+test("Invariants: corrupted state fails the next checked action", () => {
+  const engine = createEngine(tableConfig("invariants"), { checkInvariants: true });
+  // getSnapshot hands out the live state
+  engine.getSnapshot().state.players[2].stack += 5;
+  expect(() => engine.applyAction({ actor: 0, type: "call", amount: null })).toThrow(
+    "Invariant violated: Chip total 3005 does not match expected 3000."
+  );
+
+  // Unchecked engines trust their state
+  const unchecked = createEngine(tableConfig("invariants"));
+  unchecked.getSnapshot().state.players[2].stack += 5;
+  expect(() => unchecked.applyAction({ actor: 0, type: "call", amount: null })).not.toThrow();
+});
+
+test("Invariants: betting bookkeeping and pots are checked", () => {
+  const snapshot = (): EngineSnapshot =>
+    JSON.parse(JSON.stringify(createEngine(tableConfig("invariants")).getSnapshot()));
+
+  const wrongBet = snapshot();
+  wrongBet.state.currentBet = 40;
+  expect(() => checkInvariants(wrongBet)).toThrow(
+    "Invariant violated: currentBet 40 is not the highest bet 20."
+  );
+
+  const foldedRaiser = snapshot();
+  foldedRaiser.state.players[1].status = "folded";
+  expect(() => checkInvariants(foldedRaiser)).toThrow(
+    "Invariant violated: seat 1 is eligible for a pot without a live hand."
+  );
+
+  const lostPot = snapshot();
+  lostPot.state.pots = [];
+  expect(() => checkInvariants(lostPot)).toThrow(
+    "Invariant violated: pots do not add up to the 30 chips committed."
+  );
+
+  expect(() => checkInvariants(snapshot())).not.toThrow();
+});
+
+test("Invariants: an overpaid side pot is caught at the end of the hand", () => {
+  const engine = createEngine(
+    tableConfig("invariants", { startingStacks: [100, 1000, 1000] }),
+    { checkInvariants: true }
+  );
+  engine.applyAction({ actor: 0, type: "raise", amount: 100 });
+  engine.applyAction({ actor: 1, type: "raise", amount: 400 });
+  engine.applyAction({ actor: 2, type: "fold", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+  const snapshot: EngineSnapshot = JSON.parse(JSON.stringify(engine.getSnapshot()));
+  expect(() => checkInvariants(snapshot)).not.toThrow();
+
+  // Hand the whole 520 to the short stack, who can win at most 100 from
+  // each player (the big blind put in 20)
+  for (const event of snapshot.events) {
+    if (event.type === "pot_awarded") {
+      event.data.seat = 0;
+    }
+  }
+  snapshot.state.players[0].stack = 520;
+  snapshot.state.players[1].stack = 600;
+  expect(() => checkInvariants(snapshot)).toThrow(
+    "Invariant violated: seat 0 won 520 but could win at most 220."
+  );
+});
+
+test("Fuzz: random legal play across seeded tables keeps every invariant", () => {
+  const report = fuzz({ seed: "jest", runs: 40, handsPerRun: 20 });
+
+  expect(report.failures).toEqual([]);
+  expect(report.runs).toBe(40);
+  expect(report.actions).toBeGreaterThan(2000);
+  expect(fuzz({ seed: "jest", runs: 5, handsPerRun: 5 })).toEqual(
+    fuzz({ seed: "jest", runs: 5, handsPerRun: 5 })
+  );
+});
+
+test("Fuzz: configs cover every game type and stay valid", () => {
+  const configs = Array.from({ length: 60 }, (_, i) => randomConfig(`configs:${i}`));
+
+  expect(new Set(configs.map((config) => config.gameType))).toEqual(
+    new Set(["holdem", "shortdeck", "omaha", "omaha5"])
+  );
+  expect(configs.some((config) => config.tournament)).toBe(true);
+  for (const config of configs) {
+    expect(() => createEngine(config)).not.toThrow();
+  }
+});
+
+test("Fuzz: a failure is shrunk to a minimal step list that still reproduces it", () => {
+  // A planted bug: the engine "breaks" once a third hand is dealt
+  const check = (snapshot: EngineSnapshot) => {
+    if (snapshot.state.handId === 3) {
+      throw new Error("Planted failure in hand 3.");
+    }
+  };
+  const report = fuzz({ seed: "planted", runs: 10, handsPerRun: 10, check });
+  expect(report.failures).toHaveLength(1);
+  const [failure] = report.failures;
+  const { config, shrunk } = failure;
+
+  expect(failure.error).toBe("Planted failure in hand 3.");
+  expect(shrunk.length).toBeLessThan(failure.steps.length);
+  expect(replaySteps(config, shrunk, check)).toBe("Planted failure in hand 3.");
+  expect(shrunk.filter((step) => step.type === "next_hand")).toHaveLength(2);
+  // Removing any one step loses the failure
+  shrunk.forEach((_, index) => {
+    const without: FuzzStep[] = shrunk.filter((__, i) => i !== index);
+    expect(replaySteps(config, without, check)).not.toBe(failure.error);
+  });
+  expect(shrinkSteps(config, shrunk, failure.error, check)).toEqual(shrunk);
+});
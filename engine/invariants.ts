@@ -0,0 +1,139 @@
+import { EngineSnapshot, HOLE_CARD_COUNT, Phase, PlayerState, SeatIndex } from "./types.js";
+import { resolveGameType } from "./state.js";
+import { validateSnapshot } from "./snapshot.js";
+
+const BETTING_PHASES: Phase[] = ["preflop", "flop", "turn", "river"];
+
+function fail(message: string): never {
+  throw new Error(`Invariant violated: ${message}`);
+}
+
+function inHand(player: PlayerState): boolean {
+  return player.status !== "folded" && player.status !== "out";
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Betting bookkeeping while a street is open
+function checkBettingRound(snapshot: EngineSnapshot) {
+  const { state } = snapshot;
+  state.players.forEach((player, seat) => {
+    if (state.betThisRound[seat] !== player.streetCommitted) {
+      fail(`seat ${seat} betThisRound ${state.betThisRound[seat]} is not its street commitment ${player.streetCommitted}.`);
+    }
+    if (player.streetCommitted > player.totalCommitted - player.deadCommitted) {
+      fail(`seat ${seat} has more chips in this street than live chips in the hand.`);
+    }
+    if (state.canRaise[seat] && (player.status !== "active" || player.stack === 0)) {
+      fail(`seat ${seat} may raise but cannot act.`);
+    }
+    if (!state.hasActedThisRound[seat] && player.status !== "active") {
+      fail(`seat ${seat} is ${player.status} but still due to act.`);
+    }
+  });
+  const highest = Math.max(...state.betThisRound);
+  if (state.currentBet !== highest) {
+    fail(`currentBet ${state.currentBet} is not the highest bet ${highest}.`);
+  }
+  if (state.minRaiseTo <= state.currentBet) {
+    fail(`minRaiseTo ${state.minRaiseTo} does not exceed currentBet ${state.currentBet}.`);
+  }
+  if (state.players.filter(inHand).length < 2) {
+    fail("betting is open with fewer than two players in the hand.");
+  }
+  const actor = state.actionSeat;
+  const toCall = state.currentBet - state.betThisRound[actor];
+  if (state.hasActedThisRound[actor] && toCall === 0) {
+    fail(`seat ${actor} is to act but has nothing left to do this street.`);
+  }
+}
+
+// Every chip committed this hand is paid out, and nobody wins more than the
+// side-pot layering allows: a seat can win at most what each opponent put in
+// up to its own live commitment, plus any dead money
+function checkAwards(snapshot: EngineSnapshot) {
+  const { state, events } = snapshot;
+  const awards: { seat: SeatIndex; amount: number }[] = [];
+  for (let i = events.length - 1; i >= 0 && events[i].handId === state.handId; i -= 1) {
+    const event = events[i];
+    if (event.type === "pot_awarded") {
+      awards.push(event.data);
+    }
+  }
+  const committed = sum(state.players.map((player) => player.totalCommitted));
+  const paid = sum(awards.map((award) => award.amount));
+  if (paid !== committed) {
+    fail(`hand ${state.handId} paid out ${paid} of ${committed} chips committed.`);
+  }
+  const live = state.players.map((player) => player.totalCommitted - player.deadCommitted);
+  const dead = sum(state.players.map((player) => player.deadCommitted));
+  const won = new Map<SeatIndex, number>();
+  for (const award of awards) {
+    won.set(award.seat, (won.get(award.seat) ?? 0) + award.amount);
+  }
+  for (const [seat, amount] of won) {
+    if (!inHand(state.players[seat])) {
+      fail(`seat ${seat} won chips without a live hand.`);
+    }
+    const cap = dead + sum(live.map((chips) => Math.min(chips, live[seat])));
+    if (amount > cap) {
+      fail(`seat ${seat} won ${amount} but could win at most ${cap}.`);
+    }
+  }
+}
+
+// Consistency checks for the engine's own state after each transition, on
+// top of validateSnapshot: betting bookkeeping, pot eligibility and payouts.
+// Throws an "Invariant violated" error on the first problem found.
+export function checkInvariants(snapshot: EngineSnapshot): void {
+  try {
+    validateSnapshot(snapshot);
+  } catch (error) {
+    fail((error as Error).message);
+  }
+  const { state } = snapshot;
+  const holeCardCount = HOLE_CARD_COUNT[resolveGameType(snapshot.config)];
+
+  state.players.forEach((player, seat) => {
+    // All-in players keep the status after winning chips back
+    if (player.status === "all_in" && player.stack !== 0 && state.phase !== "ended") {
+      fail(`seat ${seat} is all-in with ${player.stack} behind.`);
+    }
+    const dealt = player.status !== "out";
+    if (player.holeCards.length !== (dealt ? holeCardCount : 0)) {
+      fail(`seat ${seat} holds ${player.holeCards.length} hole cards.`);
+    }
+  });
+
+  const committed = sum(state.players.map((player) => player.totalCommitted));
+  if (sum(state.pots.map((pot) => pot.amount)) !== committed) {
+    fail(`pots do not add up to the ${committed} chips committed.`);
+  }
+  for (const pot of state.pots) {
+    if (pot.eligibleSeats.length === 0) {
+      fail("a pot has no eligible seats.");
+    }
+    for (const seat of pot.eligibleSeats) {
+      if (!inHand(state.players[seat])) {
+        fail(`seat ${seat} is eligible for a pot without a live hand.`);
+      }
+    }
+  }
+
+  if (BETTING_PHASES.includes(state.phase)) {
+    checkBettingRound(snapshot);
+  } else if (state.phase === "showdown") {
+    const seat = state.actionSeat;
+    if (
+      !state.showdownOrder.includes(seat) ||
+      state.shownSeats.includes(seat) ||
+      state.muckedSeats.includes(seat)
+    ) {
+      fail(`seat ${seat} is asked to show or muck out of turn.`);
+    }
+  } else {
+    checkAwards(snapshot);
+  }
+}
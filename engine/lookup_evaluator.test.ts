@@ -0,0 +1,128 @@
+import { createDeck } from "./deck";
+import {
+  combinations,
+  evaluate5Reference,
+  evaluate7,
+  evaluate7Reference,
+  evaluateOmaha,
+  HandRank,
+} from "./evaluate";
+import { lookupHand } from "./evaluateTables";
+import { cards } from "./test_helpers";
+import { Card, GameType, Rank, Suit } from "./types";
+
+const RANKS: Rank[] = ["2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K", "A"];
+
+function sameRank(a: HandRank, b: HandRank): boolean {
+  return a.category === b.category && a.ranks.join() === b.ranks.join();
+}
+
+// Every multiset of count ranks from ranks, at most max of each
+function rankMultisets(ranks: Rank[], count: number, max: number): Rank[][] {
+  if (count === 0) {
+    return [[]];
+  }
+  if (ranks.length === 0) {
+    return [];
+  }
+  const [first, ...rest] = ranks;
+  const result: Rank[][] = [];
+  for (let copies = 0; copies <= Math.min(max, count); copies += 1) {
+    for (const tail of rankMultisets(rest, count - copies, max)) {
+      result.push([...Array<Rank>(copies).fill(first), ...tail]);
+    }
+  }
+  return result;
+}
+
+// Repeated ranks take the next suits in turn, so no rank repeats a suit
+function dealSuits(ranks: Rank[], suits: Suit[]): Card[] {
+  return ranks.map((rank, index) => ({ rank, suit: suits[index % suits.length] }));
+}
+
+// Seven-card hands up to suit symmetry: without a flush only rank counts
+// matter; with one, the flush suit's ranks plus the other cards' ranks
+function sevenCardClasses(ranks: Rank[]): Card[][] {
+  const hands = rankMultisets(ranks, 7, 4).map((multiset) => dealSuits(multiset, ["c", "d", "h", "s"]));
+  for (let suited = 5; suited <= 7; suited += 1) {
+    for (const flush of combinations(ranks, suited)) {
+      for (const others of rankMultisets(ranks, 7 - suited, 3)) {
+        hands.push([...dealSuits(flush, ["s"]), ...dealSuits(others, ["c", "d", "h"])]);
+      }
+    }
+  }
+  return hands;
+}
+
+function mismatches(hands: Card[][], fast: (hand: Card[]) => HandRank, slow: (hand: Card[]) => HandRank) {
+  const failed: string[] = [];
+  for (const hand of hands) {
+    if (!sameRank(fast(hand), slow(hand))) {
+      failed.push(hand.map((c) => `${c.rank}${c.suit}`).join(" "));
+    }
+  }
+  return failed;
+}
+
+test("Lookup evaluator: every five-card hand matches the reference", () => {
+  for (const gameType of ["holdem", "shortdeck"] as GameType[]) {
+    const deck = createDeck(gameType);
+    const hand = new Array<Card>(5);
+    const failed: string[] = [];
+    let checked = 0;
+    for (let a = 0; a < deck.length; a += 1) {
+      hand[0] = deck[a];
+      for (let b = a + 1; b < deck.length; b += 1) {
+        hand[1] = deck[b];
+        for (let c = b + 1; c < deck.length; c += 1) {
+          hand[2] = deck[c];
+          for (let d = c + 1; d < deck.length; d += 1) {
+            hand[3] = deck[d];
+            for (let e = d + 1; e < deck.length; e += 1) {
+              hand[4] = deck[e];
+              checked += 1;
+              const fast = lookupHand(hand, gameType === "shortdeck");
+              if (!sameRank(fast, evaluate5Reference(hand, gameType)) && failed.length < 5) {
+                failed.push(hand.map((card) => `${card.rank}${card.suit}`).join(" "));
+              }
+            }
+          }
+        }
+      }
+    }
+    expect(checked).toBe(gameType === "holdem" ? 2598960 : 376992);
+    expect(failed).toEqual([]);
+  }
+}, 300000);
+
+test("Lookup evaluator: every seven-card hand class matches the reference", () => {
+  const hands = sevenCardClasses(RANKS);
+  expect(mismatches(hands, (hand) => evaluate7(hand), (hand) => evaluate7Reference(hand))).toEqual(
+    []
+  );
+
+  const shortHands = sevenCardClasses(RANKS.slice(4));
+  expect(
+    mismatches(
+      shortHands,
+      (hand) => evaluate7(hand, "shortdeck"),
+      (hand) => evaluate7Reference(hand, "shortdeck")
+    )
+  ).toEqual([]);
+}, 300000);
+
+test("Lookup evaluator: spot checks", () => {
+  expect(evaluate7(cards("As Ks Qs Js Ts 2c 3d"))).toEqual({ category: 8, ranks: [14] });
+  expect(evaluate7(cards("Ah 2d 3c 4s 5h Kd Kc"))).toEqual({ category: 4, ranks: [5] });
+  expect(evaluate7(cards("Ah 6d 7c 8s 9h Kd Kc"), "shortdeck")).toEqual({ category: 4, ranks: [9] });
+  // Three pairs play the best two with the best remaining card
+  expect(evaluate7(cards("Ah Ad Kc Ks 2h 2d Qc"))).toEqual({ category: 2, ranks: [14, 13, 12] });
+  expect(evaluate7(cards("Ah Ad Kc Ks Qh Qd 2c"))).toEqual({ category: 2, ranks: [14, 13, 12] });
+  // Two sets make a full house with the higher set
+  expect(evaluate7(cards("9h 9d 9c 5s 5h 5d Ac"))).toEqual({ category: 6, ranks: [9, 5] });
+  expect(evaluateOmaha(cards("As Kd 4c 3h"), cards("Ks Qs 7s 2s 9d"))).toEqual({
+    category: 1,
+    ranks: [13, 14, 12, 9],
+  });
+  expect(() => evaluate7(cards("Ah Ad Kc Ks 2h 2d"))).toThrow("evaluate7 requires exactly 7 cards.");
+});
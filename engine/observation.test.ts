@@ -0,0 +1,110 @@
+import { createEngine, Engine } from "./engine";
+import { cards, stackedDeck, tableConfig } from "./test_helpers";
+import { GameConfig, Observation } from "./types";
+
+// Seat 0 AA, seat 1 KK, seat 2 a pair of deuces
+const DECK = stackedDeck(["As Ad", "Ks Kd", "7c 2d"], "2c 5d 9h Js 3c");
+
+function configFor(extra: Partial<GameConfig> = {}): GameConfig {
+  return tableConfig("observation", { deckOrder: [DECK], ...extra });
+}
+
+// Every card object anywhere in an observation
+function visibleCards(value: unknown): string[] {
+  if (Array.isArray(value)) {
+    return value.flatMap(visibleCards);
+  }
+  if (value && typeof value === "object") {
+    const record = value as Record<string, unknown>;
+    if (typeof record.rank === "string" && typeof record.suit === "string") {
+      return [`${record.rank}${record.suit}`];
+    }
+    return Object.values(record).flatMap(visibleCards);
+  }
+  return [];
+}
+
+function checkDown(engine: Engine) {
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    const type = engine.getLegalActions().some((a) => a.type === "check") ? "check" : "call";
+    engine.applyAction({ actor: actionSeat, type, amount: null });
+  }
+}
+
+test("Observation: a seat sees its own cards and nothing hidden", () => {
+  const engine = createEngine(configFor());
+  const observation = engine.getObservation(1);
+
+  expect(observation.seat).toBe(1);
+  expect(observation.state.players.map((p) => p.holeCards)).toEqual([null, cards("Ks Kd"), null]);
+  expect(observation.state).not.toHaveProperty("deck");
+  expect(observation.state).not.toHaveProperty("burn");
+  expect(observation.config).not.toHaveProperty("seed");
+  expect(observation.config).not.toHaveProperty("deckOrder");
+
+  // No card outside seat 1's hand appears anywhere, events included
+  expect(visibleCards(observation).sort()).toEqual(["Kd", "Ks", "Kd", "Ks"].sort());
+  const dealt = observation.events.filter((e) => e.type === "hole_cards_dealt").map((e) => e.data);
+  expect(dealt).toEqual([
+    { seat: 1, cards: cards("Ks Kd") },
+    { seat: 2, cards: null },
+    { seat: 0, cards: null },
+  ]);
+});
+
+test("Observation: legal actions only on the viewer's turn", () => {
+  const engine = createEngine(configFor());
+
+  expect(engine.getObservation(0).legalActions).toEqual(engine.getLegalActions());
+  expect(engine.getObservation(1).legalActions).toEqual([]);
+  expect(() => engine.getObservation(3)).toThrow("Seat 3 is not at this table.");
+});
+
+test("Observation: shown hands are revealed and mucked hands stay hidden", () => {
+  const engine = createEngine(configFor({ showdownMode: "auto_muck" }));
+  checkDown(engine);
+  const { state } = engine.getSpectatorView();
+
+  // Seat 2 (7-2) cannot win and mucks automatically
+  expect(state.muckedSeats).toEqual([2]);
+  expect(state.players.map((p) => p.holeCards)).toEqual([cards("As Ad"), cards("Ks Kd"), null]);
+  const seen = visibleCards(engine.getSpectatorView());
+  expect(seen).not.toContain("7c");
+  expect(seen).not.toContain("2d");
+  // The mucking seat still knows its own cards
+  expect(engine.getObservation(2).state.players[2].holeCards).toEqual(cards("7c 2d"));
+});
+
+test("Observation: a spectator sees no hole cards before showdown", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  const view: Observation = engine.getSpectatorView();
+
+  expect(view.seat).toBeNull();
+  expect(view.legalActions).toEqual([]);
+  expect(view.state.players.map((p) => p.holeCards)).toEqual([null, null, null]);
+  expect(visibleCards(view)).toEqual([]);
+});
+
+test("Observation: earlier hands stay redacted after the next hand starts", () => {
+  const engine = createEngine(configFor());
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.startNextHand();
+  const observation = engine.getObservation(0);
+  const mine = engine.getSnapshot().state.players[0].holeCards.map((c) => `${c.rank}${c.suit}`);
+
+  // Hand 1 folded out: only seat 0's own hand-1 cards and current cards show
+  expect(visibleCards(observation).sort()).toEqual([...mine, ...mine, "As", "Ad"].sort());
+});
+
+test("Observation: changing an observation leaves the engine untouched", () => {
+  const engine = createEngine(configFor());
+  const observation = engine.getObservation(0);
+  observation.state.players[0].stack = 0;
+  observation.state.players[0].holeCards!.pop();
+
+  expect(engine.getSnapshot().state.players[0].stack).toBe(1000);
+  expect(engine.getSnapshot().state.players[0].holeCards).toHaveLength(2);
+});
@@ -0,0 +1,105 @@
+import {
+  Card,
+  EngineSnapshot,
+  Event,
+  LegalAction,
+  Observation,
+  SeatIndex,
+} from "./types.js";
+
+function copyCards(cards: Card[]): Card[] {
+  return cards.map((card) => ({ ...card }));
+}
+
+// Seats whose cards were tabled in each hand, from cards_shown events
+function shownSeatsByHand(events: Event[]): Map<number, Set<SeatIndex>> {
+  const shown = new Map<number, Set<SeatIndex>>();
+  for (const event of events) {
+    if (event.type === "cards_shown") {
+      const seats = shown.get(event.handId) ?? new Set<SeatIndex>();
+      seats.add(event.data.seat as SeatIndex);
+      shown.set(event.handId, seats);
+    }
+  }
+  return shown;
+}
+
+// hole_cards_dealt and the deck revealed by hand_ended (which would give away
+// mucked hands) are the only events carrying cards a viewer may not see
+function redactEvent(event: Event, seat: SeatIndex | null, shown: Set<SeatIndex> | undefined): Event {
+  const copy = JSON.parse(JSON.stringify(event)) as Event;
+  if (copy.type === "hole_cards_dealt" && copy.data.seat !== seat && !shown?.has(copy.data.seat)) {
+    copy.data.cards = null;
+  }
+  if (copy.type === "hand_ended" && "deck" in copy.data) {
+    copy.data.deck = null;
+  }
+  return copy;
+}
+
+// A copy of the snapshot holding only what the viewer is entitled to see.
+// Built field by field, so anything added to the state later stays hidden
+// until it is deliberately exposed here.
+export function observe(
+  snapshot: EngineSnapshot,
+  seat: SeatIndex | null,
+  legalActions: LegalAction[]
+): Observation {
+  const { config, state } = snapshot;
+  if (seat !== null && (!Number.isInteger(seat) || !state.players[seat])) {
+    throw new Error(`Seat ${seat} is not at this table.`);
+  }
+  const { seed: _seed, deckOrder: _deckOrder, deckSecret: _deckSecret, ...publicConfig } = config;
+  const shown = shownSeatsByHand(snapshot.events);
+  const shownNow = shown.get(state.handId);
+
+  return {
+    seat,
+    config: JSON.parse(JSON.stringify(publicConfig)),
+    state: {
+      handId: state.handId,
+      dealerSeat: state.dealerSeat,
+      smallBlindSeat: state.smallBlindSeat,
+      bigBlindSeat: state.bigBlindSeat,
+      deadSmallBlind: state.deadSmallBlind,
+      straddleSeat: state.straddleSeat,
+      actionSeat: state.actionSeat,
+      lastAggressor: state.lastAggressor,
+      showdownOrder: [...state.showdownOrder],
+      shownSeats: [...state.shownSeats],
+      muckedSeats: [...state.muckedSeats],
+      phase: state.phase,
+      board: copyCards(state.board),
+      runBoards: state.runBoards.map(copyCards),
+      players: state.players.map((player) => ({
+        seat: player.seat,
+        stack: player.stack,
+        totalCommitted: player.totalCommitted,
+        deadCommitted: player.deadCommitted,
+        streetCommitted: player.streetCommitted,
+        status: player.status,
+        seatStatus: player.seatStatus,
+        holeCards:
+          player.holeCards.length === 0 || player.seat === seat || shownNow?.has(player.seat)
+            ? copyCards(player.holeCards)
+            : null,
+      })),
+      pots: state.pots.map((pot) => ({ amount: pot.amount, eligibleSeats: [...pot.eligibleSeats] })),
+      currentBet: state.currentBet,
+      minRaiseTo: state.minRaiseTo,
+      lastRaiseSize: state.lastRaiseSize,
+      actionsThisStreet: state.actionsThisStreet,
+      betCount: state.betCount,
+      canRaise: [...state.canRaise],
+      hasActedThisRound: [...state.hasActedThisRound],
+      betThisRound: [...state.betThisRound],
+      tournament: state.tournament ? JSON.parse(JSON.stringify(state.tournament)) : null,
+      // Everyone at a table can see how much time each player has left
+      timeBanks: state.timeBanks ? [...state.timeBanks] : null,
+    },
+    events: snapshot.events.map((event) => redactEvent(event, seat, shown.get(event.handId))),
+    actionHistory: snapshot.actionHistory.map((action) => ({ ...action })),
+    tableChanges: snapshot.tableChanges.map((change) => ({ ...change })),
+    legalActions: legalActions.map((action) => ({ ...action })),
+  };
+}
@@ -0,0 +1,132 @@
+import { createEngine } from "./engine";
+import { evaluate7, evaluateOmaha } from "./evaluate";
+import { exportPhh, exportPokerStars } from "./handHistory";
+import { importHandHistory, parsePhh, parsePokerStars } from "./handImport";
+import { cards, stackedDeck, tableConfig } from "./test_helpers";
+import { GameConfig, GameType } from "./types";
+
+// Seat 0 has one spade on a four-spade board; seat 1 makes trip queens
+const DECK = stackedDeck(["As Kd 4c 3h", "Qh Qd 8c 8d"], "Ks Qs 7s 2s 9d");
+
+function configFor(gameType: GameType, seatCount = 2, extra: Partial<GameConfig> = {}): GameConfig {
+  const startingStacks = Array.from({ length: seatCount }, () => 1000);
+  return tableConfig("omaha", { startingStacks, gameType, ...extra });
+}
+
+function checkDown(engine: ReturnType<typeof createEngine>) {
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "check", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+}
+
+test("Omaha: hands use exactly two hole cards and three board cards", () => {
+  const board = cards("Ks Qs 7s 2s 9d");
+  const hole = cards("As Kd 4c 3h");
+
+  // Hold'em would play the ace-high flush; Omaha needs two spades in hand
+  expect(evaluate7([...hole.slice(0, 2), ...board]).category).toBe(5);
+  expect(evaluateOmaha(hole, board)).toEqual({ category: 1, ranks: [13, 14, 12, 9] });
+
+  // Four aces on the board are not quads: only three board cards play
+  const quadsBoard = cards("Ac Ad Ah As 2c");
+  expect(evaluateOmaha(cards("Kc Kd 3h 4h"), quadsBoard).category).toBe(6);
+});
+
+test("Omaha: PLO deals four hole cards and PLO-5 five", () => {
+  const four = createEngine(configFor("omaha", 6)).getSnapshot().state;
+  const five = createEngine(configFor("omaha5", 8)).getSnapshot().state;
+
+  expect(four.players.every((p) => p.holeCards.length === 4)).toBe(true);
+  expect(five.players.every((p) => p.holeCards.length === 5)).toBe(true);
+  expect(five.deck).toHaveLength(52 - 40);
+});
+
+test("Omaha: betting defaults to pot-limit", () => {
+  const engine = createEngine(configFor("omaha", 3));
+  const raise = engine.getLegalActions().find((a) => a.type === "raise")!;
+
+  // Call 20, then raise the 50 pot: raise to 70
+  expect(raise.maxAmount).toBe(70);
+  const noLimit = createEngine(configFor("omaha", 3, { bettingStructure: "no_limit" }));
+  expect(noLimit.getLegalActions().find((a) => a.type === "raise")!.maxAmount).toBe(1000);
+});
+
+test("Omaha: showdown awards the pot by Omaha hand rules", () => {
+  const engine = createEngine(configFor("omaha", 2, { deckOrder: [DECK] }));
+  checkDown(engine);
+  const { state, events } = engine.getSnapshot();
+  const shown = events.filter((e) => e.type === "cards_shown").map((e) => e.data);
+
+  expect(shown).toEqual([
+    { seat: 1, cards: cards("Qh Qd 8c 8d"), handRank: "Three of a Kind" },
+    { seat: 0, cards: cards("As Kd 4c 3h"), handRank: "One Pair" },
+  ]);
+  expect(state.players.map((p) => p.stack)).toEqual([980, 1020]);
+});
+
+test("Omaha: tables too big for the deck are rejected", () => {
+  expect(() => createEngine(configFor("omaha5", 9))).toThrow(
+    "9 seats with 5 hole cards need 53 cards; the deck has 52."
+  );
+  expect(() => createEngine(configFor("stud" as GameType))).toThrow("Unknown gameType: stud.");
+});
+
+test("Omaha: run it N stops at the runs the deck can deal", () => {
+  // 10-handed PLO uses 40 hole cards and 8 for the first run, leaving 4
+  const stacks = Array.from({ length: 10 }, () => 300);
+  const engine = createEngine(configFor("omaha", 10, { runItTimes: 3, startingStacks: stacks }));
+  const { actionSeat } = engine.getSnapshot().state;
+  engine.applyAction({ actor: actionSeat, type: "raise", amount: 70 });
+  for (let i = 0; i < 9; i += 1) {
+    const seat = engine.getSnapshot().state.actionSeat;
+    engine.applyAction({ actor: seat, type: i < 8 ? "fold" : "call", amount: null });
+  }
+  // Heads-up on the flop: pot bet, all-in raise and call. Each run needs the
+  // turn and river with their burns, so only one extra run fits
+  const flopSeat = engine.getSnapshot().state.actionSeat;
+  engine.applyAction({ actor: flopSeat, type: "bet", amount: 150 });
+  const other = engine.getSnapshot().state.actionSeat;
+  engine.applyAction({ actor: other, type: "raise", amount: 230 });
+  engine.applyAction({ actor: flopSeat, type: "call", amount: null });
+  const { state } = engine.getSnapshot();
+
+  expect(state.phase).toBe("ended");
+  expect(state.runBoards).toHaveLength(2);
+  expect(state.deck).toHaveLength(0);
+  expect(state.players.reduce((sum, p) => sum + p.stack, 0)).toBe(3000);
+});
+
+test("Omaha: hand histories label the game and PLO round-trips through PHH", () => {
+  const engine = createEngine(configFor("omaha", 2, { deckOrder: [DECK] }));
+  checkDown(engine);
+  const snapshot = engine.getSnapshot();
+
+  expect(exportPokerStars(snapshot)).toContain("Omaha Pot Limit (10/20)");
+  const phh = exportPhh(snapshot, { handId: 1 });
+  expect(phh).toContain('variant = "PO"');
+
+  const [hand] = parsePhh(phh);
+  const result = importHandHistory(hand);
+  expect(result.rejection).toBeNull();
+  expect(hand.config.gameType).toBe("omaha");
+  expect(result.engine.getSnapshot().state.players.map((p) => p.stack)).toEqual([980, 1020]);
+
+  const [stars] = parsePokerStars(exportPokerStars(snapshot));
+  expect(stars.config.gameType).toBe("omaha");
+  expect(importHandHistory(stars).engine.getSnapshot().state.players[1].holeCards).toEqual(
+    cards("Qh Qd 8c 8d")
+  );
+});
+
+test("Omaha: PHH has no code for five-card Omaha", () => {
+  const engine = createEngine(configFor("omaha5", 2));
+  engine.applyAction({ actor: 0, type: "fold", amount: null });
+
+  expect(() => exportPhh(engine.getSnapshot())).toThrow(
+    "PHH has no variant code for pot-limit 5 card omaha."
+  );
+  expect(exportPokerStars(engine.getSnapshot())).toContain("5 Card Omaha Pot Limit");
+});
@@ -0,0 +1,99 @@
+import { createEngine, Engine, restoreEngine } from "./engine";
+import { EngineSnapshot, GameConfig } from "./types";
+
+const config: GameConfig = {
+  seed: "restore",
+  deckSecret: "restore",
+  startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+function act(engine: Engine, type: "fold" | "check" | "call" | "raise", amount: number | null = null) {
+  const { actionSeat } = engine.getSnapshot().state;
+  engine.applyAction({ actor: actionSeat, type, amount });
+}
+
+function serialized(engine: Engine): EngineSnapshot {
+  return JSON.parse(JSON.stringify(engine.getSnapshot()));
+}
+
+function midHand(): Engine {
+  const engine = createEngine(config);
+  act(engine, "raise", 60);
+  act(engine, "call");
+  for (let i = 0; i < 3; i += 1) {
+    act(engine, "fold");
+  }
+  act(engine, "call");
+  return engine;
+}
+
+test("Restore: a serialized snapshot resumes at the same hand and action", () => {
+  const original = midHand();
+  const restored = restoreEngine(serialized(original));
+
+  expect(restored.getSnapshot()).toEqual(original.getSnapshot());
+  act(original, "check");
+  act(restored, "check");
+  expect(restored.getSnapshot()).toEqual(original.getSnapshot());
+});
+
+test("Restore: restored engines keep their history for undo", () => {
+  const original = midHand();
+  const restored = restoreEngine(serialized(original));
+
+  restored.undo();
+  original.undo();
+  expect(restored.getSnapshot()).toEqual(original.getSnapshot());
+});
+
+test("Restore: the input snapshot is not shared with the engine", () => {
+  const snapshot = serialized(midHand());
+  const restored = restoreEngine(snapshot);
+  act(restored, "check");
+  expect(snapshot.actionHistory).toHaveLength(6);
+});
+
+test("Restore: rejects a snapshot whose chips do not add up", () => {
+  const snapshot = serialized(midHand());
+  snapshot.state.players[0].stack += 100;
+  expect(() => restoreEngine(snapshot)).toThrow(
+    "Chip total 6100 does not match expected 6000."
+  );
+});
+
+test("Restore: rejects an actionSeat that cannot act", () => {
+  const snapshot = serialized(midHand());
+  snapshot.state.actionSeat = 5;
+  expect(() => restoreEngine(snapshot)).toThrow(
+    "actionSeat is not a player who can act."
+  );
+});
+
+test("Restore: rejects a board that does not fit the phase", () => {
+  const snapshot = serialized(midHand());
+  snapshot.state.phase = "turn";
+  expect(() => restoreEngine(snapshot)).toThrow("Board must have 4 cards on the turn.");
+});
+
+test("Restore: rejects duplicated or missing cards", () => {
+  const duplicated = serialized(midHand());
+  duplicated.state.deck[0] = { ...duplicated.state.board[0] };
+  expect(() => restoreEngine(duplicated)).toThrow(/appears more than once/);
+
+  const missing = serialized(midHand());
+  missing.state.deck.pop();
+  expect(() => restoreEngine(missing)).toThrow("Snapshot accounts for 51 of 52 cards.");
+});
+
+test("Restore: a finished hand can continue into the next one", () => {
+  const engine = createEngine(config);
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "fold");
+  }
+  const restored = restoreEngine(serialized(engine));
+  restored.startNextHand();
+  engine.startNextHand();
+  expect(restored.getSnapshot()).toEqual(engine.getSnapshot());
+});
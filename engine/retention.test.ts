@@ -0,0 +1,88 @@
+import { createEngine, Engine, restoreEngine } from "./engine";
+import { validateSnapshot } from "./snapshot";
+import { tableConfig } from "./test_helpers";
+import { EngineEvent } from "./types";
+
+const config = tableConfig("retention");
+
+// Everyone folds to the big blind, hand after hand
+function playHands(engine: Engine, hands: number) {
+  for (let hand = 0; hand < hands; hand += 1) {
+    for (let fold = 0; fold < 2; fold += 1) {
+      const { actionSeat } = engine.getSnapshot().state;
+      engine.applyAction({ actor: actionSeat, type: "fold", amount: null });
+    }
+    engine.startNextHand();
+  }
+}
+
+test("Retention: only the last hands keep their events", () => {
+  const full = createEngine(config);
+  const engine = createEngine(config, { retainHands: 2 });
+  const received: EngineEvent[] = [];
+  engine.subscribe((event) => received.push(event), { fromIndex: 0 });
+  playHands(full, 5);
+  playHands(engine, 5);
+
+  const all = full.getSnapshot().events;
+  const { events, compactedHands, actionHistory } = engine.getSnapshot();
+  expect(new Set(events.map((event) => event.handId))).toEqual(new Set([5, 6]));
+  expect(compactedHands.map((hand) => hand.handId)).toEqual([1, 2, 3, 4]);
+  expect(compactedHands.every((hand) => hand.actions === 2 && hand.seatChanges === 0)).toBe(true);
+  const dropped = compactedHands.reduce((total, hand) => total + hand.events, 0);
+  expect(events).toEqual(all.slice(dropped));
+  expect(actionHistory).toEqual(full.getSnapshot().actionHistory);
+
+  // Listeners got every event before it was compacted, with indexes that keep counting
+  expect(received.map((event) => event.index)).toEqual(all.map((_, i) => i));
+  expect(received.map((event) => event.seq)).toEqual(all.map((_, i) => i + 1));
+  const late: EngineEvent[] = [];
+  engine.subscribe((event) => late.push(event), { fromIndex: 0 });
+  expect(late).toEqual(received.slice(dropped));
+});
+
+test("Retention: undo, rewind and fork replay through compacted hands", () => {
+  const full = createEngine(config);
+  const engine = createEngine(config, { retainHands: 1 });
+  const received: EngineEvent[] = [];
+  engine.subscribe((event) => received.push(event), { fromIndex: 0 });
+  playHands(full, 4);
+  playHands(engine, 4);
+
+  const forked = engine.fork(3);
+  expect(forked.getSnapshot().state).toEqual(full.fork(3).getSnapshot().state);
+  expect(forked.getSnapshot().compactedHands.map((hand) => hand.handId)).toEqual([1]);
+
+  engine.undo();
+  expect(engine.getSnapshot().state.handId).toBe(4);
+  engine.rewindTo(1);
+  full.rewindTo(1);
+  expect(engine.getSnapshot().state).toEqual(full.getSnapshot().state);
+  expect(engine.getSnapshot().events).toEqual(full.getSnapshot().events);
+  expect(engine.getSnapshot().compactedHands).toEqual([]);
+
+  // Events brought back by the rewind keep the numbers they were published with
+  const again: EngineEvent[] = [];
+  engine.subscribe((event) => again.push(event), { fromIndex: 0 });
+  expect(again).toEqual(received.slice(0, again.length));
+});
+
+test("Retention: compacted snapshots restore and are checked", () => {
+  const engine = createEngine(config, { retainHands: 2 });
+  playHands(engine, 3);
+  const snapshot = JSON.parse(JSON.stringify(engine.getSnapshot()));
+
+  const restored = restoreEngine(snapshot, { retainHands: 2 });
+  restored.rewindTo(0);
+  expect(restored.getSnapshot().state).toEqual(createEngine(config).getSnapshot().state);
+
+  snapshot.compactedHands[0].actions = 1;
+  expect(() => validateSnapshot(snapshot)).toThrow("actionHistory does not match action_taken events.");
+  snapshot.compactedHands[0].actions = -1;
+  expect(() => validateSnapshot(snapshot)).toThrow(
+    "Snapshot compactedHands must list each hand's event, action and seat change counts."
+  );
+  expect(() => createEngine(config, { retainHands: 0 })).toThrow(
+    "retainHands must be a whole number of hands, at least 1."
+  );
+});
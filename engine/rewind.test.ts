@@ -0,0 +1,97 @@
+import { createEngine, Engine } from "./engine";
+import { GameConfig } from "./types";
+
+const config: GameConfig = {
+  seed: "rewind",
+  deckSecret: "rewind",
+  startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
+  smallBlind: 10,
+  bigBlind: 20,
+};
+
+function act(engine: Engine, type: "fold" | "check" | "call" | "bet" | "raise", amount: number | null = null) {
+  const { actionSeat } = engine.getSnapshot().state;
+  engine.applyAction({ actor: actionSeat, type, amount });
+}
+
+// UTG raises, everyone folds to the BB, who calls; flop checks through once
+function playLine(engine: Engine) {
+  act(engine, "raise", 60);
+  for (let i = 0; i < 4; i += 1) {
+    act(engine, "fold");
+  }
+  act(engine, "call");
+  act(engine, "check");
+}
+
+function stateJson(engine: Engine) {
+  return JSON.stringify(engine.getSnapshot().state);
+}
+
+test("Rewind: undo restores the exact state before the last action", () => {
+  const engine = createEngine(config);
+  playLine(engine);
+
+  const reference = createEngine(config);
+  act(reference, "raise", 60);
+  for (let i = 0; i < 4; i += 1) {
+    act(reference, "fold");
+  }
+  act(reference, "call");
+
+  engine.undo();
+  expect(stateJson(engine)).toBe(stateJson(reference));
+  expect(engine.getSnapshot().actionHistory).toHaveLength(6);
+  expect(engine.getSnapshot().events).toEqual(reference.getSnapshot().events);
+});
+
+test("Rewind: undo crosses back into a finished hand", () => {
+  const engine = createEngine(config);
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "fold");
+  }
+  engine.startNextHand();
+  expect(engine.getSnapshot().state.handId).toBe(2);
+
+  engine.undo();
+  const { state } = engine.getSnapshot();
+  expect(state.handId).toBe(1);
+  expect(state.phase).toBe("preflop");
+  expect(state.actionSeat).toBe(1);
+});
+
+test("Rewind: undo with no actions throws", () => {
+  expect(() => createEngine(config).undo()).toThrow("Nothing to undo.");
+});
+
+test("Rewind: rewindTo keeps the next hand when rewinding to the end", () => {
+  const engine = createEngine(config);
+  for (let i = 0; i < 5; i += 1) {
+    act(engine, "fold");
+  }
+  engine.startNextHand();
+  act(engine, "call");
+
+  engine.rewindTo(5);
+  expect(engine.getSnapshot().state.handId).toBe(2);
+  expect(engine.getSnapshot().actionHistory).toHaveLength(5);
+
+  engine.rewindTo(0);
+  expect(stateJson(engine)).toBe(stateJson(createEngine(config)));
+  expect(() => engine.rewindTo(1)).toThrow("actionIndex must be between 0 and 0.");
+});
+
+test("Rewind: fork branches without touching the original", () => {
+  const engine = createEngine(config);
+  playLine(engine);
+  const original = stateJson(engine);
+
+  const branch = engine.fork(1);
+  expect(branch.getSnapshot().actionHistory).toHaveLength(1);
+  act(branch, "call");
+  expect(branch.getSnapshot().state.players[4].totalCommitted).toBe(60);
+
+  expect(stateJson(engine)).toBe(original);
+  const copy = engine.fork();
+  expect(stateJson(copy)).toBe(original);
+});
@@ -0,0 +1,126 @@
+import { createEngine, restoreEngine } from "./engine";
+import { compareHands, evaluate7 } from "./evaluate";
+import { tableConfig } from "./test_helpers";
+import { Card, GameConfig, GameState } from "./types";
+
+function configFor(runItTimes: number, startingStacks = [1005, 1000]): GameConfig {
+  return tableConfig("run-it", { startingStacks, runItTimes });
+}
+
+// Seats that win on a board, best hand first
+function winnersOn(state: GameState, board: Card[], seats: number[]): number[] {
+  const ranks = seats.map((seat) => evaluate7([...state.players[seat].holeCards, ...board]));
+  const best = ranks.reduce((a, b) => (compareHands(a, b) >= 0 ? a : b));
+  return seats.filter((_, i) => compareHands(ranks[i], best) === 0);
+}
+
+// Heads-up: button/SB shoves, BB calls
+function allInPreflop(runItTimes: number) {
+  const engine = createEngine(configFor(runItTimes));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1005 });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  return engine;
+}
+
+test("Run it N: default runs the board once", () => {
+  const engine = allInPreflop(1);
+  const { state, events } = engine.getSnapshot();
+  const summary = events.find((e) => e.type === "hand_summary")!;
+
+  expect(state.phase).toBe("ended");
+  expect(state.runBoards).toEqual([]);
+  expect(summary.data.runs).toBeUndefined();
+  expect(summary.data.showdown).toHaveLength(2);
+});
+
+test("Run it N: twice deals two boards from the same deck", () => {
+  const engine = allInPreflop(2);
+  const { state } = engine.getSnapshot();
+  const [first, second] = state.runBoards;
+
+  expect(state.runBoards).toHaveLength(2);
+  expect(first).toEqual(state.board);
+  expect(second).toHaveLength(5);
+  const codes = [...first, ...second].map((c) => `${c.rank}${c.suit}`);
+  expect(new Set(codes).size).toBe(10);
+  // Run 1 used three burns and five cards; run 2 takes the next eight
+  expect(state.burn).toHaveLength(6);
+  expect(state.deck).toHaveLength(52 - 4 - 16);
+});
+
+test("Run it N: each pot is split between runs and awarded per board", () => {
+  const engine = allInPreflop(2);
+  const { state, events } = engine.getSnapshot();
+  const summary = events.find((e) => e.type === "hand_summary")!;
+  const runs = summary.data.runs as {
+    run: number;
+    board: Card[];
+    showdown: { seat: number }[];
+    pots: { potIndex: number; amount: number; winners: { seat: number; amount: number }[] }[];
+  }[];
+
+  expect(runs.map((r) => r.run)).toEqual([0, 1]);
+  // Shown hands are only described against each run's own board
+  expect(summary.data.showdown).toBeUndefined();
+  for (const run of runs) {
+    expect(run.showdown).toHaveLength(2);
+  }
+  expect(runs.map((r) => r.board)).toEqual(state.runBoards);
+  // Main pot 2000 splits 1000/1000; the 5-chip side pot splits 3/2
+  expect(runs.map((r) => r.pots.map((p) => p.amount))).toEqual([
+    [1000, 3],
+    [1000, 2],
+  ]);
+
+  const expected = [0, 0];
+  runs.forEach((run) => {
+    const winners = winnersOn(state, run.board, [0, 1]);
+    const mainWinners = run.pots[0].winners.map((w) => w.seat);
+    expect(mainWinners).toEqual(winners);
+    for (const pot of run.pots) {
+      for (const winner of pot.winners) {
+        expected[winner.seat] += winner.amount;
+      }
+    }
+  });
+  expect(state.players.map((p) => p.stack)).toEqual(expected);
+  expect(expected[0] + expected[1]).toBe(2005);
+
+  const awarded = events.filter((e) => e.type === "pot_awarded");
+  expect(new Set(awarded.map((e) => e.data.run))).toEqual(new Set([0, 1]));
+});
+
+test("Run it N: cards dealt before the all-in are shared by every run", () => {
+  const engine = createEngine(configFor(3, [1000, 1000, 1000]));
+  // D=0, SB=1, BB=2: everyone calls, then shoves on the flop
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "check", amount: null });
+  engine.applyAction({ actor: 1, type: "bet", amount: 980 });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  const { state } = engine.getSnapshot();
+  const flop = state.runBoards[0].slice(0, 3);
+
+  expect(state.runBoards).toHaveLength(3);
+  for (const board of state.runBoards) {
+    expect(board.slice(0, 3)).toEqual(flop);
+  }
+  expect(state.players.reduce((sum, p) => sum + p.stack, 0)).toBe(3000);
+});
+
+test("Run it N: a finished multi-run hand restores and replays identically", () => {
+  const engine = allInPreflop(2);
+  const snapshot = JSON.parse(JSON.stringify(engine.getSnapshot()));
+  const restored = restoreEngine(snapshot);
+  restored.undo();
+  restored.applyAction({ actor: 1, type: "call", amount: null });
+
+  expect(restored.getSnapshot().state.runBoards).toEqual(snapshot.state.runBoards);
+});
+
+test.each([0, 5, 1.5])("Run it N: runItTimes %p is rejected", (runItTimes) => {
+  expect(() => createEngine(configFor(runItTimes))).toThrow(
+    "runItTimes must be an integer between 1 and 4."
+  );
+});
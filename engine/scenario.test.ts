@@ -0,0 +1,121 @@
+import { createEngine } from "./engine";
+import { exportPokerStars } from "./handHistory";
+import { loadScenario, parseScenario, Scenario } from "./scenario";
+import { Card } from "./types";
+
+function codes(cards: Card[] | null): string[] {
+  return (cards ?? []).map((card) => `${card.rank}${card.suit}`);
+}
+
+// Five seats with seat 1 empty and the button on seat 3
+function scenarioFor(extra: Partial<Scenario> = {}): Scenario {
+  return {
+    name: "cutoff vs big blind",
+    smallBlind: 10,
+    bigBlind: 20,
+    stacks: [1000, 0, 1000, 800, 1200],
+    button: 3,
+    holeCards: [["Qs", "Jh"], null, null, null, ["7c", "7d"]],
+    board: ["Qd", "7h", "2c"],
+    actions: [
+      { actor: 2, type: "fold" },
+      { actor: 3, type: "call" },
+      { actor: 4, type: "call" },
+      { actor: 0, type: "check" },
+    ],
+    ...extra,
+  };
+}
+
+test("Scenario: forced cards, button and action prefix put the table in the spot", () => {
+  const engine = loadScenario(scenarioFor());
+  const { state, actionHistory } = engine.getSnapshot();
+  expect(state.dealerSeat).toBe(3);
+  expect(state.smallBlindSeat).toBe(4);
+  expect(state.bigBlindSeat).toBe(0);
+  expect(state.players[1].holeCards).toEqual([]);
+  expect(codes(state.players[0].holeCards)).toEqual(["Qs", "Jh"]);
+  expect(codes(state.players[4].holeCards)).toEqual(["7c", "7d"]);
+  expect(state.phase).toBe("flop");
+  expect(codes(state.board)).toEqual(["Qd", "7h", "2c"]);
+  expect(actionHistory.length).toBe(4);
+  // The small blind acts first on the flop
+  expect(state.actionSeat).toBe(4);
+
+  while (engine.getSnapshot().state.phase !== "ended") {
+    engine.applyAction({ actor: engine.getSnapshot().state.actionSeat, type: "check", amount: null });
+  }
+  expect(exportPokerStars(engine.getSnapshot())).toContain("Seat #4 is the button");
+});
+
+test("Scenario: open cards come from the seeded deck", () => {
+  const text = JSON.stringify(scenarioFor({ actions: [] }));
+  const first = loadScenario(parseScenario(text)).getSnapshot();
+  const again = loadScenario(parseScenario(text)).getSnapshot();
+  const reseeded = loadScenario(scenarioFor({ actions: [], seed: "other" })).getSnapshot();
+  expect(again.state.players).toEqual(first.state.players);
+  expect(again.state.deck).toEqual(first.state.deck);
+  expect(codes(reseeded.state.players[0].holeCards)).toEqual(["Qs", "Jh"]);
+  expect(reseeded.state.players.map((player) => player.holeCards)).not.toEqual(
+    first.state.players.map((player) => player.holeCards)
+  );
+
+  // Later hands are shuffled as usual and the button moves on
+  const engine = loadScenario(scenarioFor({ actions: [{ actor: 2, type: "fold" }] }));
+  engine.applyAction({ actor: 3, type: "fold", amount: null });
+  engine.applyAction({ actor: 4, type: "fold", amount: null });
+  engine.startNextHand();
+  expect(engine.getSnapshot().state.dealerSeat).toBe(4);
+});
+
+test("Scenario: heads-up Omaha scenarios deal from the big blind", () => {
+  const engine = loadScenario({
+    smallBlind: 5,
+    bigBlind: 10,
+    gameType: "omaha",
+    stacks: [500, 500],
+    button: 1,
+    holeCards: [["As", "Ks", "Qs", "Js"], ["2c", "3c", "4d", "5d"]],
+  });
+  const { state } = engine.getSnapshot();
+  expect(state.smallBlindSeat).toBe(1);
+  expect(state.actionSeat).toBe(1);
+  expect(codes(state.players[0].holeCards)).toEqual(["As", "Ks", "Qs", "Js"]);
+  expect(codes(state.players[1].holeCards)).toEqual(["2c", "3c", "4d", "5d"]);
+  expect(engine.getLegalActions().find((action) => action.type === "raise")?.maxAmount).toBe(30);
+});
+
+test("Scenario: bad scenarios say what is wrong", () => {
+  expect(() => parseScenario("{")).toThrow("Scenario is not valid JSON.");
+  expect(() => parseScenario(JSON.stringify({ ...scenarioFor(), stacks: [100, -1] }))).toThrow(
+    "stacks must be a list of whole-chip amounts."
+  );
+  expect(() => parseScenario(JSON.stringify({ ...scenarioFor(), bigBlind: undefined }))).toThrow(
+    "smallBlind and bigBlind must be whole-chip amounts."
+  );
+  expect(() => loadScenario(scenarioFor({ button: 1 }))).toThrow("button must be a seat with chips.");
+  expect(() => loadScenario(scenarioFor({ holeCards: [null, ["As", "Ks"]] }))).toThrow(
+    "Seat 1 has hole cards but no chips."
+  );
+  expect(() => loadScenario(scenarioFor({ holeCards: [["As"]] }))).toThrow("Seat 0 needs 2 hole cards.");
+  expect(() => loadScenario(scenarioFor({ board: ["Qs", "7h", "2c"] }))).toThrow(
+    "Card Qs appears more than once."
+  );
+  expect(() => loadScenario(scenarioFor({ board: ["Zz"] }))).toThrow("Unknown card: Zz.");
+  expect(() => loadScenario(scenarioFor({ gameType: "shortdeck", board: ["2c"] }))).toThrow(
+    "Card 2c is not in the deck."
+  );
+  expect(() => loadScenario(scenarioFor({ actions: [{ actor: 2, type: "check" }] }))).toThrow(
+    "Action 1 (seat 2 check) was rejected: Cannot check when facing a bet."
+  );
+  expect(() =>
+    createEngine({
+      seed: "x",
+      seatCount: 2,
+      startingStacks: [100, 100],
+      smallBlind: 1,
+      bigBlind: 2,
+      buttonSeat: 2,
+    })
+  ).toThrow("buttonSeat must be a seat between 0 and 1.");
+});
@@ -0,0 +1,214 @@
+import { createEngine, Engine, EngineOptions } from "./engine.js";
+import { parseCard, stackDeck } from "./deck.js";
+import { createRng } from "./rng.js";
+import { resolveGameType } from "./state.js";
+import {
+  ActionType,
+  ChipAmount,
+  GameConfig,
+  HOLE_CARD_COUNT,
+  SeatIndex,
+} from "./types.js";
+
+// A scenario puts the table straight into one spot: stacks, the button, any
+// hole cards and board cards that must come out, and the actions that lead
+// to the decision point. Cards nobody named are dealt from the seeded deck.
+
+export type ScenarioAction = {
+  actor: SeatIndex;
+  type: ActionType;
+  // Street total for bets and raises
+  amount?: ChipAmount | null;
+};
+
+// Table rules a scenario may set; everything else takes the engine defaults
+export type ScenarioRules = Pick<
+  GameConfig,
+  | "smallBlind"
+  | "bigBlind"
+  | "ante"
+  | "bigBlindAnte"
+  | "straddle"
+  | "straddleAmount"
+  | "gameType"
+  | "bettingStructure"
+  | "smallBet"
+  | "bigBet"
+  | "raiseCap"
+  | "runItTimes"
+  | "showdownMode"
+>;
+
+export type Scenario = ScenarioRules & {
+  name?: string;
+  // Shuffles the cards the scenario leaves open; defaults to one per name
+  seed?: string;
+  // Chips per seat; 0 leaves the seat empty
+  stacks: ChipAmount[];
+  button: SeatIndex;
+  // Per seat, e.g. ["As", "Kd"]; null (or a missing entry) deals from the deck
+  holeCards?: (string[] | null)[];
+  // Up to five cards, flop first
+  board?: string[];
+  // Played in order before the scenario hands over
+  actions?: ScenarioAction[];
+};
+
+const RULE_KEYS: (keyof ScenarioRules)[] = [
+  "smallBlind",
+  "bigBlind",
+  "ante",
+  "bigBlindAnte",
+  "straddle",
+  "straddleAmount",
+  "gameType",
+  "bettingStructure",
+  "smallBet",
+  "bigBet",
+  "raiseCap",
+  "runItTimes",
+  "showdownMode",
+];
+
+// The rules a scenario (or scenario file) sets, without the other fields
+function pickRules(source: object): ScenarioRules {
+  const rules = {} as ScenarioRules;
+  for (const key of RULE_KEYS) {
+    const value = (source as Record<string, unknown>)[key];
+    if (value !== undefined) {
+      Object.assign(rules, { [key]: value });
+    }
+  }
+  return rules;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+// Reads a scenario file, checking its shape; scenarioConfig checks that the
+// cards and seats fit the table
+export function parseScenario(text: string): Scenario {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Scenario is not valid JSON.");
+  }
+  if (!isRecord(data)) {
+    throw new Error("Scenario must be a JSON object.");
+  }
+  const { name, seed, stacks, button, holeCards, board, actions } = data;
+  if (name !== undefined && typeof name !== "string") {
+    throw new Error("name must be a string.");
+  }
+  if (seed !== undefined && typeof seed !== "string") {
+    throw new Error("seed must be a string.");
+  }
+  if (
+    !Array.isArray(stacks) ||
+    stacks.some((stack) => !Number.isInteger(stack) || (stack as number) < 0)
+  ) {
+    throw new Error("stacks must be a list of whole-chip amounts.");
+  }
+  if (!Number.isInteger(data.smallBlind) || !Number.isInteger(data.bigBlind)) {
+    throw new Error("smallBlind and bigBlind must be whole-chip amounts.");
+  }
+  if (!Number.isInteger(button)) {
+    throw new Error("button must be a seat number.");
+  }
+  if (
+    holeCards !== undefined &&
+    (!Array.isArray(holeCards) || holeCards.some((cards) => cards !== null && !isStringList(cards)))
+  ) {
+    throw new Error("holeCards must list each seat's cards, or null.");
+  }
+  if (board !== undefined && !isStringList(board)) {
+    throw new Error("board must be a list of cards.");
+  }
+  if (
+    actions !== undefined &&
+    (!Array.isArray(actions) ||
+      actions.some(
+        (action) =>
+          !isRecord(action) || !Number.isInteger(action.actor) || typeof action.type !== "string"
+      ))
+  ) {
+    throw new Error("actions must be a list of { actor, type, amount } objects.");
+  }
+  return {
+    ...pickRules(data),
+    name,
+    seed,
+    stacks,
+    button: button as SeatIndex,
+    holeCards,
+    board,
+    actions: actions as ScenarioAction[] | undefined,
+  };
+}
+
+// The engine config for a scenario: its rules, the button and a fixed deck
+// for the first hand. Later hands are shuffled from the deck secret as usual.
+export function scenarioConfig(scenario: Scenario): GameConfig {
+  const { stacks, button } = scenario;
+  const seatCount = stacks.length;
+  if (!Number.isInteger(button) || button < 0 || button >= seatCount || stacks[button] <= 0) {
+    throw new Error("button must be a seat with chips.");
+  }
+  const seed = scenario.seed ?? `scenario:${scenario.name ?? "untitled"}`;
+  const rules = pickRules(scenario);
+  const gameType = resolveGameType({ ...rules, seed, startingStacks: stacks });
+
+  const holeCards = (scenario.holeCards ?? []).map((codes, seat) => {
+    if (!codes || codes.length === 0) {
+      return null;
+    }
+    if (seat >= seatCount || stacks[seat] <= 0) {
+      throw new Error(`Seat ${seat} has hole cards but no chips.`);
+    }
+    if (codes.length !== HOLE_CARD_COUNT[gameType]) {
+      throw new Error(`Seat ${seat} needs ${HOLE_CARD_COUNT[gameType]} hole cards.`);
+    }
+    return codes.map(parseCard);
+  });
+  const board = (scenario.board ?? []).map(parseCard);
+  if (board.length > 5) {
+    throw new Error("board has at most 5 cards.");
+  }
+  // Seats with chips, clockwise from the left of the button
+  const dealOrder = stacks
+    .map((_, i) => (button + 1 + i) % seatCount)
+    .filter((seat) => stacks[seat] > 0);
+
+  return {
+    ...rules,
+    seed,
+    seatCount,
+    startingStacks: [...stacks],
+    buttonSeat: button,
+    deckOrder: [stackDeck(gameType, dealOrder, holeCards, board, createRng(`${seed}:1`))],
+  };
+}
+
+// Starts an engine at the scenario's decision point. An action the engine
+// refuses means the scenario is wrong, so it throws instead of stopping short.
+export function loadScenario(scenario: Scenario, options: EngineOptions = {}): Engine {
+  const engine = createEngine(scenarioConfig(scenario), options);
+  (scenario.actions ?? []).forEach((action, index) => {
+    try {
+      if (engine.getSnapshot().state.phase === "ended") {
+        throw new Error("Hand is over.");
+      }
+      engine.applyAction({ actor: action.actor, type: action.type, amount: action.amount ?? null });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      throw new Error(`Action ${index + 1} (seat ${action.actor} ${action.type}) was rejected: ${message}`);
+    }
+  });
+  return engine;
+}
@@ -0,0 +1,170 @@
+import { createEngine, Engine, restoreEngine } from "./engine";
+import { stackedDeck, tableConfig } from "./test_helpers";
+import { GameConfig } from "./types";
+
+// Seat 0 AA, seat 1 KK, seat 2 a pair of deuces
+const DECK = stackedDeck(["As Ad", "Ks Kd", "7c 2d"], "2c 5d 9h Js 3c");
+
+function configFor(startingStacks: number[], extra: Partial<GameConfig> = {}): GameConfig {
+  return tableConfig("seat-changes", { startingStacks, ...extra });
+}
+
+// Everyone folds to the big blind
+function foldOut(engine: Engine) {
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "fold", amount: null });
+  }
+}
+
+function positions(engine: Engine) {
+  const { dealerSeat, smallBlindSeat, bigBlindSeat } = engine.getSnapshot().state;
+  return [dealerSeat, smallBlindSeat, bigBlindSeat];
+}
+
+function dealtSeats(engine: Engine) {
+  return engine
+    .getSnapshot()
+    .state.players.filter((p) => p.holeCards.length > 0)
+    .map((p) => p.seat);
+}
+
+test("Seat changes: a player sitting out is skipped and waits for the big blind to return", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000, 1000]));
+  foldOut(engine);
+  engine.sitOut(3);
+  engine.startNextHand();
+
+  expect(positions(engine)).toEqual([1, 2, 0]);
+  expect(dealtSeats(engine)).toEqual([0, 1, 2]);
+  expect(engine.getSnapshot().state.players[3].status).toBe("out");
+
+  foldOut(engine);
+  engine.sitIn(3);
+  expect(engine.getSnapshot().state.players[3].seatStatus).toBe("waiting");
+
+  // The big blind passes seats 1 and 2 before reaching seat 3
+  const hands: number[][] = [];
+  for (let hand = 0; hand < 3; hand += 1) {
+    engine.startNextHand();
+    hands.push([...positions(engine), dealtSeats(engine).length]);
+    foldOut(engine);
+  }
+  expect(hands).toEqual([
+    [2, 0, 1, 3],
+    [0, 1, 2, 3],
+    [1, 2, 3, 4],
+  ]);
+  expect(engine.getSnapshot().state.players[3].seatStatus).toBe("playing");
+});
+
+test("Seat changes: a busted player can rebuy before the next hand", () => {
+  const engine = createEngine(configFor([1000, 1000, 100], { deckOrder: [DECK] }));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1000 });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  expect(engine.getSnapshot().state.players[2].stack).toBe(0);
+
+  expect(() => engine.topUp(2, 100)).toThrow("Seat 2 has no chips; use rebuy.");
+  expect(() => engine.rebuy(0, 100)).toThrow("Seat 0 still has chips; use topUp.");
+  expect(() => engine.rebuy(2, 0)).toThrow(
+    "rebuy amount must be a positive whole number of chips."
+  );
+  engine.rebuy(2, 500);
+  engine.topUp(1, 10);
+  engine.startNextHand();
+
+  const { state, events } = engine.getSnapshot();
+  expect(dealtSeats(engine)).toEqual([0, 1, 2]);
+  expect(state.players[1].stack + state.players[1].totalCommitted).toBe(1000);
+  const changes = events.filter((e) => e.type === "seat_changed").map((e) => e.data);
+  expect(changes).toEqual([
+    { seat: 2, change: "rebuy", amount: 500, stack: 500, seatStatus: "playing" },
+    { seat: 1, change: "top_up", amount: 10, stack: 1000, seatStatus: "playing" },
+  ]);
+});
+
+test("Seat changes: leaving takes the chips off the table and a new player can join", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000, 1000]));
+  foldOut(engine);
+  engine.leaveSeat(1);
+  expect(() => engine.sitOut(1)).toThrow("Seat 1 is empty.");
+  expect(() => engine.joinSeat(2, 500)).toThrow("Seat 2 is taken.");
+  engine.startNextHand();
+
+  // Seat 1 was the small blind, so the button is dead
+  expect(positions(engine)).toEqual([1, 2, 3]);
+  foldOut(engine);
+  engine.joinSeat(1, 400);
+
+  const { tableChanges } = engine.getSnapshot();
+  expect(tableChanges).toEqual([
+    { handId: 1, type: "leave_seat", seat: 1, amount: 990 },
+    { handId: 2, type: "join_seat", seat: 1, amount: 400 },
+  ]);
+  // The chip total accounts for chips that left and joined
+  const restored = restoreEngine(JSON.parse(JSON.stringify(engine.getSnapshot())));
+  restored.startNextHand();
+  expect(restored.getSnapshot().state.players[1].seatStatus).toBe("waiting");
+});
+
+test("Seat changes: undo and rewind replay changes made between hands", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000, 1000]));
+  foldOut(engine);
+  engine.sitOut(0);
+  engine.topUp(3, 500);
+  engine.startNextHand();
+  const { actionSeat } = engine.getSnapshot().state;
+  engine.applyAction({ actor: actionSeat, type: "fold", amount: null });
+  engine.undo();
+
+  const { state, tableChanges } = engine.getSnapshot();
+  expect(state.handId).toBe(2);
+  expect(state.players[0].status).toBe("out");
+  expect(state.players[3].stack + state.players[3].totalCommitted).toBe(1500);
+  expect(tableChanges).toHaveLength(2);
+
+  // Rewinding into hand 1 drops changes made after it ended
+  engine.rewindTo(2);
+  expect(engine.getSnapshot().tableChanges).toEqual([]);
+  expect(engine.getSnapshot().state.players[0].seatStatus).toBe("playing");
+});
+
+test("Seat changes: a changed hand end keeps its changes through a fork", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000]));
+  foldOut(engine);
+  engine.sitOut(1);
+  const fork = engine.fork();
+
+  expect(fork.getSnapshot().tableChanges).toEqual(engine.getSnapshot().tableChanges);
+  expect(fork.getSnapshot().state.players[1].seatStatus).toBe("sitting_out");
+});
+
+test("Seat changes: only between hands, and never below two players", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000]));
+  expect(() => engine.sitOut(0)).toThrow("Seat changes are only allowed between hands.");
+
+  foldOut(engine);
+  engine.sitOut(0);
+  engine.sitOut(1);
+  expect(() => engine.startNextHand()).toThrow(
+    "Cannot start hand: fewer than two eligible players."
+  );
+  expect(engine.getSnapshot().state.phase).toBe("ended");
+  expect(engine.getSnapshot().state.handId).toBe(1);
+
+  // With one player left in the game, a returning player is dealt in at once
+  engine.sitIn(1);
+  engine.startNextHand();
+  expect(dealtSeats(engine)).toEqual([1, 2]);
+});
+
+test("Seat changes: tournaments reject them", () => {
+  const engine = createEngine(
+    configFor([1000, 1000], {
+      tournament: { levels: [{ smallBlind: 10, bigBlind: 20 }], handsPerLevel: 5, payouts: [100] },
+    })
+  );
+  foldOut(engine);
+  expect(() => engine.sitOut(0)).toThrow("Seat changes are not supported in tournaments.");
+});
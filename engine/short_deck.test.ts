@@ -0,0 +1,96 @@
+import { createEngine } from "./engine";
+import { createDeck } from "./deck";
+import { compareHands, evaluate7 } from "./evaluate";
+import { exportPhh, exportPokerStars } from "./handHistory";
+import { importHandHistory, parsePhh, parsePokerStars } from "./handImport";
+import { cards, stackedDeck, tableConfig } from "./test_helpers";
+import { GameConfig } from "./types";
+
+// Seat 0 makes an ace-high flush, seat 1 nines full of kings
+const DECK = stackedDeck(["Qh Jh", "9d Ks"], "Ah Kh 9h 9c 6s", "shortdeck");
+
+function configFor(extra: Partial<GameConfig> = {}): GameConfig {
+  return tableConfig("short-deck", { startingStacks: [1000, 1000], gameType: "shortdeck", ...extra });
+}
+
+function checkDown(engine: ReturnType<typeof createEngine>) {
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "check", amount: null });
+  while (engine.getSnapshot().state.phase !== "ended") {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "check", amount: null });
+  }
+}
+
+test("Short deck: the deck has 36 cards from six up", () => {
+  const deck = createDeck("shortdeck");
+  expect(deck).toHaveLength(36);
+  expect(deck.some((card) => ["2", "3", "4", "5"].includes(card.rank))).toBe(false);
+
+  const sixHanded = configFor({ seatCount: 6, startingStacks: Array(6).fill(1000) });
+  const { state } = createEngine(sixHanded).getSnapshot();
+  expect(state.deck).toHaveLength(36 - 12);
+});
+
+test("Short deck: a flush beats a full house", () => {
+  const flush = evaluate7(cards("Qh Jh Ah Kh 9h 9c 6s"), "shortdeck");
+  const fullHouse = evaluate7(cards("9d Ks Ah Kh 9h 9c 6s"), "shortdeck");
+
+  expect(flush.category).toBe(5);
+  expect(fullHouse.category).toBe(6);
+  expect(compareHands(flush, fullHouse, "shortdeck")).toBeGreaterThan(0);
+  // Hold'em rankings are unchanged
+  expect(compareHands(flush, fullHouse)).toBeLessThan(0);
+});
+
+test("Short deck: A-6-7-8-9 is the lowest straight", () => {
+  const low = evaluate7(cards("As 6d 7c 8h 9s Kd Qc"), "shortdeck");
+  const sixHigh = evaluate7(cards("Ts 6d 7c 8h 9s Kd Qc"), "shortdeck");
+
+  expect(low).toEqual({ category: 4, ranks: [9] });
+  expect(compareHands(sixHigh, low, "shortdeck")).toBeGreaterThan(0);
+  // Not a straight in hold'em
+  expect(evaluate7(cards("As 6d 7c 8h 9s Kd Qc")).category).toBe(0);
+});
+
+test("Short deck: showdown pays the flush over the full house", () => {
+  const engine = createEngine(configFor({ deckOrder: [DECK] }));
+  checkDown(engine);
+  const { state, events } = engine.getSnapshot();
+  const shown = events.filter((e) => e.type === "cards_shown").map((e) => e.data);
+
+  expect(shown).toEqual([
+    { seat: 1, cards: cards("9d Ks"), handRank: "Full House" },
+    { seat: 0, cards: cards("Qh Jh"), handRank: "Flush" },
+  ]);
+  expect(state.players.map((p) => p.stack)).toEqual([1020, 980]);
+});
+
+test("Short deck: fixed decks must be the 36-card deck", () => {
+  expect(() => createEngine(configFor({ deckOrder: [createDeck()] }))).toThrow(
+    "deckOrder for hand 1 must be a full 36-card deck."
+  );
+});
+
+test("Short deck: hand histories label the game and round-trip", () => {
+  const engine = createEngine(configFor({ deckOrder: [DECK] }));
+  checkDown(engine);
+  const snapshot = engine.getSnapshot();
+
+  const stars = exportPokerStars(snapshot);
+  expect(stars).toContain("6+ Hold'em No Limit (10/20)");
+  const phh = exportPhh(snapshot, { handId: 1 });
+  expect(phh).toContain('variant = "NS"');
+
+  const [fromPhh] = parsePhh(phh);
+  expect(fromPhh.config.gameType).toBe("shortdeck");
+  const result = importHandHistory(fromPhh);
+  expect(result.rejection).toBeNull();
+  expect(result.engine.getSnapshot().state.players.map((p) => p.stack)).toEqual([1020, 980]);
+
+  const [fromStars] = parsePokerStars(stars);
+  expect(fromStars.config.gameType).toBe("shortdeck");
+  expect(importHandHistory(fromStars).engine.getSnapshot().state.players[0].holeCards).toEqual(
+    cards("Qh Jh")
+  );
+});
@@ -0,0 +1,176 @@
+import { createEngine, Engine } from "./engine";
+import { describeHand } from "./evaluate";
+import { cards, stackedDeck, tableConfig } from "./test_helpers";
+import { GameConfig, GameType, ShowdownMode } from "./types";
+
+// Seat 0 AA, seat 1 KK, seat 2 a pair of deuces
+const DECK = stackedDeck(["As Ad", "Ks Kd", "7c 2d"], "2c 5d 9h Js 3c");
+
+function configFor(showdownMode?: ShowdownMode, stacks = [1000, 1000, 1000]): GameConfig {
+  return tableConfig("showdown", { startingStacks: stacks, showdownMode, deckOrder: [DECK] });
+}
+
+// Limp to the river, then check it through or let seat 2 bet and both call
+function playToRiver(engine: Engine, riverBet: boolean) {
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "check", amount: null });
+  for (let street = 0; street < 2; street += 1) {
+    for (const seat of [1, 2, 0]) {
+      engine.applyAction({ actor: seat, type: "check", amount: null });
+    }
+  }
+  if (riverBet) {
+    engine.applyAction({ actor: 1, type: "check", amount: null });
+    engine.applyAction({ actor: 2, type: "bet", amount: 20 });
+    engine.applyAction({ actor: 0, type: "call", amount: null });
+    engine.applyAction({ actor: 1, type: "call", amount: null });
+  } else {
+    for (const seat of [1, 2, 0]) {
+      engine.applyAction({ actor: seat, type: "check", amount: null });
+    }
+  }
+}
+
+function reveals(engine: Engine) {
+  return engine
+    .getSnapshot()
+    .events.filter((e) => e.type === "cards_shown" || e.type === "cards_mucked")
+    .map((e) => `${e.type === "cards_shown" ? "show" : "muck"} ${e.data.seat}`);
+}
+
+test("Showdown: last river aggressor shows first, then clockwise", () => {
+  const engine = createEngine(configFor());
+  playToRiver(engine, true);
+  const { state } = engine.getSnapshot();
+
+  expect(state.phase).toBe("ended");
+  expect(state.showdownOrder).toEqual([2, 0, 1]);
+  expect(reveals(engine)).toEqual(["show 2", "show 0", "show 1"]);
+  const shown = engine.getSnapshot().events.find((e) => e.type === "cards_shown")!;
+  expect(shown.data).toEqual({ seat: 2, cards: cards("7c 2d"), handRank: "One Pair" });
+});
+
+test("Showdown: a checked-through river shows from the left of the button", () => {
+  const engine = createEngine(configFor());
+  playToRiver(engine, false);
+
+  expect(engine.getSnapshot().state.showdownOrder).toEqual([1, 2, 0]);
+  expect(engine.getSnapshot().state.lastAggressor).toBeNull();
+});
+
+test("Showdown: auto_muck hides hands that can no longer win", () => {
+  const engine = createEngine(configFor("auto_muck"));
+  playToRiver(engine, true);
+  const { state, events } = engine.getSnapshot();
+  const summary = events.find((e) => e.type === "hand_summary")!;
+
+  expect(reveals(engine)).toEqual(["show 2", "show 0", "muck 1"]);
+  expect(state.muckedSeats).toEqual([1]);
+  expect(summary.data.showdown).toEqual([
+    {
+      seat: 2,
+      handRank: "One Pair",
+      handName: "One Pair, Twos, Jack-Nine-Seven kickers",
+      bestCards: cards("2d 2c Js 9h 7c"),
+    },
+    {
+      seat: 0,
+      handRank: "One Pair",
+      handName: "One Pair, Aces, Jack-Nine-Five kickers",
+      bestCards: cards("As Ad Js 9h 5d"),
+    },
+  ]);
+  expect(summary.data.mucked).toEqual([1]);
+  expect(state.players[0].stack).toBe(1080);
+  const mucked = events.find((e) => e.type === "cards_mucked")!;
+  expect(mucked.data).toEqual({ seat: 1 });
+});
+
+test("Showdown: manual mode waits for a losing player's show or muck", () => {
+  const engine = createEngine(configFor("manual"));
+  playToRiver(engine, true);
+  const { state } = engine.getSnapshot();
+
+  expect(state.phase).toBe("showdown");
+  expect(state.actionSeat).toBe(1);
+  expect(engine.getLegalActions().map((a) => a.type)).toEqual(["show", "muck"]);
+  expect(() => engine.applyAction({ actor: 1, type: "fold", amount: null })).toThrow(
+    "Only show or muck is allowed at showdown."
+  );
+
+  engine.applyAction({ actor: 1, type: "muck", amount: null });
+  expect(engine.getSnapshot().state.phase).toBe("ended");
+  expect(reveals(engine)).toEqual(["show 2", "show 0", "muck 1"]);
+
+  // The decision is part of the action history, so undo returns to it
+  engine.undo();
+  expect(engine.getSnapshot().state.phase).toBe("showdown");
+  engine.applyAction({ actor: 1, type: "show", amount: null });
+  expect(reveals(engine)).toEqual(["show 2", "show 0", "show 1"]);
+});
+
+test("Showdown: all-in hands are always tabled", () => {
+  const engine = createEngine(configFor("auto_muck", [1000, 1000, 500]));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1000 });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+
+  expect(engine.getSnapshot().state.phase).toBe("ended");
+  expect(reveals(engine)).toEqual(["show 0", "show 2"]);
+});
+
+test("Showdown: show and muck are rejected before showdown", () => {
+  const engine = createEngine(configFor("manual"));
+
+  expect(() => engine.applyAction({ actor: 0, type: "muck", amount: null })).toThrow(
+    "Cards can only be shown or mucked at showdown."
+  );
+});
+
+test("Showdown: hands are named in full with the five cards that make them", () => {
+  const describe = (hole: string, board: string, gameType: GameType = "holdem") => {
+    const hand = describeHand(gameType, cards(hole), cards(board));
+    return [hand.name, hand.cards.map((c) => `${c.rank}${c.suit}`).join(" ")];
+  };
+
+  expect(describe("Kh 9c", "Kd 9s Ah 4c 2d")).toEqual([
+    "Two Pair, Kings and Nines, Ace kicker",
+    "Kh Kd 9c 9s Ah",
+  ]);
+  expect(describe("Ah Kh", "Qh Jh Th 2c 2d")).toEqual(["Royal Flush", "Ah Kh Qh Jh Th"]);
+  expect(describe("Ac 2d", "3h 4s 5c Kd Kh")).toEqual([
+    "Straight, Five high",
+    "5c 4s 3h 2d Ac",
+  ]);
+  expect(describe("9c 9d", "9h Kd Ks 4c 2d")).toEqual([
+    "Full House, Nines full of Kings",
+    "9c 9d 9h Kd Ks",
+  ]);
+  expect(describe("6c 6d", "6h 6s Ad Kc 2d")).toEqual([
+    "Four of a Kind, Sixes, Ace kicker",
+    "6c 6d 6h 6s Ad",
+  ]);
+  expect(describe("7c 7d", "7h Qd Jc 4s 2d")).toEqual([
+    "Three of a Kind, Sevens, Queen-Jack kickers",
+    "7c 7d 7h Qd Jc",
+  ]);
+  expect(describe("Ah 9h", "2h 5h Jh Kc Kd")).toEqual([
+    "Flush, Ace-Jack-Nine-Five-Two",
+    "Ah Jh 9h 5h 2h",
+  ]);
+  expect(describe("Ac 8d", "Qh 7s 5c 3d 2h")).toEqual([
+    "High Card, Ace-Queen-Eight-Seven-Five",
+    "Ac Qh 8d 7s 5c",
+  ]);
+  // Omaha plays exactly two hole cards: no flush with one heart
+  expect(describe("Ah Kc Qd Js", "Th 9h 8h 7h 2c", "omaha")).toEqual([
+    "Straight, Queen high",
+    "Qd Js Th 9h 8h",
+  ]);
+  // Short deck: the ace plays low below the six
+  expect(describe("Ac 6d", "7h 8s 9c Kd Kh", "shortdeck")).toEqual([
+    "Straight, Nine high",
+    "9c 8s 7h 6d Ac",
+  ]);
+});
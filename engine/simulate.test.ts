@@ -0,0 +1,149 @@
+import type { Decision } from "./decision";
+import { exportPokerStars } from "./handHistory";
+import {
+  botController,
+  DecisionRecord,
+  llmController,
+  ProposalOutcome,
+  SimulationOptions,
+  simulate,
+} from "./simulate";
+import { EngineSnapshot } from "./types";
+
+const profile = { id: "test_v1", name: "Test (v1)", description: "", prompt: "Play." };
+
+function optionsFor(extra: Partial<SimulationOptions> = {}): SimulationOptions {
+  return {
+    config: { seatCount: 3, startingStacks: [1000, 1000, 1000], smallBlind: 10, bigBlind: 20 },
+    controllers: [botController("random"), botController("calling_station"), botController("random")],
+    seeds: ["sim:1", "sim:2"],
+    hands: 5,
+    ...extra,
+  };
+}
+
+function decision(type: Decision["action"]["type"], amount?: number): Decision {
+  return {
+    action: { type, amount },
+    reason: {
+      drivers: [
+        { key: "hand_strength", weight: 0.6 },
+        { key: "position", weight: 0.4 },
+      ],
+      plan: "control_pot",
+      line: "Test line.",
+    },
+    confidence: 0.7,
+  };
+}
+
+async function run(options: SimulationOptions) {
+  const records: DecisionRecord[] = [];
+  const sessions: EngineSnapshot[] = [];
+  const report = await simulate({
+    ...options,
+    onDecision: (record) => {
+      records.push(record);
+    },
+    onSession: (_session, snapshot) => {
+      sessions.push(snapshot);
+    },
+  });
+  return { report, records, sessions };
+}
+
+test("Simulate: bot sessions replay identically from their seeds", async () => {
+  const first = await run(optionsFor());
+  const second = await run(optionsFor());
+  expect(second.records).toEqual(first.records);
+  expect(first.report.sessions).toBe(2);
+  expect(first.report.decisions).toBe(first.records.length);
+  expect(first.report.hands).toBe(
+    first.sessions.reduce((sum, snapshot) => sum + snapshot.state.handId, 0)
+  );
+  expect(first.sessions.map((snapshot) => snapshot.config.seed)).toEqual(["sim:1", "sim:2"]);
+
+  // Every recorded action is the one the engine applied
+  const applied = first.sessions.flatMap((snapshot) => snapshot.actionHistory);
+  expect(first.records.map((record) => record.action)).toEqual(
+    applied.filter((action) => action.type !== "show")
+  );
+  expect(first.records.filter((record) => record.controller === "calling_station").length).toBeGreaterThan(0);
+  expect(exportPokerStars(first.sessions[0])).toContain("PokerStars Hand #1");
+});
+
+test("Simulate: calling stations play every hand to the hand count", async () => {
+  const { report, sessions } = await run(
+    optionsFor({ controllers: [botController("calling_station"), botController("calling_station"), botController("calling_station")], seeds: ["calls"] })
+  );
+  expect(report.hands).toBe(5);
+  expect(sessions[0].state.phase).toBe("ended");
+  expect(report.fallbacks).toBe(0);
+});
+
+test("Simulate: LLM seats see only their observation and record the model's decision", async () => {
+  const inputs: unknown[] = [];
+  const propose = async (input: unknown): Promise<ProposalOutcome> => {
+    inputs.push(input);
+    return { decision: decision("CALL") };
+  };
+  const controllers = [llmController({ presetId: "qwen-plus", profile, propose }), botController("calling_station")];
+  const { records } = await run(
+    optionsFor({
+      config: { seatCount: 2, startingStacks: [500, 500], smallBlind: 5, bigBlind: 10 },
+      controllers,
+      seeds: ["llm"],
+      hands: 1,
+    })
+  );
+  const llmRecords = records.filter((record) => record.seat === 0);
+  expect(controllers[0].id).toBe("llm:qwen-plus:test_v1");
+  expect(llmRecords.length).toBe(inputs.length);
+  expect(llmRecords[0].decision).toEqual(decision("CALL"));
+  expect(llmRecords.map((record) => record.action.type)).toEqual(
+    llmRecords.map((record) => (record.toCall > 0 ? "call" : "check"))
+  );
+
+  const text = JSON.stringify(inputs[0]);
+  expect(text).toContain('"test_v1"');
+  expect(text).not.toContain('"llm"');
+  expect(text).not.toContain("deck");
+});
+
+test("Simulate: rejected or unplayable proposals check or fold and say why", async () => {
+  const outcomes: ProposalOutcome[] = [
+    { error: "Model returned invalid JSON." },
+    { decision: decision("RAISE", 1) },
+  ];
+  const propose = async (): Promise<ProposalOutcome> =>
+    outcomes.shift() ?? { decision: decision("CALL") };
+  const { records, report } = await run(
+    optionsFor({
+      config: { seatCount: 2, startingStacks: [500, 500], smallBlind: 5, bigBlind: 10 },
+      controllers: [botController("calling_station"), llmController({ presetId: "qwen-plus", profile, propose })],
+      seeds: ["fallback"],
+      hands: 2,
+    })
+  );
+  const llmRecords = records.filter((record) => record.seat === 1);
+  // Hand 1: the big blind checks the limp, then checks again on the flop
+  expect(llmRecords[0]).toMatchObject({
+    action: { type: "check" },
+    decision: null,
+    fallback: "Model returned invalid JSON.",
+  });
+  expect(llmRecords[1]).toMatchObject({
+    action: { type: "check" },
+    fallback: "Proposed amount below minimum.",
+  });
+  expect(report.fallbacks).toBe(2);
+});
+
+test("Simulate: every seat needs a controller", async () => {
+  await expect(simulate(optionsFor({ controllers: [botController("calling_station")] }))).rejects.toThrow(
+    "Expected 3 seat controllers, got 1."
+  );
+  await expect(simulate(optionsFor({ hands: 0 }))).rejects.toThrow(
+    "hands must be a positive whole number."
+  );
+});
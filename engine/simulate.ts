@@ -0,0 +1,297 @@
+import {
+  Action,
+  Card,
+  EngineSnapshot,
+  GameConfig,
+  HandId,
+  LegalAction,
+  Observation,
+  Phase,
+  SeatIndex,
+} from "./types.js";
+import { createEngine, Engine } from "./engine.js";
+import { buildDecisionInput } from "./buildDecisionInput.js";
+import type { Decision } from "./decision.js";
+import type { SeatLabel } from "./handHistory.js";
+import { BotId, botDecision, getBotById } from "./bots.js";
+
+// Headless batch play: every seat is driven by a controller (an LLM seat or
+// one of the bots in bots.ts) and each session plays a fixed number of hands from its
+// own seed. gateway/simulateCli.ts writes the results to disk.
+
+// What a controller chose at one decision point
+export type ControllerChoice = {
+  action: Action;
+  // The LLM's decision, for controllers that ask one
+  decision: Decision | null;
+  // Why the controller fell back to checking or folding, or null
+  fallback: string | null;
+};
+
+export type SeatController = {
+  // Written in every decision record, e.g. "llm:qwen-plus:tight_rookie_v1"
+  id: string;
+  label: SeatLabel;
+  // session is the session's seed, so bots can stay deterministic
+  decide: (observation: Observation, session: string) => ControllerChoice | Promise<ControllerChoice>;
+};
+
+// One decision point: what the seat saw and what it did
+export type DecisionRecord = {
+  session: string;
+  handId: HandId;
+  seat: SeatIndex;
+  controller: string;
+  phase: Phase;
+  holeCards: Card[] | null;
+  board: Card[];
+  pot: number;
+  toCall: number;
+  legalActions: LegalAction[];
+  action: Action;
+  decision: Decision | null;
+  fallback: string | null;
+};
+
+export type SimulationOptions = {
+  // The table; each session gets its own seed
+  config: Omit<GameConfig, "seed">;
+  // One controller per seat
+  controllers: SeatController[];
+  seeds: string[];
+  // Hands per session, unless fewer than two players have chips left
+  hands: number;
+  onDecision?: (record: DecisionRecord) => void | Promise<void>;
+  // Called with each finished session's snapshot, e.g. to export its hands
+  onSession?: (session: string, snapshot: EngineSnapshot) => void | Promise<void>;
+};
+
+export type SimulationReport = {
+  sessions: number;
+  hands: number;
+  decisions: number;
+  fallbacks: number;
+};
+
+// What an LLM seat's proposal came back as
+export type ProposalOutcome = { decision: Decision } | { error: string };
+
+export type LlmControllerOptions = {
+  presetId: string;
+  profile: { id: string; name: string; description: string; prompt: string };
+  // Sends a decision input to the model, e.g. through proposeDecision
+  propose: (input: unknown) => Promise<ProposalOutcome>;
+};
+
+function toCallFor(observation: Observation): number {
+  const { state } = observation;
+  return Math.max(0, state.currentBet - state.betThisRound[state.actionSeat]);
+}
+
+function potSize(observation: Observation): number {
+  return observation.state.pots.reduce((sum, pot) => sum + pot.amount, 0);
+}
+
+function has(legal: LegalAction[], type: Action["type"]): boolean {
+  return legal.some((option) => option.type === type);
+}
+
+// Check when possible, otherwise fold: what a seat does when its controller
+// has no usable answer
+function passiveAction(observation: Observation): Action {
+  const actor = observation.state.actionSeat;
+  const type = has(observation.legalActions, "check") ? "check" : "fold";
+  return { actor, type, amount: null };
+}
+
+function tournamentInfo(observation: Observation): unknown {
+  const started = observation.events.filter((event) => event.type === "hand_started").at(-1);
+  return started?.data.tournament ?? null;
+}
+
+// The same decision input the table UI sends for an AI seat, built from the
+// seat's observation only
+export function decisionInputFor(
+  observation: Observation,
+  profile: LlmControllerOptions["profile"]
+) {
+  const { state, config, legalActions } = observation;
+  const player = state.players[state.actionSeat];
+  return buildDecisionInput({
+    engineFacts: { handId: state.handId },
+    profile: { ...profile, custom_prompt: "" },
+    state: {
+      position: state.actionSeat,
+      pot: potSize(observation),
+      to_call: toCallFor(observation),
+      legal_actions: legalActions,
+      phase: state.phase,
+      seatCount: state.players.length,
+      gameType: config.gameType,
+      bettingStructure: config.bettingStructure,
+      holeCards: player.holeCards ?? undefined,
+      board: state.board,
+      players: state.players.map((p) => ({
+        id: p.seat,
+        stack: p.stack,
+        committed: p.totalCommitted,
+        status: p.status,
+      })),
+      tournament: tournamentInfo(observation),
+    },
+    legalActions,
+  });
+}
+
+// Map an LLM decision (FOLD / CALL / RAISE) onto a legal engine action, or
+// explain why it cannot be played. CALL checks when there is nothing to call
+// and RAISE bets when there is nothing to raise.
+export function resolveDecisionAction(
+  decision: Decision,
+  observation: Observation
+): Action | string {
+  const actor = observation.state.actionSeat;
+  const legal = observation.legalActions;
+  const intent = decision.action.type;
+  if (intent === "FOLD" && has(legal, "fold")) {
+    return { actor, type: "fold", amount: null };
+  }
+  if (intent === "CALL") {
+    if (has(legal, "check")) {
+      return { actor, type: "check", amount: null };
+    }
+    if (has(legal, "call")) {
+      return { actor, type: "call", amount: null };
+    }
+  }
+  if (intent === "RAISE") {
+    const option = legal.find((candidate) => candidate.type === "bet" || candidate.type === "raise");
+    const amount = decision.action.amount;
+    if (option && typeof amount === "number" && Number.isInteger(amount)) {
+      if (option.minAmount !== null && amount < option.minAmount) {
+        return "Proposed amount below minimum.";
+      }
+      if (option.maxAmount !== null && amount > option.maxAmount) {
+        return "Proposed amount above maximum.";
+      }
+      return { actor, type: option.type, amount };
+    }
+    if (option) {
+      return "RAISE requires a whole-chip amount.";
+    }
+  }
+  return `Proposed action '${intent}' cannot be executed in current state.`;
+}
+
+// A seat played by an LLM preset with a prompt profile. A rejected proposal
+// or one that cannot be played checks or folds instead, with the reason
+// recorded as the fallback.
+export function llmController(options: LlmControllerOptions): SeatController {
+  const { presetId, profile, propose } = options;
+  return {
+    id: `llm:${presetId}:${profile.id}`,
+    label: { preset: presetId, profile: profile.name },
+    decide: async (observation) => {
+      const outcome = await propose(decisionInputFor(observation, profile));
+      if ("error" in outcome) {
+        return { action: passiveAction(observation), decision: null, fallback: outcome.error };
+      }
+      const action = resolveDecisionAction(outcome.decision, observation);
+      return typeof action === "string"
+        ? { action: passiveAction(observation), decision: outcome.decision, fallback: action }
+        : { action, decision: outcome.decision, fallback: null };
+    },
+  };
+}
+
+// A seat played by one of the built-in bots
+export function botController(botId: BotId): SeatController {
+  const bot = getBotById(botId);
+  if (!bot) {
+    throw new Error(`Unknown bot: ${botId}.`);
+  }
+  return {
+    id: bot.id,
+    label: { profile: bot.name },
+    decide: (observation, session) => ({ ...botDecision(bot.id, observation, session), fallback: null }),
+  };
+}
+
+function readyPlayers(engine: Engine): number {
+  return engine
+    .getSnapshot()
+    .state.players.filter(
+      (player) =>
+        player.stack > 0 && (player.seatStatus === "playing" || player.seatStatus === "waiting")
+    ).length;
+}
+
+// Play one session to its last hand, counting into report
+async function playSession(
+  options: SimulationOptions,
+  session: string,
+  report: SimulationReport
+): Promise<EngineSnapshot> {
+  const { controllers, hands, onDecision } = options;
+  // Self-play sessions are meant to be replayed, so their decks follow the seed
+  const engine = createEngine({ ...options.config, seed: session, deckSecret: session });
+  report.hands += 1;
+  let played = 1;
+  while (true) {
+    const { state } = engine.getSnapshot();
+    if (state.phase === "ended") {
+      if (played >= hands || state.tournament?.finished || readyPlayers(engine) < 2) {
+        return engine.getSnapshot();
+      }
+      engine.startNextHand();
+      played += 1;
+      report.hands += 1;
+      continue;
+    }
+    const seat = state.actionSeat;
+    const legal = engine.getLegalActions();
+    // Showing or mucking is not a decision worth a model call: every hand shows
+    if (legal.every((option) => option.type === "show" || option.type === "muck")) {
+      engine.applyAction({ actor: seat, type: "show", amount: null });
+      continue;
+    }
+    const observation = engine.getObservation(seat);
+    const controller = controllers[seat];
+    const choice = await controller.decide(observation, session);
+    engine.applyAction(choice.action);
+    report.decisions += 1;
+    report.fallbacks += choice.fallback === null ? 0 : 1;
+    await onDecision?.({
+      session,
+      handId: state.handId,
+      seat,
+      controller: controller.id,
+      phase: state.phase,
+      holeCards: observation.state.players[seat].holeCards,
+      board: state.board,
+      pot: potSize(observation),
+      toCall: toCallFor(observation),
+      legalActions: legal,
+      action: choice.action,
+      decision: choice.decision,
+      fallback: choice.fallback,
+    });
+  }
+}
+
+export async function simulate(options: SimulationOptions): Promise<SimulationReport> {
+  const seatCount = options.config.seatCount ?? options.config.startingStacks.length;
+  if (options.controllers.length !== seatCount) {
+    throw new Error(`Expected ${seatCount} seat controllers, got ${options.controllers.length}.`);
+  }
+  if (!Number.isInteger(options.hands) || options.hands < 1) {
+    throw new Error("hands must be a positive whole number.");
+  }
+  const report: SimulationReport = { sessions: 0, hands: 0, decisions: 0, fallbacks: 0 };
+  for (const session of options.seeds) {
+    const snapshot = await playSession(options, session, report);
+    report.sessions += 1;
+    await options.onSession?.(session, snapshot);
+  }
+  return report;
+}
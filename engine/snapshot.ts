@@ -0,0 +1,276 @@
+import {
+  Card,
+  CompactedHand,
+  EngineSnapshot,
+  Phase,
+  PlayerStatus,
+  SeatStatus,
+  TableChangeType,
+} from "./types.js";
+import { resolveGameType, resolveSeatCount } from "./state.js";
+import { createDeck } from "./deck.js";
+import { deckCommitment, handSalt } from "./commitment.js";
+
+const PHASES: Phase[] = ["preflop", "flop", "turn", "river", "showdown", "ended"];
+const STATUSES: PlayerStatus[] = ["active", "folded", "all_in", "out"];
+const SEAT_STATUSES: SeatStatus[] = ["playing", "sitting_out", "waiting", "empty"];
+const TABLE_CHANGES: TableChangeType[] = [
+  "sit_out",
+  "sit_in",
+  "rebuy",
+  "top_up",
+  "leave_seat",
+  "join_seat",
+];
+
+// Board size required while betting is open on each street
+const BOARD_SIZE: Partial<Record<Phase, number>> = {
+  preflop: 0,
+  flop: 3,
+  turn: 4,
+  river: 5,
+};
+
+function cardEquals(a: Card, b: Card | undefined): boolean {
+  return b !== undefined && a.rank === b.rank && a.suit === b.suit;
+}
+
+function isChipAmount(value: unknown): value is number {
+  return typeof value === "number" && Number.isInteger(value) && value >= 0;
+}
+
+// Chips the table should hold: every starting stack plus chips bought in
+// between hands, less chips taken by players who left
+function expectedChipTotal(snapshot: EngineSnapshot): number {
+  const starting = snapshot.config.startingStacks.reduce((sum, stack) => sum + stack, 0);
+  return (snapshot.tableChanges ?? []).reduce((sum, change) => {
+    const amount = change.amount ?? 0;
+    return change.type === "leave_seat" ? sum - amount : sum + amount;
+  }, starting);
+}
+
+// Consistency checks for a snapshot loaded from outside the engine (storage,
+// network). Throws on the first problem found; the engine trusts the state
+// completely once restored, so anything it cannot reach by legal play is rejected.
+export function validateSnapshot(snapshot: EngineSnapshot): void {
+  if (!snapshot || !snapshot.config || !snapshot.state) {
+    throw new Error("Snapshot is missing config or state.");
+  }
+  const { config, state } = snapshot;
+  const seatCount = resolveSeatCount(config);
+  if (!Array.isArray(config.startingStacks) || config.startingStacks.length !== seatCount) {
+    throw new Error(`startingStacks must have ${seatCount} entries.`);
+  }
+  if (!Array.isArray(snapshot.events) || !Array.isArray(snapshot.actionHistory)) {
+    throw new Error("Snapshot events and actionHistory must be arrays.");
+  }
+  // Snapshots saved before seat changes existed have no tableChanges
+  const tableChanges = snapshot.tableChanges ?? [];
+  if (!Array.isArray(tableChanges)) {
+    throw new Error("Snapshot tableChanges must be an array.");
+  }
+  // Snapshots saved before compaction existed have no compactedHands
+  const compactedHands = snapshot.compactedHands ?? [];
+  if (
+    !Array.isArray(compactedHands) ||
+    compactedHands.some(
+      (hand) =>
+        !Number.isInteger(hand.handId) ||
+        ![hand.events, hand.actions, hand.seatChanges].every(
+          (count) => Number.isInteger(count) && count >= 0
+        )
+    )
+  ) {
+    throw new Error("Snapshot compactedHands must list each hand's event, action and seat change counts.");
+  }
+  const compacted = (count: (hand: CompactedHand) => number) =>
+    compactedHands.reduce((total, hand) => total + count(hand), 0);
+  const seatEvents = snapshot.events.filter((e) => e.type === "seat_changed");
+  if (seatEvents.length + compacted((hand) => hand.seatChanges) !== tableChanges.length) {
+    throw new Error("tableChanges does not match seat_changed events.");
+  }
+  tableChanges.forEach((change, index) => {
+    if (
+      !TABLE_CHANGES.includes(change.type) ||
+      !Number.isInteger(change.handId) ||
+      !(change.amount === null || isChipAmount(change.amount))
+    ) {
+      throw new Error(`tableChanges[${index}] is not a valid seat change.`);
+    }
+  });
+  const actionEvents = snapshot.events.filter((e) => e.type === "action_taken");
+  if (actionEvents.length + compacted((hand) => hand.actions) !== snapshot.actionHistory.length) {
+    throw new Error("actionHistory does not match action_taken events.");
+  }
+
+  if (!Number.isInteger(state.handId) || state.handId < 1) {
+    throw new Error("handId must be a positive integer.");
+  }
+  if (!PHASES.includes(state.phase)) {
+    throw new Error(`Unknown phase: ${state.phase}.`);
+  }
+  if (!Array.isArray(state.players) || state.players.length !== seatCount) {
+    throw new Error(`Snapshot must have ${seatCount} players.`);
+  }
+  for (const key of ["canRaise", "hasActedThisRound", "betThisRound"] as const) {
+    if (!Array.isArray(state[key]) || state[key].length !== seatCount) {
+      throw new Error(`${key} must have ${seatCount} entries.`);
+    }
+  }
+  const seatFields = ["dealerSeat", "smallBlindSeat", "bigBlindSeat", "actionSeat"] as const;
+  for (const key of seatFields) {
+    const seat = state[key];
+    if (!Number.isInteger(seat) || seat < 0 || seat >= seatCount) {
+      throw new Error(`${key} is not a seat at this table.`);
+    }
+  }
+
+  const isSeat = (seat: unknown) =>
+    Number.isInteger(seat) && (seat as number) >= 0 && (seat as number) < seatCount;
+  if (state.lastAggressor !== null && !isSeat(state.lastAggressor)) {
+    throw new Error("lastAggressor is not a seat at this table.");
+  }
+  for (const key of ["showdownOrder", "shownSeats", "muckedSeats"] as const) {
+    if (!Array.isArray(state[key]) || !state[key].every(isSeat)) {
+      throw new Error(`${key} must list seats at this table.`);
+    }
+  }
+
+  if (!!state.tournament !== !!config.tournament) {
+    throw new Error("tournament state does not match the config.");
+  }
+  if (state.tournament) {
+    const { places } = state.tournament;
+    if (!Array.isArray(places) || places.length !== seatCount) {
+      throw new Error(`tournament places must have ${seatCount} entries.`);
+    }
+    if (!places.every((place) => place === null || (Number.isInteger(place) && place >= 1))) {
+      throw new Error("tournament places must be null or a finishing place.");
+    }
+  }
+
+  if (!!state.timeBanks !== !!config.actionClock) {
+    throw new Error("timeBanks do not match the config.");
+  }
+  if (state.timeBanks && config.actionClock) {
+    const { timeBankSeconds } = config.actionClock;
+    if (!Array.isArray(state.timeBanks) || state.timeBanks.length !== seatCount) {
+      throw new Error(`timeBanks must have ${seatCount} entries.`);
+    }
+    const inRange = (bank: number) =>
+      Number.isFinite(bank) && bank >= 0 && bank <= timeBankSeconds;
+    if (!state.timeBanks.every(inRange)) {
+      throw new Error(`timeBanks must be between 0 and ${timeBankSeconds} seconds.`);
+    }
+  }
+
+  state.players.forEach((player, index) => {
+    if (player.seat !== index) {
+      throw new Error(`Player at index ${index} has seat ${player.seat}.`);
+    }
+    if (!STATUSES.includes(player.status)) {
+      throw new Error(`Seat ${index} has unknown status ${player.status}.`);
+    }
+    if (!SEAT_STATUSES.includes(player.seatStatus)) {
+      throw new Error(`Seat ${index} has unknown seatStatus ${player.seatStatus}.`);
+    }
+    for (const key of ["stack", "totalCommitted", "deadCommitted", "streetCommitted"] as const) {
+      if (!isChipAmount(player[key])) {
+        throw new Error(`Seat ${index} ${key} must be a non-negative integer.`);
+      }
+    }
+    if (player.deadCommitted > player.totalCommitted) {
+      throw new Error(`Seat ${index} has more dead money than chips committed.`);
+    }
+  });
+
+  // Chip conservation: pots are paid out once the hand has ended
+  const expected = expectedChipTotal(snapshot);
+  const stacks = state.players.reduce((sum, p) => sum + p.stack, 0);
+  const committed = state.players.reduce((sum, p) => sum + p.totalCommitted, 0);
+  const actual = state.phase === "ended" ? stacks : stacks + committed;
+  if (actual !== expected) {
+    throw new Error(`Chip total ${actual} does not match expected ${expected}.`);
+  }
+
+  const boardSize = BOARD_SIZE[state.phase];
+  if (boardSize !== undefined && state.board.length !== boardSize) {
+    throw new Error(`Board must have ${boardSize} cards on the ${state.phase}.`);
+  }
+  if (state.board.length > 5) {
+    throw new Error("Board has more than 5 cards.");
+  }
+  if (!Array.isArray(state.runBoards)) {
+    throw new Error("runBoards must be an array.");
+  }
+  const runCount = config.runItTimes ?? 1;
+  // Fewer runs than configured when the deck ran short (big Omaha tables)
+  if (state.runBoards.length === 1 || state.runBoards.length > runCount) {
+    throw new Error(`runBoards must have between 2 and ${runCount} boards.`);
+  }
+  state.runBoards.forEach((board, run) => {
+    if (board.length !== 5) {
+      throw new Error(`Run ${run + 1} board must have 5 cards.`);
+    }
+  });
+
+  if (state.phase !== "ended") {
+    const actor = state.players[state.actionSeat];
+    if (actor.status !== "active" || actor.stack === 0) {
+      throw new Error("actionSeat is not a player who can act.");
+    }
+  }
+
+  // Every card accounted for exactly once
+  const seen = new Set<string>();
+  // Later runs repeat the cards dealt before the runout; count only their own
+  const extraRunCards = state.runBoards.slice(1).flatMap((board) => {
+    let shared = 0;
+    while (shared < board.length && cardEquals(board[shared], state.board[shared])) {
+      shared += 1;
+    }
+    return board.slice(shared);
+  });
+  const allCards = [
+    ...state.deck,
+    ...state.burn,
+    ...state.board,
+    ...extraRunCards,
+    ...state.players.flatMap((p) => p.holeCards),
+  ];
+  for (const card of allCards) {
+    const code = `${card.rank}${card.suit}`;
+    if (seen.has(code)) {
+      throw new Error(`Card ${code} appears more than once.`);
+    }
+    seen.add(code);
+  }
+  const fullDeck = createDeck(resolveGameType(config));
+  if (seen.size !== fullDeck.length) {
+    throw new Error(`Snapshot accounts for ${seen.size} of ${fullDeck.length} cards.`);
+  }
+  for (const card of fullDeck) {
+    if (!seen.has(`${card.rank}${card.suit}`)) {
+      throw new Error(`Card ${card.rank}${card.suit} is missing.`);
+    }
+  }
+
+  // The deck hand_ended will reveal must be the one the hand committed to
+  if (typeof config.deckSecret !== "string") {
+    throw new Error("Snapshot config has no deckSecret.");
+  }
+  const deck = Array.isArray(state.committedDeck) ? state.committedDeck : [];
+  const committedCodes = new Set(deck.map((card) => `${card.rank}${card.suit}`));
+  if (deck.length !== fullDeck.length || committedCodes.size !== fullDeck.length) {
+    throw new Error("committedDeck must be a full deck.");
+  }
+  const started = snapshot.events.find(
+    (event) => event.type === "hand_started" && event.handId === state.handId
+  );
+  if (
+    started?.type === "hand_started" &&
+    started.data.deckCommitment !== deckCommitment(deck, handSalt(config.deckSecret, state.handId))
+  ) {
+    throw new Error("committedDeck does not match the hand's deck commitment.");
+  }
+}
@@ -1,45 +1,157 @@
 import {
+  BettingStructure,
+  DEFAULT_SEAT_COUNT,
   GameConfig,
   GameState,
+  GameType,
+  HOLE_CARD_COUNT,
+  MAX_RUN_IT_TIMES,
+  MAX_SEAT_COUNT,
+  MIN_SEAT_COUNT,
   PlayerState,
-  SEAT_COUNT,
   SeatIndex,
 } from "./types.js";
+import { createDeck } from "./deck.js";
+import { validateTournament } from "./tournament.js";
 
-const SEATS: SeatIndex[] = [0, 1, 2, 3, 4, 5];
+export function resolveSeatCount(config: GameConfig): number {
+  const seatCount = config.seatCount ?? DEFAULT_SEAT_COUNT;
+  if (
+    !Number.isInteger(seatCount) ||
+    seatCount < MIN_SEAT_COUNT ||
+    seatCount > MAX_SEAT_COUNT
+  ) {
+    throw new Error(
+      `seatCount must be an integer between ${MIN_SEAT_COUNT} and ${MAX_SEAT_COUNT}.`
+    );
+  }
+  return seatCount;
+}
+
+export function resolveGameType(config: GameConfig): GameType {
+  const gameType = config.gameType ?? "holdem";
+  if (!(gameType in HOLE_CARD_COUNT)) {
+    throw new Error(`Unknown gameType: ${gameType}.`);
+  }
+  return gameType;
+}
+
+// Omaha is played pot-limit unless another structure is configured
+export function resolveBettingStructure(config: GameConfig): BettingStructure {
+  if (config.bettingStructure) {
+    return config.bettingStructure;
+  }
+  const gameType = resolveGameType(config);
+  return gameType === "omaha" || gameType === "omaha5" ? "pot_limit" : "no_limit";
+}
+
+// Every seat dealt in plus 3 burns and 5 board cards must fit in the deck
+function validateCardCount(config: GameConfig, seatCount: number) {
+  const gameType = resolveGameType(config);
+  const holeCards = HOLE_CARD_COUNT[gameType];
+  const needed = seatCount * holeCards + 8;
+  const deckSize = createDeck(gameType).length;
+  if (needed > deckSize) {
+    throw new Error(
+      `${seatCount} seats with ${holeCards} hole cards need ${needed} cards; the deck has ${deckSize}.`
+    );
+  }
+}
+
+// Each fixed deck must be a permutation of the full deck
+function validateDeckOrder(config: GameConfig) {
+  const fullDeck = createDeck(resolveGameType(config)).map((card) => `${card.rank}${card.suit}`);
+  (config.deckOrder ?? []).forEach((deck, index) => {
+    const codes = new Set(deck.map((card) => `${card.rank}${card.suit}`));
+    if (
+      deck.length !== fullDeck.length ||
+      codes.size !== fullDeck.length ||
+      fullDeck.some((code) => !codes.has(code))
+    ) {
+      throw new Error(`deckOrder for hand ${index + 1} must be a full ${fullDeck.length}-card deck.`);
+    }
+  });
+}
 
 export function createInitialState(config: GameConfig): GameState {
-  if (config.startingStacks.length !== SEAT_COUNT) {
-    throw new Error("startingStacks must have 6 entries.");
+  const seatCount = resolveSeatCount(config);
+  if (config.startingStacks.length !== seatCount) {
+    throw new Error(`startingStacks must have ${seatCount} entries.`);
+  }
+  validateDeckOrder(config);
+  const buttonSeat = config.buttonSeat ?? 0;
+  if (!Number.isInteger(buttonSeat) || buttonSeat < 0 || buttonSeat >= seatCount) {
+    throw new Error(`buttonSeat must be a seat between 0 and ${seatCount - 1}.`);
+  }
+  if (config.tournament) {
+    validateTournament(config.tournament, seatCount);
+    if (config.startingStacks.some((stack) => stack <= 0)) {
+      throw new Error("Every tournament seat needs a starting stack.");
+    }
+  }
+  const showdownMode = config.showdownMode ?? "show_all";
+  if (!["show_all", "auto_muck", "manual"].includes(showdownMode)) {
+    throw new Error(`Unknown showdownMode: ${showdownMode}.`);
+  }
+  const runItTimes = config.runItTimes ?? 1;
+  if (!Number.isInteger(runItTimes) || runItTimes < 1 || runItTimes > MAX_RUN_IT_TIMES) {
+    throw new Error(`runItTimes must be an integer between 1 and ${MAX_RUN_IT_TIMES}.`);
+  }
+  validateCardCount(config, seatCount);
+  const { actionClock } = config;
+  if (actionClock) {
+    const { actionSeconds, timeBankSeconds } = actionClock;
+    if (!Number.isFinite(actionSeconds) || actionSeconds <= 0) {
+      throw new Error("actionClock.actionSeconds must be a positive number.");
+    }
+    if (!Number.isFinite(timeBankSeconds) || timeBankSeconds < 0) {
+      throw new Error("actionClock.timeBankSeconds must be a non-negative number.");
+    }
   }
 
-  const players: PlayerState[] = SEATS.map((seat) => ({
+  const seats: SeatIndex[] = Array.from({ length: seatCount }, (_, i) => i);
+  const players: PlayerState[] = seats.map((seat) => ({
     seat,
     stack: config.startingStacks[seat],
     totalCommitted: 0,
+    deadCommitted: 0,
     streetCommitted: 0,
     status: "active",
+    seatStatus: "playing",
     holeCards: [],
   }));
 
   return {
     handId: 1,
-    dealerSeat: 0,
-    smallBlindSeat: 1,
-    bigBlindSeat: 2,
-    actionSeat: 3,
+    dealerSeat: buttonSeat,
+    smallBlindSeat: 1 % seatCount,
+    bigBlindSeat: 2 % seatCount,
+    deadSmallBlind: false,
+    straddleSeat: null,
+    actionSeat: 3 % seatCount,
+    lastAggressor: null,
+    showdownOrder: [],
+    shownSeats: [],
+    muckedSeats: [],
     phase: "preflop",
     board: [],
+    runBoards: [],
     deck: [],
     burn: [],
+    committedDeck: [],
     players,
     pots: [],
     currentBet: 0,
     minRaiseTo: config.bigBlind,
     lastRaiseSize: config.bigBlind,
     actionsThisStreet: 0,
-    canRaise: SEATS.map(() => true),
-    hasActedThisRound: SEATS.map(() => false),
-    betThisRound: SEATS.map(() => 0),
+    betCount: 0,
+    canRaise: seats.map(() => true),
+    hasActedThisRound: seats.map(() => false),
+    betThisRound: seats.map(() => 0),
+    tournament: config.tournament
+      ? { levelIndex: 0, places: seats.map(() => null), finished: false }
+      : null,
+    timeBanks: actionClock ? seats.map(() => actionClock.timeBankSeconds) : null,
   };
 }
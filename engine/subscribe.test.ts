@@ -0,0 +1,122 @@
+import { createEngine, restoreEngine } from "./engine";
+import { tableConfig } from "./test_helpers";
+import { Action, EngineEvent } from "./types";
+
+const fold = (actor: number): Action => ({ actor, type: "fold", amount: null });
+
+test("Subscribe: new events arrive in log order with increasing sequence numbers", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  const received: EngineEvent[] = [];
+  engine.subscribe((event) => received.push(event));
+  expect(received).toEqual([]);
+
+  engine.applyAction(fold(0));
+  engine.applyAction(fold(1));
+  engine.startNextHand();
+
+  const { events } = engine.getSnapshot();
+  const start = events.length - received.length;
+  expect(received.map(({ type, handId, data }) => ({ type, handId, data }))).toEqual(
+    events.slice(start)
+  );
+  expect(received.map((event) => event.index)).toEqual(
+    received.map((_, i) => start + i)
+  );
+  expect(received.map((event) => event.seq)).toEqual(received.map((_, i) => start + i + 1));
+  expect(received.at(-1)!.type).toBe("hole_cards_dealt");
+});
+
+test("Subscribe: fromIndex replays the log before live events", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  engine.applyAction(fold(0));
+  const all: EngineEvent[] = [];
+  const later: EngineEvent[] = [];
+  engine.subscribe((event) => all.push(event), { fromIndex: 0 });
+  engine.subscribe((event) => later.push(event), { fromIndex: 3 });
+  expect(all).toHaveLength(engine.getSnapshot().events.length);
+  expect(all[0].type).toBe("hand_started");
+  expect(later[0]).toEqual(all[3]);
+
+  engine.applyAction(fold(1));
+  expect(later).toEqual(all.slice(3));
+  expect(() => engine.subscribe(() => undefined, { fromIndex: all.length + 1 })).toThrow(
+    `fromIndex must be between 0 and ${all.length}.`
+  );
+  expect(() => engine.subscribe(() => undefined, { fromIndex: -1 })).toThrow();
+});
+
+test("Subscribe: payloads are typed by event type", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  const actions: Action[] = [];
+  const awarded: number[] = [];
+  engine.subscribe((event) => {
+    switch (event.type) {
+      case "action_taken":
+        actions.push(event.data.action);
+        break;
+      case "pot_awarded":
+        awarded.push(event.data.amount);
+        break;
+    }
+  });
+  engine.applyAction({ actor: 0, type: "raise", amount: 60 });
+  engine.applyAction(fold(1));
+  engine.applyAction(fold(2));
+
+  expect(actions).toEqual(engine.getSnapshot().actionHistory);
+  expect(awarded).toEqual([90]);
+});
+
+test("Subscribe: undo reports the rewind and later events get fresh sequence numbers", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  const received: EngineEvent[] = [];
+  const rewinds: number[] = [];
+  engine.subscribe((event) => received.push(event), {
+    fromIndex: 0,
+    onRewind: (length) => rewinds.push(length),
+  });
+  engine.applyAction(fold(0));
+  const lengthBefore = engine.getSnapshot().events.length;
+  const lastSeq = received.at(-1)!.seq;
+
+  engine.undo();
+  expect(rewinds).toEqual([lengthBefore - 1]);
+  engine.applyAction({ actor: 0, type: "call", amount: null });
+  const retaken = received.at(-1)!;
+  expect(retaken.index).toBe(lengthBefore - 1);
+  expect(retaken.seq).toBe(lastSeq + 1);
+  expect(retaken.type === "action_taken" && retaken.data.action.type).toBe("call");
+
+  // Rewinding to where the listener already is drops nothing it has seen
+  engine.rewindTo(1);
+  expect(rewinds).toHaveLength(1);
+});
+
+test("Subscribe: unsubscribe stops delivery and listeners may act on the engine", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  const seen: string[] = [];
+  const unsubscribe = engine.subscribe((event) => seen.push(event.type));
+  // A bot that folds whenever it is seat 1's turn to act
+  engine.subscribe((event) => {
+    const { state } = engine.getSnapshot();
+    if (event.type === "action_taken" && state.phase !== "ended" && state.actionSeat === 1) {
+      engine.applyAction(fold(1));
+    }
+  });
+  engine.applyAction(fold(0));
+  expect(seen).toEqual(["action_taken", "action_taken", "pot_awarded", "hand_ended"]);
+
+  unsubscribe();
+  unsubscribe();
+  engine.startNextHand();
+  expect(seen).toHaveLength(4);
+});
+
+test("Subscribe: a restored engine numbers the restored log from 1", () => {
+  const engine = createEngine(tableConfig("subscribe"));
+  engine.applyAction(fold(0));
+  const restored = restoreEngine(engine.getSnapshot());
+  const seqs: number[] = [];
+  restored.subscribe((event) => seqs.push(event.seq), { fromIndex: 0 });
+  expect(seqs).toEqual(engine.getSnapshot().events.map((_, index) => index + 1));
+});
@@ -0,0 +1,42 @@
+import { createEngine } from "./engine";
+import { tableConfig } from "./test_helpers";
+import { GameConfig } from "./types";
+
+function configFor(seatCount: number): GameConfig {
+  return tableConfig("table-size", { startingStacks: Array.from({ length: seatCount }, () => 1000) });
+}
+
+test("Table size: default config seats 6 players", () => {
+  const engine = createEngine({
+    seed: "table-size",
+    deckSecret: "table-size",
+    startingStacks: [1000, 1000, 1000, 1000, 1000, 1000],
+    smallBlind: 10,
+    bigBlind: 20,
+  });
+  expect(engine.getSnapshot().state.players).toHaveLength(6);
+});
+
+test.each([2, 3, 9, 10])("Table size: %i-handed deals every seat", (seatCount) => {
+  const engine = createEngine(configFor(seatCount));
+  const state = engine.getSnapshot().state;
+
+  expect(state.players).toHaveLength(seatCount);
+  for (const player of state.players) {
+    expect(player.holeCards).toHaveLength(2);
+  }
+  expect(state.deck).toHaveLength(52 - seatCount * 2);
+  expect(state.actionSeat).toBeLessThan(seatCount);
+});
+
+test("Table size: startingStacks must match seatCount", () => {
+  expect(() =>
+    createEngine({ ...configFor(9), startingStacks: [1000, 1000] })
+  ).toThrow("startingStacks must have 9 entries.");
+});
+
+test.each([1, 11, 2.5])("Table size: seatCount %p is rejected", (seatCount) => {
+  expect(() =>
+    createEngine({ ...configFor(2), seatCount, startingStacks: [] })
+  ).toThrow("seatCount must be an integer between 2 and 10.");
+});
@@ -0,0 +1,52 @@
+import { createDeck, parseCard } from "./deck.js";
+import { Card, GameConfig, GameType } from "./types.js";
+
+// Shared by the engine tests: card lists, stacked decks and table configs
+
+// Space-separated card codes, e.g. cards("As Kd")
+export function cards(codes: string): Card[] {
+  return codes.split(" ").map(parseCard);
+}
+
+function cardCode(card: Card): string {
+  return `${card.rank}${card.suit}`;
+}
+
+// A full deck dealing top first; null slots and everything after the top
+// take the remaining cards in createDeck order
+export function deckStartingWith(top: (Card | null)[], gameType: GameType = "holdem"): Card[] {
+  const used = new Set(top.filter((card): card is Card => card !== null).map(cardCode));
+  const rest = createDeck(gameType).filter((card) => !used.has(cardCode(card)));
+  return [...top.map((card) => card ?? rest.shift()!), ...rest];
+}
+
+// A deck that deals holes[seat] to each seat and then the board, with the
+// button on seat 0: hole cards go one at a time from seat 1 round to the
+// button, and each street burns a card from the rest of the deck
+export function stackedDeck(holes: string[], board = "", gameType: GameType = "holdem"): Card[] {
+  const seatCards = holes.map(cards);
+  const order = seatCards.map((_, i) => seatCards[(i + 1) % seatCards.length]);
+  const dealt = seatCards[0].flatMap((_, round) => order.map((hole) => hole[round]));
+  const boardCards = board ? cards(board) : [];
+  const streets = [boardCards.slice(0, 3), boardCards.slice(3, 4), boardCards.slice(4, 5)];
+  const burnsAndBoard = streets
+    .filter((street) => street.length > 0)
+    .flatMap((street) => [null, ...street]);
+  return deckStartingWith([...dealt, ...burnsAndBoard], gameType);
+}
+
+// Three 1000-chip seats at 10/20. name seeds the table and its decks, so every
+// run deals the same cards; extra overrides any field, and the seat count
+// follows startingStacks
+export function tableConfig(name: string, extra: Partial<GameConfig> = {}): GameConfig {
+  const startingStacks = extra.startingStacks ?? [1000, 1000, 1000];
+  return {
+    seed: name,
+    deckSecret: name,
+    seatCount: startingStacks.length,
+    startingStacks,
+    smallBlind: 10,
+    bigBlind: 20,
+    ...extra,
+  };
+}
@@ -0,0 +1,179 @@
+import { createEngine, restoreEngine } from "./engine";
+import { stackedDeck, tableConfig } from "./test_helpers";
+import { icmEquity } from "./tournament";
+import { EventOf, EventType, GameConfig, TournamentConfig } from "./types";
+
+// Seat 0 AA, seat 1 KK, seat 2 a pair of deuces
+const DECK = stackedDeck(["As Ad", "Ks Kd", "7c 2d"], "2c 5d 9h Js 3c");
+
+const TOURNAMENT: TournamentConfig = {
+  levels: [
+    { smallBlind: 10, bigBlind: 20 },
+    { smallBlind: 20, bigBlind: 40, ante: 5 },
+  ],
+  handsPerLevel: 2,
+  payouts: [50, 30, 20],
+};
+
+function configFor(
+  startingStacks: number[],
+  tournament: TournamentConfig = TOURNAMENT
+): GameConfig {
+  return tableConfig("tournament", {
+    startingStacks,
+    smallBlind: 1,
+    bigBlind: 2,
+    deckOrder: [DECK],
+    tournament,
+  });
+}
+
+// Seat 0 shoves with aces and both opponents call all-in
+function allInHand(startingStacks: number[]) {
+  const engine = createEngine(configFor(startingStacks));
+  engine.applyAction({ actor: 0, type: "raise", amount: startingStacks[0] });
+  engine.applyAction({ actor: 1, type: "call", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  return engine;
+}
+
+function eventsOfType<T extends EventType>(engine: ReturnType<typeof createEngine>, type: T) {
+  return engine.getSnapshot().events.filter((e): e is EventOf<T> => e.type === type);
+}
+
+test("Tournament: blinds and antes follow the level schedule", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000]));
+  const started = () => eventsOfType(engine, "hand_started").at(-1)!;
+
+  expect(engine.getSnapshot().state.players.map((p) => p.totalCommitted)).toEqual([0, 10, 20]);
+  expect(started().data.tournament).toMatchObject({ levelIndex: 0, smallBlind: 10, bigBlind: 20 });
+
+  for (let hand = 0; hand < 2; hand += 1) {
+    const { actionSeat } = engine.getSnapshot().state;
+    engine.applyAction({ actor: actionSeat, type: "fold", amount: null });
+    engine.applyAction({ actor: engine.getSnapshot().state.actionSeat, type: "fold", amount: null });
+    engine.startNextHand();
+  }
+
+  // Hand 3 is the first hand of level 2
+  const { state } = engine.getSnapshot();
+  expect(state.handId).toBe(3);
+  expect(state.tournament!.levelIndex).toBe(1);
+  expect(started().data.tournament).toMatchObject({
+    levelIndex: 1,
+    smallBlind: 20,
+    bigBlind: 40,
+    ante: 5,
+    playersLeft: 3,
+  });
+  const committed = state.players.map((p) => p.totalCommitted).sort((a, b) => a - b);
+  expect(committed).toEqual([5, 25, 45]);
+});
+
+test("Tournament: the last level repeats once the schedule runs out", () => {
+  const engine = createEngine(configFor([1000, 1000, 1000], { ...TOURNAMENT, handsPerLevel: 1 }));
+  for (let hand = 0; hand < 4; hand += 1) {
+    engine.applyAction({ actor: engine.getSnapshot().state.actionSeat, type: "fold", amount: null });
+    engine.applyAction({ actor: engine.getSnapshot().state.actionSeat, type: "fold", amount: null });
+    engine.startNextHand();
+  }
+
+  expect(engine.getSnapshot().state.tournament!.levelIndex).toBe(1);
+});
+
+test("Tournament: busted players are placed by starting stack and the winner ends it", () => {
+  const engine = allInHand([1000, 500, 300]);
+  const { state } = engine.getSnapshot();
+
+  expect(eventsOfType(engine, "player_eliminated").map((e) => e.data)).toEqual([
+    { seat: 2, place: 3 },
+    { seat: 1, place: 2 },
+  ]);
+  expect(state.tournament).toEqual({ levelIndex: 0, places: [1, 2, 3], finished: true });
+
+  const ended = eventsOfType(engine, "tournament_ended");
+  expect(ended).toHaveLength(1);
+  expect(ended[0].data).toEqual({
+    winner: 0,
+    standings: [
+      { seat: 0, place: 1, prize: 50 },
+      { seat: 1, place: 2, prize: 30 },
+      { seat: 2, place: 3, prize: 20 },
+    ],
+  });
+  const types = engine.getSnapshot().events.map((e) => e.type);
+  expect(types.indexOf("tournament_ended")).toBe(types.length - 1);
+  expect(() => engine.startNextHand()).toThrow("Tournament is over.");
+});
+
+test("Tournament: players busting with equal stacks share their places", () => {
+  const engine = allInHand([1000, 300, 300]);
+  const ended = eventsOfType(engine, "tournament_ended")[0];
+
+  expect(engine.getSnapshot().state.tournament!.places).toEqual([1, 2, 2]);
+  expect(ended.data.standings).toEqual([
+    { seat: 0, place: 1, prize: 50 },
+    { seat: 1, place: 2, prize: 25 },
+    { seat: 2, place: 2, prize: 25 },
+  ]);
+});
+
+test("Tournament: play continues without busted players", () => {
+  const engine = createEngine(configFor([1000, 1000, 300]));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1000 });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+
+  expect(engine.getSnapshot().state.tournament!.places).toEqual([null, null, 3]);
+  expect(eventsOfType(engine, "tournament_ended")).toHaveLength(0);
+
+  engine.startNextHand();
+  const started = eventsOfType(engine, "hand_started").at(-1)!;
+  const tournament = started.data.tournament as { playersLeft: number; icmEquity: number[] };
+  expect(tournament.playersLeft).toBe(2);
+  expect(tournament.icmEquity[2]).toBe(20);
+  expect(tournament.icmEquity[0] + tournament.icmEquity[1]).toBeCloseTo(80);
+  expect(engine.getSnapshot().state.players[2].holeCards).toEqual([]);
+});
+
+test("Tournament: state survives a snapshot round trip", () => {
+  const engine = createEngine(configFor([1000, 1000, 300]));
+  engine.applyAction({ actor: 0, type: "raise", amount: 1000 });
+  engine.applyAction({ actor: 1, type: "fold", amount: null });
+  engine.applyAction({ actor: 2, type: "call", amount: null });
+  const restored = restoreEngine(JSON.parse(JSON.stringify(engine.getSnapshot())));
+
+  expect(restored.getSnapshot().state.tournament).toEqual(engine.getSnapshot().state.tournament);
+});
+
+test("Tournament: ICM equity splits the prize pool by stack", () => {
+  expect(icmEquity([75, 25], [60, 40])).toEqual([55, 45]);
+
+  const equal = icmEquity([100, 100, 100], [50, 30, 20]);
+  for (const value of equal) {
+    expect(value).toBeCloseTo(100 / 3);
+  }
+
+  const equity = icmEquity([5000, 3000, 2000, 0], [50, 30, 20]);
+  expect(equity.reduce((sum, value) => sum + value, 0)).toBeCloseTo(100);
+  expect(equity[0]).toBeCloseTo(38.39, 2);
+  expect(equity[3]).toBe(0);
+  // ICM flattens chip share: the chip leader's equity is below 50%
+  expect(equity[0]).toBeLessThan(50);
+  expect(equity[2]).toBeGreaterThan(20);
+});
+
+test("Tournament: invalid schedules are rejected", () => {
+  expect(() => createEngine(configFor([1000, 1000], { ...TOURNAMENT, levels: [] }))).toThrow(
+    "Tournament needs at least one blind level."
+  );
+  expect(() =>
+    createEngine(configFor([1000, 1000], { ...TOURNAMENT, handsPerLevel: 0 }))
+  ).toThrow("handsPerLevel must be a positive integer.");
+  expect(() => createEngine(configFor([1000, 1000]))).toThrow(
+    "payouts must list up to 2 non-negative prizes."
+  );
+  expect(() =>
+    createEngine(configFor([1000, 0, 1000], { ...TOURNAMENT, payouts: [100] }))
+  ).toThrow("Every tournament seat needs a starting stack.");
+});
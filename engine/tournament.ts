@@ -0,0 +1,138 @@
+import { GameConfig, GameState, HandId, SeatIndex, TournamentConfig } from "./types.js";
+
+function isChipAmount(value: unknown): boolean {
+  return typeof value === "number" && Number.isInteger(value) && value >= 0;
+}
+
+export function validateTournament(tournament: TournamentConfig, seatCount: number): void {
+  if (!Array.isArray(tournament.levels) || tournament.levels.length === 0) {
+    throw new Error("Tournament needs at least one blind level.");
+  }
+  tournament.levels.forEach((level, index) => {
+    const amounts = [level.smallBlind, level.bigBlind, level.ante ?? 0, level.bigBlindAnte ?? 0];
+    if (!amounts.every(isChipAmount) || level.bigBlind <= 0) {
+      throw new Error(`Blind level ${index + 1} must use non-negative whole chips and a big blind.`);
+    }
+  });
+  if (!Number.isInteger(tournament.handsPerLevel) || tournament.handsPerLevel < 1) {
+    throw new Error("handsPerLevel must be a positive integer.");
+  }
+  if (
+    !Array.isArray(tournament.payouts) ||
+    tournament.payouts.length > seatCount ||
+    !tournament.payouts.every(isChipAmount)
+  ) {
+    throw new Error(`payouts must list up to ${seatCount} non-negative prizes.`);
+  }
+}
+
+// Levels advance every handsPerLevel hands; the last level repeats
+export function tournamentLevelIndex(tournament: TournamentConfig, handId: HandId): number {
+  return Math.min(
+    Math.floor((handId - 1) / tournament.handsPerLevel),
+    tournament.levels.length - 1
+  );
+}
+
+// Config a hand is played with: in a tournament the current level's blinds
+// and antes replace the configured ones
+export function handConfig(config: GameConfig, handId: HandId): GameConfig {
+  if (!config.tournament) {
+    return config;
+  }
+  const level = config.tournament.levels[tournamentLevelIndex(config.tournament, handId)];
+  return {
+    ...config,
+    smallBlind: level.smallBlind,
+    bigBlind: level.bigBlind,
+    ante: level.ante ?? 0,
+    bigBlindAnte: level.bigBlindAnte ?? 0,
+  };
+}
+
+// Independent Chip Model (Malmuth-Harville): a player finishes in the next
+// open place with probability stack / chips remaining. Returns each player's
+// expected prize from the payout table.
+export function icmEquity(stacks: number[], payouts: number[]): number[] {
+  const equity = stacks.map(() => 0);
+  const total = stacks.reduce((sum, stack) => sum + stack, 0);
+  if (total === 0) {
+    return equity;
+  }
+  const places = Math.min(payouts.length, stacks.filter((stack) => stack > 0).length);
+  // Probability of reaching each set of already-placed players, keyed by bitmask
+  let layer = new Map<number, number>([[0, 1]]);
+  for (let place = 0; place < places; place += 1) {
+    const next = new Map<number, number>();
+    for (const [placed, probability] of layer) {
+      let remaining = total;
+      stacks.forEach((stack, seat) => {
+        if (placed & (1 << seat)) {
+          remaining -= stack;
+        }
+      });
+      stacks.forEach((stack, seat) => {
+        if (stack === 0 || placed & (1 << seat)) {
+          return;
+        }
+        const chance = probability * (stack / remaining);
+        equity[seat] += chance * payouts[place];
+        const key = placed | (1 << seat);
+        next.set(key, (next.get(key) ?? 0) + chance);
+      });
+    }
+    layer = next;
+  }
+  return equity;
+}
+
+// Prize for a finishing place; players tied for it share the prizes of the
+// places they cover
+export function prizeForPlace(payouts: number[], place: number, tiedCount: number): number {
+  const covered = payouts.slice(place - 1, place - 1 + tiedCount);
+  const pool = covered.reduce((sum, prize) => sum + prize, 0);
+  return pool / tiedCount;
+}
+
+// Per seat: the locked-in prize for busted players, ICM equity for the rest
+export function tournamentEquity(state: GameState, config: GameConfig): number[] {
+  const { tournament } = state;
+  if (!tournament || !config.tournament) {
+    return [];
+  }
+  const payouts = config.tournament.payouts;
+  const alive = state.players.filter((player) => tournament.places[player.seat] === null);
+  const liveEquity = icmEquity(
+    alive.map((player) => player.stack + player.totalCommitted),
+    payouts.slice(0, alive.length)
+  );
+  return state.players.map((player) => {
+    const place = tournament.places[player.seat];
+    if (place === null) {
+      return liveEquity[alive.indexOf(player)];
+    }
+    const tied = tournament.places.filter((p) => p === place).length;
+    return prizeForPlace(payouts, place, tied);
+  });
+}
+
+// Finishing places for players who busted this hand: more chips at the start
+// of the hand finishes higher, equal stacks tie. Busted players committed
+// their whole starting stack, so totalCommitted is that stack.
+export function placeBustedPlayers(state: GameState): SeatIndex[] {
+  const { tournament } = state;
+  if (!tournament) {
+    return [];
+  }
+  const busted = state.players.filter(
+    (player) => player.stack === 0 && tournament.places[player.seat] === null
+  );
+  const remaining = state.players.filter((player) => player.stack > 0).length;
+  for (const player of busted) {
+    const higher = busted.filter((other) => other.totalCommitted > player.totalCommitted).length;
+    tournament.places[player.seat] = remaining + 1 + higher;
+  }
+  return busted
+    .sort((a, b) => (tournament.places[b.seat] as number) - (tournament.places[a.seat] as number))
+    .map((player) => player.seat);
+}
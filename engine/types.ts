@@ -1,6 +1,23 @@
-export const SEAT_COUNT = 6 as const;
+export const DEFAULT_SEAT_COUNT = 6 as const;
+export const MIN_SEAT_COUNT = 2 as const;
+export const MAX_SEAT_COUNT = 10 as const;
+// Most runouts a 10-handed preflop all-in leaves cards for (8 per run)
+export const MAX_RUN_IT_TIMES = 4 as const;
 
-export type SeatIndex = 0 | 1 | 2 | 3 | 4 | 5;
+// Hold'em deals two hole cards and plays any five of seven. Omaha deals four
+// ("omaha") or five ("omaha5") and plays exactly two of them with three
+// board cards. Short deck ("shortdeck") is hold'em with the 2s to 5s removed.
+export type GameType = "holdem" | "shortdeck" | "omaha" | "omaha5";
+
+export const HOLE_CARD_COUNT: Record<GameType, number> = {
+  holdem: 2,
+  shortdeck: 2,
+  omaha: 4,
+  omaha5: 5,
+};
+
+// Seat indices run from 0 to seatCount - 1 for the configured table size
+export type SeatIndex = number;
 export type ChipAmount = number;
 export type HandId = number;
 export type Seed = string;
@@ -36,12 +53,19 @@ export type Phase =
 
 export type PlayerStatus = "active" | "folded" | "all_in" | "out";
 
+// Who occupies a seat between hands. "waiting" players (back from sitting
+// out, rebought or newly joined) are dealt in once the big blind reaches them.
+export type SeatStatus = "playing" | "sitting_out" | "waiting" | "empty";
+
 export type PlayerState = {
   seat: SeatIndex;
   stack: ChipAmount;
   totalCommitted: ChipAmount;
+  // Portion of totalCommitted that is dead money (BB ante)
+  deadCommitted: ChipAmount;
   streetCommitted: ChipAmount;
   status: PlayerStatus;
+  seatStatus: SeatStatus;
   holeCards: Card[];
 };
 
@@ -50,12 +74,16 @@ export type Pot = {
   eligibleSeats: SeatIndex[];
 };
 
-export type ActionType = "fold" | "check" | "call" | "bet" | "raise";
+// "show" and "muck" are only legal at showdown, for a player who cannot win
+export type ActionType = "fold" | "check" | "call" | "bet" | "raise" | "show" | "muck";
 
 export type Action = {
   actor: SeatIndex;
   type: ActionType;
   amount: ChipAmount | null;
+  // Seconds the actor took to decide, measured by the caller; only read with
+  // an action clock, and treated as 0 when missing
+  elapsed?: number;
 };
 
 export type LegalAction = {
@@ -64,11 +92,93 @@ export type LegalAction = {
   maxAmount: ChipAmount | null;
 };
 
+export type StraddleType = "utg" | "button";
+
+export type BettingStructure = "no_limit" | "pot_limit" | "fixed_limit";
+
+// Who reveals at showdown: everyone; only hands that can still win (losers
+// muck automatically); or losers choose to show or muck
+export type ShowdownMode = "show_all" | "auto_muck" | "manual";
+
+// Blinds and antes for one tournament level
+export type BlindLevel = {
+  smallBlind: ChipAmount;
+  bigBlind: ChipAmount;
+  ante?: ChipAmount;
+  bigBlindAnte?: ChipAmount;
+};
+
+export type TournamentConfig = {
+  // Played in order; the last level repeats once the schedule runs out
+  levels: BlindLevel[];
+  handsPerLevel: number;
+  // Prize for 1st, 2nd, ... place; places past the table pay nothing
+  payouts: ChipAmount[];
+};
+
+// Time allowed per decision. Time past actionSeconds comes out of the seat's
+// time bank; once that is empty as well the seat times out and checks (or
+// folds when facing a bet, or mucks at showdown) whatever it chose.
+export type ActionClockConfig = {
+  actionSeconds: number;
+  // Each seat's bank for the whole session; a seat joined mid-session gets a full one
+  timeBankSeconds: number;
+};
+
 export type GameConfig = {
   seed: Seed;
+  // Table size (2 = heads-up ... 10 = 10-max); defaults to DEFAULT_SEAT_COUNT
+  seatCount?: number;
   startingStacks: ChipAmount[];
   smallBlind: ChipAmount;
   bigBlind: ChipAmount;
+  // Per-player ante posted by every dealt-in seat
+  ante?: ChipAmount;
+  // Single ante posted by the big blind for the whole table
+  bigBlindAnte?: ChipAmount;
+  // Optional live straddle; straddleAmount defaults to 2 x bigBlind
+  straddle?: StraddleType | null;
+  straddleAmount?: ChipAmount;
+  // Hole cards and hand rules; defaults to "holdem"
+  gameType?: GameType;
+  // Bet sizing rules; defaults to "no_limit" for hold'em and short deck,
+  // "pot_limit" for Omaha
+  bettingStructure?: BettingStructure;
+  // Fixed-limit sizes: smallBet (preflop/flop) defaults to bigBlind,
+  // bigBet (turn/river) to 2 x smallBet
+  smallBet?: ChipAmount;
+  bigBet?: ChipAmount;
+  // Fixed-limit cap on bets + raises per street (the BB counts as a bet); defaults to 4
+  raiseCap?: number;
+  // Button for the first hand; defaults to seat 0. An empty seat passes the
+  // button on to the next seat with chips
+  buttonSeat?: SeatIndex;
+  // Fixed deck per hand, top card first (deckOrder[handId - 1]), e.g. for an
+  // imported hand history; later hands are shuffled from deckSecret
+  deckOrder?: Card[][];
+  // Private entropy for every shuffle and commitment salt, so knowing the seed
+  // predicts nothing. createEngine draws a random one when it is missing; pass
+  // one only to deal the same cards again, and never share it
+  deckSecret?: string;
+  // Deal the rest of the board this many times when everyone is all-in,
+  // splitting each pot between the runs; defaults to 1
+  runItTimes?: number;
+  // Showdown reveal rules; defaults to "show_all"
+  showdownMode?: ShowdownMode;
+  // Tournament mode: level blinds/antes replace smallBlind, bigBlind, ante
+  // and bigBlindAnte, busted seats get finishing places, and play ends when
+  // one player holds every chip
+  tournament?: TournamentConfig;
+  // Optional action clock, enforced from each Action's elapsed time
+  actionClock?: ActionClockConfig;
+};
+
+export type TournamentState = {
+  // Index into TournamentConfig.levels for the current hand
+  levelIndex: number;
+  // Finishing place per seat once busted (1 = winner); tied busts share a place
+  places: (number | null)[];
+  finished: boolean;
 };
 
 export type GameState = {
@@ -76,40 +186,233 @@ export type GameState = {
   dealerSeat: SeatIndex;
   smallBlindSeat: SeatIndex;
   bigBlindSeat: SeatIndex;
+  // SB position fell on a busted seat this hand; no small blind is posted
+  deadSmallBlind: boolean;
+  // Seat that posted a straddle this hand, if any
+  straddleSeat: SeatIndex | null;
   actionSeat: SeatIndex;
+  // Last seat to bet or raise on the current street; shows first at showdown
+  lastAggressor: SeatIndex | null;
+  // Order hands are revealed in, once the hand reaches showdown
+  showdownOrder: SeatIndex[];
+  shownSeats: SeatIndex[];
+  muckedSeats: SeatIndex[];
   phase: Phase;
   board: Card[];
+  // Every run's full board when the hand was run more than once (runBoards[0]
+  // is board); empty otherwise
+  runBoards: Card[][];
   deck: Card[];
   burn: Card[];
+  // The hand's whole deck as committed in hand_started, revealed by hand_ended
+  committedDeck: Card[];
   players: PlayerState[];
   pots: Pot[];
   currentBet: ChipAmount;
   minRaiseTo: ChipAmount;
   lastRaiseSize: ChipAmount;
   actionsThisStreet: number;
+  // Bets and raises made this street, for the fixed-limit raise cap
+  betCount: number;
   canRaise: boolean[];
   hasActedThisRound: boolean[];
   betThisRound: ChipAmount[];
+  tournament: TournamentState | null;
+  // Seconds left in each seat's time bank; null without an action clock
+  timeBanks: number[] | null;
 };
 
 export type EventType =
   | "hand_started"
   | "blind_posted"
+  | "ante_posted"
+  | "big_blind_ante_posted"
+  | "straddle_posted"
+  | "hole_cards_dealt"
   | "action_taken"
   | "street_dealt"
+  | "cards_shown"
+  | "cards_mucked"
   | "pot_awarded"
   | "hand_ended"
-  | "hand_summary";
+  | "player_eliminated"
+  | "tournament_ended"
+  | "seat_changed"
+  | "hand_summary"
+  | "timeout_action";
 
+// A logged event; the type picks its data from EventPayloads
 export type Event = {
-  type: EventType;
+  [T in EventType]: {
+    type: T;
+    handId: HandId;
+    data: EventPayloads[T];
+  };
+}[EventType];
+
+// The events of one type, e.g. EventOf<"hand_started">
+export type EventOf<T extends EventType> = Extract<Event, { type: T }>;
+
+export type HandSummaryPot = {
+  potIndex: number;
+  amount: ChipAmount;
+  eligibleSeats: SeatIndex[];
+  winners: { seat: SeatIndex; amount: ChipAmount }[];
+};
+
+// Shown hands: the category ("Two Pair"), the full name ("Two Pair, Kings
+// and Sevens, Ace kicker") and the five cards that make the hand
+export type HandSummaryShowdown = {
+  seat: SeatIndex;
+  handRank: string;
+  handName: string;
+  bestCards: Card[];
+}[];
+
+// The data each event type carries
+export type EventPayloads = {
+  hand_started: {
+    dealerSeat: SeatIndex;
+    smallBlindSeat: SeatIndex;
+    bigBlindSeat: SeatIndex;
+    deadButton: boolean;
+    deadSmallBlind: boolean;
+    stacks: ChipAmount[];
+    deckCommitment: string;
+    tournament?: {
+      levelIndex: number;
+      smallBlind: ChipAmount;
+      bigBlind: ChipAmount;
+      ante: ChipAmount;
+      bigBlindAnte: ChipAmount;
+      playersLeft: number;
+      payouts: number[];
+      icmEquity: number[];
+    };
+  };
+  blind_posted: { seat: SeatIndex; amount: ChipAmount };
+  ante_posted: { seat: SeatIndex; amount: ChipAmount };
+  big_blind_ante_posted: { seat: SeatIndex; amount: ChipAmount };
+  straddle_posted: { seat: SeatIndex; amount: ChipAmount; straddle: StraddleType };
+  // cards is null in observations that may not see them
+  hole_cards_dealt: { seat: SeatIndex; cards: Card[] | null };
+  action_taken: { action: Action };
+  street_dealt: { phase: Phase; board: Card[] };
+  cards_shown: { seat: SeatIndex; cards: Card[]; handRank: string };
+  cards_mucked: { seat: SeatIndex };
+  // potIndex is missing for an uncontested pot; run is set when run more than once
+  pot_awarded: { seat: SeatIndex; amount: ChipAmount; potIndex?: number; run?: number };
+  // Revealed for checking against hand_started.deckCommitment; null in observations
+  hand_ended: { deck: Card[] | null; salt: string };
+  player_eliminated: { seat: SeatIndex; place: number };
+  tournament_ended: {
+    winner: SeatIndex;
+    standings: { seat: SeatIndex; place: number; prize: number }[];
+  };
+  seat_changed: {
+    seat: SeatIndex;
+    change: TableChangeType;
+    amount: ChipAmount | null;
+    stack: ChipAmount;
+    seatStatus: SeatStatus;
+  };
+  // The seat ran out of time; action (also in the action_taken that follows)
+  // replaced whatever it chose
+  timeout_action: { seat: SeatIndex; elapsed: number; action: Action };
+  hand_summary: {
+    // Missing when the board was run more than once; see runs
+    showdown?: HandSummaryShowdown;
+    mucked: SeatIndex[];
+    // Pot winners over every run
+    pots: HandSummaryPot[];
+    // Run-it-N: one board, showdown and set of pot winners per run
+    runs?: {
+      run: number;
+      board: Card[];
+      showdown: HandSummaryShowdown;
+      pots: HandSummaryPot[];
+    }[];
+  };
+};
+
+// An event as delivered to Engine.subscribe listeners. index is its position
+// in the event log, counting events compacted away (see CompactedHand); seq
+// numbers every event the engine has published and is never reused, even
+// when undo or rewindTo drop events from the log.
+export type EngineEvent = Event & {
+  seq: number;
+  index: number;
+};
+
+export type EngineEventListener = (event: EngineEvent) => void;
+
+export type SubscribeOptions = {
+  // First log index to deliver; defaults to the end of the log, so only new
+  // events arrive. 0 replays the whole log before any new event; indexes of
+  // compacted events start at the first event kept.
+  fromIndex?: number;
+  // Called when undo or rewindTo drop events the listener has already been
+  // given; length is the new log length, and delivery resumes from there
+  onRewind?: (length: number) => void;
+};
+
+export type TableChangeType =
+  | "sit_out"
+  | "sit_in"
+  | "rebuy"
+  | "top_up"
+  | "leave_seat"
+  | "join_seat";
+
+// A seat or chip change made between hands, after hand handId ended.
+// amount is the chips added (rebuy, top_up, join_seat) or cashed out (leave_seat).
+export type TableChange = {
   handId: HandId;
-  data: Record<string, unknown>;
+  type: TableChangeType;
+  seat: SeatIndex;
+  amount: ChipAmount | null;
+};
+
+// A hand whose events were dropped from the front of the log (see
+// EngineOptions.retainHands), reduced to what replaying it needs
+export type CompactedHand = {
+  handId: HandId;
+  // Events dropped, so later events keep their log index
+  events: number;
+  // Its share of actionHistory and tableChanges
+  actions: number;
+  seatChanges: number;
 };
 
 export type EngineSnapshot = {
   config: GameConfig;
   state: GameState;
+  // The log after any compacted hands
+  events: Event[];
+  actionHistory: Action[];
+  tableChanges: TableChange[];
+  // Oldest first; empty unless the engine was created with retainHands
+  compactedHands: CompactedHand[];
+};
+
+// A player as one viewer sees them: holeCards is null while the player holds
+// cards the viewer may not see
+export type PlayerObservation = Omit<PlayerState, "holeCards"> & {
+  holeCards: Card[] | null;
+};
+
+// What one seat (or a spectator, seat null) may know: no deck or burn cards,
+// no seed or fixed decks to rebuild them from, and hole cards only for the
+// viewer's own seat and hands shown at showdown
+export type Observation = {
+  seat: SeatIndex | null;
+  config: Omit<GameConfig, "seed" | "deckOrder" | "deckSecret">;
+  state: Omit<GameState, "deck" | "burn" | "committedDeck" | "players"> & {
+    players: PlayerObservation[];
+  };
   events: Event[];
   actionHistory: Action[];
+  tableChanges: TableChange[];
+  // The viewer's legal actions when it is their turn; empty otherwise
+  legalActions: LegalAction[];
 };
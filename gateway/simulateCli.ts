@@ -0,0 +1,148 @@
+// Batch simulation: npm run simulate -- --seats llm:qwen-plus:tight_rookie_v1,pot_odds,random
+//   --seeds 1-20 --hands 100 --out simulations
+// Seats are comma-separated controllers, one per seat: llm:<preset>[:<profile>]
+// or a bot (random, calling_station, tight_aggressive, pot_odds). Session i
+// plays from seed "<seed>:<i>".
+// Writes hands/<session>.txt (PokerStars), hands/<session>.phhs (PHH, for
+// games PHH has a variant code for) and decisions.jsonl (one record per
+// decision) under --out. LLM seats read
+// their provider's API key from <PROVIDER>_API_KEY (or DASHSCOPE_API_KEY
+// for qwen).
+import { mkdirSync, readFileSync, writeFileSync, appendFileSync } from "node:fs";
+import { join } from "node:path";
+import { proposeDecision } from "./proposeDecision.js";
+import { getPresetById } from "../shared/modelPresetRegistry.js";
+import { DEFAULT_PROMPT_ID, getPromptProfileById } from "../shared/promptProfiles.js";
+import type { ActionMode } from "../shared/actionMode.js";
+import type { Decision } from "../engine/decision.js";
+import { exportPhh, exportPokerStars, phhVariant } from "../engine/handHistory.js";
+import { GameConfig, GameType } from "../engine/types.js";
+import { BotId, getBotById } from "../engine/bots.js";
+import { botController, llmController, SeatController, simulate } from "../engine/simulate.js";
+
+function option(name: string, fallback: string): string {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < process.argv.length ? process.argv[index + 1] : fallback;
+}
+
+function credentialFor(provider: string) {
+  const apiKey =
+    process.env[`${provider.toUpperCase()}_API_KEY`] ??
+    (provider === "qwen" ? process.env.DASHSCOPE_API_KEY : undefined);
+  if (!apiKey) {
+    throw new Error(`No API key for ${provider}: set ${provider.toUpperCase()}_API_KEY.`);
+  }
+  return { provider, apiKey };
+}
+
+function controllerFor(spec: string, actionMode: ActionMode): SeatController {
+  const [kind, presetId, profileId = DEFAULT_PROMPT_ID] = spec.split(":");
+  if (kind !== "llm") {
+    if (!getBotById(spec)) {
+      throw new Error(`Unknown seat controller '${spec}'.`);
+    }
+    return botController(spec as BotId);
+  }
+  const preset = getPresetById(presetId ?? "");
+  if (!preset) {
+    throw new Error(`Unknown model preset '${presetId}'.`);
+  }
+  const profile = getPromptProfileById(profileId);
+  if (!profile) {
+    throw new Error(`Unknown prompt profile '${profileId}'.`);
+  }
+  const credential = credentialFor(preset.provider);
+  return llmController({
+    presetId: preset.id,
+    profile,
+    propose: async (input) => {
+      const result = await proposeDecision({
+        input: input as Parameters<typeof proposeDecision>[0]["input"],
+        actionMode,
+        presetId: preset.id,
+        credential,
+      });
+      // The gateway has already validated the decision's schema
+      return result.type === "ACCEPTED"
+        ? { decision: result.decision as Decision }
+        : { error: result.message };
+    },
+  });
+}
+
+// "3" or "1-20"
+function seedRange(range: string, prefix: string): string[] {
+  const [from, to = from] = range.split("-").map(Number);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || to < from) {
+    throw new Error(`Invalid seed range '${range}'.`);
+  }
+  return Array.from({ length: to - from + 1 }, (_, i) => `${prefix}:${from + i}`);
+}
+
+function tableConfig(seatCount: number): Omit<GameConfig, "seed"> {
+  const file = option("config", "");
+  if (file) {
+    const { seed: _seed, ...config } = JSON.parse(readFileSync(file, "utf8")) as GameConfig;
+    return config;
+  }
+  const [smallBlind, bigBlind] = option("blinds", "10/20").split("/").map(Number);
+  return {
+    seatCount,
+    startingStacks: Array(seatCount).fill(Number(option("stack", "1000"))),
+    smallBlind,
+    bigBlind,
+    gameType: option("game", "holdem") as GameType,
+  };
+}
+
+async function main() {
+  const specs = option("seats", "").split(",").filter(Boolean);
+  if (specs.length < 2) {
+    throw new Error("--seats needs at least two comma-separated seat controllers.");
+  }
+  const actionMode = option("action-mode", "ai_standard") as ActionMode;
+  const controllers = specs.map((spec) => controllerFor(spec, actionMode));
+  const seatLabels = controllers.map((controller, seat) => ({
+    name: `Seat ${seat + 1}`,
+    ...controller.label,
+  }));
+  const out = option("out", "simulations");
+  mkdirSync(join(out, "hands"), { recursive: true });
+  const decisionsFile = join(out, "decisions.jsonl");
+  writeFileSync(decisionsFile, "");
+
+  const config = tableConfig(specs.length);
+  const writePhh = phhVariant({ ...config, seed: "" }) !== null;
+  if (!writePhh) {
+    console.warn("PHH has no variant code for this game; skipping the .phhs files.");
+  }
+
+  const start = performance.now();
+  const report = await simulate({
+    config,
+    controllers,
+    seeds: seedRange(option("seeds", "1"), option("seed", "sim")),
+    hands: Number(option("hands", "100")),
+    onDecision: (record) => appendFileSync(decisionsFile, JSON.stringify(record) + "\n"),
+    onSession: (session, snapshot) => {
+      const name = session.replace(/[^\w.-]/g, "_");
+      const options = { seatLabels, tableName: session, includeSeed: true };
+      writeFileSync(join(out, "hands", `${name}.txt`), exportPokerStars(snapshot, options));
+      if (writePhh) {
+        writeFileSync(join(out, "hands", `${name}.phhs`), exportPhh(snapshot, options));
+      }
+      console.log(`${session}: ${snapshot.state.handId} hands`);
+    },
+  });
+  const seconds = (performance.now() - start) / 1000;
+  console.log(
+    `${report.sessions} sessions, ${report.hands.toLocaleString("en-US")} hands, ` +
+      `${report.decisions.toLocaleString("en-US")} decisions ` +
+      `(${report.fallbacks} fallbacks) in ${seconds.toFixed(1)}s; written to ${out}`
+  );
+}
+
+main().catch((error) => {
+  console.error((error as Error).message);
+  process.exitCode = 1;
+});
@@ -8,5 +8,9 @@ export default {
       tsconfig: "tsconfig.json",
     },
   },
+  // Engine sources import siblings with ESM ".js" specifiers
+  moduleNameMapper: {
+    "^(\\.{1,2}/.*)\\.js$": "$1",
+  },
   testMatch: ["**/*.test.ts"],
 };
@@ -11,6 +11,9 @@ let loadCredentialsIntoMemory = null;
 let removeCredentialFromLocalStorage = null;
 let setCredentialForProvider = null;
 let getCredentialForProvider = null;
+// Built-in bot seats
+let getAllBots = null;
+let botDecision = null;
 
 const seatsEl = document.getElementById("seats");
 const boardEl = document.getElementById("board");
@@ -21,27 +24,83 @@ const resolutionEl = document.getElementById("resolution");
 const settingsBackdrop = document.getElementById("settings-backdrop");
 const settingsTitle = document.getElementById("settings-title");
 const settingsStack = document.getElementById("settings-stack");
+const seatStatusSettings = document.getElementById("seat-status-settings");
+const settingsSeatStatus = document.getElementById("settings-seat-status");
 const settingsMode = document.getElementById("settings-mode");
 const settingsModelPreset = document.getElementById("settings-model-preset");
 const settingsPresetNote = document.getElementById("settings-preset-note");
 const settingsAiStyle = document.getElementById("settings-ai-style");
 const settingsAiStyleNote = document.getElementById("settings-ai-style-note");
 const aiSettings = document.getElementById("ai-settings");
+const botSettings = document.getElementById("bot-settings");
+const settingsBot = document.getElementById("settings-bot");
+const settingsBotNote = document.getElementById("settings-bot-note");
 const credentialFields = document.getElementById("credential-fields");
 const settingsValidationError = document.getElementById("settings-validation-error");
 const settingsCancel = document.getElementById("settings-cancel");
 const settingsSave = document.getElementById("settings-save");
 
+const DEFAULT_SEAT_COUNT = 6;
+const MIN_SEAT_COUNT = 2;
+const MAX_SEAT_COUNT = 10;
+const DEFAULT_STACK = 200;
+const MAX_RUN_IT_TIMES = 4;
+const GAME_TYPES = [
+  { value: "holdem", label: "Hold'em", maxSeats: MAX_SEAT_COUNT },
+  { value: "shortdeck", label: "Short Deck", maxSeats: MAX_SEAT_COUNT },
+  { value: "omaha", label: "PLO", maxSeats: MAX_SEAT_COUNT },
+  // 5 hole cards each: 9 or more seats would run out of cards
+  { value: "omaha5", label: "PLO-5", maxSeats: 8 },
+];
+const SHOWDOWN_MODES = [
+  { value: "show_all", label: "Show all hands" },
+  { value: "auto_muck", label: "Auto-muck losers" },
+  { value: "manual", label: "Muck by choice" },
+];
+// Tournament blinds as multiples of the configured blinds, raised every 10 hands
+const TOURNAMENT_LEVEL_MULTIPLIERS = [1, 2, 3, 5, 8, 12, 20, 30, 50];
+const TOURNAMENT_HANDS_PER_LEVEL = 10;
+// Monte Carlo samples per equity estimate; small enough to run on each street
+const EQUITY_ITERATIONS = 1000;
+// Hands whose events the engine keeps for the log, downloads and the saved
+// session; older hands are compacted so a long session stays small
+const ENGINE_OPTIONS = { retainHands: 100 };
+// Action clocks offered on the setup screen; the first (none) is the default
+const ACTION_CLOCKS = [
+  { label: "No action clock", clock: null },
+  { label: "15s + 30s time bank", clock: { actionSeconds: 15, timeBankSeconds: 30 } },
+  { label: "30s + 60s time bank", clock: { actionSeconds: 30, timeBankSeconds: 60 } },
+];
+
 const config = {
   seed: "cardpt-v0.1",
-  startingStacks: [200, 200, 200, 200, 200, 200],
+  seatCount: DEFAULT_SEAT_COUNT,
+  startingStacks: Array.from({ length: DEFAULT_SEAT_COUNT }, () => DEFAULT_STACK),
   smallBlind: 1,
   bigBlind: 2,
+  gameType: "holdem",
+  runItTimes: 1,
+  showdownMode: "show_all",
+  tournament: undefined,
+  // Enforced by the engine from each AI decision's measured time; off until
+  // one is picked on the setup screen
+  actionClock: ACTION_CLOCKS[0].clock,
 };
+let tournamentMode = false;
 
 let engine = null;
-let lastSummaryHandId = null;
+let engineModule = null;
+// Latest hand summary and its tournament results, kept current by an engine
+// subscription rather than by rescanning the event log on every render
+let tableFeed = null;
+// Observer equity overlay; also adds the acting seat's equity to AI input
+let showEquity = false;
+// Debug: draw every seat's hole cards, not just the ones the viewer may see
+let revealAllCards = false;
+let equityCache = { key: null, bySeat: null };
 let editingSeat = null;
+// Mid-session seat edits ({ seatStatus, stack } per seat), applied between hands
+let pendingSeatChanges = {};
 let gameStarted = false;
 let llmState = {
   turnKey: null,
@@ -52,99 +111,25 @@ let llmState = {
   countdownTimer: null, // Timer ID for countdown updates
 };
 
-const PromptRegistry = {
+// Play styles for AI seats, loaded from shared/promptProfiles.ts
+let PromptRegistry = {
   defaultPromptId: "balanced_amateur_v1",
-  profiles: [
-    {
-      "id": "balanced_amateur_v1",
-      "name": "Balanced Amateur (v1)",
-      "description": "A typical casual player with basic intuition and moderate risk tolerance.",
-      "prompt": `You are a casual poker player with some experience.
-      
-You are not reckless, but you are willing to bet or raise when it feels reasonable.
-You sometimes check or call to control the pot, but you are not afraid to apply pressure.
-
-You do not calculate odds precisely, but you have a basic sense of hand strength and position.
-You may make imperfect decisions.
-You are not trying to play optimally—just plausibly.
-
-Avoid extreme passivity.
-Avoid extreme aggression.
-Play in a way that feels human and varied.
-`
-    },
-
-    {
-      id: "tight_rookie_v1",
-      name: "Tight Rookie (v1)",
-      description: "Conservative baseline for new players.",
-      prompt: `You are a cautious beginner poker player.
-
-You prefer to avoid risk and are uncomfortable
-putting many chips into the pot without confidence.
-
-You often choose safe actions like check or fold.
-You rarely raise unless it feels obviously reasonable.
-
-Do not try to be clever.
-Do not think in terms of odds or expected value.
-Act like a human beginner who wants to survive the hand.
-`,
-    },
-    {
-      id: "loose_rookie_v1",
-      name: "Loose Rookie (v1)",
-      description: "Looser baseline for new players.",
-      prompt: `You are a curious beginner poker player.
-
-You enjoy being involved in hands and
-do not like folding too early.
-
-You are willing to call just to see what happens,
-even if the situation feels uncertain.
-
-You are not trying to win efficiently.
-You are playing to experience the game.
-`,
-    },
-    {
-      id: "copycat_v1",
-      name: "Copycat (v1)",
-      description: "Mirror recent table aggression when possible.",
-      prompt: `You are a socially influenced poker player.
-
-You tend to follow the flow of the table.
-If others are active, you become more active.
-If others are cautious, you also slow down.
-
-You often mirror the previous actions at the table
-instead of making an independent plan.
-
-You want to fit in and avoid standing out.
-`,
-    },
-    {
-      id: "calm_regular_v1",
-      name: "Calm Regular (v1)",
-      description: "Steady and composed decision style.",
-      prompt: `You are a calm, experienced regular at the table.
-
-You play in a steady and composed manner.
-You are not emotional and do not rush decisions.
-
-You sometimes apply pressure,
-but you avoid dramatic or flashy moves.
-
-You value consistency and table rhythm
-over aggressive domination.
-`,
-    },
-  ],
+  profiles: [],
 };
 
 // Initialize Phase 1-3 modules
 async function initPhaseModules() {
   try {
+    const promptProfilesMod = await import("/dist/shared/promptProfiles.js");
+    PromptRegistry = {
+      defaultPromptId: promptProfilesMod.DEFAULT_PROMPT_ID,
+      profiles: [...promptProfilesMod.getAllPromptProfiles()],
+    };
+
+    const botsMod = await import("/dist/engine/bots.js");
+    getAllBots = botsMod.getAllBots;
+    botDecision = botsMod.botDecision;
+
     const actionModeMod = await import("/dist/shared/actionMode.js");
     ACTION_MODE = actionModeMod.ACTION_MODE;
     
@@ -176,44 +161,49 @@ async function initPhaseModules() {
   }
 }
 
-const seatSettings = [
-  {
-    stack: 200,
-    actionMode: "ai",
-    selectedPresetId: "qwen-plus",
-    selectedProfileId: null,
-  },
-  {
-    stack: 200,
-    actionMode: "ai",
-    selectedPresetId: "qwen-plus",
-    selectedProfileId: null,
-  },
-  {
-    stack: 200,
-    actionMode: "ai",
-    selectedPresetId: "qwen-plus",
-    selectedProfileId: null,
-  },
-  {
-    stack: 200,
-    actionMode: "ai",
-    selectedPresetId: "qwen-plus",
-    selectedProfileId: null,
-  },
-  {
-    stack: 200,
-    actionMode: "ai",
-    selectedPresetId: "qwen-plus",
-    selectedProfileId: null,
-  },
-  {
-    stack: 200,
+function createDefaultSeatSetting() {
+  return {
+    stack: DEFAULT_STACK,
     actionMode: "ai",
     selectedPresetId: "qwen-plus",
     selectedProfileId: null,
-  },
-];
+    botId: null,
+  };
+}
+
+const seatSettings = Array.from({ length: DEFAULT_SEAT_COUNT }, createDefaultSeatSetting);
+
+// Resize seat settings to the chosen table size (pre-game only)
+// Existing seats keep their settings; new seats get defaults
+function setTableSize(seatCount) {
+  const maxSeats = GAME_TYPES.find((gameType) => gameType.value === config.gameType).maxSeats;
+  const count = Math.min(maxSeats, Math.max(MIN_SEAT_COUNT, seatCount));
+  while (seatSettings.length < count) {
+    seatSettings.push(createDefaultSeatSetting());
+  }
+  seatSettings.length = count;
+  config.seatCount = count;
+  config.startingStacks = seatSettings.map((setting) => setting.stack);
+}
+
+// Seat layout per table size, clockwise from top-left
+const SEAT_LAYOUTS = {
+  2: ["top-center", "bottom-center"],
+  3: ["top-left", "top-right", "bottom-center"],
+  4: ["top-left", "top-right", "bottom-right", "bottom-left"],
+  5: ["top-left", "top-right", "right", "bottom-center", "left"],
+  6: ["top-left", "top-right", "right", "bottom-right", "bottom-left", "left"],
+  7: ["top-left", "top-center", "top-right", "right", "bottom-right", "bottom-left", "left"],
+  8: ["top-left", "top-center", "top-right", "right", "bottom-right", "bottom-center", "bottom-left", "left"],
+  9: ["top-left", "top-center", "top-right", "right-upper", "right-lower", "bottom-right", "bottom-center", "bottom-left", "left"],
+  10: ["top-left", "top-center", "top-right", "right-upper", "right-lower", "bottom-right", "bottom-center", "bottom-left", "left-lower", "left-upper"],
+};
+
+function getSeatClasses(seatCount) {
+  const layout = SEAT_LAYOUTS[seatCount] || SEAT_LAYOUTS[DEFAULT_SEAT_COUNT];
+  const density = seatCount > DEFAULT_SEAT_COUNT ? " compact" : "";
+  return layout.map((position) => `seat ${position}${density}`);
+}
 
 // Compatibility mapping: UI value ↔ Internal value
 // UI only exposes "manual" and "ai", but internally we use "ai_standard" for all AI modes
@@ -251,20 +241,32 @@ function getUserFriendlyMessage(messageCode, fallbackMessage) {
   return messageMap[messageCode] || fallbackMessage || "AI proposal failed. You can act manually.";
 }
 
+// A bot seat's proposal, in the same Decision shape an LLM seat returns.
+// Like the LLM request, the bot sees only the seat's observation.
+async function requestBotAction(seat) {
+  if (!botDecision) {
+    throw new Error("Bots are not available. You can act manually.");
+  }
+  const botId = seatSettings[seat]?.botId || DEFAULT_BOT_ID;
+  return botDecision(botId, engine.getObservation(seat), String(config.seed)).decision;
+}
+
+// The seat's observation is the only engine data used here, so the request
+// can never carry the deck, the seed or an opponent's unseen cards
 async function requestLlmAction(_input) {
   const input = _input || {};
-  const snapshot = engine ? engine.getSnapshot() : null;
-  const state = snapshot ? snapshot.state : null;
   const seat = typeof input.seat === "number" ? input.seat : 0;
+  const observation = engine ? engine.getObservation(seat) : null;
+  const state = observation ? observation.state : null;
   const player = state ? state.players[seat] : null;
 
-  const legalActions = Array.isArray(input.legalActions)
-    ? input.legalActions
-    : [];
+  const legalActions = observation ? observation.legalActions : [];
 
   const controller = new AbortController();
-  // Increased timeout to 30 seconds to accommodate slower LLM responses (e.g., Gemini)
-  const timeoutId = setTimeout(() => controller.abort(), 30000);
+  // The seat's action clock (30 seconds without one); the engine times the
+  // seat out when the request runs past it
+  const timeLimitSeconds = input.timeLimitSeconds || 30;
+  const timeoutId = setTimeout(() => controller.abort(), timeLimitSeconds * 1000);
   try {
     const mod = await import("/dist/engine/buildDecisionInput.js");
     const buildDecisionInput = mod.buildDecisionInput;
@@ -291,10 +293,10 @@ async function requestLlmAction(_input) {
       profile = PromptRegistry.profiles.find(p => p.id === PromptRegistry.defaultPromptId) || PromptRegistry.profiles[0];
     }
     
+    const tournamentInfo = observation ? getLatestTournamentInfo(observation.events) : null;
     const decisionInput = buildDecisionInput({
       engineFacts: {
-        seed: snapshot ? snapshot.config.seed : null,
-        handId: snapshot ? snapshot.state.handId : null,
+        handId: state ? state.handId : null,
       },
       profile: {
         id: profile.id,
@@ -311,9 +313,14 @@ async function requestLlmAction(_input) {
         to_call: toCall,
         legal_actions: legalActions,
         phase: state ? state.phase : undefined,
+        seatCount: state ? state.players.length : undefined,
+        gameType: observation ? observation.config.gameType : undefined,
+        bettingStructure: observation ? observation.config.bettingStructure : undefined,
         holeCards: player ? player.holeCards : undefined,
         board: state ? state.board : undefined,
         players: allPlayers,
+        tournament: tournamentInfo,
+        equity: showEquity && observation ? getDecisionEquity(observation) : undefined,
       },
       legalActions,
     });
@@ -354,6 +361,8 @@ async function requestLlmAction(_input) {
         // Ensure actionMode is in internal format (ai → ai_standard)
         actionMode: input.actionMode || "ai_standard",
         credential: credential || undefined,
+        // Lets the server hold the request open as long as the seat's clock
+        timeLimitSeconds,
       }),
     });
 
@@ -410,6 +419,8 @@ async function requestLlmAction(_input) {
       };
     }
 
+    // Kept next to the proposal to compare with its hand_strength driver
+    responseData.equity = decisionInput.state.equity;
     return responseData;
   } catch (err) {
     console.warn("[LLM] requestLlmAction failed", err);
@@ -419,6 +430,7 @@ async function requestLlmAction(_input) {
         message: "Request timed out. You can act manually.",
         messageCode: "PROVIDER_ERROR",
         allowManualFallback: true,
+        timedOut: true,
       };
     }
     if (err && err.type === "gateway_rejection") {
@@ -435,6 +447,13 @@ async function requestLlmAction(_input) {
   }
 }
 
+// Seconds the seat to act has under the action clock, or null without one
+function getActionTimeLimit(snapshot) {
+  const clock = snapshot.config.actionClock;
+  const banks = snapshot.state.timeBanks;
+  return clock && banks ? clock.actionSeconds + banks[snapshot.state.actionSeat] : null;
+}
+
 function cardToView(code) {
   const rank = code.slice(0, 1);
   const suit = code.slice(1, 2);
@@ -467,9 +486,19 @@ function renderCards(container, cards) {
   }
 }
 
-function renderHoleCards(container, cards) {
+// cards is null for a hand the viewer may not see: count cards face down
+function renderHoleCards(container, cards, count) {
   const holder = document.createElement("div");
   holder.className = "hole-cards";
+  if (!cards) {
+    for (let i = 0; i < count; i += 1) {
+      const el = document.createElement("span");
+      el.className = "card small back";
+      holder.appendChild(el);
+    }
+    container.appendChild(holder);
+    return;
+  }
   for (const card of cards) {
     const view = cardToView(`${card.rank}${card.suit}`);
     const el = document.createElement("span");
@@ -480,34 +509,64 @@ function renderHoleCards(container, cards) {
   container.appendChild(holder);
 }
 
-function renderCardList(container, cards, sizeClass) {
+// highlighted: cards to mark, e.g. the five that make a shown hand
+function renderCardList(container, cards, sizeClass, highlighted) {
   container.innerHTML = "";
+  const marked = new Set((highlighted || []).map((card) => `${card.rank}${card.suit}`));
   for (const card of cards) {
     const view = cardToView(`${card.rank}${card.suit}`);
     const el = document.createElement("span");
-    el.className = `card ${sizeClass} ${view.color}`.trim();
+    const best = marked.has(`${card.rank}${card.suit}`) ? "best" : "";
+    el.className = `card ${sizeClass} ${view.color} ${best}`.trim();
     el.textContent = `${view.rank}${view.suitSymbol}`;
     container.appendChild(el);
   }
 }
 
-function getLatestHandSummary(events) {
+// Level, payouts and ICM equity published with the latest tournament hand
+function getLatestTournamentInfo(events) {
   for (let i = events.length - 1; i >= 0; i -= 1) {
-    if (events[i].type === "hand_summary" || events[i].type === "hand_end") {
-      return events[i];
+    if (events[i].type === "hand_started") {
+      return events[i].data.tournament || null;
     }
   }
   return null;
 }
 
-function hasNewHandStarted(events, lastHandId) {
-  for (let i = events.length - 1; i >= 0; i -= 1) {
-    const event = events[i];
-    if (event.type === "hand_started") {
-      return lastHandId !== null && event.handId !== lastHandId;
-    }
+// Follow the engine's events for the latest hand summary and the
+// eliminations and standings of that hand. An undo starts the feed over.
+function watchEngine() {
+  if (tableFeed) {
+    tableFeed.unsubscribe();
   }
-  return false;
+  const feed = { summary: null, summaryEvents: [], unsubscribe: null };
+  tableFeed = feed;
+  feed.unsubscribe = engine.subscribe(
+    (event) => {
+      if (event.type === "hand_summary") {
+        feed.summary = event;
+        feed.summaryEvents = [];
+      } else if (
+        (event.type === "player_eliminated" || event.type === "tournament_ended") &&
+        feed.summary &&
+        event.handId === feed.summary.handId
+      ) {
+        feed.summaryEvents.push(event);
+      }
+    },
+    { fromIndex: 0, onRewind: watchEngine }
+  );
+}
+
+// Blind schedule and payout table for a tournament at the current table size
+function buildTournamentConfig(seatCount) {
+  const levels = TOURNAMENT_LEVEL_MULTIPLIERS.map((multiplier, index) => ({
+    smallBlind: config.smallBlind * multiplier,
+    bigBlind: config.bigBlind * multiplier,
+    ante: index >= 3 ? config.smallBlind * Math.ceil(multiplier / 5) : 0,
+  }));
+  const payouts = seatCount <= 3 ? [100] : seatCount <= 6 ? [65, 35] : [50, 30, 20];
+  return { levels, handsPerLevel: TOURNAMENT_HANDS_PER_LEVEL, payouts };
 }
 
 // Group presets by provider for display
@@ -804,6 +863,39 @@ function renderCredentialFields() {
   updateCredentialVisibility(settingsModelPreset.value);
 }
 
+// The bot seats can be given; tight-aggressive when a seat has none yet
+const DEFAULT_BOT_ID = "tight_aggressive";
+
+function getBotName(botId) {
+  const id = botId || DEFAULT_BOT_ID;
+  const bot = getAllBots ? getAllBots().find((b) => b.id === id) : null;
+  return bot ? bot.name : id;
+}
+
+// Render bot options in settings
+function renderBotOptions() {
+  if (!settingsBot || !getAllBots) return;
+
+  settingsBot.innerHTML = "";
+  for (const bot of getAllBots()) {
+    const option = document.createElement("option");
+    option.value = bot.id;
+    option.textContent = bot.name;
+    settingsBot.appendChild(option);
+  }
+}
+
+function updateBotNote() {
+  const bot = getAllBots ? getAllBots().find((b) => b.id === settingsBot.value) : null;
+  settingsBotNote.textContent = bot ? bot.description : "";
+}
+
+// Show the model settings for AI seats and the bot picker for bot seats
+function updateModeSettings() {
+  aiSettings.style.display = settingsMode.value === "ai" ? "block" : "none";
+  botSettings.style.display = settingsMode.value === "bot" ? "block" : "none";
+}
+
 // Render AI Style options in settings
 function renderAiStyleOptions() {
   if (!settingsAiStyle) return;
@@ -874,8 +966,8 @@ function validateSeatConfiguration() {
   const uiActionMode = settingsMode.value;
   const selectedPresetId = settingsModelPreset.value;
   
-  // Manual mode: no preset required
-  if (uiActionMode === "manual") {
+  // Manual and bot seats: no preset required
+  if (uiActionMode === "manual" || uiActionMode === "bot") {
     return { ok: true };
   }
   
@@ -921,11 +1013,24 @@ function openSettings(seatIndex) {
   const settings = seatSettings[seatIndex];
   settingsTitle.textContent = `Seat ${seatIndex} Settings`;
   settingsStack.value = String(settings.stack);
+  // During a session the stack field only adds chips; the seat can sit out or be vacated
+  const seatEditable = gameStarted && engine && !config.tournament;
+  seatStatusSettings.style.display = seatEditable ? "block" : "none";
+  if (seatEditable) {
+    const player = engine.getSnapshot().state.players[seatIndex];
+    const pending = pendingSeatChanges[seatIndex];
+    const seatStatus = player.seatStatus === "waiting" ? "playing" : player.seatStatus;
+    settingsSeatStatus.value = pending ? pending.seatStatus : seatStatus;
+    settingsStack.value = String(pending ? pending.stack : player.stack);
+  }
   // Normalize actionMode for UI display (convert internal ai_* to "ai")
   settingsMode.value = normalizeActionModeForUI(settings.actionMode || "manual");
   
-  // Show/hide AI settings based on mode
-  aiSettings.style.display = settingsMode.value === "manual" ? "none" : "block";
+  // Show/hide AI and bot settings based on mode
+  updateModeSettings();
+  renderBotOptions();
+  settingsBot.value = settings.botId || DEFAULT_BOT_ID;
+  updateBotNote();
   
   // Render AI Style options and set selected value
   renderAiStyleOptions();
@@ -980,17 +1085,29 @@ settingsSave.addEventListener("click", () => {
   }
   
   const stackValue = Number(settingsStack.value);
+  if (gameStarted && engine && !config.tournament) {
+    const message = queueSeatChange(editingSeat, settingsSeatStatus.value, stackValue);
+    if (message) {
+      settingsValidationError.textContent = message;
+      settingsValidationError.style.display = "block";
+      return;
+    }
+  }
   const uiActionMode = settingsMode.value;
   // Convert UI value to internal value (ai → ai_experimental)
   const actionMode = normalizeActionModeForInternal(uiActionMode);
   const selectedPresetId = settingsModelPreset.value || null;
   const selectedProfileId = settingsAiStyle.value || PromptRegistry.defaultPromptId;
   
+  const keepStack = gameStarted && engine;
   seatSettings[editingSeat] = {
-    stack: Number.isFinite(stackValue) && stackValue >= 0 ? stackValue : 0,
+    stack: keepStack
+      ? seatSettings[editingSeat].stack
+      : Number.isFinite(stackValue) && stackValue >= 0 ? stackValue : 0,
     actionMode: actionMode,
-    selectedPresetId: uiActionMode === "manual" ? null : selectedPresetId,
-    selectedProfileId: uiActionMode === "manual" ? null : selectedProfileId,
+    selectedPresetId: uiActionMode === "ai" ? selectedPresetId : null,
+    selectedProfileId: uiActionMode === "ai" ? selectedProfileId : null,
+    botId: uiActionMode === "bot" ? settingsBot.value || DEFAULT_BOT_ID : null,
   };
   
   closeSettings();
@@ -1003,9 +1120,68 @@ settingsSave.addEventListener("click", () => {
   }
 });
 
+// Record a mid-session seat edit; returns an error message when it cannot be made
+function queueSeatChange(seat, seatStatus, stack) {
+  const player = engine.getSnapshot().state.players[seat];
+  if (!Number.isInteger(stack) || stack < 0) {
+    return "Stack must be a whole number of chips";
+  }
+  if (seatStatus !== "empty") {
+    if (player.seatStatus === "empty" && stack <= 0) {
+      return "A new player needs a stack";
+    }
+    if (player.seatStatus !== "empty" && stack < player.stack) {
+      return "Chips can only be added during a session";
+    }
+  }
+  const unchanged =
+    stack === player.stack &&
+    seatStatus === (player.seatStatus === "waiting" ? "playing" : player.seatStatus);
+  if (unchanged) {
+    delete pendingSeatChanges[seat];
+  } else {
+    pendingSeatChanges[seat] = { seatStatus, stack };
+  }
+  if (engine.getSnapshot().state.phase === "ended") {
+    applySeatChanges();
+  }
+  return null;
+}
+
+// Turn pending seat edits into engine seat changes; only valid between hands
+function applySeatChanges() {
+  const players = engine.getSnapshot().state.players;
+  for (const [seatKey, change] of Object.entries(pendingSeatChanges)) {
+    const seat = Number(seatKey);
+    const player = players[seat];
+    if (change.seatStatus === "empty") {
+      if (player.seatStatus !== "empty") {
+        engine.leaveSeat(seat);
+      }
+      continue;
+    }
+    if (player.seatStatus === "empty") {
+      engine.joinSeat(seat, change.stack);
+    } else if (change.stack > player.stack) {
+      if (player.stack === 0) {
+        engine.rebuy(seat, change.stack);
+      } else {
+        engine.topUp(seat, change.stack - player.stack);
+      }
+    }
+    if (change.seatStatus === "sitting_out" && player.seatStatus !== "sitting_out") {
+      engine.sitOut(seat);
+    }
+    if (change.seatStatus === "playing" && player.seatStatus === "sitting_out") {
+      engine.sitIn(seat);
+    }
+  }
+  pendingSeatChanges = {};
+}
+
 settingsMode.addEventListener("change", () => {
   const uiActionMode = settingsMode.value;
-  aiSettings.style.display = uiActionMode === "manual" ? "none" : "block";
+  updateModeSettings();
   
   // Convert UI value to internal value for capability checks
   const actionMode = normalizeActionModeForInternal(uiActionMode);
@@ -1029,6 +1205,8 @@ settingsMode.addEventListener("change", () => {
   updatePresetNote();
 });
 
+settingsBot.addEventListener("change", updateBotNote);
+
 settingsModelPreset.addEventListener("change", () => {
   updatePresetNote();
   // Update credential visibility based on selected preset
@@ -1044,7 +1222,10 @@ settingsAiStyle.addEventListener("change", () => {
 async function loadEngine() {
   try {
     const mod = await import("/dist/engine/index.js");
-    engine = mod.createEngine(config);
+    engine = mod.createEngine(config, ENGINE_OPTIONS);
+    engineModule = mod;
+    watchEngine();
+    pendingSeatChanges = {};
     gameStarted = true;
     render();
   } catch (err) {
@@ -1053,6 +1234,124 @@ async function loadEngine() {
   }
 }
 
+// Session persistence: the engine snapshot plus seat controllers, so a
+// refresh can resume at the same hand and action via restoreEngine
+const SESSION_STORAGE_KEY = "cardpt.session.v1";
+
+function saveSession(snapshot) {
+  try {
+    localStorage.setItem(
+      SESSION_STORAGE_KEY,
+      JSON.stringify({ snapshot, seatSettings })
+    );
+  } catch (err) {
+    console.warn("Failed to save session:", err);
+  }
+}
+
+function loadSavedSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("Failed to read saved session:", err);
+    return null;
+  }
+}
+
+function clearSavedSession() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (err) {
+    console.warn("Failed to clear saved session:", err);
+  }
+}
+
+// Take the table settings of a resumed or loaded session. Its deck secret
+// and fixed decks stay with that session, so the next game is dealt fresh cards
+function adoptTableConfig(engineConfig) {
+  const { deckSecret: _deckSecret, deckOrder: _deckOrder, ...table } = engineConfig;
+  Object.assign(config, table);
+}
+
+async function resumeEngine(saved) {
+  try {
+    const mod = await import("/dist/engine/index.js");
+    engine = mod.restoreEngine(saved.snapshot, ENGINE_OPTIONS);
+    engineModule = mod;
+    watchEngine();
+    adoptTableConfig(saved.snapshot.config);
+    seatSettings.length = 0;
+    seatSettings.push(...saved.seatSettings);
+    pendingSeatChanges = {};
+    gameStarted = true;
+    render();
+  } catch (err) {
+    console.warn("Failed to resume session:", err);
+    clearSavedSession();
+    renderPreGame();
+    boardEl.textContent = "Saved session could not be restored.";
+  }
+}
+
+// Scenario files (see engine/scenario.ts) open at their decision point with
+// every seat manual, so nothing acts until a seat is handed to an AI or bot
+async function openScenario(file) {
+  try {
+    const mod = await import("/dist/engine/index.js");
+    const scenario = mod.parseScenario(await file.text());
+    const gameType = GAME_TYPES.find((type) => type.value === (scenario.gameType || "holdem"));
+    const maxSeats = gameType ? gameType.maxSeats : MAX_SEAT_COUNT;
+    if (scenario.stacks.length < MIN_SEAT_COUNT || scenario.stacks.length > maxSeats) {
+      throw new Error(`the table must have ${MIN_SEAT_COUNT} to ${maxSeats} seats.`);
+    }
+    engine = mod.loadScenario(
+      {
+        showdownMode: config.showdownMode,
+        runItTimes: config.runItTimes,
+        ...scenario,
+      },
+      ENGINE_OPTIONS
+    );
+    engineModule = mod;
+    watchEngine();
+    adoptTableConfig(engine.getSnapshot().config);
+    config.tournament = undefined;
+    const settings = scenario.stacks.map((stack, seat) => ({
+      ...(seatSettings[seat] || createDefaultSeatSetting()),
+      stack,
+      actionMode: "manual",
+    }));
+    seatSettings.length = 0;
+    seatSettings.push(...settings);
+    pendingSeatChanges = {};
+    gameStarted = true;
+    render();
+  } catch (err) {
+    renderPreGame();
+    boardEl.textContent = `Scenario could not be opened: ${err.message}`;
+  }
+}
+
+function isManualSeat(seat) {
+  return normalizeActionModeForUI(seatSettings[seat]?.actionMode || "manual") === "manual";
+}
+
+// Who the table is drawn for: the person playing the seat on turn, or the one
+// seat a person plays; otherwise a spectator. Hole cards come from that
+// viewer's observation, so unshown and mucked hands stay face down.
+function getTableView(snapshot) {
+  const { state } = snapshot;
+  const manualSeats = state.players.map((p) => p.seat).filter(isManualSeat);
+  if (state.phase !== "ended" && manualSeats.includes(state.actionSeat)) {
+    return engine.getObservation(state.actionSeat);
+  }
+  if (manualSeats.length === 1) {
+    return engine.getObservation(manualSeats[0]);
+  }
+  return engine.getSpectatorView();
+}
+
 function render() {
   if (!gameStarted || !engine) {
     renderPreGame();
@@ -1060,16 +1359,12 @@ function render() {
   }
   const snapshot = engine.getSnapshot();
   const state = snapshot.state;
+  saveSession(snapshot);
+  const tableView = revealAllCards ? null : getTableView(snapshot);
 
   seatsEl.innerHTML = "";
-  const seatClasses = [
-    "seat top-left",
-    "seat top-right",
-    "seat right",
-    "seat bottom-right",
-    "seat bottom-left",
-    "seat left",
-  ];
+  const seatClasses = getSeatClasses(state.players.length);
+  const observerEquity = showEquity ? getObserverEquity(snapshot) : null;
   for (const player of state.players) {
     const seat = document.createElement("div");
     seat.className = seatClasses[player.seat] || "seat";
@@ -1098,7 +1393,11 @@ function render() {
     }
     const statusBadge = document.createElement("span");
     statusBadge.className = `badge status-${player.status}`;
-    statusBadge.textContent = player.status;
+    // Seats out by choice show why instead of a bare "out"
+    statusBadge.textContent =
+      player.status === "out" && player.seatStatus !== "playing"
+        ? player.seatStatus.replace("_", " ")
+        : player.status;
     badgeRow.appendChild(statusBadge);
     
     seatInfo.appendChild(badgeRow);
@@ -1128,10 +1427,27 @@ function render() {
     committedRow.appendChild(committedValue);
     seatInfo.appendChild(committedRow);
 
+    const seatEquity = observerEquity ? observerEquity[player.seat] : undefined;
+    if (seatEquity !== undefined) {
+      const equityRow = document.createElement("div");
+      equityRow.className = "info-row";
+      const equityLabel = document.createElement("span");
+      equityLabel.className = "info-label";
+      equityLabel.textContent = "Equity";
+      const equityValue = document.createElement("span");
+      equityValue.className = "info-value";
+      equityValue.textContent = formatEquity(seatEquity);
+      equityRow.appendChild(equityLabel);
+      equityRow.appendChild(equityValue);
+      seatInfo.appendChild(equityRow);
+    }
+
     // Model preset info (if AI mode) - as text row
     const internalActionMode = seatSettings[player.seat].actionMode;
     const actionMode = normalizeActionModeForUI(internalActionMode);
-    if (actionMode && actionMode !== "manual") {
+    if (actionMode === "bot") {
+      appendBotRow(seatInfo, seatSettings[player.seat].botId);
+    } else if (actionMode && actionMode !== "manual") {
       const presetRow = document.createElement("div");
       presetRow.className = "info-row";
       const presetLabel = document.createElement("span");
@@ -1174,9 +1490,9 @@ function render() {
       seatInfo.appendChild(styleRow);
     }
 
-    // Pending stack change - as text row
-    const pendingStackChange = seatSettings[player.seat].stack !== config.startingStacks[player.seat];
-    if (pendingStackChange) {
+    // Pending seat change - as text row
+    const pendingChange = pendingSeatChanges[player.seat];
+    if (pendingChange) {
       const pendingRow = document.createElement("div");
       pendingRow.className = "info-row";
       const pendingLabel = document.createElement("span");
@@ -1186,7 +1502,12 @@ function render() {
       const pendingValue = document.createElement("span");
       pendingValue.className = "info-value";
       pendingValue.style.fontStyle = "italic";
-      pendingValue.textContent = String(seatSettings[player.seat].stack);
+      pendingValue.textContent =
+        pendingChange.seatStatus === "empty"
+          ? "Empty"
+          : pendingChange.seatStatus === "sitting_out"
+            ? `Sitting out (${pendingChange.stack})`
+            : String(pendingChange.stack);
       pendingRow.appendChild(pendingLabel);
       pendingRow.appendChild(pendingValue);
       seatInfo.appendChild(pendingRow);
@@ -1203,7 +1524,12 @@ function render() {
     const cardArea = document.createElement("div");
     cardArea.className = "card-area";
     seat.appendChild(cardArea);
-    renderHoleCards(cardArea, player.holeCards);
+    const seenCards = tableView ? tableView.state.players[player.seat].holeCards : player.holeCards;
+    renderHoleCards(cardArea, seenCards, player.holeCards.length);
+    if (state.muckedSeats.includes(player.seat)) {
+      cardArea.style.opacity = "0.35";
+      cardArea.title = "Mucked";
+    }
     seatsEl.appendChild(seat);
   }
 
@@ -1220,30 +1546,37 @@ function renderActions() {
   }
   const snapshot = engine.getSnapshot();
   const state = snapshot.state;
+  if (state.phase !== "ended") {
+    appendEquityToggle();
+  }
+  appendRevealToggle();
   const internalActionMode = seatSettings[state.actionSeat]?.actionMode || "manual";
   const actionMode = normalizeActionModeForUI(internalActionMode);
-  const isAiMode = actionMode && actionMode !== "manual";
+  // Show/muck decisions at showdown are always made manually
+  const isAiMode = actionMode && actionMode !== "manual" && state.phase !== "showdown";
   const turnKey = `${state.handId}:${state.phase}:${state.actionSeat}:${snapshot.actionHistory.length}`;
 
+  if (state.phase === "ended" && state.tournament && state.tournament.finished) {
+    appendUndoButton();
+    appendHistoryButtons();
+    return;
+  }
+
   if (state.phase === "ended") {
     const button = document.createElement("button");
     button.textContent = "Next Hand";
     button.onclick = () => {
-      const updatedStacks = seatSettings.map((setting) => setting.stack);
-      const needsReset = updatedStacks.some(
-        (stack, index) => stack !== config.startingStacks[index]
-      );
-      if (needsReset) {
-        config.startingStacks = [...updatedStacks];
-        engine = null;
-        lastSummaryHandId = null;
-        loadEngine();
-        return;
+      try {
+        applySeatChanges();
+        engine.startNextHand();
+      } catch (err) {
+        alert(err instanceof Error ? err.message : String(err));
       }
-      engine.startNextHand();
       render();
     };
     actionsEl.appendChild(button);
+    appendUndoButton();
+    appendHistoryButtons();
     return;
   }
 
@@ -1260,8 +1593,10 @@ function renderActions() {
 
     if (llmState.status === "idle") {
       llmState.status = "loading";
-      // Start countdown timer (30 seconds)
-      llmState.countdown = 30;
+      const timeLimitSeconds = getActionTimeLimit(snapshot);
+      const startedAt = Date.now();
+      // Start countdown timer (the seat's action clock)
+      llmState.countdown = Math.ceil(timeLimitSeconds || 30);
       llmState.countdownTimer = setInterval(() => {
         if (llmState.countdown > 0) {
           llmState.countdown--;
@@ -1273,14 +1608,20 @@ function renderActions() {
       }, 1000);
       // Use internal actionMode for LLM request (ai → ai_experimental)
       const requestActionMode = normalizeActionModeForInternal(actionMode);
-      requestLlmAction({
-        seat: state.actionSeat,
-        legalActions: legal,
-        actionMode: requestActionMode,
-        selectedPresetId: seatSettings[state.actionSeat]?.selectedPresetId,
-        selectedProfileId: seatSettings[state.actionSeat]?.selectedProfileId,
-      })
+      const request =
+        actionMode === "bot"
+          ? requestBotAction(state.actionSeat)
+          : requestLlmAction({
+              seat: state.actionSeat,
+              actionMode: requestActionMode,
+              selectedPresetId: seatSettings[state.actionSeat]?.selectedPresetId,
+              selectedProfileId: seatSettings[state.actionSeat]?.selectedProfileId,
+              timeLimitSeconds,
+            });
+      request
         .then((proposal) => {
+          // The provider's decision time is what the engine's clock charges
+          proposal.elapsed = (Date.now() - startedAt) / 1000;
           // Clear countdown timer
           if (llmState.countdownTimer) {
             clearInterval(llmState.countdownTimer);
@@ -1324,6 +1665,14 @@ function renderActions() {
           llmState.countdown = null;
           
           console.warn("[LLM] proposal failed branch", err);
+          // Out of time: the engine checks or folds for the seat
+          const stillWaiting = llmState.turnKey === turnKey && llmState.status === "loading";
+          if (err && err.timedOut && timeLimitSeconds !== null && stillWaiting) {
+            engine.timeOut();
+            llmState = { turnKey: null, status: "idle", proposal: null, error: "", countdown: null, countdownTimer: null };
+            render();
+            return;
+          }
           // Extract user-friendly message from gateway rejection
           let errorMessage = "AI proposal failed. You can act manually.";
           if (err && err.type === "gateway_rejection" && err.message) {
@@ -1358,21 +1707,7 @@ function renderActions() {
       controlState.style.textTransform = "uppercase";
       controlState.style.letterSpacing = "0.5px";
       
-      const presetId = seatSettings[state.actionSeat]?.selectedPresetId;
-      let modelName = "AI";
-      if (presetId && getAllPresets) {
-        const presets = getAllPresets();
-        const preset = presets.find(p => p.id === presetId);
-        if (preset) {
-          modelName = preset.displayName;
-        }
-      }
-      // Display actual profile being used (user-selected or default)
-      const selectedProfileId = seatSettings[state.actionSeat]?.selectedProfileId || PromptRegistry.defaultPromptId;
-      const activeProfile = PromptRegistry.profiles.find(p => p.id === selectedProfileId) || PromptRegistry.profiles[0];
-      const profileName = activeProfile ? activeProfile.name : "Balanced Amateur (v1)";
-      const controlText = `AI Control: ${modelName} • Style: ${profileName}`;
-      controlState.textContent = controlText;
+      controlState.textContent = getSeatControlText(state.actionSeat);
       panel.appendChild(controlState);
       
       const title = document.createElement("div");
@@ -1415,21 +1750,7 @@ function renderActions() {
       controlState.style.textTransform = "uppercase";
       controlState.style.letterSpacing = "0.5px";
       
-      const presetId = seatSettings[state.actionSeat]?.selectedPresetId;
-      let modelName = "AI";
-      if (presetId && getAllPresets) {
-        const presets = getAllPresets();
-        const preset = presets.find(p => p.id === presetId);
-        if (preset) {
-          modelName = preset.displayName;
-        }
-      }
-      // Display actual profile being used (user-selected or default)
-      const selectedProfileId = seatSettings[state.actionSeat]?.selectedProfileId || PromptRegistry.defaultPromptId;
-      const activeProfile = PromptRegistry.profiles.find(p => p.id === selectedProfileId) || PromptRegistry.profiles[0];
-      const profileName = activeProfile ? activeProfile.name : "Balanced Amateur (v1)";
-      const controlText = `AI Control: ${modelName} • Style: ${profileName}`;
-      controlState.textContent = controlText;
+      controlState.textContent = getSeatControlText(state.actionSeat);
       panel.appendChild(controlState);
 
       // Title: "AI Decision" - secondary header
@@ -1498,6 +1819,16 @@ function renderActions() {
       }
       panel.appendChild(whySection);
 
+      // Equity the proposal was made with, to check its hand_strength claim
+      if (typeof llmState.proposal.equity === "number") {
+        const equityNote = document.createElement("div");
+        equityNote.style.fontSize = "12px";
+        equityNote.style.color = "#9fb0ba";
+        equityNote.style.marginBottom = "14px";
+        equityNote.textContent = `Equity vs random hands: ${formatEquity(llmState.proposal.equity)}`;
+        panel.appendChild(equityNote);
+      }
+
       // AI Thought: Optional, visually secondary
       if (llmState.proposal.reason.line) {
         const thoughtSection = document.createElement("div");
@@ -1539,6 +1870,7 @@ function renderActions() {
           actor: state.actionSeat,
           type: actionType.toLowerCase(),
           amount: amount === null ? null : Number(amount),
+          elapsed: llmState.proposal.elapsed,
         });
         llmState = { turnKey: null, status: "idle", proposal: null, error: "", countdown: null, countdownTimer: null };
         render();
@@ -1663,6 +1995,173 @@ function renderActions() {
     };
     actionsEl.appendChild(button);
   }
+  appendUndoButton();
+}
+
+// Take back the last applied action (manual override or followed AI proposal)
+// The restored turn stays under manual control instead of re-requesting the AI
+function appendUndoButton() {
+  if (!engine || engine.getSnapshot().actionHistory.length === 0) {
+    return;
+  }
+  const button = document.createElement("button");
+  button.textContent = "Undo";
+  button.style.opacity = "0.85";
+  button.onclick = () => {
+    if (llmState.countdownTimer) {
+      clearInterval(llmState.countdownTimer);
+    }
+    engine.undo();
+    const snapshot = engine.getSnapshot();
+    const state = snapshot.state;
+    llmState = {
+      turnKey: `${state.handId}:${state.phase}:${state.actionSeat}:${snapshot.actionHistory.length}`,
+      status: "manual",
+      proposal: null,
+      error: "Last action undone. Manual controls enabled for this turn.",
+      countdown: null,
+      countdownTimer: null,
+    };
+    render();
+  };
+  actionsEl.appendChild(button);
+}
+
+function formatEquity(equity) {
+  return `${(equity * 100).toFixed(1)}%`;
+}
+
+function isLive(player) {
+  return player.status === "active" || player.status === "all_in";
+}
+
+// Observer view: each live hand's equity with every hole card known and folded
+// cards dead. Cached per street so re-renders don't resample.
+function getObserverEquity(snapshot) {
+  const { state, config } = snapshot;
+  const live = state.players.filter(isLive);
+  if (!engineModule || state.phase === "ended" || live.length < 2) {
+    return null;
+  }
+  const key = `${config.seed}:${state.handId}:${state.board.length}:${live.map((p) => p.seat).join(",")}`;
+  if (equityCache.key !== key) {
+    const result = engineModule.calculateEquity({
+      hands: live.map((p) => p.holeCards),
+      board: state.board,
+      dead: state.players.filter((p) => p.status === "folded").flatMap((p) => p.holeCards),
+      gameType: config.gameType,
+      iterations: EQUITY_ITERATIONS,
+      seed: key,
+    });
+    const bySeat = {};
+    live.forEach((p, index) => {
+      bySeat[p.seat] = result.equity[index];
+    });
+    equityCache = { key, bySeat };
+  }
+  return equityCache.bySeat;
+}
+
+// The observing seat's equity against any hand for each live opponent
+function getDecisionEquity(observation) {
+  const { state, config, seat } = observation;
+  const opponents = state.players.filter((p) => p.seat !== seat && isLive(p));
+  if (!engineModule || opponents.length === 0) {
+    return null;
+  }
+  const result = engineModule.calculateEquity({
+    hands: [state.players[seat].holeCards, ...opponents.map(() => null)],
+    board: state.board,
+    gameType: config.gameType,
+    iterations: EQUITY_ITERATIONS,
+    seed: `${state.handId}:${seat}:${state.board.length}`,
+  });
+  return Number(result.equity[0].toFixed(3));
+}
+
+function appendEquityToggle() {
+  const button = document.createElement("button");
+  button.textContent = showEquity ? "Hide Equity" : "Show Equity";
+  button.style.opacity = "0.85";
+  button.onclick = () => {
+    showEquity = !showEquity;
+    render();
+  };
+  actionsEl.appendChild(button);
+}
+
+// Debug view of every hand, mucked ones included
+function appendRevealToggle() {
+  const button = document.createElement("button");
+  button.textContent = revealAllCards ? "Hide Cards" : "Reveal All Cards";
+  button.style.opacity = "0.85";
+  button.onclick = () => {
+    revealAllCards = !revealAllCards;
+    render();
+  };
+  actionsEl.appendChild(button);
+}
+
+// Seat names plus the model preset / style each AI seat played with
+function buildSeatLabels() {
+  const presets = getAllPresets ? getAllPresets() : [];
+  return seatSettings.map((setting, seatIndex) => {
+    const actionMode = normalizeActionModeForUI(setting.actionMode);
+    if (!actionMode || actionMode === "manual") {
+      return { name: `Seat ${seatIndex + 1}` };
+    }
+    if (actionMode === "bot") {
+      return { name: `Seat ${seatIndex + 1}`, profile: getBotName(setting.botId) };
+    }
+    const preset = presets.find((p) => p.id === setting.selectedPresetId);
+    return {
+      name: `Seat ${seatIndex + 1}`,
+      preset: preset ? preset.displayName : setting.selectedPresetId || null,
+      profile: getPromptName(setting.selectedProfileId || PromptRegistry.defaultPromptId),
+    };
+  });
+}
+
+function downloadText(filename, text) {
+  const blob = new Blob([text], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Download every completed hand the engine still keeps as PokerStars text or PHH
+function appendHistoryButtons() {
+  if (!engine) {
+    return;
+  }
+  const hasPhhVariant = engineModule?.phhVariant(engine.getSnapshot().config) != null;
+  const formats = [
+    { label: "Download PokerStars", exporter: "exportPokerStars", extension: "txt", available: true },
+    { label: "Download PHH", exporter: "exportPhh", extension: "phhs", available: hasPhhVariant },
+  ];
+  for (const format of formats) {
+    const button = document.createElement("button");
+    button.textContent = format.label;
+    button.style.opacity = "0.85";
+    if (!format.available) {
+      button.disabled = true;
+      button.title = "PHH has no variant code for this game";
+    }
+    button.onclick = async () => {
+      try {
+        const mod = await import("/dist/engine/index.js");
+        const snapshot = engine.getSnapshot();
+        const text = mod[format.exporter](snapshot, { seatLabels: buildSeatLabels() });
+        downloadText(`cardpt-${snapshot.config.seed}.${format.extension}`, text);
+      } catch (err) {
+        alert(err instanceof Error ? err.message : String(err));
+      }
+    };
+    actionsEl.appendChild(button);
+  }
 }
 
 function mapProposalAction(proposalAction, legalActions) {
@@ -1794,6 +2293,43 @@ function resolveLlmDecision(proposal, legalActions) {
 }
 
 
+// "AI Control: <model> • Style: <profile>", or the bot playing the seat
+function getSeatControlText(seat) {
+  const setting = seatSettings[seat];
+  if (setting?.actionMode === "bot") {
+    return `Bot Control: ${getBotName(setting.botId)}`;
+  }
+  const presetId = setting?.selectedPresetId;
+  let modelName = "AI";
+  if (presetId && getAllPresets) {
+    const presets = getAllPresets();
+    const preset = presets.find(p => p.id === presetId);
+    if (preset) {
+      modelName = preset.displayName;
+    }
+  }
+  // Display actual profile being used (user-selected or default)
+  const selectedProfileId = setting?.selectedProfileId || PromptRegistry.defaultPromptId;
+  const activeProfile = PromptRegistry.profiles.find(p => p.id === selectedProfileId) || PromptRegistry.profiles[0];
+  const profileName = activeProfile ? activeProfile.name : "Balanced Amateur (v1)";
+  return `AI Control: ${modelName} • Style: ${profileName}`;
+}
+
+function appendBotRow(seatInfo, botId) {
+  const botRow = document.createElement("div");
+  botRow.className = "info-row";
+  const botLabel = document.createElement("span");
+  botLabel.className = "info-label";
+  botLabel.textContent = "Bot";
+  const botValue = document.createElement("span");
+  botValue.className = "info-value";
+  botValue.style.fontSize = "10px";
+  botValue.textContent = getBotName(botId);
+  botRow.appendChild(botLabel);
+  botRow.appendChild(botValue);
+  seatInfo.appendChild(botRow);
+}
+
 function getPromptName(promptId) {
   const profile = PromptRegistry.profiles.find((p) => p.id === promptId);
   return profile ? profile.name : "Unknown";
@@ -1833,15 +2369,32 @@ function formatDriverAsJudgment(key) {
 }
 
 
+// One shown hand: hole cards + board, the five that play marked. run is the
+// run index when the board was run more than once, otherwise null.
+function appendShowdownLine(snapshot, entry, boardCards, run) {
+  const line = document.createElement("div");
+  line.className = "line";
+  const player = snapshot.state.players[entry.seat];
+  const cards = document.createElement("span");
+  renderCardList(cards, player.holeCards, "small", entry.bestCards);
+  const board = document.createElement("span");
+  renderCardList(board, boardCards, "small", entry.bestCards);
+  const label = document.createElement("span");
+  label.textContent = run === null ? `Seat ${entry.seat}: ` : `Run ${run + 1}, Seat ${entry.seat}: `;
+  const arrow = document.createElement("span");
+  const rankText = entry.handName || entry.handRank || "Unknown";
+  arrow.textContent = ` \u2192 ${rankText}`;
+  line.appendChild(label);
+  line.appendChild(cards);
+  line.appendChild(document.createTextNode(" + "));
+  line.appendChild(board);
+  line.appendChild(arrow);
+  showdownEl.appendChild(line);
+}
+
 function renderSummary(snapshot) {
-  const summary = getLatestHandSummary(snapshot.events);
-  
-  // Check if a new hand has started
-  const newHandStarted = hasNewHandStarted(snapshot.events, lastSummaryHandId);
-  if (newHandStarted) {
-    lastSummaryHandId = snapshot.state.handId;
-  }
-  
+  const summary = tableFeed ? tableFeed.summary : null;
+
   potsEl.innerHTML = "";
   showdownEl.innerHTML = "";
   resolutionEl.innerHTML = "";
@@ -1855,9 +2408,10 @@ function renderSummary(snapshot) {
 
   const data = summary.data || {};
   const pots = Array.isArray(data.pots) ? data.pots : [];
-  const showdown = Array.isArray(data.showdown) ? data.showdown : [];
-
-  lastSummaryHandId = summary.handId;
+  // Run-it-N hands describe each run's showdown against its own board
+  const showdownRuns = Array.isArray(data.runs)
+    ? data.runs
+    : [{ board: snapshot.state.board, showdown: Array.isArray(data.showdown) ? data.showdown : [] }];
 
   for (const pot of pots) {
     const line = document.createElement("div");
@@ -1869,48 +2423,72 @@ function renderSummary(snapshot) {
     potsEl.appendChild(line);
   }
 
-  if (!showdown.length) {
+  if (!showdownRuns.some((run) => run.showdown.length)) {
     showdownEl.textContent = "No showdown.";
   }
-  for (const entry of showdown) {
+  // Hole cards and each run's board, with the five that play marked
+  for (const [runIndex, run] of showdownRuns.entries()) {
+    for (const entry of run.showdown) {
+      appendShowdownLine(snapshot, entry, run.board, showdownRuns.length > 1 ? runIndex : null);
+    }
+  }
+  const mucked = Array.isArray(data.mucked) ? data.mucked : [];
+  for (const seat of mucked) {
     const line = document.createElement("div");
     line.className = "line";
-    const player = snapshot.state.players[entry.seat];
-    const cards = document.createElement("span");
-    renderCardList(cards, player.holeCards, "small");
-    const label = document.createElement("span");
-    label.textContent = `Seat ${entry.seat}: `;
-    const arrow = document.createElement("span");
-    const rankText = entry.handRankText || entry.handRank || "Unknown";
-    arrow.textContent = ` \u2192 ${rankText}`;
-    line.appendChild(label);
-    line.appendChild(cards);
-    line.appendChild(arrow);
+    line.textContent = `Seat ${seat}: mucked`;
     showdownEl.appendChild(line);
   }
 
-  for (const pot of pots) {
-    const line = document.createElement("div");
-    line.className = "line";
-    const potName = pot.potIndex === 0 ? "Main Pot" : `Side Pot ${pot.potIndex}`;
-    const winners = Array.isArray(pot.winners)
-      ? pot.winners.map((w) => (typeof w === "number" ? w : w.seat)).join(", ")
-      : "";
-    line.textContent = `${potName} (${pot.amount}) \u2192 Seat ${winners}`;
-    resolutionEl.appendChild(line);
+  // Run-it-N: one board and one set of pot winners per run
+  const runs = Array.isArray(data.runs) ? data.runs : [{ pots }];
+  for (const run of runs) {
+    if (run.board) {
+      const line = document.createElement("div");
+      line.className = "line";
+      const label = document.createElement("span");
+      label.textContent = `Run ${run.run + 1}: `;
+      const cards = document.createElement("span");
+      renderCardList(cards, run.board, "small");
+      line.appendChild(label);
+      line.appendChild(cards);
+      resolutionEl.appendChild(line);
+    }
+    for (const pot of run.pots) {
+      const line = document.createElement("div");
+      line.className = "line";
+      const potName = pot.potIndex === 0 ? "Main Pot" : `Side Pot ${pot.potIndex}`;
+      const winners = Array.isArray(pot.winners)
+        ? pot.winners.map((w) => (typeof w === "number" ? w : w.seat)).join(", ")
+        : "";
+      line.textContent = `${potName} (${pot.amount}) \u2192 Seat ${winners}`;
+      resolutionEl.appendChild(line);
+    }
+  }
+
+  // Tournament: players knocked out this hand and the final standings
+  for (const event of tableFeed.summaryEvents) {
+    if (event.type === "player_eliminated") {
+      const line = document.createElement("div");
+      line.className = "line";
+      line.textContent = `Seat ${event.data.seat} eliminated in place ${event.data.place}`;
+      resolutionEl.appendChild(line);
+    }
+    if (event.type === "tournament_ended") {
+      for (const standing of event.data.standings) {
+        const line = document.createElement("div");
+        line.className = "line";
+        const prize = Math.round(standing.prize * 100) / 100;
+        line.textContent = `#${standing.place}: Seat ${standing.seat} (prize ${prize})`;
+        resolutionEl.appendChild(line);
+      }
+    }
   }
 }
 
 function renderPreGame() {
   seatsEl.innerHTML = "";
-  const seatClasses = [
-    "seat top-left",
-    "seat top-right",
-    "seat right",
-    "seat bottom-right",
-    "seat bottom-left",
-    "seat left",
-  ];
+  const seatClasses = getSeatClasses(seatSettings.length);
   for (let seatIndex = 0; seatIndex < seatSettings.length; seatIndex += 1) {
     const seat = document.createElement("div");
     seat.className = seatClasses[seatIndex] || "seat";
@@ -1962,7 +2540,9 @@ function renderPreGame() {
     // Model preset info (if AI mode) - as text row
     const internalActionMode = seatSettings[seatIndex].actionMode;
     const actionMode = normalizeActionModeForUI(internalActionMode);
-    if (actionMode && actionMode !== "manual") {
+    if (actionMode === "bot") {
+      appendBotRow(seatInfo, seatSettings[seatIndex].botId);
+    } else if (actionMode && actionMode !== "manual") {
       const presetRow = document.createElement("div");
       presetRow.className = "info-row";
       const presetLabel = document.createElement("span");
@@ -2016,13 +2596,115 @@ function renderPreGame() {
 
   boardEl.textContent = "Configure seats, then start the game.";
   actionsEl.innerHTML = "";
+  const gameTypeSelect = document.createElement("select");
+  for (const gameType of GAME_TYPES) {
+    const option = document.createElement("option");
+    option.value = gameType.value;
+    option.textContent = gameType.label;
+    gameTypeSelect.appendChild(option);
+  }
+  gameTypeSelect.value = config.gameType;
+  gameTypeSelect.onchange = () => {
+    config.gameType = gameTypeSelect.value;
+    setTableSize(seatSettings.length);
+    renderPreGame();
+  };
+  actionsEl.appendChild(gameTypeSelect);
+  const maxSeats = GAME_TYPES.find((gameType) => gameType.value === config.gameType).maxSeats;
+  const tableSizeSelect = document.createElement("select");
+  for (let count = MIN_SEAT_COUNT; count <= maxSeats; count += 1) {
+    const option = document.createElement("option");
+    option.value = String(count);
+    option.textContent = count === 2 ? "Heads-up" : `${count}-max`;
+    tableSizeSelect.appendChild(option);
+  }
+  tableSizeSelect.value = String(seatSettings.length);
+  tableSizeSelect.onchange = () => {
+    setTableSize(Number(tableSizeSelect.value));
+    renderPreGame();
+  };
+  actionsEl.appendChild(tableSizeSelect);
+  const runItSelect = document.createElement("select");
+  for (let runs = 1; runs <= MAX_RUN_IT_TIMES; runs += 1) {
+    const option = document.createElement("option");
+    option.value = String(runs);
+    option.textContent = runs === 1 ? "Run once" : runs === 2 ? "Run it twice" : `Run it ${runs} times`;
+    runItSelect.appendChild(option);
+  }
+  runItSelect.value = String(config.runItTimes);
+  runItSelect.onchange = () => {
+    config.runItTimes = Number(runItSelect.value);
+  };
+  actionsEl.appendChild(runItSelect);
+  const showdownSelect = document.createElement("select");
+  for (const mode of SHOWDOWN_MODES) {
+    const option = document.createElement("option");
+    option.value = mode.value;
+    option.textContent = mode.label;
+    showdownSelect.appendChild(option);
+  }
+  showdownSelect.value = config.showdownMode;
+  showdownSelect.onchange = () => {
+    config.showdownMode = showdownSelect.value;
+  };
+  actionsEl.appendChild(showdownSelect);
+  const formatSelect = document.createElement("select");
+  for (const [value, label] of [["cash", "Cash game"], ["tournament", "Tournament"]]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = tournamentMode ? "tournament" : "cash";
+  formatSelect.onchange = () => {
+    tournamentMode = formatSelect.value === "tournament";
+  };
+  actionsEl.appendChild(formatSelect);
+  const clockSelect = document.createElement("select");
+  ACTION_CLOCKS.forEach((choice, index) => {
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = choice.label;
+    clockSelect.appendChild(option);
+  });
+  const clockIndex = ACTION_CLOCKS.findIndex(
+    (choice) => JSON.stringify(choice.clock) === JSON.stringify(config.actionClock ?? null)
+  );
+  clockSelect.value = String(Math.max(0, clockIndex));
+  clockSelect.onchange = () => {
+    config.actionClock = ACTION_CLOCKS[Number(clockSelect.value)].clock;
+  };
+  actionsEl.appendChild(clockSelect);
   const startButton = document.createElement("button");
   startButton.textContent = "Start Game";
   startButton.onclick = () => {
+    config.seatCount = seatSettings.length;
     config.startingStacks = seatSettings.map((setting) => setting.stack);
+    config.tournament = tournamentMode ? buildTournamentConfig(config.seatCount) : undefined;
     loadEngine();
   };
   actionsEl.appendChild(startButton);
+  const savedSession = loadSavedSession();
+  if (savedSession && savedSession.snapshot && Array.isArray(savedSession.seatSettings)) {
+    const resumeButton = document.createElement("button");
+    resumeButton.textContent = `Resume Hand ${savedSession.snapshot.state.handId}`;
+    resumeButton.onclick = () => resumeEngine(savedSession);
+    actionsEl.appendChild(resumeButton);
+  }
+  const scenarioInput = document.createElement("input");
+  scenarioInput.type = "file";
+  scenarioInput.accept = ".json,application/json";
+  scenarioInput.style.display = "none";
+  scenarioInput.onchange = () => {
+    if (scenarioInput.files.length > 0) {
+      openScenario(scenarioInput.files[0]);
+    }
+  };
+  const scenarioButton = document.createElement("button");
+  scenarioButton.textContent = "Open Scenario";
+  scenarioButton.onclick = () => scenarioInput.click();
+  actionsEl.appendChild(scenarioButton);
+  actionsEl.appendChild(scenarioInput);
 
   potsEl.textContent = "";
   showdownEl.textContent = "";
@@ -10,14 +10,31 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 8000;
 
-// Set server timeout to 30 seconds to match frontend timeout
+// Without an action clock the frontend gives a decision 30 seconds; with one
+// it sends the seat's time left as timeLimitSeconds, capped here by
+// LLM_TIMEOUT_MAX_SECONDS (default 300)
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const MAX_TIMEOUT_SECONDS = Number(process.env.LLM_TIMEOUT_MAX_SECONDS) || 300;
+// Slack so the frontend's own abort arrives before the server gives up
+const TIMEOUT_GRACE_SECONDS = 5;
+
+function requestTimeoutMs(body) {
+  const limit = Number(body?.timeLimitSeconds);
+  const seconds =
+    Number.isFinite(limit) && limit > 0
+      ? Math.min(limit, MAX_TIMEOUT_SECONDS)
+      : DEFAULT_TIMEOUT_SECONDS;
+  return (seconds + TIMEOUT_GRACE_SECONDS) * 1000;
+}
+
+app.use(express.json());
+
 app.use((req, res, next) => {
-  req.setTimeout(30000);
-  res.setTimeout(30000);
+  const timeoutMs = requestTimeoutMs(req.body);
+  req.setTimeout(timeoutMs);
+  res.setTimeout(timeoutMs);
   next();
 });
-
-app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/dist", express.static(path.join(__dirname, "dist")));
 
@@ -58,8 +75,8 @@ app.post("/api/llm", async (req, res) => {
       };
     }
 
-    // Extract decision input (everything except presetId, credential, and actionMode)
-    const { presetId: __, credential: ___, actionMode: ____, ...decisionInput } = req.body;
+    // Extract decision input (everything except presetId, credential, actionMode and timeLimitSeconds)
+    const { presetId: __, credential: ___, actionMode: ____, timeLimitSeconds: _____, ...decisionInput } = req.body;
 
     // Call unified decision pipeline (Phase 5)
     // Never throws for expected failures - always returns ProposalResult